@@ -0,0 +1,363 @@
+/**
+ * Async Tracker - every async resource, not just the ones you wrapped
+ *
+ * Built on async_hooks: records each resource Node creates (promises,
+ * timers, sockets, fs requests, ...) with its creation stack, the resource
+ * that triggered it and how long it has been alive. An AsyncLocalStorage
+ * context labels everything created inside tracker.run(label, fn), so the
+ * tree reads "user-fetch → PROMISE → Timeout" instead of bare ids.
+ *
+ *   const tracker = new AsyncTracker({ thresholdMs: 500 }).enable();
+ *   await tracker.run("user-fetch", () => fetchUser(5));
+ *   tracker.printTree();            // what is still in flight, as a tree
+ *   tracker.printStale();           // what has been pending > 500ms
+ *   tracker.disable();
+ *
+ * PITFALL: Hooks run for every resource - capturing a stack for each one
+ * makes promise-heavy code several times slower. Enable the tracker around
+ * the code under suspicion, not for the whole process.
+ */
+
+const {
+    createHook,
+    executionAsyncId,
+    AsyncLocalStorage,
+} = require("async_hooks");
+const { performance } = require("perf_hooks");
+const {
+    captureStack,
+    filterFrames,
+    formatFrame,
+} = require("../errors/stack-parser");
+
+/**
+ * @typedef {Object} AsyncResourceRecord
+ * @property {number} asyncId
+ * @property {string} type - PROMISE, Timeout, TCPWRAP, FSREQCALLBACK, ...
+ * @property {number} triggerAsyncId - Resource that caused this one (the tree parent)
+ * @property {number} executionAsyncId - Resource whose callback was running at creation
+ * @property {string|null} label - tracker.run() label active at creation
+ * @property {WeakRef} resource - The resource object itself (Timeout, promise, handle, ...)
+ * @property {Object[]} stack - App frames where the resource was created
+ * @property {number} createdAt - performance.now() timestamps
+ * @property {number|null} resolvedAt - Promises: when resolve() was called
+ * @property {number|null} destroyedAt - When Node released the resource
+ * @property {number} callbacks - How many times its callback ran
+ * @property {string} state - "pending" | "resolved" | "destroyed"
+ */
+
+class AsyncTracker {
+    /**
+     * @param {Object} options
+     * @param {number} [options.thresholdMs] - Pending longer than this is stale
+     * @param {string[]} [options.types] - Only record these resource types (default: all)
+     * @param {boolean} [options.captureStacks] - Record creation stacks
+     * @param {number} [options.stackDepth] - App frames kept per resource
+     * @param {number} [options.maxRecords] - Finished records are pruned beyond this
+     */
+    constructor({
+        thresholdMs = 1000,
+        types = null,
+        captureStacks = true,
+        stackDepth = 3,
+        maxRecords = 10000,
+    } = {}) {
+        this.thresholdMs = thresholdMs;
+        this.types = types ? new Set(types) : null;
+        this.captureStacks = captureStacks;
+        this.stackDepth = stackDepth;
+        this.maxRecords = maxRecords;
+
+        this.records = new Map();
+        this.storage = new AsyncLocalStorage();
+        this.muted = 0;
+        this.enabled = false;
+        this.hook = createHook({
+            init: (asyncId, type, triggerAsyncId, resource) =>
+                this.onInit(asyncId, type, triggerAsyncId, resource),
+            before: (asyncId) => this.onBefore(asyncId),
+            after: (asyncId) => this.onAfter(asyncId),
+            promiseResolve: (asyncId) => this.onResolve(asyncId),
+            destroy: (asyncId) => this.onDestroy(asyncId),
+        });
+    }
+
+    enable() {
+        this.hook.enable();
+        this.enabled = true;
+        return this;
+    }
+
+    disable() {
+        this.hook.disable();
+        this.enabled = false;
+        return this;
+    }
+
+    /**
+     * Forget everything recorded so far
+     */
+    reset() {
+        this.records.clear();
+        return this;
+    }
+
+    /**
+     * Run fn with a label that sticks to every resource it creates,
+     * including the ones created later in its callbacks
+     */
+    run(label, fn) {
+        return this.storage.run({ label }, fn);
+    }
+
+    /**
+     * Label of the tracker.run() context we are currently in
+     */
+    currentLabel() {
+        const store = this.storage.getStore();
+        return store ? store.label : null;
+    }
+
+    /**
+     * Run fn without recording the resources it creates (the tracker's own
+     * logging would otherwise show up in every tree it prints)
+     */
+    untracked(fn) {
+        this.muted++;
+        try {
+            return fn();
+        } finally {
+            this.muted--;
+        }
+    }
+
+    // PITFALL: Never console.log inside a hook - writing to stdout creates
+    // async resources, which calls init again, which logs again...
+    onInit(asyncId, type, triggerAsyncId, resource) {
+        if (this.muted > 0 || (this.types && !this.types.has(type))) return;
+
+        this.records.set(asyncId, {
+            asyncId,
+            type,
+            triggerAsyncId,
+            executionAsyncId: executionAsyncId(),
+            label: this.currentLabel(),
+            // Weak, so tracking never keeps a resource alive
+            resource: new WeakRef(resource),
+            stack: this.captureStacks ? this.creationStack() : [],
+            createdAt: performance.now(),
+            resolvedAt: null,
+            destroyedAt: null,
+            callbacks: 0,
+            state: "pending",
+        });
+
+        if (this.records.size > this.maxRecords) this.prune();
+    }
+
+    onBefore(asyncId) {
+        const record = this.records.get(asyncId);
+        if (record) record.callbacks++;
+    }
+
+    // PITFALL: destroy hooks are batched and run later, so a timer that has
+    // already fired would look pending for a while - check it right away
+    onAfter(asyncId) {
+        const record = this.records.get(asyncId);
+        const resource = record && record.resource.deref();
+        if (resource && resource._destroyed === true) this.onDestroy(asyncId);
+    }
+
+    onResolve(asyncId) {
+        const record = this.records.get(asyncId);
+        if (record && record.state === "pending") {
+            record.resolvedAt = performance.now();
+            record.state = "resolved";
+        }
+    }
+
+    onDestroy(asyncId) {
+        const record = this.records.get(asyncId);
+        if (record && record.state !== "destroyed") {
+            record.destroyedAt = performance.now();
+            record.state = "destroyed";
+        }
+    }
+
+    /**
+     * App frames that led to the resource, minus the tracker itself
+     */
+    creationStack() {
+        return filterFrames(captureStack())
+            .filter((frame) => frame.file !== __filename)
+            .slice(0, this.stackDepth);
+    }
+
+    /**
+     * Drop the oldest finished records (a Map iterates in insertion order)
+     */
+    prune() {
+        for (const [asyncId, record] of this.records) {
+            if (this.records.size <= this.maxRecords) break;
+            if (record.state !== "pending") this.records.delete(asyncId);
+        }
+    }
+
+    /**
+     * How long a record has been (or was) alive
+     */
+    lifetime(record, now = performance.now()) {
+        return (
+            (record.resolvedAt || record.destroyedAt || now) - record.createdAt
+        );
+    }
+
+    /**
+     * Resources that have not resolved or been destroyed yet
+     */
+    getLive() {
+        return [...this.records.values()].filter(
+            (record) => record.state === "pending"
+        );
+    }
+
+    /**
+     * Live resources pending longer than the threshold, oldest first
+     * @param {number} [thresholdMs]
+     */
+    findStale(thresholdMs = this.thresholdMs) {
+        const now = performance.now();
+        return this.getLive()
+            .filter((record) => now - record.createdAt > thresholdMs)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Build the trigger tree
+     * @param {Object} options
+     * @param {boolean} [options.liveOnly] - Keep only pending resources and their ancestors
+     * @param {string} [options.label] - Keep only resources created under this label
+     * @returns {Object[]} Root nodes: { record, children }
+     */
+    getTree({ liveOnly = true, label } = {}) {
+        const nodes = new Map();
+        this.records.forEach((record) => {
+            if (label === undefined || record.label === label) {
+                nodes.set(record.asyncId, { record, children: [] });
+            }
+        });
+
+        const roots = [];
+        nodes.forEach((node) => {
+            const parent = nodes.get(node.record.triggerAsyncId);
+            (parent ? parent.children : roots).push(node);
+        });
+
+        if (!liveOnly) return roots;
+
+        const hasLive = (node) => {
+            node.children = node.children.filter(hasLive);
+            return node.record.state === "pending" || node.children.length > 0;
+        };
+        return roots.filter(hasLive);
+    }
+
+    /**
+     * One line per resource: "PROMISE#42 [user-fetch] pending 120ms  at fetchUser (...)"
+     */
+    describe(record, now = performance.now()) {
+        const icon =
+            record.state !== "pending"
+                ? "✅"
+                : now - record.createdAt > this.thresholdMs
+                ? "🐌"
+                : "⏳";
+        const label = record.label ? ` [${record.label}]` : "";
+        const origin = record.stack[0]
+            ? `  at ${formatFrame(record.stack[0])}`
+            : "";
+
+        return `${icon} ${record.type}#${record.asyncId}${label} ${
+            record.state
+        } ${this.lifetime(record, now).toFixed(0)}ms${origin}`;
+    }
+
+    /**
+     * Print the async tree (what is in flight right now by default)
+     * @param {Object} options - getTree() options plus { title }
+     */
+    printTree({ title = "Async resource tree", ...options } = {}) {
+        const roots = this.getTree(options);
+        const now = performance.now();
+        const lines = [];
+
+        const walk = (node, prefix, isLast, isRoot) => {
+            const branch = isRoot ? "" : isLast ? "└─ " : "├─ ";
+            lines.push(prefix + branch + this.describe(node.record, now));
+            const childPrefix = isRoot ? "" : prefix + (isLast ? "   " : "│  ");
+            node.children.forEach((child, index) =>
+                walk(
+                    child,
+                    childPrefix,
+                    index === node.children.length - 1,
+                    false
+                )
+            );
+        };
+        roots.forEach((root) => walk(root, "", true, true));
+
+        this.untracked(() => {
+            console.group(`🌳 ${title} (${lines.length} resources)`);
+            lines.forEach((line) => console.log(line));
+            if (lines.length === 0) console.log("(nothing in flight)");
+            console.groupEnd();
+        });
+        return roots;
+    }
+
+    /**
+     * Print resources pending longer than the threshold with where they came from
+     * @param {number} [thresholdMs]
+     */
+    printStale(thresholdMs = this.thresholdMs) {
+        const stale = this.findStale(thresholdMs);
+
+        this.untracked(() => {
+            if (stale.length === 0) {
+                console.log(`✅ Nothing pending longer than ${thresholdMs}ms`);
+                return;
+            }
+            console.group(
+                `🐌 ${stale.length} resource(s) pending longer than ${thresholdMs}ms`
+            );
+            stale.forEach((record) => {
+                console.log(this.describe(record));
+                record.stack
+                    .slice(1)
+                    .forEach((frame) =>
+                        console.log(`      at ${formatFrame(frame)}`)
+                    );
+            });
+            console.groupEnd();
+        });
+        return stale;
+    }
+
+    /**
+     * Resource counts per type and state
+     */
+    summary() {
+        const rows = {};
+        this.records.forEach((record) => {
+            const row = (rows[record.type] = rows[record.type] || {
+                pending: 0,
+                resolved: 0,
+                destroyed: 0,
+            });
+            row[record.state]++;
+        });
+        return rows;
+    }
+}
+
+module.exports = { AsyncTracker };
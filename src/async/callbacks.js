@@ -0,0 +1,287 @@
+/**
+ * Callback Tools - promisify whole objects, catch broken callback contracts
+ *
+ * Node-style callbacks have a contract nobody enforces: call it exactly
+ * once, error first. The monitor wraps callbacks and reports
+ *
+ *   - "called-twice"  (classic: `callback(error)` without `return`)
+ *   - "never-called"  (a code path that forgets the callback - the caller hangs)
+ *   - nesting depth   (callback created inside a callback inside a callback ...)
+ *
+ * with the call sites involved, and promisifyAll() turns a callback API
+ * into a promise API in one go (honouring util.promisify.custom).
+ *
+ *   const monitor = new CallbackMonitor({ timeoutMs: 1000 });
+ *   const api = monitor.instrumentAll(legacyApi);
+ *   api.fetchUser(1, (error, user) => { ... });
+ *   monitor.printReport();
+ */
+
+const util = require("util");
+const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
+const {
+    captureStack,
+    filterFrames,
+    formatFrame,
+} = require("../errors/stack-parser");
+
+// Last parameter named like a callback: (id, callback) / (err, cb) / (done)
+const CALLBACK_PARAM = /(?:^|[\s,(])(callback|cb|done|next)\s*\)\s*(?:=>|\{)/;
+
+/**
+ * Where a callback was created (first app frame outside this file)
+ */
+function callSite() {
+    const [frame] = filterFrames(captureStack()).filter(
+        (frame) => frame.file !== __filename
+    );
+    return frame ? formatFrame(frame) : "<unknown>";
+}
+
+/**
+ * Does fn look like it takes a Node-style callback last?
+ * PITFALL: A heuristic based on the parameter name - pass `methods`
+ * explicitly when the API names its callbacks differently
+ */
+function takesCallback(fn) {
+    if (typeof fn !== "function") return false;
+    if (fn[util.promisify.custom]) return true;
+    const source = Function.prototype.toString.call(fn);
+    return CALLBACK_PARAM.test(source.slice(0, source.indexOf("{") + 1));
+}
+
+/**
+ * Function names of an object and its prototype chain (class instances
+ * keep their methods on the prototype)
+ */
+function methodNames(target) {
+    const names = new Set();
+    for (
+        let proto = target;
+        proto && proto !== Object.prototype && proto !== Function.prototype;
+        proto = Object.getPrototypeOf(proto)
+    ) {
+        Object.getOwnPropertyNames(proto).forEach((name) => {
+            if (name === "constructor") return;
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (typeof descriptor.value === "function") names.add(name);
+        });
+    }
+    return [...names];
+}
+
+/**
+ * Pick the callback-style methods of target
+ */
+function selectMethods(target, methods) {
+    if (Array.isArray(methods)) return methods;
+    const filter = typeof methods === "function" ? methods : null;
+    return methodNames(target).filter((name) =>
+        filter ? filter(name, target[name]) : takesCallback(target[name])
+    );
+}
+
+/**
+ * Promise versions of every callback-style method of an object
+ * @param {Object} target - Object or class instance with callback methods
+ * @param {Object} options
+ * @param {string[]|Function} [options.methods] - Names, or (name, fn) => boolean
+ * @param {string} [options.suffix] - Appended to each name ("" keeps names)
+ * @returns {Object} New object; the target is not modified
+ */
+function promisifyAll(target, { methods, suffix = "" } = {}) {
+    const promisified = {};
+
+    selectMethods(target, methods).forEach((name) => {
+        const fn = target[name];
+        if (typeof fn !== "function") {
+            throw new TypeError(`promisifyAll: '${name}' is not a function`);
+        }
+        // util.promisify uses fn[util.promisify.custom] when it is defined
+        const promiseFn = util.promisify(fn);
+        promisified[name + suffix] = (...args) =>
+            promiseFn.call(target, ...args);
+    });
+
+    return promisified;
+}
+
+class CallbackMonitor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Not called within this is "never-called"
+     * @param {number} options.maxDepth - Deeper nesting is reported as "too-deep"
+     */
+    constructor({ timeoutMs = 5000, maxDepth = 3 } = {}) {
+        super();
+        this.timeoutMs = timeoutMs;
+        this.maxDepth = maxDepth;
+        this.storage = new AsyncLocalStorage();
+        this.violations = [];
+        this.pending = new Set();
+        this.deepest = null;
+        this.wrapped = 0;
+    }
+
+    /**
+     * Guard one callback
+     * @param {Function} callback
+     * @param {Object} options - { name: shown in reports }
+     * @returns {Function} Wrapped callback (same arguments, same `this`)
+     */
+    wrap(callback, { name = callback.name || "callback" } = {}) {
+        const monitor = this;
+        const parent = this.storage.getStore();
+        const entry = {
+            name,
+            site: callSite(),
+            depth: parent ? parent.depth + 1 : 1,
+            chain: parent ? [...parent.chain, name] : [name],
+            calls: [],
+        };
+        this.wrapped++;
+        this.pending.add(entry);
+
+        if (!this.deepest || entry.depth > this.deepest.depth) {
+            this.deepest = entry;
+        }
+        if (entry.depth === this.maxDepth + 1) {
+            this.report("too-deep", entry, {
+                message: `${name} is nested ${
+                    entry.depth
+                } callbacks deep (${entry.chain.join(" → ")})`,
+            });
+        }
+
+        entry.timer = setTimeout(() => {
+            if (entry.calls.length > 0) return;
+            this.pending.delete(entry);
+            this.report("never-called", entry, {
+                message: `${name} was not called within ${this.timeoutMs}ms`,
+            });
+        }, this.timeoutMs);
+        entry.timer.unref();
+
+        return function guardedCallback(...args) {
+            entry.calls.push(callSite());
+            clearTimeout(entry.timer);
+            monitor.pending.delete(entry);
+
+            if (entry.calls.length > 1) {
+                // DEBUGGING: The first call site is usually missing a `return`
+                monitor.report("called-twice", entry, {
+                    message: `${name} called ${entry.calls.length} times`,
+                    calls: [...entry.calls],
+                });
+            }
+
+            // Callbacks created while this one runs are one level deeper
+            return monitor.storage.run(entry, () => callback.apply(this, args));
+        };
+    }
+
+    /**
+     * Version of fn whose last argument (the callback) is guarded
+     */
+    instrument(fn, { name = fn.name || "anonymous" } = {}) {
+        const monitor = this;
+        return function instrumented(...args) {
+            const last = args.length - 1;
+            if (typeof args[last] === "function") {
+                args[last] = monitor.wrap(args[last], { name });
+            }
+            return fn.apply(this, args);
+        };
+    }
+
+    /**
+     * Instrumented copies of every callback-style method of an object
+     * @param {Object} target
+     * @param {Object} options - { methods: names or (name, fn) => boolean }
+     */
+    instrumentAll(target, { methods } = {}) {
+        const instrumented = {};
+        selectMethods(target, methods).forEach((name) => {
+            instrumented[name] = this.instrument(target[name].bind(target), {
+                name,
+            });
+        });
+        return instrumented;
+    }
+
+    report(type, entry, extra) {
+        const violation = {
+            type,
+            name: entry.name,
+            site: entry.site,
+            depth: entry.depth,
+            ...extra,
+        };
+        this.violations.push(violation);
+        this.emit("violation", violation);
+    }
+
+    /**
+     * Report "never-called" now for callbacks still waiting (instead of
+     * waiting for timeoutMs) and stop their timers
+     */
+    flush() {
+        this.pending.forEach((entry) => {
+            clearTimeout(entry.timer);
+            this.report("never-called", entry, {
+                message: `${entry.name} has not been called`,
+            });
+        });
+        this.pending.clear();
+        return this;
+    }
+
+    getReport() {
+        return {
+            wrapped: this.wrapped,
+            maxDepth: this.deepest ? this.deepest.depth : 0,
+            deepest: this.deepest && {
+                chain: this.deepest.chain,
+                site: this.deepest.site,
+            },
+            violations: this.violations,
+        };
+    }
+
+    printReport() {
+        const { wrapped, maxDepth, deepest, violations } = this.getReport();
+        const icons = {
+            "called-twice": "🔁",
+            "never-called": "👻",
+            "too-deep": "🕳️ ",
+        };
+
+        console.group(
+            `📞 Callback report: ${wrapped} callbacks, max nesting depth ${maxDepth}`
+        );
+        if (deepest) {
+            console.log(
+                `Deepest: ${deepest.chain.join(" → ")} at ${deepest.site}`
+            );
+        }
+        violations.forEach((violation) => {
+            console.log(
+                `${icons[violation.type]} ${violation.type}: ${
+                    violation.message
+                } (created at ${violation.site})`
+            );
+            (violation.calls || []).forEach((site, index) =>
+                console.log(`      call #${index + 1} at ${site}`)
+            );
+        });
+        if (violations.length === 0) console.log("✅ No violations");
+        console.groupEnd();
+    }
+}
+
+module.exports = {
+    CallbackMonitor,
+    promisifyAll,
+    takesCallback,
+};
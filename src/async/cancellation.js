@@ -0,0 +1,139 @@
+/**
+ * Cancellation - stop the work nobody is waiting for anymore
+ *
+ * Promise.race() picks a winner but the losers keep running: their timers
+ * stay armed, their requests stay open and they keep logging. These helpers
+ * pass an AbortSignal to every operation and abort it as soon as its result
+ * can no longer matter.
+ *
+ *   raceWithCancel([(signal) => a(signal), (signal) => b(signal)])
+ *   raceWithCancel([(signal) => fetchUser(1, { signal }), timeout(200)])
+ *   withDeadline((signal) => step(signal), deadline)   // shared absolute deadline
+ *
+ * withHandleCheck() runs a function and reports the timers and sockets it
+ * left open - the tell-tale sign of work that was never cancelled. It is
+ * also run around every demo by DebugMaster.runDemo().
+ */
+
+const { sleep } = require("../errors/resilience");
+const { TimeoutError } = require("../errors/custom-errors");
+const { HandleLeakDetector } = require("../performance/detectors");
+
+/**
+ * Race operations and abort the losers
+ * @param {Function[]} operations - (signal) => Promise
+ * @param {Object} options - { signal: outer AbortSignal that cancels everything }
+ * @returns {Promise} Settles like the first operation to settle
+ */
+async function raceWithCancel(operations, { signal } = {}) {
+    if (signal) signal.throwIfAborted();
+
+    const controller = new AbortController();
+    const combined = signal
+        ? AbortSignal.any([signal, controller.signal])
+        : controller.signal;
+
+    const racers = operations.map((operation, index) =>
+        Promise.resolve()
+            .then(() => operation(combined))
+            .then(
+                (value) => ({ index, value }),
+                (error) => {
+                    // Losers reject with our abort reason - that's expected
+                    if (controller.signal.aborted) {
+                        return { index, aborted: true };
+                    }
+                    throw error;
+                }
+            )
+    );
+
+    try {
+        const { value } = await Promise.race(racers);
+        return value;
+    } finally {
+        // DEBUGGING: Every loser sees this reason in its abort listener
+        controller.abort(
+            new DOMException("Another operation settled first", "AbortError")
+        );
+        // Losers that ignore the signal still settle - don't leave their
+        // rejections unhandled
+        racers.forEach((racer) => racer.catch(() => {}));
+    }
+}
+
+/**
+ * An operation that fails with a TimeoutError after `ms` - meant as a
+ * racer: when another operation wins, its timer is cleared
+ * @param {number} ms
+ * @returns {Function} (signal) => Promise<never>
+ */
+function timeout(ms) {
+    return async (signal) => {
+        await sleep(ms, signal);
+        throw new TimeoutError(`Operation timed out after ${ms}ms`, {
+            details: { timeoutMs: ms },
+        });
+    };
+}
+
+/**
+ * Run an operation against an absolute deadline. Unlike a per-call timeout,
+ * several sequential steps can share one deadline: each gets what is left.
+ * @param {Function} operation - (signal) => Promise
+ * @param {number|Date} deadline - Epoch ms (Date.now() + budget) or a Date
+ * @param {Object} options - { signal: outer AbortSignal }
+ */
+async function withDeadline(operation, deadline, { signal } = {}) {
+    const remainingMs = Number(deadline) - Date.now();
+    if (remainingMs <= 0) {
+        throw new TimeoutError(
+            `Deadline passed ${Math.round(-remainingMs)}ms ago`,
+            { details: { deadline: new Date(Number(deadline)).toISOString() } }
+        );
+    }
+
+    return raceWithCancel([operation, timeout(remainingMs)], { signal });
+}
+
+/**
+ * Run fn and report the handles (timers, sockets, ...) it left open - also
+ * when it fails, the case most likely to leave some behind
+ * @param {string} subject - Shown in the finding
+ * @param {Function} fn - async () => result
+ * @param {Object} options - { settleMs: how long closing handles may take }
+ * @returns {Promise<{result, error, finding}>} error is what fn threw (or
+ *   null) - returned, not rethrown, so the finding isn't lost with it;
+ *   finding uses the detectors' shape
+ */
+async function withHandleCheck(subject, fn, { settleMs = 100 } = {}) {
+    const detector = new HandleLeakDetector({ subject });
+    detector.start();
+
+    let result;
+    let error = null;
+    try {
+        result = await fn();
+    } catch (caught) {
+        error = caught;
+    }
+    // PITFALL: A closed server or socket only goes away in libuv's close
+    // phase - a single setImmediate runs before it. Recount for a while
+    // before calling something a leak.
+    const settleUntil = Date.now() + settleMs;
+    let finding;
+    do {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        await new Promise((resolve) => setImmediate(resolve));
+        finding = detector.analyze();
+    } while (finding.status === "leak" && Date.now() < settleUntil);
+
+    return { result, error, finding };
+}
+
+module.exports = {
+    raceWithCancel,
+    timeout,
+    withDeadline,
+    withHandleCheck,
+};
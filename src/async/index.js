@@ -0,0 +1,16 @@
+/**
+ * Async Debugging - demo manifest
+ *
+ * Picked up by DemoRegistry.discover(); see src/registry.js for the contract.
+ */
+
+const asyncDebugging = require("./promises");
+
+module.exports = {
+    name: "async",
+    title: "Async Debugging",
+    description: "Debug promises and async/await",
+    tags: ["async", "promises"],
+    order: 30,
+    run: () => asyncDebugging.run(),
+};
@@ -0,0 +1,460 @@
+/**
+ * Async Locks - Mutex, Semaphore, RWLock and a concurrency-limited TaskQueue
+ *
+ * JavaScript is single-threaded, but every `await` inside a read-modify-write
+ * is a point where another task can run (see the increment race in
+ * promises.js). These primitives turn such sections into critical sections
+ * and report what they are doing:
+ *
+ *   - wait times (total, max, average) and how often callers had to wait
+ *   - current holders (owner + where they acquired it) and waiters
+ *   - deadlock suspicion: a holder keeps the lock longer than holdTimeoutMs
+ *
+ * Every lock is an EventEmitter:
+ *   "queued", "acquire", "release", "timeout", "deadlock"
+ *
+ *   const mutex = new Mutex({ name: "balance" });
+ *   await mutex.runExclusive(async () => {
+ *       const balance = await read();
+ *       await write(balance + amount);
+ *   });
+ */
+
+const { EventEmitter } = require("events");
+const { performance } = require("perf_hooks");
+const { TimeoutError } = require("../errors/custom-errors");
+const {
+    captureStack,
+    filterFrames,
+    formatFrame,
+} = require("../errors/stack-parser");
+
+/**
+ * Where the caller acquired the lock (first app frame outside this file)
+ */
+function callSite() {
+    const [frame] = filterFrames(captureStack()).filter(
+        (frame) => frame.file !== __filename
+    );
+    return frame ? formatFrame(frame) : "<unknown>";
+}
+
+/**
+ * Holder/waiter bookkeeping and diagnostics shared by all locks. Subclasses
+ * decide who may go next with canGrant(waiter); waiters are served in FIFO
+ * order so nobody starves.
+ */
+class InstrumentedLock extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Shown in events, errors and diagnostics
+     * @param {number} options.holdTimeoutMs - Held longer than this is a suspected deadlock
+     * @param {number} options.acquireTimeoutMs - Default wait limit (null = wait forever)
+     */
+    constructor({ name, holdTimeoutMs = 5000, acquireTimeoutMs = null } = {}) {
+        super();
+        this.name = name;
+        this.holdTimeoutMs = holdTimeoutMs;
+        this.acquireTimeoutMs = acquireTimeoutMs;
+
+        this.nextId = 1;
+        this.holders = new Map();
+        this.queue = [];
+        this.stats = {
+            acquisitions: 0,
+            contended: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0,
+            timeouts: 0,
+            deadlockSuspicions: 0,
+        };
+    }
+
+    canGrant() {
+        throw new Error(`${this.constructor.name} must implement canGrant()`);
+    }
+
+    /**
+     * Wait for the lock
+     * @param {Object} options
+     * @param {string} [options.mode] - Lock-specific ("read" / "write" for RWLock)
+     * @param {string} [options.owner] - Who is asking (defaults to the call site)
+     * @param {number} [options.timeoutMs] - Give up with a TimeoutError after this
+     * @returns {Promise<Function>} release() - call exactly once
+     */
+    acquire({
+        mode = "exclusive",
+        owner,
+        timeoutMs = this.acquireTimeoutMs,
+    } = {}) {
+        const waiter = {
+            id: this.nextId++,
+            mode,
+            owner: owner || callSite(),
+            queuedAt: performance.now(),
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            waiter.resolve = resolve;
+            waiter.reject = reject;
+        });
+
+        if (this.queue.length === 0 && this.canGrant(waiter)) {
+            this.grant(waiter);
+            return promise;
+        }
+
+        this.stats.contended++;
+        this.queue.push(waiter);
+        this.emit("queued", {
+            name: this.name,
+            owner: waiter.owner,
+            mode,
+            waiting: this.queue.length,
+            holders: this.describeHolders(),
+        });
+
+        if (timeoutMs !== null && timeoutMs !== undefined) {
+            waiter.timer = setTimeout(() => this.expire(waiter), timeoutMs);
+        }
+        return promise;
+    }
+
+    /**
+     * Run fn while holding the lock; released even if fn throws
+     */
+    async runExclusive(fn, options) {
+        const release = await this.acquire(options);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    grant(waiter) {
+        clearTimeout(waiter.timer);
+        const waitedMs = performance.now() - waiter.queuedAt;
+        const holder = {
+            id: waiter.id,
+            mode: waiter.mode,
+            owner: waiter.owner,
+            acquiredAt: performance.now(),
+            suspected: false,
+        };
+
+        // DEBUGGING: A holder that outlives holdTimeoutMs is probably stuck
+        // on something that needs this very lock (or forgot to release)
+        holder.watchdog = setTimeout(
+            () => this.suspectDeadlock(holder),
+            this.holdTimeoutMs
+        );
+        holder.watchdog.unref();
+
+        this.holders.set(holder.id, holder);
+        this.stats.acquisitions++;
+        this.stats.totalWaitMs += waitedMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitedMs);
+        this.emit("acquire", {
+            name: this.name,
+            owner: holder.owner,
+            mode: holder.mode,
+            waitedMs,
+        });
+
+        let released = false;
+        waiter.resolve(() => {
+            if (released) {
+                throw new Error(
+                    `Lock "${this.name}" released twice by ${holder.owner}`
+                );
+            }
+            released = true;
+            this.release(holder);
+        });
+    }
+
+    release(holder) {
+        clearTimeout(holder.watchdog);
+        this.holders.delete(holder.id);
+        this.emit("release", {
+            name: this.name,
+            owner: holder.owner,
+            mode: holder.mode,
+            heldMs: performance.now() - holder.acquiredAt,
+        });
+        this.drain();
+    }
+
+    /**
+     * Hand the lock to as many waiters (from the front) as allowed
+     */
+    drain() {
+        while (this.queue.length > 0 && this.canGrant(this.queue[0])) {
+            this.grant(this.queue.shift());
+        }
+    }
+
+    expire(waiter) {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) return;
+        this.queue.splice(index, 1);
+        this.stats.timeouts++;
+
+        const waitedMs = performance.now() - waiter.queuedAt;
+        const error = new TimeoutError(
+            `Timed out after ${Math.round(waitedMs)}ms waiting for lock "${
+                this.name
+            }"`,
+            {
+                details: {
+                    lock: this.name,
+                    owner: waiter.owner,
+                    holders: this.describeHolders(),
+                },
+            }
+        );
+        this.emit("timeout", { name: this.name, owner: waiter.owner, error });
+        waiter.reject(error);
+
+        // The timed-out waiter may have been blocking the ones behind it
+        this.drain();
+    }
+
+    suspectDeadlock(holder) {
+        holder.suspected = true;
+        this.stats.deadlockSuspicions++;
+        this.emit("deadlock", {
+            name: this.name,
+            owner: holder.owner,
+            heldMs: performance.now() - holder.acquiredAt,
+            waiting: this.queue.map((waiter) => waiter.owner),
+        });
+    }
+
+    describeHolders(now = performance.now()) {
+        return [...this.holders.values()].map((holder) => ({
+            owner: holder.owner,
+            mode: holder.mode,
+            heldMs: Math.round(now - holder.acquiredAt),
+            suspected: holder.suspected,
+        }));
+    }
+
+    /**
+     * Snapshot for printing or logging
+     */
+    getDiagnostics() {
+        const now = performance.now();
+        return {
+            name: this.name,
+            type: this.constructor.name,
+            holders: this.describeHolders(now),
+            waiting: this.queue.map((waiter) => ({
+                owner: waiter.owner,
+                mode: waiter.mode,
+                waitingMs: Math.round(now - waiter.queuedAt),
+            })),
+            stats: {
+                ...this.stats,
+                avgWaitMs:
+                    this.stats.acquisitions > 0
+                        ? this.stats.totalWaitMs / this.stats.acquisitions
+                        : 0,
+            },
+        };
+    }
+}
+
+/**
+ * At most `permits` holders at a time
+ */
+class Semaphore extends InstrumentedLock {
+    constructor({ name = "semaphore", permits = 1, ...options } = {}) {
+        super({ name, ...options });
+        if (!Number.isInteger(permits) || permits < 1) {
+            throw new RangeError(
+                `Semaphore permits must be a positive integer, got ${permits}`
+            );
+        }
+        this.permits = permits;
+    }
+
+    canGrant() {
+        return this.holders.size < this.permits;
+    }
+
+    get available() {
+        return this.permits - this.holders.size;
+    }
+}
+
+/**
+ * One holder at a time
+ */
+class Mutex extends Semaphore {
+    constructor({ name = "mutex", ...options } = {}) {
+        super({ name, ...options, permits: 1 });
+    }
+
+    get locked() {
+        return this.holders.size > 0;
+    }
+}
+
+/**
+ * Many readers or one writer. Waiters are served in order, so a waiting
+ * writer blocks readers that arrive after it (no writer starvation).
+ */
+class RWLock extends InstrumentedLock {
+    constructor({ name = "rwlock", ...options } = {}) {
+        super({ name, ...options });
+    }
+
+    canGrant(waiter) {
+        const holders = [...this.holders.values()];
+        if (waiter.mode === "read") {
+            return holders.every((holder) => holder.mode === "read");
+        }
+        return holders.length === 0;
+    }
+
+    acquireRead(options = {}) {
+        return this.acquire({ ...options, mode: "read" });
+    }
+
+    acquireWrite(options = {}) {
+        return this.acquire({ ...options, mode: "write" });
+    }
+
+    runRead(fn, options = {}) {
+        return this.runExclusive(fn, { ...options, mode: "read" });
+    }
+
+    runWrite(fn, options = {}) {
+        return this.runExclusive(fn, { ...options, mode: "write" });
+    }
+}
+
+/**
+ * Runs pushed tasks with at most `concurrency` in flight
+ */
+class TaskQueue extends EventEmitter {
+    constructor({ name = "queue", concurrency = 2, ...options } = {}) {
+        super();
+        this.name = name;
+        this.semaphore = new Semaphore({
+            name,
+            permits: concurrency,
+            ...options,
+        });
+        this.completed = 0;
+        this.failed = 0;
+        this.idleWaiters = [];
+
+        // Lock events (deadlock, timeout, ...) surface on the queue itself
+        ["queued", "acquire", "release", "timeout", "deadlock"].forEach(
+            (event) =>
+                this.semaphore.on(event, (info) => this.emit(event, info))
+        );
+    }
+
+    /**
+     * Queue a task
+     * @param {Function} task - async () => result
+     * @param {Object} options - { label: shown as the owner in diagnostics }
+     * @returns {Promise} Settles with the task
+     */
+    push(task, { label } = {}) {
+        return this.semaphore
+            .runExclusive(task, { owner: label || callSite() })
+            .then(
+                (result) => {
+                    this.completed++;
+                    this.checkIdle();
+                    return result;
+                },
+                (error) => {
+                    this.failed++;
+                    this.checkIdle();
+                    throw error;
+                }
+            );
+    }
+
+    get running() {
+        return this.semaphore.holders.size;
+    }
+
+    get waiting() {
+        return this.semaphore.queue.length;
+    }
+
+    /**
+     * Resolves once nothing is running or waiting
+     */
+    onIdle() {
+        if (this.running === 0 && this.waiting === 0) return Promise.resolve();
+        return new Promise((resolve) => this.idleWaiters.push(resolve));
+    }
+
+    checkIdle() {
+        if (this.running === 0 && this.waiting === 0) {
+            this.idleWaiters.splice(0).forEach((resolve) => resolve());
+        }
+    }
+
+    getDiagnostics() {
+        return {
+            ...this.semaphore.getDiagnostics(),
+            type: "TaskQueue",
+            completed: this.completed,
+            failed: this.failed,
+        };
+    }
+}
+
+/**
+ * Print a lock's (or queue's) diagnostics
+ */
+function printLockDiagnostics(lock) {
+    const { name, type, holders, waiting, stats } = lock.getDiagnostics();
+
+    console.group(`🔒 ${type} "${name}"`);
+    console.log(
+        `Acquired ${stats.acquisitions}x, waited ${stats.contended}x ` +
+            `(avg ${stats.avgWaitMs.toFixed(
+                1
+            )}ms, max ${stats.maxWaitMs.toFixed(1)}ms), ${
+                stats.timeouts
+            } timeout(s), ${stats.deadlockSuspicions} deadlock suspicion(s)`
+    );
+    if (holders.length > 0) {
+        console.table(
+            holders.map((holder) => ({
+                Holder: holder.owner,
+                Mode: holder.mode,
+                "Held (ms)": holder.heldMs,
+                Suspected: holder.suspected ? "⚠️ yes" : "no",
+            }))
+        );
+    }
+    if (waiting.length > 0) {
+        console.table(
+            waiting.map((waiter) => ({
+                Waiting: waiter.owner,
+                Mode: waiter.mode,
+                "Waiting (ms)": waiter.waitingMs,
+            }))
+        );
+    }
+    console.groupEnd();
+}
+
+module.exports = {
+    Mutex,
+    Semaphore,
+    RWLock,
+    TaskQueue,
+    printLockDiagnostics,
+};
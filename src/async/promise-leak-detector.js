@@ -0,0 +1,200 @@
+/**
+ * Promise Leak Detector
+ *
+ * A promise nobody resolves is never collected while something still holds
+ * it - and everything awaiting it stays pending too. This detector samples
+ * the promises (tracked by AsyncTracker) that are still pending past a given
+ * age, groups them by where they were created and flags counts that keep
+ * growing between samples.
+ *
+ *   const detector = new PromiseLeakDetector({ maxAgeMs: 100 }).start();
+ *   for (...) { await workload(); detector.sample(); }
+ *   printFindings("Promises", [detector.stop().analyze()]);
+ *   detector.assertNoLeaks();       // throws PromiseLeakError -> exit code 1
+ *
+ * Findings use the same { detector, subject, status, summary, details }
+ * shape as src/performance/detectors.js.
+ */
+
+const { performance } = require("perf_hooks");
+const { AsyncTracker } = require("./async-tracker");
+const { linearSlope } = require("../performance/detectors");
+const { formatFrame } = require("../errors/stack-parser");
+
+/**
+ * Raised by assertNoLeaks() so a leaking run fails instead of passing quietly
+ */
+class PromiseLeakError extends Error {
+    constructor(finding) {
+        super(`Promise leak in ${finding.subject}: ${finding.summary}`);
+        this.name = "PromiseLeakError";
+        this.finding = finding;
+    }
+}
+
+class PromiseLeakDetector {
+    /**
+     * @param {Object} options
+     * @param {string} options.subject - What is being measured
+     * @param {number} options.maxAgeMs - Pending longer than this counts as leaked
+     * @param {number} options.growthThreshold - Leaked promises per sample considered a trend
+     * @param {number} options.minSamples - Samples needed before judging
+     * @param {number} options.stackDepth - Frames kept per creation site
+     */
+    constructor({
+        subject = "pending promises",
+        maxAgeMs = 1000,
+        growthThreshold = 1,
+        minSamples = 3,
+        stackDepth = 3,
+    } = {}) {
+        this.subject = subject;
+        this.maxAgeMs = maxAgeMs;
+        this.growthThreshold = growthThreshold;
+        this.minSamples = minSamples;
+        this.samples = [];
+        this.tracker = new AsyncTracker({
+            thresholdMs: maxAgeMs,
+            types: ["PROMISE"],
+            stackDepth,
+            // Leaked promises are the ones that must never be pruned
+            maxRecords: Infinity,
+        });
+    }
+
+    start() {
+        this.samples = [];
+        this.tracker.reset().enable();
+        return this;
+    }
+
+    stop() {
+        this.tracker.disable();
+        return this;
+    }
+
+    /**
+     * Where a promise was created: its first app frame
+     */
+    static siteOf(record) {
+        return record.stack[0] ? formatFrame(record.stack[0]) : "<unknown>";
+    }
+
+    /**
+     * Pending promises older than maxAgeMs, grouped by creation site
+     * @returns {Object[]} { site, count, oldestMs, stack } - biggest group first
+     */
+    findLeaks() {
+        const now = performance.now();
+        const sites = new Map();
+
+        this.tracker.findStale(this.maxAgeMs).forEach((record) => {
+            const site = PromiseLeakDetector.siteOf(record);
+            const group = sites.get(site) || {
+                site,
+                count: 0,
+                oldestMs: 0,
+                stack: record.stack.map((frame) => formatFrame(frame)),
+            };
+            group.count++;
+            group.oldestMs = Math.max(group.oldestMs, now - record.createdAt);
+            sites.set(site, group);
+        });
+
+        return [...sites.values()].sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Record how many promises have leaked so far
+     */
+    sample(label = `#${this.samples.length}`) {
+        const sites = this.findLeaks();
+
+        this.samples.push({
+            label,
+            at: performance.now(),
+            leaked: sites.reduce((sum, group) => sum + group.count, 0),
+            bySite: Object.fromEntries(
+                sites.map((group) => [group.site, group.count])
+            ),
+        });
+    }
+
+    analyze() {
+        const counts = this.samples.map((sample) => sample.leaked);
+        const sites = this.findLeaks();
+
+        if (counts.length < this.minSamples) {
+            return {
+                detector: "promise-leak",
+                subject: this.subject,
+                status: "ok",
+                summary: `not enough samples (${counts.length}/${this.minSamples})`,
+                details: { sites, samples: this.samples },
+            };
+        }
+
+        const slope = linearSlope(counts);
+        const increases = counts
+            .slice(1)
+            .filter((count, i) => count > counts[i]).length;
+        const monotonicRatio = increases / (counts.length - 1);
+
+        // DEBUGGING: A stable (flat) count of old promises is a long-lived
+        // wait, not a leak - only growth across samples is flagged
+        const leaking = slope >= this.growthThreshold && monotonicRatio >= 0.75;
+
+        return {
+            detector: "promise-leak",
+            subject: this.subject,
+            status: leaking ? "leak" : "ok",
+            summary: `${counts[counts.length - 1]} pending > ${
+                this.maxAgeMs
+            }ms from ${sites.length} site(s), ${
+                slope >= 0 ? "+" : ""
+            }${slope.toFixed(1)}/sample`,
+            details: { slope, monotonicRatio, sites, samples: this.samples },
+        };
+    }
+
+    /**
+     * Throw when the pending count trends upward - use it to fail a run
+     * @throws {PromiseLeakError}
+     */
+    assertNoLeaks() {
+        const finding = this.analyze();
+        if (finding.status === "leak") throw new PromiseLeakError(finding);
+        return finding;
+    }
+
+    /**
+     * Print the leaked promises grouped by creation site
+     */
+    printSites(limit = 5) {
+        const sites = this.findLeaks();
+        if (sites.length === 0) {
+            console.log(
+                `✅ No promises pending longer than ${this.maxAgeMs}ms`
+            );
+            return sites;
+        }
+
+        console.group(
+            `🚰 Pending promises older than ${this.maxAgeMs}ms by creation site`
+        );
+        sites.slice(0, limit).forEach((group) => {
+            console.log(
+                `${group.count} × created at ${group.site} (oldest ${Math.round(
+                    group.oldestMs
+                )}ms)`
+            );
+            group.stack
+                .slice(1)
+                .forEach((frame) => console.log(`      at ${frame}`));
+        });
+        console.groupEnd();
+        return sites;
+    }
+}
+
+module.exports = { PromiseLeakDetector, PromiseLeakError };
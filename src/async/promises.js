@@ -5,11 +5,32 @@
  * including promises, async/await, and callback-based code.
  */
 
+const util = require("util");
+const { AsyncTracker } = require("./async-tracker");
+const { CallbackMonitor, promisifyAll } = require("./callbacks");
+const {
+    PromiseLeakDetector,
+    PromiseLeakError,
+} = require("./promise-leak-detector");
+const {
+    VirtualScheduler,
+    explore,
+    formatSchedule,
+} = require("./race-reproducer");
+const { Mutex, RWLock, TaskQueue, printLockDiagnostics } = require("./locks");
+const { PromiseTimeline } = require("./timeline");
+const {
+    raceWithCancel,
+    timeout,
+    withDeadline,
+    withHandleCheck,
+} = require("./cancellation");
+const { sleep } = require("../errors/resilience");
+const { printFindings } = require("../performance/detectors");
+
 class AsyncDebugging {
     constructor() {
         this.requestId = 0;
-        this.pendingOperations = new Set();
-        this.completedOperations = [];
     }
 
     /**
@@ -37,7 +58,9 @@ class AsyncDebugging {
         });
 
         // DEBUGGING: .then() and .catch() are added to microtask queue
-        simplePromise
+        // PITFALL: Return the handled chain - returning simplePromise would
+        // hand its rejection to the caller even though .catch() logged it
+        return simplePromise
             .then((result) => {
                 console.log("📥 Promise result:", result);
                 // DEBUGGING: Set breakpoint here to examine resolved value
@@ -51,8 +74,6 @@ class AsyncDebugging {
             .finally(() => {
                 console.log("🏁 Promise finally block");
             });
-
-        return simplePromise;
     }
 
     /**
@@ -170,16 +191,20 @@ class AsyncDebugging {
         // Promise.reject(new Error('Unhandled rejection'));
 
         // Promise.all error behavior
+        const controller = new AbortController();
+        const { signal } = controller;
         try {
             const results = await Promise.all([
-                this.fetchUser(1),
-                this.fetchUser(999), // This will fail
-                this.fetchUser(2),
+                this.fetchUser(1, { signal }),
+                this.fetchUser(999, { signal }), // This will fail
+                this.fetchUser(2, { signal }),
             ]);
             console.log("All users fetched:", results);
         } catch (error) {
             console.error("🔧 Promise.all failed fast:", error.message);
             // DEBUGGING: Promise.all fails on first rejection
+            // FIX: ...but the other fetches keep running - cancel them
+            controller.abort(error);
         }
 
         // Promise.allSettled for better error handling
@@ -202,12 +227,20 @@ class AsyncDebugging {
     /**
      * Debugging Callback-based Code
      */
-    callbackDebugging() {
+    async callbackDebugging() {
         console.log("\n=== 5. CALLBACK DEBUGGING ===");
 
-        return new Promise((resolve) => {
+        // Guard every callback the API receives: double calls, missing
+        // calls and nesting depth get reported with their call sites
+        const monitor = new CallbackMonitor({ timeoutMs: 200, maxDepth: 2 });
+        monitor.on("violation", ({ type, message }) =>
+            console.warn(`⚠️  Callback ${type}: ${message}`)
+        );
+        const api = monitor.instrumentAll(this);
+
+        await new Promise((resolve) => {
             // Nested callbacks (callback hell)
-            this.fetchUserCallback(3, (error, user) => {
+            api.fetchUserCallback(3, (error, user) => {
                 if (error) {
                     console.error("❌ Callback error:", error.message);
                     return resolve();
@@ -216,7 +249,7 @@ class AsyncDebugging {
                 console.log("👤 Callback user:", user.name);
                 // DEBUGGING: Set breakpoint in callback
 
-                this.fetchUserPostsCallback(user.id, (error, posts) => {
+                api.fetchUserPostsCallback(user.id, (error, posts) => {
                     if (error) {
                         console.error(
                             "❌ Posts callback error:",
@@ -228,7 +261,7 @@ class AsyncDebugging {
                     console.log(`📝 Callback posts: ${posts.length}`);
                     // DEBUGGING: Nested callback debugging can be tricky
 
-                    this.fetchPostCommentsCallback(
+                    api.fetchPostCommentsCallback(
                         posts[0].id,
                         (error, comments) => {
                             if (error) {
@@ -250,6 +283,20 @@ class AsyncDebugging {
                 });
             });
         });
+
+        // Broken contracts: called twice, and never called
+        api.fetchUserSettingsCallback(-1, (error, settings) => {
+            console.log(
+                "⚙️  Settings callback:",
+                error ? error.message : settings
+            );
+        });
+        api.fetchUserAvatarCallback(0, (error, avatar) => {
+            console.log("🖼️  Avatar callback:", avatar);
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 250));
+        monitor.printReport();
     }
 
     /**
@@ -258,24 +305,41 @@ class AsyncDebugging {
     promiseCallbackConversion() {
         console.log("\n=== 6. PROMISE/CALLBACK CONVERSION ===");
 
-        // Promisify callback-based function
-        const promisifiedFetch = (userId) => {
-            return new Promise((resolve, reject) => {
-                this.fetchUserCallback(userId, (error, user) => {
-                    if (error) {
-                        reject(error);
-                    } else {
-                        resolve(user);
-                    }
-                });
-            });
+        // Promisify every callback-style method at once (the target is untouched)
+        const api = promisifyAll(this);
+        console.log("🔁 Promisified methods:", Object.keys(api));
+
+        // util.promisify.custom: the promise version of a callback that
+        // passes several results - (error, user, posts) - resolves an object
+        const legacyApi = {
+            fetchProfile: (id, callback) =>
+                this.fetchUserCallback(id, (error, user) => {
+                    if (error) return callback(error);
+                    this.fetchUserPostsCallback(id, (error, posts) =>
+                        callback(error, user, posts)
+                    );
+                }),
         };
+        legacyApi.fetchProfile[util.promisify.custom] = (id) =>
+            new Promise((resolve, reject) =>
+                legacyApi.fetchProfile(id, (error, user, posts) =>
+                    error ? reject(error) : resolve({ user, posts })
+                )
+            );
+        const profiles = promisifyAll(legacyApi);
 
         // Use promisified version
-        return promisifiedFetch(4)
+        return api
+            .fetchUserCallback(4)
             .then((user) => {
                 console.log("✅ Promisified callback result:", user.name);
                 // DEBUGGING: Compare ease of debugging promises vs callbacks
+                return profiles.fetchProfile(user.id);
+            })
+            .then(({ user, posts }) => {
+                console.log(
+                    `✅ Custom promisified result: ${user.name}, ${posts.length} posts`
+                );
                 return user;
             })
             .catch((error) => {
@@ -289,30 +353,40 @@ class AsyncDebugging {
     async debuggingToolsAndTechniques() {
         console.log("\n=== 7. ASYNC DEBUGGING TOOLS ===");
 
-        // Track pending operations
-        const trackingPromise = this.createTrackedPromise("user-fetch", () =>
-            this.fetchUser(5)
-        );
+        // Track every promise and timer, not just the ones we remember to wrap
+        const tracker = new AsyncTracker({
+            thresholdMs: 150,
+            types: ["PROMISE", "Timeout"],
+        }).enable();
 
-        const trackingPromise2 = this.createTrackedPromise("posts-fetch", () =>
-            this.fetchUserPosts(5)
-        );
+        try {
+            const userFetch = tracker.run("user-fetch", () =>
+                this.fetchUser(5)
+            );
+            const postsFetch = tracker.run("posts-fetch", () =>
+                this.fetchUserPosts(5)
+            );
+            // Nobody awaits this one - exactly what the tracker is for
+            tracker.run("cache-warmup", () =>
+                this.delayedOperation("Cache warmup", 400, "warm")
+            );
 
-        // Monitor pending operations
-        this.monitorPendingOperations();
+            // DEBUGGING: Ask "what is still running?" at any point
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            tracker.printTree({ label: "cache-warmup" });
+            tracker.printStale();
 
-        try {
-            const [user, posts] = await Promise.all([
-                trackingPromise,
-                trackingPromise2,
-            ]);
+            await Promise.all([userFetch, postsFetch]);
             console.log("✅ Tracked operations completed");
+            console.table(tracker.summary());
         } catch (error) {
             console.error("❌ Tracked operation failed:", error);
+        } finally {
+            tracker.disable();
         }
 
-        // Wait for monitoring to complete
-        await new Promise((resolve) => setTimeout(resolve, 100));
+        // Let the forgotten warmup finish before the next example
+        await new Promise((resolve) => setTimeout(resolve, 250));
     }
 
     /**
@@ -354,20 +428,108 @@ class AsyncDebugging {
             `🏁 Final shared resource value: ${sharedResource} (expected: 3)`
         );
 
+        // FIX: Make read → await → write a critical section
+        console.log("\nStarting the same tasks behind a mutex...");
+        sharedResource = 0;
+        const mutex = new Mutex({ name: "sharedResource" });
+        const safeIncrement = (id, delay) =>
+            mutex.runExclusive(
+                async () => {
+                    const current = sharedResource;
+                    console.log(`📖 Task ${id} read value: ${current}`);
+                    await new Promise((resolve) => setTimeout(resolve, delay));
+                    sharedResource = current + 1;
+                    console.log(
+                        `✏️  Task ${id} wrote value: ${sharedResource}`
+                    );
+                },
+                { owner: `Task ${id}` }
+            );
+
+        await Promise.all([
+            safeIncrement(1, 100),
+            safeIncrement(2, 50),
+            safeIncrement(3, 75),
+        ]);
+        console.log(`🏁 With a mutex: ${sharedResource} (expected: 3)`);
+        // DEBUGGING: Wait times show what the fix costs - tasks now run one by one
+        printLockDiagnostics(mutex);
+
         // Promise.race debugging
         console.log("\nTesting Promise.race...");
+        const controller = new AbortController();
+        const { signal } = controller;
         try {
             const winner = await Promise.race([
-                this.delayedOperation("Fast", 100, "fast-result"),
-                this.delayedOperation("Medium", 200, "medium-result"),
-                this.delayedOperation("Slow", 300, "slow-result"),
+                this.delayedOperation("Fast", 100, "fast-result", { signal }),
+                this.delayedOperation("Medium", 200, "medium-result", {
+                    signal,
+                }),
+                this.delayedOperation("Slow", 300, "slow-result", { signal }),
             ]);
 
             console.log("🏆 Race winner:", winner);
             // DEBUGGING: Only first resolved promise value is returned
+            // PITFALL: ...and the losers are still running
+            console.log(
+                "⏳ Still running after the race:",
+                process
+                    .getActiveResourcesInfo()
+                    .filter((type) => type === "Timeout").length,
+                "timer(s)"
+            );
         } catch (error) {
             console.error("❌ Race error:", error.message);
             // DEBUGGING: Promise.race fails if first promise rejects
+        } finally {
+            controller.abort();
+        }
+
+        // FIX: raceWithCancel aborts the losers as soon as there is a winner
+        console.log("\nTesting raceWithCancel...");
+        const winner = await raceWithCancel([
+            (signal) =>
+                this.delayedOperation("Fast", 100, "fast-result", { signal }),
+            (signal) =>
+                this.delayedOperation("Slow", 300, "slow-result", { signal }),
+        ]);
+        console.log("🏆 Race winner:", winner);
+
+        // timeout(ms) is just another racer - its timer is cleared if it loses
+        try {
+            await raceWithCancel([
+                (signal) => this.fetchUserPosts(7, { signal }),
+                timeout(20),
+            ]);
+        } catch (error) {
+            console.error(`⏰ ${error.name}: ${error.message}`);
+        }
+
+        // One deadline for several sequential steps: each gets what is left
+        const deadline = Date.now() + 250;
+        try {
+            const user = await withDeadline(
+                (signal) => this.fetchUser(8, { signal }),
+                deadline
+            );
+            const posts = await withDeadline(
+                (signal) => this.fetchUserPosts(user.id, { signal }),
+                deadline
+            );
+            await withDeadline(
+                (signal) =>
+                    this.delayedOperation("Report", 200, "report", {
+                        signal,
+                    }),
+                deadline
+            );
+            console.log(`✅ ${posts.length} posts within the deadline`);
+        } catch (error) {
+            console.error(
+                `⏰ Deadline hit after ${250 - (deadline - Date.now())}ms: ${
+                    error.message
+                }`
+            );
         }
     }
 
@@ -377,26 +539,27 @@ class AsyncDebugging {
     async memoryLeakDebugging() {
         console.log("\n=== 9. ASYNC MEMORY LEAKS ===");
 
-        // Example 1: Unresolved promises (memory leak)
-        const createLeakyPromises = () => {
-            const promises = [];
-            for (let i = 0; i < 1000; i++) {
-                // These promises never resolve - memory leak!
-                const promise = new Promise((resolve) => {
-                    // Never call resolve() - this creates a memory leak
-                    setTimeout(() => {
-                        // Uncomment to fix the leak:
-                        // resolve(`Promise ${i} resolved`);
-                    }, 10000); // Long timeout
-                });
-                promises.push(promise);
-            }
-            return promises;
-        };
+        // Example 1: Unresolved promises (memory leak) - detected
+        const leaky = await this.detectPromiseLeak("leaky queue", (waiters) => {
+            // PITFALL: Nobody ever drains `waiters`, so every request
+            // (and every caller awaiting it) stays pending forever
+        });
+        const fixed = await this.detectPromiseLeak("drained queue", (waiters) =>
+            // FIX: Settle every waiter once the work is done
+            waiters.splice(0).forEach((resolve) => resolve("served"))
+        );
+        printFindings("Unresolved promises", [leaky.finding, fixed.finding]);
+        leaky.detector.printSites();
 
-        // Uncomment to demonstrate memory leak
-        // const leakyPromises = createLeakyPromises();
-        // console.log('Created 1000 unresolved promises (potential memory leak)');
+        // DEBUGGING: DEBUG_ME_FAIL_ON_LEAK=1 makes the leak fail the run
+        try {
+            leaky.detector.assertNoLeaks();
+        } catch (error) {
+            if (process.env.DEBUG_ME_FAIL_ON_LEAK) throw error;
+            console.log(
+                `🛑 ${error.name} would fail the run: ${error.message}`
+            );
+        }
 
         // Example 2: Proper cleanup
         const createCleanPromises = () => {
@@ -434,89 +597,341 @@ class AsyncDebugging {
         }
     }
 
+    /**
+     * Deterministic Race Reproduction
+     */
+    async deterministicRaceReproduction() {
+        console.log("\n=== 10. DETERMINISTIC RACE REPRODUCTION ===");
+
+        const scenario = this.createIncrementScenario();
+
+        // Virtual clock: 100ms of "work" takes no real time
+        const timed = await new VirtualScheduler().run(scenario);
+        console.log(
+            `⏱️  Virtual clock: ${formatSchedule(timed.schedule)} = ${
+                timed.result
+            } after ${timed.now}ms (virtual)`
+        );
+
+        // Seeded ordering: same seed, same interleaving, every time
+        console.table(
+            await Promise.all(
+                [1, 2, 3, 4].map(async (seed) => {
+                    const run = await new VirtualScheduler({
+                        seed,
+                        respectTime: false,
+                    }).run(scenario);
+                    return {
+                        Seed: seed,
+                        Schedule: formatSchedule(run.schedule),
+                        Result: run.result,
+                    };
+                })
+            )
+        );
+
+        // Explore every interleaving and keep the ones that lose updates
+        const report = await explore(scenario, {
+            check: (result) => result === 3,
+        });
+        console.log(
+            `🔬 Explored ${report.explored} schedules: ${report.passing} correct, ${report.failing.length} lose updates`
+        );
+        console.log(
+            `🧪 Minimal failing schedule (${
+                report.minimal.switches
+            } switches): ${formatSchedule(report.minimal.schedule)} = ${
+                report.minimal.result
+            }`
+        );
+
+        // DEBUGGING: Replay it as often as you like - set breakpoints, add logs
+        const replay = await new VirtualScheduler({
+            schedule: report.minimal.schedule,
+        }).run(scenario);
+        console.log(
+            `🔁 Replayed: ${replay.result} (expected: 3) - same result on every run`
+        );
+        console.log(
+            "💡 Tip: Route your own timers through the scheduler to turn a flaky test into a failing one"
+        );
+
+        return report;
+    }
+
+    /**
+     * Locks and Queues
+     */
+    async locksAndQueues() {
+        console.log("\n=== 11. LOCKS AND QUEUES ===");
+
+        // The fixed increment under every interleaving, not just one lucky run
+        const report = await explore(
+            this.createIncrementScenario({ withMutex: true }),
+            { check: (result) => result === 3 }
+        );
+        console.log(
+            `🔬 With a mutex: ${report.failing.length} of ${report.explored} schedules lose updates`
+        );
+
+        // Semaphore via TaskQueue: at most 2 fetches in flight
+        const queue = new TaskQueue({ name: "user-fetches", concurrency: 2 });
+        queue.on("queued", ({ owner, waiting }) =>
+            console.log(`⏳ ${owner} queued (${waiting} waiting)`)
+        );
+        [1, 2, 3, 4].forEach((id) =>
+            queue.push(() => this.fetchUser(id), { label: `fetchUser(${id})` })
+        );
+        printLockDiagnostics(queue);
+        await queue.onIdle();
+        printLockDiagnostics(queue);
+
+        // RWLock: readers share, a writer waits for them (and blocks later readers)
+        const rwlock = new RWLock({ name: "config" });
+        const read = (id) =>
+            rwlock.runRead(() => this.delayedOperation(`Read ${id}`, 50), {
+                owner: `reader ${id}`,
+            });
+        const reads = [read(1), read(2)];
+        const write = rwlock.runWrite(
+            () => this.delayedOperation("Write", 30),
+            { owner: "writer" }
+        );
+        reads.push(read(3));
+        printLockDiagnostics(rwlock);
+        await Promise.all([...reads, write]);
+
+        // Deadlock suspicion: the holder waits for something that never comes
+        const stuck = new Mutex({ name: "orders", holdTimeoutMs: 100 });
+        stuck.on("deadlock", ({ owner, heldMs, waiting }) =>
+            console.warn(
+                `⚠️  Possible deadlock: "${owner}" has held "orders" for ${Math.round(
+                    heldMs
+                )}ms, waiting: ${waiting.join(", ") || "nobody"}`
+            )
+        );
+        // PITFALL: The release function is lost - the lock is held forever
+        await stuck.acquire({ owner: "forgetful handler" });
+        try {
+            await stuck.runExclusive(() => "never runs", {
+                owner: "checkout",
+                timeoutMs: 200,
+            });
+        } catch (error) {
+            console.error(`❌ ${error.name}: ${error.message}`);
+            console.log("Holders at timeout:", error.details.holders);
+        }
+        printLockDiagnostics(stuck);
+    }
+
+    /**
+     * Promise Timeline
+     */
+    async promiseTimeline() {
+        console.log("\n=== 12. PROMISE TIMELINE ===");
+
+        const loadPage = async (timeline, { parallel }) => {
+            const fetchUser = timeline.wrap("fetchUser", (id) =>
+                this.fetchUser(id)
+            );
+            const fetchUserPosts = timeline.wrap("fetchUserPosts", (id) =>
+                this.fetchUserPosts(id)
+            );
+            const fetchPostComments = timeline.wrap("fetchPostComments", (id) =>
+                this.fetchPostComments(id)
+            );
+            const fetchPostLikes = timeline.wrap("fetchPostLikes", (id) =>
+                this.fetchPostLikes(id)
+            );
+
+            const user = await fetchUser(6);
+            const posts = await fetchUserPosts(user.id);
+            const postIds = posts.slice(0, 2).map((post) => post.id);
+
+            if (parallel) {
+                // FIX: Independent requests don't have to wait for each other
+                await timeline.track("Promise.all", () =>
+                    Promise.all(
+                        postIds.flatMap((id) => [
+                            fetchPostComments(id),
+                            fetchPostLikes(id),
+                        ])
+                    )
+                );
+            } else {
+                // PITFALL: Each await waits for the previous request to finish
+                for (const id of postIds) {
+                    await fetchPostComments(id);
+                    await fetchPostLikes(id);
+                }
+            }
+        };
+
+        const results = [];
+        for (const parallel of [false, true]) {
+            const timeline = new PromiseTimeline({
+                name: parallel ? "page-load-parallel" : "page-load-sequential",
+            });
+            await loadPage(timeline, { parallel });
+            timeline.printWaterfall();
+
+            const { wallMs, busyMs, parallelism } = timeline.summary();
+            results.push({
+                Variant: parallel ? "Promise.all" : "sequential awaits",
+                "Wall time (ms)": Math.round(wallMs),
+                "Request time (ms)": Math.round(busyMs),
+                Parallelism: `${parallelism.toFixed(2)}x`,
+                "Critical path": timeline
+                    .criticalPath()
+                    .map((span) => span.name.replace(/\(.*/, ""))
+                    .join(" → "),
+                "Chrome trace": timeline.writeChromeTrace(),
+            });
+        }
+
+        console.table(results);
+        console.log(
+            "💡 Tip: Load the trace files in chrome://tracing or https://ui.perfetto.dev"
+        );
+        return results;
+    }
+
+    /**
+     * The section 8 increment tasks, with every wait going through a
+     * VirtualScheduler (so the scheduler decides who runs next)
+     * @param {Object} options - { withMutex: guard read → write with a Mutex }
+     */
+    createIncrementScenario({ withMutex = false } = {}) {
+        return async (scheduler) => {
+            let sharedResource = 0;
+            const mutex = withMutex
+                ? new Mutex({ name: "sharedResource" })
+                : null;
+            const critical = async (task, delay) => {
+                const current = sharedResource;
+                await scheduler.sleep(delay, task);
+                sharedResource = current + 1;
+            };
+            const increment = async (id, delay) => {
+                const task = `task ${id}`;
+                await scheduler.pause(task);
+                return mutex
+                    ? mutex.runExclusive(() => critical(task, delay), {
+                          owner: task,
+                      })
+                    : critical(task, delay);
+            };
+
+            await Promise.all([
+                increment(1, 100),
+                increment(2, 50),
+                increment(3, 75),
+            ]);
+            return sharedResource;
+        };
+    }
+
+    /**
+     * Queue requests behind a "connection ready" promise for a few rounds,
+     * sampling leaked promises after each round
+     * @param {string} subject - Detector subject
+     * @param {Function} settle - Called with the pending resolvers after each round
+     */
+    async detectPromiseLeak(subject, settle) {
+        const detector = new PromiseLeakDetector({
+            subject,
+            maxAgeMs: 50,
+            minSamples: 4,
+        }).start();
+        const waiters = [];
+        const waitForConnection = () =>
+            new Promise((resolve) => waiters.push(resolve));
+        const handleRequest = async (id) => {
+            await waitForConnection();
+            return id;
+        };
+
+        try {
+            for (let round = 0; round < 5; round++) {
+                for (let i = 0; i < 200; i++) handleRequest(i);
+                settle(waiters);
+                await new Promise((resolve) => setTimeout(resolve, 60));
+                detector.sample(`round ${round + 1}`);
+            }
+        } finally {
+            detector.stop();
+        }
+
+        return { detector, finding: detector.analyze() };
+    }
+
     // Helper methods for async operations simulation
 
-    async fetchUser(id) {
+    // Every helper accepts { signal }: aborting rejects with signal.reason
+    // and clears the pending timer
+
+    async fetchUser(id, { signal } = {}) {
         const requestId = ++this.requestId;
         console.log(`🔍 Fetching user ${id} (request ${requestId})`);
 
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                if (id === 999) {
-                    reject(new Error(`User ${id} not found`));
-                } else {
-                    resolve({
-                        id,
-                        name: `User ${id}`,
-                        email: `user${id}@example.com`,
-                    });
-                }
-            }, Math.random() * 100 + 50);
-        });
+        await sleep(Math.random() * 100 + 50, signal);
+        if (id === 999) {
+            throw new Error(`User ${id} not found`);
+        }
+        return {
+            id,
+            name: `User ${id}`,
+            email: `user${id}@example.com`,
+        };
     }
 
-    async fetchUserPosts(userId) {
+    async fetchUserPosts(userId, { signal } = {}) {
         console.log(`📝 Fetching posts for user ${userId}`);
 
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                if (userId === 999) {
-                    reject(new Error(`Posts for user ${userId} not found`));
-                } else {
-                    const posts = Array.from(
-                        { length: Math.floor(Math.random() * 5) + 1 },
-                        (_, i) => ({
-                            id: `${userId}-${i}`,
-                            title: `Post ${i} by User ${userId}`,
-                            content: "Lorem ipsum...",
-                        })
-                    );
-                    resolve(posts);
-                }
-            }, Math.random() * 100 + 30);
-        });
+        await sleep(Math.random() * 100 + 30, signal);
+        if (userId === 999) {
+            throw new Error(`Posts for user ${userId} not found`);
+        }
+        return Array.from(
+            { length: Math.floor(Math.random() * 5) + 1 },
+            (_, i) => ({
+                id: `${userId}-${i}`,
+                title: `Post ${i} by User ${userId}`,
+                content: "Lorem ipsum...",
+            })
+        );
     }
 
-    async fetchPostComments(postId) {
+    async fetchPostComments(postId, { signal } = {}) {
         console.log(`💬 Fetching comments for post ${postId}`);
 
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const comments = Array.from(
-                    { length: Math.floor(Math.random() * 10) },
-                    (_, i) => ({
-                        id: `${postId}-comment-${i}`,
-                        text: `Comment ${i} on post ${postId}`,
-                        author: `Commenter ${i}`,
-                    })
-                );
-                resolve(comments);
-            }, Math.random() * 80 + 20);
-        });
+        await sleep(Math.random() * 80 + 20, signal);
+        return Array.from(
+            { length: Math.floor(Math.random() * 10) },
+            (_, i) => ({
+                id: `${postId}-comment-${i}`,
+                text: `Comment ${i} on post ${postId}`,
+                author: `Commenter ${i}`,
+            })
+        );
     }
 
-    async fetchPostLikes(postId) {
-        return new Promise((resolve) => {
-            setTimeout(() => resolve(Math.floor(Math.random() * 100)), 30);
-        });
+    async fetchPostLikes(postId, { signal } = {}) {
+        await sleep(30, signal);
+        return Math.floor(Math.random() * 100);
     }
 
-    async fetchPostShares(postId) {
-        return new Promise((resolve) => {
-            setTimeout(() => resolve(Math.floor(Math.random() * 20)), 40);
-        });
+    async fetchPostShares(postId, { signal } = {}) {
+        await sleep(40, signal);
+        return Math.floor(Math.random() * 20);
     }
 
-    async flakyAsyncOperation() {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                if (Math.random() < 0.3) {
-                    resolve("Flaky operation succeeded");
-                } else {
-                    reject(new Error("Flaky operation failed"));
-                }
-            }, 100);
-        });
+    async flakyAsyncOperation({ signal } = {}) {
+        await sleep(100, signal);
+        if (Math.random() < 0.3) {
+            return "Flaky operation succeeded";
+        }
+        throw new Error("Flaky operation failed");
     }
 
     // Callback versions for demonstration
@@ -544,6 +959,24 @@ class AsyncDebugging {
         }, 30);
     }
 
+    fetchUserSettingsCallback(id, callback) {
+        setTimeout(() => {
+            if (id < 0) {
+                // PITFALL: No `return` - execution continues to the success call
+                callback(new Error(`Invalid user id ${id}`));
+            }
+            callback(null, { id, theme: "dark" });
+        }, 20);
+    }
+
+    fetchUserAvatarCallback(id, callback) {
+        setTimeout(() => {
+            // PITFALL: This path forgets the callback - the caller waits forever
+            if (id === 0) return;
+            callback(null, `/avatars/${id}.png`);
+        }, 20);
+    }
+
     fetchPostCommentsCallback(postId, callback) {
         setTimeout(() => {
             const comments = Array.from({ length: 3 }, (_, i) => ({
@@ -554,56 +987,16 @@ class AsyncDebugging {
         }, 20);
     }
 
-    createTrackedPromise(name, promiseFactory) {
-        const promise = promiseFactory();
-        this.pendingOperations.add(name);
-
-        return promise
-            .then((result) => {
-                this.pendingOperations.delete(name);
-                this.completedOperations.push({
-                    name,
-                    status: "fulfilled",
-                    result,
-                });
-                return result;
-            })
-            .catch((error) => {
-                this.pendingOperations.delete(name);
-                this.completedOperations.push({
-                    name,
-                    status: "rejected",
-                    error,
-                });
-                throw error;
-            });
-    }
-
-    monitorPendingOperations() {
-        const monitor = () => {
-            if (this.pendingOperations.size > 0) {
-                console.log(
-                    "⏳ Pending operations:",
-                    Array.from(this.pendingOperations)
-                );
-                setTimeout(monitor, 50);
-            } else {
-                console.log("✅ All tracked operations completed");
-                console.table(this.completedOperations);
-            }
-        };
-
-        setTimeout(monitor, 50);
-    }
-
-    async delayedOperation(name, delay, result) {
+    async delayedOperation(name, delay, result, { signal } = {}) {
         console.log(`🕐 ${name} operation starting (${delay}ms)`);
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                console.log(`✅ ${name} operation completed`);
-                resolve(result);
-            }, delay);
-        });
+        try {
+            await sleep(delay, signal);
+        } catch (error) {
+            console.log(`🛑 ${name} operation cancelled`);
+            throw error;
+        }
+        console.log(`✅ ${name} operation completed`);
+        return result;
     }
 
     /**
@@ -613,21 +1006,49 @@ class AsyncDebugging {
         console.log("🎯 Starting Async Debugging Examples");
         console.log("=".repeat(60));
 
-        try {
-            await this.basicPromiseDebugging();
-            await this.promiseChaining();
-            await this.asyncAwaitDebugging();
-            await this.asyncErrorHandling();
-            await this.callbackDebugging();
-            await this.promiseCallbackConversion();
-            await this.debuggingToolsAndTechniques();
-            await this.raceConditionsDebugging();
-            await this.memoryLeakDebugging();
-
-            console.log("\n🎉 All async debugging examples completed!");
-        } catch (error) {
-            console.error("❌ Error running async examples:", error);
+        const sections = [
+            "basicPromiseDebugging",
+            "promiseChaining",
+            "asyncAwaitDebugging",
+            "asyncErrorHandling",
+            "callbackDebugging",
+            "promiseCallbackConversion",
+            "debuggingToolsAndTechniques",
+            "raceConditionsDebugging",
+            "memoryLeakDebugging",
+            "deterministicRaceReproduction",
+            "locksAndQueues",
+            "promiseTimeline",
+        ];
+        const handleFindings = [];
+        let leakError = null;
+
+        for (const section of sections) {
+            // One failing section must not skip the rest - the leak
+            // check in memoryLeakDebugging would never run
+            try {
+                // DEBUGGING: Anything a section leaves open is work nobody cancelled
+                const { error, finding } = await withHandleCheck(section, () =>
+                    this[section]()
+                );
+                handleFindings.push(finding);
+                if (finding.status === "leak") {
+                    console.warn(
+                        `🚰 ${section} left handles open: ${finding.summary}`
+                    );
+                }
+                if (error) throw error;
+            } catch (error) {
+                console.error(`❌ Error in ${section}:`, error);
+                if (error instanceof PromiseLeakError) leakError = error;
+            }
         }
+
+        printFindings("Leftover handles per section", handleFindings);
+
+        // A detected leak has to fail the run, not just be logged
+        if (leakError) throw leakError;
+        console.log("\n🎉 All async debugging examples completed!");
     }
 }
 
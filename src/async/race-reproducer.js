@@ -0,0 +1,284 @@
+/**
+ * Race Reproducer - make async interleavings deterministic
+ *
+ * A race that shows up "sometimes" depends on the order in which timers
+ * fire and awaits resume. Code under test waits through a VirtualScheduler
+ * instead of real timers, so the scheduler decides that order:
+ *
+ *   - a virtual clock: sleep(1000) takes no real time
+ *   - seeded ordering: ties (or, with respectTime: false, every pending
+ *     callback) are picked by a seeded PRNG - same seed, same interleaving
+ *   - replay: pass the recorded schedule (a list of labels) to run it again
+ *   - explore(): runs every possible ordering, collects the failing ones
+ *     and reports the minimal failing schedule
+ *
+ *   const scenario = async (scheduler) => {
+ *       await scheduler.pause("task 1");      // a point where others may run
+ *       await scheduler.sleep(50, "task 1");  // virtual time
+ *       return result;
+ *   };
+ *   const { schedule, result } = await new VirtualScheduler({ seed: 7 }).run(scenario);
+ *
+ * PITFALL: Only waits that go through the scheduler are controlled. A real
+ * setTimeout or I/O inside the scenario runs outside of it and brings the
+ * flakiness back.
+ */
+
+const { createRandom } = require("../utils/random");
+
+/**
+ * Raised when a replayed schedule does not match what the code does
+ */
+class ScheduleMismatchError extends Error {
+    constructor(step, expected, runnable) {
+        super(
+            `Schedule step ${step}: '${expected}' is not runnable (runnable: ${
+                runnable.join(", ") || "nothing"
+            })`
+        );
+        this.name = "ScheduleMismatchError";
+        this.step = step;
+        this.expected = expected;
+        this.runnable = runnable;
+    }
+}
+
+// Real microtasks (promise reactions) all run before the next setImmediate
+const flushMicrotasks = () => new Promise((resolve) => setImmediate(resolve));
+
+class VirtualScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} [options.seed] - Seed for picking between runnable callbacks
+     * @param {string[]} [options.schedule] - Labels to replay, in order
+     * @param {Function} [options.chooser] - (candidates, step) => index; overrides seed/schedule
+     * @param {boolean} [options.respectTime] - Only callbacks due earliest are runnable (not while replaying)
+     * @param {number} [options.maxSteps] - Guard against schedules that never end
+     */
+    constructor({
+        seed = 1,
+        schedule = null,
+        chooser = null,
+        respectTime = true,
+        maxSteps = 10000,
+    } = {}) {
+        this.random = createRandom(seed);
+        this.schedule = schedule;
+        this.chooser = chooser;
+        this.respectTime = respectTime;
+        this.maxSteps = maxSteps;
+
+        this.now = 0;
+        this.nextId = 1;
+        this.pending = [];
+        this.trace = [];
+    }
+
+    /**
+     * Virtual setTimeout
+     * @returns {number} Id for clearTimeout()
+     */
+    setTimeout(fn, ms = 0, label = "timer") {
+        const id = this.nextId++;
+        this.pending.push({ id, at: this.now + ms, fn, label });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.pending = this.pending.filter((entry) => entry.id !== id);
+    }
+
+    /**
+     * Resolve after `ms` of virtual time
+     */
+    sleep(ms, label) {
+        return new Promise((resolve) => this.setTimeout(resolve, ms, label));
+    }
+
+    /**
+     * Give every other runnable callback the chance to go first
+     */
+    pause(label) {
+        return this.sleep(0, label);
+    }
+
+    /**
+     * Callbacks that may run next, in creation order
+     */
+    candidates() {
+        // A replayed schedule already encodes the timing it was recorded with
+        const replaying =
+            this.schedule && this.trace.length < this.schedule.length;
+        if (!this.respectTime || replaying) return [...this.pending];
+
+        const earliest = Math.min(...this.pending.map((entry) => entry.at));
+        return this.pending.filter((entry) => entry.at === earliest);
+    }
+
+    choose(candidates) {
+        const step = this.trace.length;
+
+        if (this.chooser) return this.chooser(candidates, step);
+
+        if (this.schedule && step < this.schedule.length) {
+            const index = candidates.findIndex(
+                (entry) => entry.label === this.schedule[step]
+            );
+            if (index === -1) {
+                throw new ScheduleMismatchError(
+                    step,
+                    this.schedule[step],
+                    candidates.map((entry) => entry.label)
+                );
+            }
+            return index;
+        }
+
+        return Math.floor(this.random() * candidates.length);
+    }
+
+    /**
+     * Run a scenario to completion under this scheduler
+     * @param {Function} scenario - async (scheduler) => result
+     * @returns {Promise<{result, error, schedule, trace, now}>}
+     */
+    async run(scenario) {
+        let outcome = null;
+        Promise.resolve()
+            .then(() => scenario(this))
+            .then(
+                (result) => (outcome = { result, error: null }),
+                (error) => (outcome = { result: undefined, error })
+            );
+
+        for (;;) {
+            await flushMicrotasks();
+            if (this.pending.length === 0) break;
+            if (this.trace.length >= this.maxSteps) {
+                throw new Error(
+                    `VirtualScheduler: gave up after ${this.maxSteps} steps`
+                );
+            }
+
+            const candidates = this.candidates();
+            const entry = candidates[this.choose(candidates)];
+            this.pending.splice(this.pending.indexOf(entry), 1);
+            this.now = Math.max(this.now, entry.at);
+            this.trace.push({
+                step: this.trace.length,
+                label: entry.label,
+                at: this.now,
+                runnable: candidates.length,
+            });
+
+            // DEBUGGING: Conditional breakpoint: this.trace.length === <failing step>
+            entry.fn();
+        }
+
+        if (!outcome) {
+            throw new Error(
+                "VirtualScheduler: scenario is waiting on something outside the scheduler"
+            );
+        }
+
+        return {
+            ...outcome,
+            schedule: this.trace.map((event) => event.label),
+            trace: this.trace,
+            now: this.now,
+        };
+    }
+}
+
+/**
+ * How often execution moves from one label to another
+ */
+function contextSwitches(schedule) {
+    return schedule.filter((label, i) => i > 0 && label !== schedule[i - 1])
+        .length;
+}
+
+/**
+ * "task 1 → task 2 → task 2"
+ */
+function formatSchedule(schedule) {
+    return schedule.join(" → ");
+}
+
+/**
+ * Run a scenario under every possible ordering of its runnable callbacks
+ * (depth-first, replaying a prefix of choices each time)
+ * @param {Function} scenario - async (scheduler) => result
+ * @param {Object} options
+ * @param {Function} options.check - (result, error) => true when the run is correct
+ * @param {boolean} [options.respectTime] - false: any pending callback may go next
+ * @param {number} [options.maxSchedules] - Stop exploring after this many runs
+ * @returns {Promise<{explored, complete, failing, passing, minimal}>}
+ */
+async function explore(
+    scenario,
+    { check, respectTime = false, maxSchedules = 5000 } = {}
+) {
+    const failing = [];
+    let passing = 0;
+    let explored = 0;
+    let prefix = [];
+
+    while (prefix && explored < maxSchedules) {
+        const chosen = [];
+        const branching = [];
+        const scheduler = new VirtualScheduler({
+            respectTime,
+            chooser: (candidates, step) => {
+                const index = step < prefix.length ? prefix[step] : 0;
+                chosen.push(index);
+                branching.push(candidates.length);
+                return index;
+            },
+        });
+
+        const run = await scheduler.run(scenario);
+        explored++;
+
+        if (check(run.result, run.error)) {
+            passing++;
+        } else {
+            failing.push({
+                schedule: run.schedule,
+                result: run.result,
+                error: run.error,
+                switches: contextSwitches(run.schedule),
+            });
+        }
+
+        // Backtrack: bump the deepest choice that still has alternatives
+        let depth = chosen.length - 1;
+        while (depth >= 0 && chosen[depth] + 1 >= branching[depth]) depth--;
+        prefix =
+            depth >= 0 ? [...chosen.slice(0, depth), chosen[depth] + 1] : null;
+    }
+
+    // The failing order that is easiest to reason about: fewest switches
+    // between tasks, then fewest steps
+    const minimal =
+        [...failing].sort(
+            (a, b) =>
+                a.switches - b.switches || a.schedule.length - b.schedule.length
+        )[0] || null;
+
+    return {
+        explored,
+        complete: prefix === null,
+        failing,
+        passing,
+        minimal,
+    };
+}
+
+module.exports = {
+    VirtualScheduler,
+    ScheduleMismatchError,
+    explore,
+    contextSwitches,
+    formatSchedule,
+};
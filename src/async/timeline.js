@@ -0,0 +1,307 @@
+/**
+ * Promise Timeline - when did each async operation start and settle?
+ *
+ * Interleaved console lines can't show how much really ran in parallel.
+ * The recorder times tracked operations (nested ones know their parent via
+ * AsyncLocalStorage) and renders them two ways:
+ *
+ *   - an ASCII waterfall in the terminal, critical path marked with ◆
+ *   - Chrome Trace Event JSON: open chrome://tracing or ui.perfetto.dev and
+ *     load the file written by writeChromeTrace()
+ *
+ *   const timeline = new PromiseTimeline({ name: "checkout" });
+ *   const user = await timeline.track("fetchUser", () => fetchUser(1));
+ *   const fetchPosts = timeline.wrap("fetchPosts", fetchPosts);
+ *   timeline.printWaterfall();
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { performance } = require("perf_hooks");
+
+const TRACE_DIR = path.join(os.tmpdir(), "debug-me-traces");
+
+/**
+ * @typedef {Object} TimelineSpan
+ * @property {number} id
+ * @property {string} name
+ * @property {string} category
+ * @property {number|null} parentId - Span that was running when this one started
+ * @property {number} start - ms since the timeline was created
+ * @property {number|null} end - null while pending
+ * @property {string} status - "pending" | "fulfilled" | "rejected"
+ * @property {Object} args - Extra data shown in the trace viewer
+ */
+
+class PromiseTimeline {
+    constructor({ name = "timeline" } = {}) {
+        this.name = name;
+        this.origin = performance.now();
+        this.spans = [];
+        this.marks = [];
+        this.storage = new AsyncLocalStorage();
+    }
+
+    now() {
+        return performance.now() - this.origin;
+    }
+
+    /**
+     * Time an async operation
+     * @param {string} name - Row label
+     * @param {Function|Promise} operation - () => Promise, or a promise already running
+     * @param {Object} options - { category, args }
+     * @returns {Promise} Settles like the operation
+     */
+    track(name, operation, { category = "async", args = {} } = {}) {
+        const parent = this.storage.getStore();
+        const span = {
+            id: this.spans.length + 1,
+            name,
+            category,
+            parentId: parent ? parent.id : null,
+            start: this.now(),
+            end: null,
+            status: "pending",
+            args,
+        };
+        this.spans.push(span);
+
+        const settle = (status) => {
+            span.end = this.now();
+            span.status = status;
+        };
+
+        // Nested track() calls inside the operation see this span as parent
+        return this.storage
+            .run(span, () =>
+                Promise.resolve().then(() =>
+                    typeof operation === "function" ? operation() : operation
+                )
+            )
+            .then(
+                (value) => {
+                    settle("fulfilled");
+                    return value;
+                },
+                (error) => {
+                    settle("rejected");
+                    span.args = { ...span.args, error: error && error.message };
+                    throw error;
+                }
+            );
+    }
+
+    /**
+     * Tracked version of an async function: every call becomes a span
+     * named "name(arg1, ...)"
+     */
+    wrap(name, fn) {
+        return (...args) =>
+            this.track(`${name}(${args.map(String).join(", ")})`, () =>
+                fn(...args)
+            );
+    }
+
+    /**
+     * Instant event ("cache cleared", "retry #2", ...)
+     */
+    mark(name, args = {}) {
+        this.marks.push({ name, at: this.now(), args });
+    }
+
+    /**
+     * Wall time, summed span time and how much of it overlapped
+     */
+    summary() {
+        const done = this.spans.filter((span) => span.end !== null);
+        if (done.length === 0) {
+            return { spans: 0, wallMs: 0, busyMs: 0, parallelism: 0 };
+        }
+
+        const wallMs =
+            Math.max(...done.map((span) => span.end)) -
+            Math.min(...done.map((span) => span.start));
+        // Only leaf spans - a parent's time is its children's time
+        const leaves = done.filter(
+            (span) => !done.some((other) => other.parentId === span.id)
+        );
+        const busyMs = leaves.reduce(
+            (sum, span) => sum + span.end - span.start,
+            0
+        );
+
+        return {
+            spans: done.length,
+            wallMs,
+            busyMs,
+            parallelism: wallMs > 0 ? busyMs / wallMs : 0,
+        };
+    }
+
+    /**
+     * The chain of operations that determined the total duration: start at
+     * the span that finished last, then repeatedly step to the span that
+     * finished last before the current one started
+     * @param {number} toleranceMs - Gap still counted as "started right after"
+     * @returns {TimelineSpan[]} In start order
+     */
+    criticalPath(toleranceMs = 2) {
+        const done = this.spans.filter(
+            (span) =>
+                span.end !== null &&
+                !this.spans.some((other) => other.parentId === span.id)
+        );
+        const path = [];
+        let current = done.reduce(
+            (latest, span) =>
+                !latest || span.end > latest.end ? span : latest,
+            null
+        );
+
+        while (current) {
+            path.unshift(current);
+            const before = done.filter(
+                (span) =>
+                    span.end <= current.start + toleranceMs && span !== current
+            );
+            current = before.reduce(
+                (latest, span) =>
+                    !latest || span.end > latest.end ? span : latest,
+                null
+            );
+        }
+
+        return path;
+    }
+
+    /**
+     * Chrome Trace Event format ("Trace Event Format" doc, JSON object form)
+     * PITFALL: Async events ("b"/"e") with the same id must nest strictly -
+     * siblings from Promise.all overlap, so every span gets its own id and
+     * the parent goes into args instead
+     */
+    toChromeTrace() {
+        const pid = process.pid;
+        const micros = (ms) => Math.round(ms * 1000);
+
+        const traceEvents = [
+            {
+                name: "process_name",
+                ph: "M",
+                pid,
+                tid: 0,
+                args: { name: `debug-me: ${this.name}` },
+            },
+        ];
+
+        this.spans.forEach((span) => {
+            const common = {
+                name: span.name,
+                cat: span.category,
+                pid,
+                tid: 0,
+                id: span.id,
+            };
+            traceEvents.push({
+                ...common,
+                ph: "b",
+                ts: micros(span.start),
+                args: { ...span.args, parentId: span.parentId },
+            });
+            // Still-pending spans are cut off at "now" - a span without an
+            // end event is silently dropped by the viewers
+            traceEvents.push({
+                ...common,
+                ph: "e",
+                ts: micros(span.end !== null ? span.end : this.now()),
+                args: { status: span.status },
+            });
+        });
+
+        this.marks.forEach((mark) => {
+            traceEvents.push({
+                name: mark.name,
+                ph: "i",
+                s: "p",
+                pid,
+                tid: 0,
+                ts: micros(mark.at),
+                args: mark.args,
+            });
+        });
+
+        return { traceEvents, displayTimeUnit: "ms" };
+    }
+
+    /**
+     * Write the Chrome trace JSON
+     * @param {string} [filePath] - Defaults to <tmpdir>/debug-me-traces/<name>.json
+     * @returns {string} The file written
+     */
+    writeChromeTrace(filePath = path.join(TRACE_DIR, `${this.name}.json`)) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(
+            filePath,
+            JSON.stringify(this.toChromeTrace(), null, 2)
+        );
+        return filePath;
+    }
+
+    /**
+     * Print one bar per span on a shared time axis
+     * @param {Object} options - { width: bar columns }
+     */
+    printWaterfall({ width = 48 } = {}) {
+        const spans = [...this.spans].sort((a, b) => a.start - b.start);
+        if (spans.length === 0) {
+            console.log(`📉 ${this.name}: nothing recorded`);
+            return;
+        }
+
+        const now = this.now();
+        const endOf = (span) => (span.end !== null ? span.end : now);
+        const from = Math.min(...spans.map((span) => span.start));
+        const to = Math.max(...spans.map(endOf));
+        const scale = width / Math.max(to - from, 1);
+        const critical = new Set(this.criticalPath());
+        const depthOf = (span) => {
+            let depth = 0;
+            for (let id = span.parentId; id !== null; depth++) {
+                id = this.spans[id - 1].parentId;
+            }
+            return depth;
+        };
+        const labels = spans.map(
+            (span) => "  ".repeat(depthOf(span)) + span.name
+        );
+        const labelWidth = Math.max(...labels.map((label) => label.length));
+        const fill = { fulfilled: "█", rejected: "▒", pending: "░" };
+
+        console.group(
+            `📉 ${this.name} (${(to - from).toFixed(0)}ms, ◆ = critical path)`
+        );
+        spans.forEach((span, index) => {
+            const offset = Math.round((span.start - from) * scale);
+            const length = Math.max(
+                1,
+                Math.round((endOf(span) - span.start) * scale)
+            );
+            const bar =
+                " ".repeat(offset) +
+                fill[span.status].repeat(Math.min(length, width - offset || 1));
+            console.log(
+                `${critical.has(span) ? "◆" : " "} ${labels[index].padEnd(
+                    labelWidth
+                )} │${bar.padEnd(width)}│ ${(endOf(span) - span.start)
+                    .toFixed(0)
+                    .padStart(4)}ms`
+            );
+        });
+        console.groupEnd();
+    }
+}
+
+module.exports = { PromiseTimeline, TRACE_DIR };
@@ -0,0 +1,386 @@
+/**
+ * Command Line Runner - JavaScript Debugging Mastery
+ *
+ * Parses the launcher's arguments and drives DebugMaster, so practice
+ * sessions and CI smoke runs can be scripted without editing index.js.
+ *
+ * USAGE:
+ *   node src/index.js                        # List demos + interactive scenarios
+ *   node src/index.js list [--json]          # List available demos
+ *   node src/index.js run errors async       # Run selected demos in order
+ *   node src/index.js run --all --bail       # Run everything, stop at first failure
+ *   node src/index.js run async --json       # Machine-readable summary on stdout
+ *   node src/index.js run --tag basics       # Run every demo tagged "basics"
+ *   node src/index.js list --plugin my-demos # Load demos from a package
+ *   node src/index.js stats --runs 10        # Error trends across recent runs
+ *
+ * EXIT CODES:
+ *   0 - success, 1 - at least one demo failed, 2 - invalid usage
+ */
+
+const { parseArgs } = require("util");
+const { Console } = require("console");
+const { ErrorLogStore, printErrorStats } = require("./errors/error-log-store");
+const { PluginLoadError } = require("./registry");
+
+const EXIT_CODES = {
+    OK: 0,
+    DEMO_FAILED: 1,
+    USAGE: 2,
+};
+
+const OPTIONS = {
+    all: { type: "boolean", short: "a" },
+    bail: { type: "boolean", short: "b" },
+    json: { type: "boolean" },
+    pause: { type: "string" },
+    tag: { type: "string", short: "t", multiple: true },
+    plugin: { type: "string", multiple: true },
+    runs: { type: "string" },
+    type: { type: "string" },
+    context: { type: "string" },
+    since: { type: "string" },
+    fingerprint: { type: "string" },
+    help: { type: "boolean", short: "h" },
+};
+
+const HELP_TEXT = `
+Usage: node src/index.js [command] [demos...] [options]
+
+Commands:
+  (none)              List demos and run the interactive scenarios
+  list                List available demos
+  run <demo...>       Run one or more demos in the given order
+  stats               Show logged errors grouped, with trends across runs
+  help                Show this help
+
+Options:
+  -a, --all           Run every registered demo (with "run")
+  -t, --tag <tag>     Run demos carrying this tag (repeatable)
+      --plugin <pkg>  Load extra demos from a package or file (repeatable)
+  -b, --bail          Stop after the first failing demo
+      --json          Print a JSON summary on stdout (demo output goes to stderr)
+      --pause <ms>    Pause between demos (default: 1000)
+  -h, --help          Show this help
+
+Stats options:
+      --runs <n>      Number of recent runs to compare (default: 5)
+      --type <name>   Only errors of this type (e.g. TypeError)
+      --context <ctx> Only errors logged from this context
+      --since <date>  Only errors at or after this date/time
+      --fingerprint <id>
+                      Only this error group
+`;
+
+/**
+ * Raised for invalid command lines - maps to EXIT_CODES.USAGE
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Parse raw arguments into a command description
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @returns {{command: string, demos: string[], flags: object}}
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: OPTIONS,
+            allowPositionals: true,
+            strict: true,
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const [command = "default", ...demos] = parsed.positionals;
+    const flags = { ...parsed.values };
+
+    if (flags.help) {
+        return { command: "help", demos: [], flags };
+    }
+
+    if (flags.pause !== undefined) {
+        const pauseMs = Number(flags.pause);
+        if (!Number.isInteger(pauseMs) || pauseMs < 0) {
+            throw new UsageError(
+                `--pause expects a non-negative integer, got '${flags.pause}'`
+            );
+        }
+        flags.pause = pauseMs;
+    }
+
+    if (flags.runs !== undefined) {
+        const runs = Number(flags.runs);
+        if (!Number.isInteger(runs) || runs < 1) {
+            throw new UsageError(
+                `--runs expects a positive integer, got '${flags.runs}'`
+            );
+        }
+        flags.runs = runs;
+    }
+
+    if (flags.since !== undefined && Number.isNaN(Date.parse(flags.since))) {
+        throw new UsageError(
+            `--since expects a date or date-time, got '${flags.since}'`
+        );
+    }
+
+    return { command, demos, flags };
+}
+
+/**
+ * Send everything demos print to stderr while fn runs,
+ * keeping stdout clean for the JSON summary
+ */
+async function withConsoleOnStderr(fn) {
+    const originalConsole = global.console;
+    global.console = new Console({
+        stdout: process.stderr,
+        stderr: process.stderr,
+    });
+
+    try {
+        return await fn();
+    } finally {
+        global.console = originalConsole;
+    }
+}
+
+function serializeResult(result) {
+    return {
+        name: result.name,
+        status: result.status,
+        durationMs: Math.round(result.durationMs),
+        error: result.error
+            ? {
+                  name: result.error.name,
+                  message: result.error.message,
+                  stack: result.error.stack,
+              }
+            : null,
+        handles: result.handles ? result.handles.summary : null,
+    };
+}
+
+function printRunSummary(results) {
+    console.log("\n📊 Demo Run Summary");
+    console.table(
+        results.map((result) => ({
+            Demo: result.name,
+            Status: result.status,
+            "Duration (ms)": Math.round(result.durationMs),
+            Error: result.error ? result.error.message : "",
+            "Open handles":
+                result.handles && result.handles.status === "leak"
+                    ? result.handles.summary
+                    : "",
+        }))
+    );
+}
+
+const commands = {
+    /**
+     * Original launcher behaviour: list demos and walk the scenarios
+     */
+    async default(debugMaster) {
+        // DEBUGGING: Right-click here and "Add to Watch" for debugMaster
+        debugMaster.listDemos();
+
+        // Run interactive debugging scenarios
+        debugMaster.debuggingScenarios();
+
+        console.log("\n🎉 Debugging practice session complete!");
+        console.log(
+            "💡 Try setting breakpoints and running with: npm run debug"
+        );
+        console.log("💡 Run a single demo with: node src/index.js run console");
+
+        return { exitCode: EXIT_CODES.OK };
+    },
+
+    async list(debugMaster) {
+        debugMaster.listDemos();
+
+        const demos = Array.from(debugMaster.modules, ([name, demo]) => ({
+            name,
+            title: demo.title,
+            description: demo.description,
+            tags: demo.tags,
+            source: demo.source,
+        }));
+
+        return { exitCode: EXIT_CODES.OK, json: { demos } };
+    },
+
+    async run(debugMaster, { demos, flags }) {
+        const tags = flags.tag || [];
+        const selectors = [flags.all, demos.length > 0, tags.length > 0];
+        if (selectors.filter(Boolean).length > 1) {
+            throw new UsageError(
+                "Use only one of --all, --tag or a list of demos"
+            );
+        }
+
+        const available = Array.from(debugMaster.modules.keys());
+        let names = flags.all ? available : demos;
+
+        if (tags.length > 0) {
+            const tagged = new Set(
+                tags
+                    .flatMap((tag) => debugMaster.registry.withTag(tag))
+                    .map((demo) => demo.name)
+            );
+            names = available.filter((name) => tagged.has(name));
+            if (names.length === 0) {
+                throw new UsageError(`No demos tagged ${tags.join(", ")}`);
+            }
+        }
+
+        if (names.length === 0) {
+            throw new UsageError(
+                "Nothing to run: name at least one demo, --tag or --all"
+            );
+        }
+
+        const unknown = names.filter((name) => !available.includes(name));
+        if (unknown.length > 0) {
+            throw new UsageError(
+                `Unknown demo(s): ${unknown.join(", ")}. ` +
+                    `Available: ${available.join(", ")}`
+            );
+        }
+
+        // DEBUGGING: Add a watch expression for 'names' to see the run order
+        const results = await debugMaster.runDemos(names, {
+            bail: flags.bail,
+            pauseMs: flags.pause,
+        });
+
+        printRunSummary(results);
+
+        const countBy = (status) =>
+            results.filter((result) => result.status === status).length;
+        const failed = countBy("failed");
+
+        return {
+            exitCode: failed > 0 ? EXIT_CODES.DEMO_FAILED : EXIT_CODES.OK,
+            json: {
+                results: results.map(serializeResult),
+                passed: countBy("passed"),
+                failed,
+                notRun: names.length - results.length,
+            },
+        };
+    },
+
+    /**
+     * Error log trends across runs (see src/errors/error-log-store.js)
+     */
+    async stats(debugMaster, { flags }) {
+        const store = new ErrorLogStore();
+        const stats = store.stats({
+            runs: flags.runs,
+            type: flags.type,
+            context: flags.context,
+            since: flags.since,
+            fingerprint: flags.fingerprint,
+        });
+
+        console.log("\n📈 Error Log Stats");
+        if (stats.total === 0) {
+            console.log(
+                "No errors logged yet - run some demos first: node src/index.js run errors"
+            );
+        } else {
+            printErrorStats(stats);
+        }
+
+        return { exitCode: EXIT_CODES.OK, json: { stats } };
+    },
+
+    async help() {
+        console.log(HELP_TEXT);
+        return { exitCode: EXIT_CODES.OK, json: { help: HELP_TEXT.trim() } };
+    },
+};
+
+/**
+ * Run the command line against a freshly created DebugMaster
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @param {Function} createDebugMaster - Factory receiving { plugins }
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(argv, createDebugMaster) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(HELP_TEXT);
+        return EXIT_CODES.USAGE;
+    }
+
+    // PITFALL: commands["constructor"] is Object's - only own keys are commands
+    const handler = Object.hasOwn(commands, parsed.command)
+        ? commands[parsed.command]
+        : null;
+    const json = Boolean(parsed.flags.json);
+
+    const execute = async () => {
+        if (!handler) {
+            throw new UsageError(`Unknown command '${parsed.command}'`);
+        }
+
+        console.log("🐛 JavaScript Debugging Mastery Project Started");
+        console.log("=".repeat(50));
+
+        const debugMaster = createDebugMaster({
+            plugins: parsed.flags.plugin || [],
+        });
+        return handler(debugMaster, parsed);
+    };
+
+    try {
+        const outcome = json
+            ? await withConsoleOnStderr(execute)
+            : await execute();
+
+        if (json) {
+            process.stdout.write(
+                JSON.stringify(
+                    {
+                        command: parsed.command,
+                        exitCode: outcome.exitCode,
+                        ...outcome.json,
+                    },
+                    null,
+                    2
+                ) + "\n"
+            );
+        }
+
+        return outcome.exitCode;
+    } catch (error) {
+        // A bad --plugin is a bad command line, not a failed demo
+        if (error instanceof UsageError || error instanceof PluginLoadError) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    UsageError,
+    parseCommandLine,
+    runCli,
+};
@@ -5,6 +5,9 @@
  * for complex applications and debugging scenarios.
  */
 
+const { captureStack, formatFrame } = require('../errors/stack-parser');
+const { Logger } = require('../logging/logger');
+
 class AdvancedConsoleDebugging {
     constructor() {
         this.logHistory = [];
@@ -22,12 +25,15 @@ class AdvancedConsoleDebugging {
         
         // Create proxy to intercept console calls
         const consoleProxy = new Proxy(console, {
-            get(target, prop) {
+            // Arrow functions keep `this` - no .bind() needed (or allowed)
+            get: (target, prop) => {
                 if (typeof target[prop] === 'function') {
                     return (...args) => {
                         // Add timestamp and context to all console calls
                         const timestamp = new Date().toISOString();
-                        const context = Error().stack.split('\n')[2]?.trim() || 'unknown';
+                        // Skips this wrapper - the first frame is the caller
+                        const [caller] = captureStack();
+                        const context = caller ? formatFrame(caller) : 'unknown';
                         
                         // Store in history
                         this.logHistory.push({
@@ -43,10 +49,10 @@ class AdvancedConsoleDebugging {
                             `[${timestamp}]`, 
                             ...args
                         );
-                    }.bind(this);
+                    };
                 }
                 return target[prop];
-            }.bind(this)
+            }
         });
         
         // Replace global console (be careful in production!)
@@ -218,55 +224,27 @@ class AdvancedConsoleDebugging {
     conditionalAndFilteredLogging() {
         console.log('\n=== CONDITIONAL & FILTERED LOGGING ===');
         
-        const logger = {
-            levels: {
-                ERROR: 0,
-                WARN: 1,
-                INFO: 2,
-                DEBUG: 3,
-                VERBOSE: 4
-            },
-            
-            currentLevel: 2, // INFO level
-            
-            log(level, message, data) {
-                if (this.levels[level] <= this.currentLevel) {
-                    const timestamp = new Date().toISOString();
-                    const colorMap = {
-                        ERROR: '❌',
-                        WARN: '⚠️',
-                        INFO: 'ℹ️',
-                        DEBUG: '🐛',
-                        VERBOSE: '📝'
-                    };
-                    
-                    console.log(
-                        `${colorMap[level]} [${timestamp}] ${level}: ${message}`,
-                        data ? data : ''
-                    );
-                }
-            },
-            
-            error: function(message, data) { this.log('ERROR', message, data); },
-            warn: function(message, data) { this.log('WARN', message, data); },
-            info: function(message, data) { this.log('INFO', message, data); },
-            debug: function(message, data) { this.log('DEBUG', message, data); },
-            verbose: function(message, data) { this.log('VERBOSE', message, data); }
-        };
+        // Numeric levels: a record is written when its level >= the logger's
+        const logger = new Logger({ name: 'console-advanced', level: 'info' });
         
         // Test different log levels
         logger.error('This is an error message');
         logger.warn('This is a warning message');
         logger.info('This is an info message');
         logger.debug('This debug message will not show (level too high)');
-        logger.verbose('This verbose message will not show (level too high)');
+        logger.trace('This trace message will not show (level too high)');
         
         // Change log level and test again
-        console.log('\n--- Changing log level to VERBOSE ---');
-        logger.currentLevel = 4;
+        console.log('\n--- Changing log level to TRACE ---');
+        logger.setLevel('trace');
         
         logger.debug('Now debug messages show');
-        logger.verbose('And verbose messages too');
+        logger.trace('And trace messages too');
+        
+        // DEBUGGING: Guard expensive log arguments instead of building them for nothing
+        if (logger.isLevelEnabled('debug')) {
+            logger.debug('Log history', { entries: this.logHistory.length });
+        }
     }
 
     /**
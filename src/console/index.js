@@ -0,0 +1,16 @@
+/**
+ * Console Debugging - demo manifest
+ *
+ * Picked up by DemoRegistry.discover(); see src/registry.js for the contract.
+ */
+
+const consoleDebugging = require("./console-methods");
+
+module.exports = {
+    name: "console",
+    title: "Console Debugging",
+    description: "Learn console methods and techniques",
+    tags: ["console", "logging", "basics"],
+    order: 10,
+    run: () => consoleDebugging.run(),
+};
@@ -0,0 +1,337 @@
+/**
+ * Error Handling Benchmarks
+ *
+ * A tiny micro-benchmark harness - warmup, several samples, statistics -
+ * and the suites that measure what errors actually cost: throwing vs.
+ * returning a result, deep vs. shallow stacks, Error.captureStackTrace and
+ * Error.stackTraceLimit.
+ *
+ * A single `console.time` around a loop measures one noisy run; comparing
+ * two of those says more about the JIT and GC than about the code.
+ *
+ * Run standalone:
+ *   node src/errors/benchmark.js          # comparison tables
+ *   node src/errors/benchmark.js --json   # results as JSON
+ */
+
+// Results are written here so V8 can't optimise the measured work away
+let sink;
+
+/**
+ * Statistics over a list of numbers
+ * @returns {{ mean, p50, p95, stddev, min, max }}
+ */
+function summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance =
+        sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        Math.max(sorted.length - 1, 1);
+
+    return {
+        mean,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        stddev: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+    };
+}
+
+/**
+ * Linear-interpolated percentile of an already sorted list
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function formatDuration(ns) {
+    if (ns >= 1e6) return `${(ns / 1e6).toFixed(2)} ms`;
+    if (ns >= 1e3) return `${(ns / 1e3).toFixed(2)} µs`;
+    return `${ns.toFixed(1)} ns`;
+}
+
+class Benchmark {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Suite name
+     * @param {number} [options.iterations] - Calls per sample
+     * @param {number} [options.samples] - Measured samples per case
+     * @param {number} [options.warmupSamples] - Unmeasured samples first (lets the JIT settle)
+     * @param {number} [options.minSampleMs] - Fast cases get more calls per sample until a sample takes this long
+     */
+    constructor({
+        name,
+        iterations = 1000,
+        samples = 10,
+        warmupSamples = 2,
+        minSampleMs = 2,
+    }) {
+        this.name = name;
+        this.iterations = iterations;
+        this.samples = samples;
+        this.warmupSamples = warmupSamples;
+        this.minSampleMs = minSampleMs;
+        this.cases = [];
+    }
+
+    /**
+     * Register a case; the first one added is the baseline
+     * @param {string} name
+     * @param {Function} fn - One operation; its return value is kept alive
+     * @param {Object} [hooks] - { setup, teardown } run around each case
+     */
+    add(name, fn, { setup, teardown } = {}) {
+        this.cases.push({ name, fn, setup, teardown });
+        return this;
+    }
+
+    /**
+     * Time one sample: `iterations` calls, in nanoseconds per call
+     */
+    measure(fn, iterations) {
+        const start = process.hrtime.bigint();
+        for (let i = 0; i < iterations; i++) {
+            sink = fn(i);
+        }
+        return Number(process.hrtime.bigint() - start) / iterations;
+    }
+
+    /**
+     * Calls per sample for this case - a 20µs sample is mostly timer noise
+     */
+    calibrate(fn) {
+        const perCall = this.measure(fn, this.iterations);
+        const needed = Math.ceil((this.minSampleMs * 1e6) / perCall);
+        return Math.max(this.iterations, needed);
+    }
+
+    /**
+     * @returns {Object} { name, samples, results: [...] }
+     */
+    run() {
+        const results = this.cases.map(({ name, fn, setup, teardown }) => {
+            if (setup) setup();
+            try {
+                const iterations = this.calibrate(fn);
+                for (let i = 0; i < this.warmupSamples; i++) {
+                    this.measure(fn, iterations);
+                }
+                const samples = [];
+                for (let i = 0; i < this.samples; i++) {
+                    samples.push(this.measure(fn, iterations));
+                }
+
+                const stats = summarize(samples);
+                return {
+                    name,
+                    iterations,
+                    ...stats,
+                    opsPerSec: 1e9 / stats.mean,
+                    samples,
+                };
+            } finally {
+                // PITFALL: a leaked Error.stackTraceLimit change skews every later case
+                if (teardown) teardown();
+            }
+        });
+
+        const baseline = results[0];
+        results.forEach((result) => {
+            result.relative = result.mean / baseline.mean;
+        });
+
+        return {
+            name: this.name,
+            samples: this.samples,
+            results,
+        };
+    }
+}
+
+/**
+ * Print a suite's results as a comparison table
+ */
+function printResults(report) {
+    console.group(`⏱️  ${report.name} (${report.samples} samples per case)`);
+    console.table(
+        report.results.map((result, index) => ({
+            Case: result.name,
+            "ops/sample": result.iterations,
+            Mean: formatDuration(result.mean),
+            p50: formatDuration(result.p50),
+            p95: formatDuration(result.p95),
+            "±": `${((result.stddev / result.mean) * 100).toFixed(1)}%`,
+            "ops/sec": Math.round(result.opsPerSec).toLocaleString(),
+            "vs baseline":
+                index === 0 ? "baseline" : `${result.relative.toFixed(2)}x`,
+        }))
+    );
+    console.groupEnd();
+}
+
+// =============================================================================
+// ERROR HANDLING SUITES
+// =============================================================================
+
+function parsePositive(value) {
+    if (value <= 0) {
+        throw new RangeError(`Expected a positive number, got ${value}`);
+    }
+    return value;
+}
+
+function parsePositiveResult(value) {
+    if (value <= 0) {
+        return { ok: false, error: `Expected a positive number, got ${value}` };
+    }
+    return { ok: true, value };
+}
+
+function throwAtDepth(depth) {
+    if (depth === 0) throw new Error("bottom of the stack");
+    return throwAtDepth(depth - 1);
+}
+
+function withStackTraceLimit(limit) {
+    let previous;
+    return {
+        setup: () => {
+            previous = Error.stackTraceLimit;
+            Error.stackTraceLimit = limit;
+        },
+        teardown: () => {
+            Error.stackTraceLimit = previous;
+        },
+    };
+}
+
+function createErrorSuites({ iterations = 500, samples = 10 } = {}) {
+    const options = { iterations, samples };
+    const DEPTH = 50;
+
+    const throwVsResult = new Benchmark({
+        name: "Throw vs. return a result",
+        ...options,
+    })
+        .add("return value (no error)", (i) => parsePositive(i + 1))
+        .add("throw + catch", () => {
+            try {
+                return parsePositive(-1);
+            } catch (error) {
+                return error;
+            }
+        })
+        .add("return { ok: false }", () => parsePositiveResult(-1))
+        .add("throw + catch + read .stack", () => {
+            try {
+                return parsePositive(-1);
+            } catch (error) {
+                // DEBUGGING: The stack is formatted lazily - reading it costs extra
+                return error.stack;
+            }
+        });
+
+    const stackDepth = new Benchmark({
+        name: `Shallow vs. deep stack (depth ${DEPTH})`,
+        ...options,
+    })
+        .add("throw at depth 1", () => {
+            try {
+                return throwAtDepth(1);
+            } catch (error) {
+                return error;
+            }
+        })
+        .add(`throw at depth ${DEPTH}`, () => {
+            try {
+                return throwAtDepth(DEPTH);
+            } catch (error) {
+                return error;
+            }
+        })
+        .add(
+            `throw at depth ${DEPTH}, stackTraceLimit=Infinity`,
+            () => {
+                try {
+                    return throwAtDepth(DEPTH);
+                } catch (error) {
+                    return error;
+                }
+            },
+            withStackTraceLimit(Infinity)
+        );
+
+    const captureStackTrace = new Benchmark({
+        name: "Capturing stack traces",
+        ...options,
+    })
+        .add("plain object (no stack)", () => ({ message: "not an error" }))
+        .add("new Error()", () => new Error("fresh error"))
+        .add("Error.captureStackTrace(obj)", () => {
+            const target = { message: "captured" };
+            Error.captureStackTrace(target);
+            return target;
+        })
+        .add("Error.captureStackTrace(obj, fn)", function capture() {
+            const target = { message: "captured" };
+            // Frames above `capture` are skipped - fewer frames, less work
+            Error.captureStackTrace(target, capture);
+            return target;
+        });
+
+    const stackTraceLimit = new Benchmark({
+        name: `Error.stackTraceLimit at depth ${DEPTH}`,
+        ...options,
+    });
+    [10, 0, 1, 50].forEach((limit) => {
+        stackTraceLimit.add(
+            `stackTraceLimit=${limit}${limit === 10 ? " (default)" : ""}`,
+            () => {
+                try {
+                    return throwAtDepth(DEPTH);
+                } catch (error) {
+                    return error.stack;
+                }
+            },
+            withStackTraceLimit(limit)
+        );
+    });
+
+    return [throwVsResult, stackDepth, captureStackTrace, stackTraceLimit];
+}
+
+/**
+ * Run every error-handling suite
+ * @param {Object} options - { iterations, samples, print: show tables }
+ * @returns {Object[]} One report per suite
+ */
+function runErrorBenchmarks({ print = true, ...options } = {}) {
+    return createErrorSuites(options).map((suite) => {
+        const report = suite.run();
+        if (print) printResults(report);
+        return report;
+    });
+}
+
+module.exports = {
+    Benchmark,
+    summarize,
+    percentile,
+    formatDuration,
+    printResults,
+    createErrorSuites,
+    runErrorBenchmarks,
+};
+
+if (require.main === module) {
+    const json = process.argv.includes("--json");
+    const reports = runErrorBenchmarks({ print: !json });
+    if (json) {
+        console.log(JSON.stringify(reports, null, 2));
+    }
+}
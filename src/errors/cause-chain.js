@@ -0,0 +1,221 @@
+/**
+ * Cause Chain Visualizer
+ *
+ * Wrapped and re-thrown errors form a tree: `cause` (standard), the older
+ * `originalError` convention and `AggregateError.errors` all point at more
+ * errors. These helpers walk the whole tree, drop the stack frames a child
+ * shares with its parent (they only repeat the caller's path) and render
+ * the result as text or JSON.
+ */
+
+const path = require("path");
+const { parseStack } = require("./stack-parser");
+
+// Cause chains can be cyclic (a.cause = b; b.cause = a) or huge
+const MAX_DEPTH = 20;
+
+/**
+ * The frame lines of an error's stack (V8, Firefox or Safari format)
+ */
+function getStackFrames(error) {
+    if (!error || typeof error.stack !== "string") return [];
+    return parseStack(error.stack).map((frame) => frame.raw);
+}
+
+/**
+ * Number of trailing frames a stack has in common with its parent's
+ *
+ * Stacks are cut at Error.stackTraceLimit, so the two tails rarely line up
+ * exactly - instead find where the child joins the parent's call path and
+ * check the frames agree until one of the stacks runs out.
+ */
+function countSharedFrames(frames, parentFrames) {
+    for (let i = 0; i < frames.length; i++) {
+        const j = parentFrames.indexOf(frames[i]);
+        if (j === -1) continue;
+
+        let matched = 0;
+        while (
+            i + matched < frames.length &&
+            j + matched < parentFrames.length &&
+            frames[i + matched] === parentFrames[j + matched]
+        ) {
+            matched++;
+        }
+        if (
+            i + matched === frames.length ||
+            j + matched === parentFrames.length
+        ) {
+            return frames.length - i;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Errors linked from this one, labelled with how they are linked
+ */
+function getLinkedErrors(error) {
+    if (!error || typeof error !== "object") return [];
+
+    const links = [];
+    if (error.cause !== undefined) {
+        links.push({ via: "cause", error: error.cause });
+    }
+    // Pre-ES2022 code often stored the wrapped error under its own name
+    if (error.originalError !== undefined) {
+        links.push({ via: "originalError", error: error.originalError });
+    }
+    if (Array.isArray(error.errors)) {
+        error.errors.forEach((inner, index) => {
+            links.push({ via: `errors[${index}]`, error: inner });
+        });
+    }
+    return links;
+}
+
+/**
+ * Build a JSON-safe tree of an error and everything it links to
+ * @param {*} error - Any thrown value
+ * @returns {Object} { via, name, message, code, frames, sharedFrames, children }
+ */
+function buildCauseTree(
+    error,
+    { via = "root", parentFrames = [], seen = new Set(), depth = 0 } = {}
+) {
+    const isObject = error !== null && typeof error === "object";
+    const node = {
+        via,
+        name: error instanceof Error ? error.name : typeof error,
+        message:
+            isObject && "message" in error
+                ? String(error.message)
+                : String(error),
+        code: isObject && error.code !== undefined ? error.code : undefined,
+        frames: [],
+        sharedFrames: 0,
+        children: [],
+    };
+
+    if (isObject && seen.has(error)) {
+        node.circular = true;
+        return node;
+    }
+    if (isObject) seen.add(error);
+
+    const frames = getStackFrames(error);
+    node.sharedFrames = countSharedFrames(frames, parentFrames);
+    node.frames = frames.slice(0, frames.length - node.sharedFrames);
+
+    if (depth < MAX_DEPTH) {
+        node.children = getLinkedErrors(error).map((link) =>
+            buildCauseTree(link.error, {
+                via: link.via,
+                parentFrames: frames,
+                seen,
+                depth: depth + 1,
+            })
+        );
+    }
+
+    return node;
+}
+
+/**
+ * Follow cause / originalError links to the innermost error
+ */
+function getRootCause(error) {
+    const seen = new Set();
+    let current = error;
+
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+        const next = getLinkedErrors(current).find(
+            (link) => link.via === "cause" || link.via === "originalError"
+        );
+        if (!next) break;
+        current = next.error;
+    }
+    return current;
+}
+
+function shortenFrame(frame) {
+    return frame.replace(process.cwd() + path.sep, "");
+}
+
+/**
+ * Render the cause tree as text
+ * @param {*} error
+ * @param {Object} options - { maxFrames: frames shown per error }
+ * @returns {string}
+ */
+function formatCauseTree(error, { maxFrames = 4 } = {}) {
+    const lines = [];
+
+    const render = (node, prefix, connector) => {
+        const label = node.via === "root" ? "" : `${node.via}: `;
+        const code = node.code !== undefined ? ` [${node.code}]` : "";
+        const circular = node.circular ? " ↺ (already shown above)" : "";
+        lines.push(
+            `${prefix}${connector}${label}${node.name}${code}: ${node.message}${circular}`
+        );
+
+        const childPrefix =
+            prefix +
+            (connector === "├─ " ? "│  " : connector === "└─ " ? "   " : "");
+        const framePrefix = `${childPrefix}${
+            node.children.length ? "│" : " "
+        }    `;
+
+        node.frames
+            .slice(0, maxFrames)
+            .forEach((frame) => lines.push(framePrefix + shortenFrame(frame)));
+        if (node.frames.length > maxFrames) {
+            lines.push(
+                `${framePrefix}... ${node.frames.length - maxFrames} more`
+            );
+        }
+        if (node.sharedFrames > 0) {
+            lines.push(
+                `${framePrefix}... ${node.sharedFrames} frames shared with the error above`
+            );
+        }
+
+        node.children.forEach((child, index) =>
+            render(
+                child,
+                childPrefix,
+                index === node.children.length - 1 ? "└─ " : "├─ "
+            )
+        );
+    };
+
+    render(buildCauseTree(error), "", "");
+    return lines.join("\n");
+}
+
+/**
+ * Print the cause tree (and optionally its JSON form)
+ * @param {*} error
+ * @param {Object} options - { title, json: also print the JSON tree, maxFrames }
+ */
+function printCauseChain(
+    error,
+    { title = "Cause chain", json = false, maxFrames } = {}
+) {
+    console.group(`🧬 ${title}`);
+    console.log(formatCauseTree(error, { maxFrames }));
+    if (json) {
+        console.log(JSON.stringify(buildCauseTree(error), null, 2));
+    }
+    console.groupEnd();
+}
+
+module.exports = {
+    getStackFrames,
+    getLinkedErrors,
+    buildCauseTree,
+    getRootCause,
+    formatCauseTree,
+    printCauseChain,
+};
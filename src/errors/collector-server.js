@@ -0,0 +1,93 @@
+/**
+ * Error Collector - a local stand-in for Sentry & co.
+ *
+ * Accepts batches from HttpTransport and keeps them in memory, so the
+ * reporter can be exercised end to end without an account or a network.
+ * It can also fail on purpose to show the transport's retries.
+ *
+ * Run directly: node src/errors/collector-server.js   # listens on PORT or 3002
+ */
+
+const express = require("express");
+const { logger } = require("../logging/logger");
+
+const log = logger.child({ component: "collector" });
+
+/**
+ * Start the collector on localhost
+ * @param {Object} options - { port: 0 picks a free port, log, failFirst: requests answered with 503 }
+ * @returns {Promise<{url, port, events, requests, close}>}
+ */
+function startCollectorServer({
+    port = 0,
+    log: logRequests = false,
+    failFirst = 0,
+} = {}) {
+    const app = express();
+    const events = [];
+    let requests = 0;
+
+    app.use(express.json({ limit: "1mb" }));
+
+    app.post("/api/errors", (req, res) => {
+        requests++;
+
+        if (requests <= failFirst) {
+            if (logRequests) {
+                log.info(`request ${requests} → 503 (simulated outage)`);
+            }
+            return res.status(503).json({ error: "SERVICE_UNAVAILABLE" });
+        }
+
+        const batch = Array.isArray(req.body && req.body.events)
+            ? req.body.events
+            : null;
+        if (!batch) {
+            return res.status(400).json({ error: "EXPECTED_EVENTS_ARRAY" });
+        }
+
+        events.push(...batch);
+        if (logRequests) {
+            log.info(`received ${batch.length} event(s)`, {
+                stored: events.length,
+            });
+        }
+        res.status(202).json({ accepted: batch.length });
+    });
+
+    app.get("/api/errors", (req, res) => {
+        res.json(events);
+    });
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, "127.0.0.1");
+        server.once("error", reject);
+        server.once("listening", () => {
+            const { port: actualPort } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${actualPort}`,
+                port: actualPort,
+                events,
+                get requests() {
+                    return requests;
+                },
+                close: () =>
+                    new Promise((resolveClose) => {
+                        server.close(() => resolveClose());
+                        server.closeAllConnections();
+                    }),
+            });
+        });
+    });
+}
+
+module.exports = { startCollectorServer };
+
+if (require.main === module) {
+    startCollectorServer({
+        port: Number(process.env.PORT) || 3002,
+        log: true,
+    }).then(({ url }) =>
+        log.info(`📥 Error collector listening on ${url}/api/errors`)
+    );
+}
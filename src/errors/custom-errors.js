@@ -0,0 +1,263 @@
+/**
+ * Custom Error Classes
+ *
+ * An AppError hierarchy with standard codes, HTTP status codes, structured
+ * details and `cause` chains, plus serialization that survives a trip
+ * through JSON (log files, worker messages, HTTP responses) without losing
+ * the class, the stack or the cause.
+ */
+
+const ERROR_CODES = {
+    INTERNAL: "ERR_INTERNAL",
+    VALIDATION: "ERR_VALIDATION",
+    NOT_FOUND: "ERR_NOT_FOUND",
+    UNAUTHORIZED: "ERR_UNAUTHORIZED",
+    CONFLICT: "ERR_CONFLICT",
+    TIMEOUT: "ERR_TIMEOUT",
+    EXTERNAL_SERVICE: "ERR_EXTERNAL_SERVICE",
+    RETRIES_EXHAUSTED: "ERR_RETRIES_EXHAUSTED",
+    CIRCUIT_OPEN: "ERR_CIRCUIT_OPEN",
+    BULKHEAD_FULL: "ERR_BULKHEAD_FULL",
+};
+
+// Guards against cyclic or absurdly deep cause chains
+const MAX_CAUSE_DEPTH = 10;
+
+/**
+ * Base class for every error the application throws on purpose
+ */
+class AppError extends Error {
+    static defaultCode = ERROR_CODES.INTERNAL;
+    static defaultStatus = 500;
+
+    /**
+     * @param {string} message
+     * @param {Object} options
+     * @param {string} [options.code] - Stable machine-readable code (ERROR_CODES)
+     * @param {number} [options.statusCode] - HTTP status to respond with
+     * @param {Object} [options.details] - Structured context for debugging
+     * @param {*} [options.cause] - The error that triggered this one
+     * @param {boolean} [options.isOperational] - false for programmer errors (bugs)
+     */
+    constructor(
+        message,
+        { code, statusCode, details, cause, isOperational = true } = {}
+    ) {
+        super(message, cause !== undefined ? { cause } : undefined);
+
+        this.name = new.target.name;
+        this.code = code || new.target.defaultCode;
+        this.statusCode = statusCode || new.target.defaultStatus;
+        this.details = details;
+        this.isOperational = isOperational;
+        this.timestamp = new Date().toISOString();
+
+        // DEBUGGING: Keep the constructor itself out of the stack trace
+        Error.captureStackTrace(this, new.target);
+    }
+
+    toJSON() {
+        return serializeError(this);
+    }
+
+    /**
+     * Rebuild an error (and its cause chain) from toJSON() output
+     */
+    static fromJSON(json) {
+        return deserializeError(json);
+    }
+}
+
+class ValidationError extends AppError {
+    static defaultCode = ERROR_CODES.VALIDATION;
+    static defaultStatus = 400;
+
+    /**
+     * @param {string} message
+     * @param {Object} options - AppError options plus fields: [{ field, message }]
+     */
+    constructor(message, { fields = [], ...options } = {}) {
+        super(message, {
+            ...options,
+            details: { fields, ...options.details },
+        });
+    }
+
+    get fields() {
+        return this.details.fields;
+    }
+}
+
+class NotFoundError extends AppError {
+    static defaultCode = ERROR_CODES.NOT_FOUND;
+    static defaultStatus = 404;
+}
+
+class UnauthorizedError extends AppError {
+    static defaultCode = ERROR_CODES.UNAUTHORIZED;
+    static defaultStatus = 401;
+}
+
+class ConflictError extends AppError {
+    static defaultCode = ERROR_CODES.CONFLICT;
+    static defaultStatus = 409;
+}
+
+class TimeoutError extends AppError {
+    static defaultCode = ERROR_CODES.TIMEOUT;
+    static defaultStatus = 504;
+}
+
+class ExternalServiceError extends AppError {
+    static defaultCode = ERROR_CODES.EXTERNAL_SERVICE;
+    static defaultStatus = 502;
+}
+
+class RetriesExhaustedError extends AppError {
+    static defaultCode = ERROR_CODES.RETRIES_EXHAUSTED;
+    static defaultStatus = 503;
+}
+
+class CircuitOpenError extends AppError {
+    static defaultCode = ERROR_CODES.CIRCUIT_OPEN;
+    static defaultStatus = 503;
+}
+
+class BulkheadFullError extends AppError {
+    static defaultCode = ERROR_CODES.BULKHEAD_FULL;
+    static defaultStatus = 503;
+}
+
+const APP_ERROR_CLASSES = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ConflictError,
+    TimeoutError,
+    ExternalServiceError,
+    RetriesExhaustedError,
+    CircuitOpenError,
+    BulkheadFullError,
+};
+
+const BUILTIN_ERROR_CLASSES = {
+    Error,
+    TypeError,
+    RangeError,
+    ReferenceError,
+    SyntaxError,
+    EvalError,
+    URIError,
+};
+
+/**
+ * Convert any thrown value into plain JSON, following cause chains and
+ * AggregateError.errors
+ * @param {*} error
+ * @returns {Object}
+ */
+function serializeError(error, depth = 0) {
+    if (!(error instanceof Error)) {
+        // PITFALL: `throw "string"` and `reject(undefined)` happen in real code
+        return { name: "NonError", message: String(error), value: error };
+    }
+
+    const json = {
+        name: error.name,
+        message: error.message,
+    };
+
+    if (error instanceof AppError) {
+        json.code = error.code;
+        json.statusCode = error.statusCode;
+        json.details = error.details;
+        json.isOperational = error.isOperational;
+        json.timestamp = error.timestamp;
+    } else if (error.code !== undefined) {
+        json.code = error.code;
+    }
+
+    json.stack = error.stack;
+
+    if (depth < MAX_CAUSE_DEPTH) {
+        if (error.cause !== undefined) {
+            json.cause = serializeError(error.cause, depth + 1);
+        }
+        if (Array.isArray(error.errors)) {
+            json.errors = error.errors.map((inner) =>
+                serializeError(inner, depth + 1)
+            );
+        }
+    }
+
+    return json;
+}
+
+/**
+ * Inverse of serializeError(): AppError subclasses and built-in errors get
+ * their class back, anything unknown becomes an Error with the original name
+ * @param {Object} json
+ * @returns {Error}
+ */
+function deserializeError(json) {
+    if (!json || typeof json !== "object") {
+        return json;
+    }
+    if (json.name === "NonError") {
+        return json.value;
+    }
+
+    const cause =
+        json.cause !== undefined ? deserializeError(json.cause) : undefined;
+    const causeOption = cause !== undefined ? { cause } : undefined;
+    const ErrorClass = APP_ERROR_CLASSES[json.name];
+    let error;
+
+    if (ErrorClass) {
+        error = new ErrorClass(json.message, {
+            code: json.code,
+            statusCode: json.statusCode,
+            details: json.details,
+            isOperational: json.isOperational,
+            cause,
+        });
+        if (json.timestamp) error.timestamp = json.timestamp;
+    } else if (json.name === "AggregateError") {
+        error = new AggregateError(
+            (json.errors || []).map(deserializeError),
+            json.message,
+            causeOption
+        );
+    } else {
+        const Builtin = BUILTIN_ERROR_CLASSES[json.name] || Error;
+        error = new Builtin(json.message, causeOption);
+        if (error.name !== json.name) error.name = json.name;
+        if (json.code !== undefined) error.code = json.code;
+    }
+
+    if (json.errors && !error.errors) {
+        error.errors = json.errors.map(deserializeError);
+    }
+
+    // DEBUGGING: The original stack is the whole point - don't replace it
+    if (json.stack) error.stack = json.stack;
+
+    return error;
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ConflictError,
+    TimeoutError,
+    ExternalServiceError,
+    RetriesExhaustedError,
+    CircuitOpenError,
+    BulkheadFullError,
+    serializeError,
+    deserializeError,
+};
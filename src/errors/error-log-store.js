@@ -0,0 +1,324 @@
+/**
+ * Error Log Store
+ *
+ * A persistent, append-only error log: one JSON object per line (NDJSON),
+ * so a crash can lose at most the line being written and the file stays
+ * greppable. Every entry carries the run it came from and a fingerprint,
+ * which makes "is this error new?" and "is it getting worse?" answerable
+ * across runs - see `node src/index.js stats`. A run marker line
+ * ({ kind: "run" }) records each run, also the ones that logged no errors.
+ *
+ * The file lives in the OS temp directory unless DEBUG_ME_ERROR_LOG points
+ * somewhere else.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fingerprintError } = require("./error-reporter");
+
+const DEFAULT_LOG_PATH =
+    process.env.DEBUG_ME_ERROR_LOG ||
+    path.join(os.tmpdir(), "debug-me-errors", "error-log.ndjson");
+
+// One id per process - groups the entries written by a single run
+const RUN_ID = `${new Date().toISOString()}#${crypto.randomUUID().slice(0, 8)}`;
+
+function isRunMarker(record) {
+    return record.kind === "run";
+}
+
+class ErrorLogStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.filePath] - NDJSON file to append to
+     * @param {string} [options.runId] - Tags entries written by this process
+     */
+    constructor({ filePath = DEFAULT_LOG_PATH, runId = RUN_ID } = {}) {
+        this.filePath = filePath;
+        this.runId = runId;
+        this.corruptLines = 0;
+        this.runMarked = false;
+    }
+
+    /**
+     * Record that this run happened - once per store, before any error
+     * PITFALL: Without the marker a run that logged no errors leaves no
+     * trace, and an error that stopped happening never shows up as "gone"
+     */
+    markRun() {
+        if (this.runMarked) return;
+        this.runMarked = true;
+        this.write({
+            kind: "run",
+            runId: this.runId,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    write(record) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + "\n");
+    }
+
+    /**
+     * Persist one error
+     * Synchronous on purpose: it is called from catch blocks, and an entry
+     * that is still buffered when the process dies is an entry lost.
+     * @returns {Object} The stored entry
+     */
+    append(context, error) {
+        this.markRun();
+        const entry = {
+            id: crypto.randomUUID(),
+            runId: this.runId,
+            timestamp: new Date().toISOString(),
+            context,
+            fingerprint: fingerprintError(error),
+            error: {
+                name: error instanceof Error ? error.name : typeof error,
+                code: error?.code,
+                message: error instanceof Error ? error.message : String(error),
+                stack: error?.stack,
+            },
+        };
+
+        this.write(entry);
+        return entry;
+    }
+
+    /**
+     * Every line in the file (error entries and run markers), oldest first
+     */
+    read() {
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        this.corruptLines = 0;
+        return content
+            .split("\n")
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    // PITFALL: a half-written last line after a crash - skip, don't fail
+                    this.corruptLines++;
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Filter error entries
+     * @param {Object} filters
+     * @param {string} [filters.type] - Error name (TypeError, ValidationError, ...)
+     * @param {string} [filters.code] - Error code
+     * @param {string} [filters.context] - Where it was logged
+     * @param {string} [filters.fingerprint]
+     * @param {string} [filters.runId]
+     * @param {Date|string} [filters.since] - Inclusive
+     * @param {Date|string} [filters.until] - Exclusive
+     * @param {number} [filters.limit] - Keep only the newest N
+     */
+    query(
+        { type, code, context, fingerprint, runId, since, until, limit } = {},
+        records = this.read()
+    ) {
+        const from = since ? new Date(since).getTime() : -Infinity;
+        const to = until ? new Date(until).getTime() : Infinity;
+
+        const entries = records.filter((entry) => {
+            if (isRunMarker(entry)) return false;
+            const time = Date.parse(entry.timestamp);
+            return (
+                (!type || entry.error.name === type) &&
+                (!code || entry.error.code === code) &&
+                (!context || entry.context === context) &&
+                (!fingerprint || entry.fingerprint.startsWith(fingerprint)) &&
+                (!runId || entry.runId === runId) &&
+                time >= from &&
+                time < to
+            );
+        });
+
+        return limit ? entries.slice(-limit) : entries;
+    }
+
+    /**
+     * Collapse identical errors (same fingerprint) into one row with a count
+     * @param {Object[]} [entries] - Defaults to every error in the log
+     * @returns {Object[]} Most frequent first
+     */
+    group(entries = this.query()) {
+        const groups = new Map();
+
+        entries.forEach((entry) => {
+            let group = groups.get(entry.fingerprint);
+            if (!group) {
+                group = {
+                    fingerprint: entry.fingerprint,
+                    name: entry.error.name,
+                    code: entry.error.code,
+                    message: entry.error.message,
+                    count: 0,
+                    contexts: new Set(),
+                    runs: new Set(),
+                    firstSeen: entry.timestamp,
+                    lastSeen: entry.timestamp,
+                };
+                groups.set(entry.fingerprint, group);
+            }
+            group.count++;
+            group.contexts.add(entry.context);
+            group.runs.add(entry.runId);
+            group.lastSeen = entry.timestamp;
+        });
+
+        return Array.from(groups.values())
+            .map((group) => ({
+                ...group,
+                contexts: Array.from(group.contexts),
+                runs: Array.from(group.runs),
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Runs in the log, oldest first, with their error counts
+     * @param {Object[]} [records] - Lines from read(), markers included
+     */
+    runs(records = this.read()) {
+        const runs = new Map();
+        records.forEach((record) => {
+            const run = runs.get(record.runId) || {
+                runId: record.runId,
+                startedAt: record.timestamp,
+                errors: 0,
+            };
+            if (!isRunMarker(record)) run.errors++;
+            runs.set(record.runId, run);
+        });
+        return Array.from(runs.values()).sort((a, b) =>
+            a.startedAt.localeCompare(b.startedAt)
+        );
+    }
+
+    /**
+     * Trends over the last `runs` runs: per error group, how often it
+     * happened in each run and whether that is going up or down
+     * @param {Object} options - { runs: how many runs to compare, ...query filters }
+     */
+    stats({ runs: runCount = 5, ...filters } = {}) {
+        const records = this.read();
+        // The filters pick the errors, not the runs: a run without a
+        // matching error is exactly what makes an error "gone" or "falling"
+        const recentRuns = this.runs(records).slice(-runCount);
+        const entries = this.query(filters, records);
+        const recentIds = recentRuns.map((run) => run.runId);
+        const recentEntries = entries.filter((entry) =>
+            recentIds.includes(entry.runId)
+        );
+
+        const groups = this.group(recentEntries).map((group) => {
+            const perRun = recentIds.map(
+                (runId) =>
+                    recentEntries.filter(
+                        (entry) =>
+                            entry.runId === runId &&
+                            entry.fingerprint === group.fingerprint
+                    ).length
+            );
+            return { ...group, perRun, trend: classifyTrend(perRun) };
+        });
+
+        return {
+            filePath: this.filePath,
+            total: entries.length,
+            corruptLines: this.corruptLines,
+            runs: recentRuns,
+            groups,
+        };
+    }
+
+    /**
+     * Delete the log file
+     */
+    clear() {
+        fs.rmSync(this.filePath, { force: true });
+    }
+}
+
+/**
+ * new      - only seen in the latest run
+ * gone     - not seen in the latest run
+ * rising / falling / steady - latest run compared to the one before
+ */
+function classifyTrend(perRun) {
+    const latest = perRun[perRun.length - 1];
+    const previous = perRun.length > 1 ? perRun[perRun.length - 2] : 0;
+    const earlier = perRun.slice(0, -1).some((count) => count > 0);
+
+    if (latest === 0) return "gone";
+    if (!earlier) return "new";
+    if (latest > previous) return "rising";
+    if (latest < previous) return "falling";
+    return "steady";
+}
+
+/**
+ * Print a stats() report
+ */
+function printErrorStats(stats) {
+    const icons = {
+        new: "🆕",
+        rising: "📈",
+        falling: "📉",
+        steady: "➖",
+        gone: "✅",
+    };
+
+    console.log(`📁 ${stats.filePath}`);
+    console.log(
+        `${stats.total} error(s) logged, comparing the last ${stats.runs.length} run(s)`
+    );
+    if (stats.corruptLines > 0) {
+        console.warn(`⚠️  Skipped ${stats.corruptLines} unreadable line(s)`);
+    }
+    if (stats.runs.length === 0) return;
+
+    console.table(
+        stats.runs.map((run) => ({
+            Run: run.runId,
+            Errors: run.errors,
+        }))
+    );
+    console.table(
+        stats.groups.map((group) => ({
+            Fingerprint: group.fingerprint,
+            Type: group.name,
+            Code: group.code ?? "-",
+            Message:
+                group.message.length > 40
+                    ? group.message.substring(0, 40) + "..."
+                    : group.message,
+            Count: group.count,
+            "Per run": group.perRun.join(" "),
+            Trend: `${icons[group.trend]} ${group.trend}`,
+        }))
+    );
+}
+
+module.exports = {
+    ErrorLogStore,
+    printErrorStats,
+    classifyTrend,
+    DEFAULT_LOG_PATH,
+    RUN_ID,
+};
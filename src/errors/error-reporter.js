@@ -0,0 +1,456 @@
+/**
+ * Error Reporter
+ *
+ * A small Sentry-style client: captured errors are fingerprinted,
+ * de-duplicated, rate limited, scrubbed of PII, decorated with breadcrumbs
+ * (the console calls that led up to the error) and shipped in batches to
+ * one or more transports.
+ *
+ * Transports are plain objects with `name` and `send(events)`; three are
+ * included - StdoutTransport, FileTransport (NDJSON) and HttpTransport.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const axios = require("axios");
+const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
+const { serializeError } = require("./custom-errors");
+const { parseStack, getAppFrames } = require("./stack-parser");
+const { retry } = require("./resilience");
+const { DEFAULT_SCRUB_KEYS, isSensitiveKey } = require("./sensitive-keys");
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const CARD_PATTERN = /\b(?:\d[ -]?){13,16}\b/g;
+
+const CONSOLE_LEVELS = ["debug", "log", "info", "warn", "error"];
+
+/**
+ * Recursively redact sensitive keys and values
+ * @param {*} value
+ * @param {RegExp} scrubKeys - Keys to redact
+ */
+function scrubPII(value, scrubKeys = DEFAULT_SCRUB_KEYS, seen = new WeakSet()) {
+    if (typeof value === "string") {
+        return value
+            .replace(EMAIL_PATTERN, "[EMAIL]")
+            .replace(CARD_PATTERN, "[CARD]");
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    if (seen.has(value)) return "[Circular]";
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => scrubPII(item, scrubKeys, seen));
+    }
+
+    const scrubbed = {};
+    for (const [key, inner] of Object.entries(value)) {
+        scrubbed[key] = isSensitiveKey(key, scrubKeys)
+            ? "[REDACTED]"
+            : scrubPII(inner, scrubKeys, seen);
+    }
+    return scrubbed;
+}
+
+/**
+ * Scrub a serializeError() result - the error's details and those of every
+ * cause and aggregated error below it
+ * PITFALL: A secret attached to a wrapped cause leaks just as well
+ */
+function scrubSerializedError(json, scrubKeys = DEFAULT_SCRUB_KEYS) {
+    const scrubbed = { ...json };
+    if (json.details !== undefined) {
+        scrubbed.details = scrubPII(json.details, scrubKeys);
+    }
+    // `throw { password }` - a non-Error keeps its value
+    if (json.value !== undefined) {
+        scrubbed.value = scrubPII(json.value, scrubKeys);
+    }
+    if (json.cause !== undefined) {
+        scrubbed.cause = scrubSerializedError(json.cause, scrubKeys);
+    }
+    if (Array.isArray(json.errors)) {
+        scrubbed.errors = json.errors.map((inner) =>
+            scrubSerializedError(inner, scrubKeys)
+        );
+    }
+    return scrubbed;
+}
+
+/**
+ * Group "the same" error across occurrences: same type, same message once
+ * ids and numbers are masked, thrown from the same place
+ */
+function fingerprintError(error) {
+    const name = error instanceof Error ? error.name : typeof error;
+    const message = String(error instanceof Error ? error.message : error)
+        .replace(/\b[0-9a-f]{8,}(-[0-9a-f]{4,})*\b/gi, "<id>")
+        .replace(/\d+/g, "<n>");
+    // Your own code decides where an error "is" - not node_modules or
+    // Node internals, which change with every upgrade. Line numbers stay,
+    // columns go: minified code aside, they add nothing.
+    const stackOf = error instanceof Error ? error : null;
+    const appFrames = getAppFrames(stackOf);
+    const frames = (appFrames.length > 0 ? appFrames : parseStack(stackOf))
+        .slice(0, 3)
+        .map((frame) => `${frame.functionName}@${frame.file}:${frame.line}`);
+
+    return crypto
+        .createHash("sha1")
+        .update([name, message, ...frames].join("|"))
+        .digest("hex")
+        .slice(0, 12);
+}
+
+/**
+ * Writes each event to stdout (through console.log, so --json mode keeps
+ * stdout clean)
+ */
+class StdoutTransport {
+    constructor({ format = "json" } = {}) {
+        this.name = "stdout";
+        this.format = format;
+    }
+
+    async send(events) {
+        events.forEach((event) => {
+            if (this.format === "pretty") {
+                console.log(
+                    `📤 [${event.fingerprint}] ${event.error.name}: ${
+                        event.error.message
+                    }${event.occurrences > 1 ? ` (×${event.occurrences})` : ""}`
+                );
+            } else {
+                console.log(JSON.stringify(event));
+            }
+        });
+    }
+}
+
+/**
+ * Appends events to a newline-delimited JSON file
+ */
+class FileTransport {
+    constructor({ filePath }) {
+        this.name = "file";
+        this.filePath = filePath;
+    }
+
+    async send(events) {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+            recursive: true,
+        });
+        await fs.promises.appendFile(
+            this.filePath,
+            events.map((event) => JSON.stringify(event)).join("\n") + "\n"
+        );
+    }
+}
+
+/**
+ * POSTs batches to a collector endpoint, retrying transient failures
+ */
+class HttpTransport {
+    constructor({ url, timeoutMs = 2000, maxAttempts = 3 }) {
+        this.name = "http";
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.maxAttempts = maxAttempts;
+    }
+
+    async send(events) {
+        await retry(
+            () => axios.post(this.url, { events }, { timeout: this.timeoutMs }),
+            {
+                name: "http-transport",
+                maxAttempts: this.maxAttempts,
+                backoff: { baseDelayMs: 50 },
+            }
+        );
+    }
+}
+
+class ErrorReporter extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object[]} [options.transports] - Where events are sent
+     * @param {number} [options.batchSize] - Flush once this many events are queued
+     * @param {number} [options.flushIntervalMs] - ...or after this long
+     * @param {Object} [options.rateLimit] - { maxEvents, intervalMs }
+     * @param {number} [options.dedupeWindowMs] - Same fingerprint within this window counts as a repeat
+     * @param {number} [options.maxBreadcrumbs] - Breadcrumbs attached to each event
+     * @param {RegExp} [options.scrubKeys] - Context keys to redact
+     * @param {string} [options.release] - App version, to tell regressions from old bugs
+     */
+    constructor({
+        transports = [new StdoutTransport()],
+        batchSize = 10,
+        flushIntervalMs = 1000,
+        rateLimit = { maxEvents: 20, intervalMs: 1000 },
+        dedupeWindowMs = 60000,
+        maxBreadcrumbs = 20,
+        scrubKeys = DEFAULT_SCRUB_KEYS,
+        release = process.env.npm_package_version,
+    } = {}) {
+        super();
+        this.transports = transports;
+        this.batchSize = batchSize;
+        this.rateLimit = rateLimit;
+        this.dedupeWindowMs = dedupeWindowMs;
+        this.maxBreadcrumbs = maxBreadcrumbs;
+        this.scrubKeys = scrubKeys;
+        this.release = release;
+
+        this.queue = [];
+        this.breadcrumbs = [];
+        this.seen = new Map();
+        this.window = { start: Date.now(), count: 0 };
+        // Set while a transport runs - its own console output is no breadcrumb
+        this.transportScope = new AsyncLocalStorage();
+        this.inFlight = new Set();
+        this.uninstallConsole = null;
+        this.stats = {
+            captured: 0,
+            queued: 0,
+            deduplicated: 0,
+            occurrenceUpdates: 0,
+            rateLimited: 0,
+            transportErrors: 0,
+            delivered: Object.fromEntries(
+                transports.map((transport) => [transport.name, 0])
+            ),
+        };
+
+        // unref(): a pending flush should never keep the process alive
+        this.timer = setInterval(() => this.flush(), flushIntervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Record an error
+     * @param {*} error
+     * @param {Object} context - Extra data (user, request, ...); PII is scrubbed
+     * @returns {Object|null} The queued event, or null if dropped
+     */
+    captureException(error, context = {}) {
+        this.stats.captured++;
+        const now = Date.now();
+        const fingerprint = fingerprintError(error);
+
+        this.pruneSeen(now);
+
+        // De-duplicate: a repeat only bumps the counter of the first event
+        const previous = this.seen.get(fingerprint);
+        if (previous) {
+            this.countRepeat(previous, now);
+            this.stats.deduplicated++;
+            this.emit("deduplicated", previous.pending);
+            return null;
+        }
+
+        // Rate limit: fixed window of rateLimit.maxEvents per intervalMs
+        if (now - this.window.start >= this.rateLimit.intervalMs) {
+            this.window = { start: now, count: 0 };
+        }
+        if (this.window.count >= this.rateLimit.maxEvents) {
+            this.stats.rateLimited++;
+            this.emit("rateLimited", { fingerprint, error });
+            return null;
+        }
+        this.window.count++;
+
+        const event = {
+            id: crypto.randomUUID(),
+            timestamp: new Date(now).toISOString(),
+            lastSeen: new Date(now).toISOString(),
+            fingerprint,
+            occurrences: 1,
+            level: "error",
+            error: scrubSerializedError(serializeError(error), this.scrubKeys),
+            context: scrubPII(context, this.scrubKeys),
+            breadcrumbs: this.breadcrumbs.slice(),
+            runtime: {
+                node: process.version,
+                platform: process.platform,
+                pid: process.pid,
+                release: this.release,
+            },
+        };
+
+        this.seen.set(fingerprint, {
+            firstSeen: now,
+            occurrences: 1,
+            event,
+            pending: event,
+        });
+        this.queue.push(event);
+        this.stats.queued++;
+        this.emit("captured", event);
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+        return event;
+    }
+
+    /**
+     * Count a repeat. While the event waits in the queue its counter is
+     * bumped; once it has been flushed, an update event carrying the new
+     * total is queued instead.
+     * PITFALL: Bumping an event that already left the process changes
+     * nothing - the transports never see the count
+     */
+    countRepeat(entry, now) {
+        entry.occurrences++;
+        const lastSeen = new Date(now).toISOString();
+
+        if (this.queue.includes(entry.pending)) {
+            entry.pending.occurrences = entry.occurrences;
+            entry.pending.lastSeen = lastSeen;
+            return;
+        }
+
+        entry.pending = {
+            ...entry.event,
+            id: crypto.randomUUID(),
+            repeatOf: entry.event.id,
+            occurrences: entry.occurrences,
+            lastSeen,
+        };
+        this.queue.push(entry.pending);
+        this.stats.occurrenceUpdates++;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Forget fingerprints whose de-duplication window has passed
+     */
+    pruneSeen(now) {
+        // Map keeps insertion order, and entries are only ever inserted
+        // when first seen - the oldest come first
+        for (const [fingerprint, entry] of this.seen) {
+            if (now - entry.firstSeen < this.dedupeWindowMs) break;
+            this.seen.delete(fingerprint);
+        }
+    }
+
+    /**
+     * Record something that happened - attached to later events
+     */
+    addBreadcrumb({ category = "app", level = "info", message, data }) {
+        this.breadcrumbs.push({
+            timestamp: new Date().toISOString(),
+            category,
+            level,
+            message: scrubPII(message, this.scrubKeys),
+            data: data && scrubPII(data, this.scrubKeys),
+        });
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    /**
+     * Turn console calls into breadcrumbs
+     * @returns {Function} Restores the original console methods
+     */
+    installConsoleBreadcrumbs(target = console) {
+        const originals = {};
+
+        CONSOLE_LEVELS.forEach((level) => {
+            originals[level] = target[level];
+            const reporter = this;
+            target[level] = function (...args) {
+                // Transports log through the console too - don't record those
+                if (!reporter.transportScope.getStore()) {
+                    reporter.addBreadcrumb({
+                        category: "console",
+                        level,
+                        message: util.format(...args).slice(0, 200),
+                    });
+                }
+                return originals[level].apply(this, args);
+            };
+        });
+
+        this.uninstallConsole = () => {
+            CONSOLE_LEVELS.forEach((level) => {
+                target[level] = originals[level];
+            });
+            this.uninstallConsole = null;
+        };
+        return this.uninstallConsole;
+    }
+
+    /**
+     * Send everything queued to every transport
+     */
+    flush() {
+        if (this.queue.length === 0) return Promise.resolve();
+
+        const batch = this.queue.splice(0, this.queue.length);
+        const sending = this.sendBatch(batch).finally(() =>
+            this.inFlight.delete(sending)
+        );
+        this.inFlight.add(sending);
+        return sending;
+    }
+
+    async sendBatch(batch) {
+        // PITFALL: A counter of batches in flight would also swallow the
+        // app's breadcrumbs while an HTTP retry backs off - scope it to the
+        // transport's own async context instead
+        const results = await Promise.allSettled(
+            this.transports.map((transport) =>
+                this.transportScope.run(transport.name, () =>
+                    transport.send(batch)
+                )
+            )
+        );
+
+        results.forEach((result, index) => {
+            const { name } = this.transports[index];
+            if (result.status === "fulfilled") {
+                this.stats.delivered[name] += batch.length;
+                return;
+            }
+            // PITFALL: a failing reporter must never crash the app it reports on
+            this.stats.transportErrors++;
+            this.emit("transportError", {
+                transport: name,
+                error: result.reason,
+                events: batch.length,
+            });
+        });
+    }
+
+    /**
+     * Flush and stop - call before the process exits
+     */
+    async close() {
+        clearInterval(this.timer);
+        if (this.uninstallConsole) this.uninstallConsole();
+        this.flush();
+        // Batches flushed earlier may still be retrying
+        await Promise.all(this.inFlight);
+    }
+}
+
+module.exports = {
+    ErrorReporter,
+    StdoutTransport,
+    FileTransport,
+    HttpTransport,
+    scrubPII,
+    scrubSerializedError,
+    fingerprintError,
+    DEFAULT_SCRUB_KEYS,
+};
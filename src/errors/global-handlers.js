@@ -0,0 +1,299 @@
+/**
+ * Global Error Handler Manager
+ *
+ * One place that owns process-level handlers. Installing takes over
+ * `uncaughtException`, `unhandledRejection`, `warning` (and optionally
+ * `multipleResolves` and signals) and remembers who was listening before;
+ * uninstalling puts those listeners back exactly as they were. What happens
+ * on an error is a policy, not a copy-pasted handler:
+ *
+ *   log-and-continue   log it and keep running
+ *   graceful-shutdown  log it, run shutdown tasks (bounded by a timeout), exit
+ *   exit               log it and exit immediately
+ */
+
+const { formatCauseTree } = require("./cause-chain");
+const { logger: rootLogger } = require("../logging/logger");
+
+const POLICIES = {
+    LOG_AND_CONTINUE: "log-and-continue",
+    GRACEFUL_SHUTDOWN: "graceful-shutdown",
+    EXIT: "exit",
+};
+
+/**
+ * Does Node print process warnings to stderr itself?
+ */
+function nodePrintsWarnings() {
+    return !process.noProcessWarnings && process.env.NODE_NO_WARNINGS !== "1";
+}
+
+class GlobalHandlerManager {
+    /**
+     * @param {Object} options
+     * @param {string} [options.name] - Shown in log lines
+     * @param {string|Object} [options.policy] - One policy, or { uncaughtException, unhandledRejection }
+     * @param {number} [options.shutdownTimeoutMs] - Max time for shutdown tasks
+     * @param {number} [options.exitCode] - Exit code after a fatal error
+     * @param {string[]} [options.signals] - Signals that trigger a graceful shutdown (exit code 0)
+     * @param {boolean} [options.trackMultipleResolves] - Listen for the deprecated multipleResolves event
+     * @param {Object} [options.logger] - Anything with error/warn/info (a Logger, console)
+     * @param {Function} [options.exit] - Replaces process.exit (demos, tests)
+     */
+    constructor({
+        name = "app",
+        policy = POLICIES.LOG_AND_CONTINUE,
+        shutdownTimeoutMs = 5000,
+        exitCode = 1,
+        signals = [],
+        trackMultipleResolves = false,
+        logger = rootLogger.child({ component: "process" }),
+        exit = (code) => process.exit(code),
+    } = {}) {
+        this.name = name;
+        this.policies =
+            typeof policy === "string"
+                ? { uncaughtException: policy, unhandledRejection: policy }
+                : {
+                      uncaughtException: POLICIES.EXIT,
+                      unhandledRejection: POLICIES.LOG_AND_CONTINUE,
+                      ...policy,
+                  };
+        this.shutdownTimeoutMs = shutdownTimeoutMs;
+        this.exitCode = exitCode;
+        this.signals = signals;
+        this.trackMultipleResolves = trackMultipleResolves;
+        this.logger = logger;
+        this.exit = exit;
+
+        this.installed = false;
+        this.shuttingDown = false;
+        this.saved = new Map();
+        this.listeners = new Map();
+        this.hooks = { error: [], warning: [], exit: [], shutdown: [] };
+    }
+
+    /**
+     * Called with (error, origin) for every uncaught error, before the policy runs
+     */
+    onError(hook) {
+        this.hooks.error.push(hook);
+        return this;
+    }
+
+    /**
+     * Called with each process warning (deprecations, MaxListeners, ...)
+     */
+    onWarning(hook) {
+        this.hooks.warning.push(hook);
+        return this;
+    }
+
+    /**
+     * Called synchronously with the exit code - no async work possible here
+     */
+    onExit(hook) {
+        this.hooks.exit.push(hook);
+        return this;
+    }
+
+    /**
+     * Cleanup task for graceful shutdown (close servers, flush logs, ...)
+     */
+    onShutdown(task) {
+        this.hooks.shutdown.push(task);
+        return this;
+    }
+
+    /**
+     * Take over the process-level events
+     * @returns {Function} uninstall
+     */
+    install() {
+        if (this.installed) return () => this.uninstall();
+
+        const listeners = {
+            uncaughtException: (error, origin) =>
+                this.handleError(error, origin || "uncaughtException"),
+            unhandledRejection: (reason) =>
+                this.handleError(reason, "unhandledRejection"),
+            // PITFALL: A 'warning' listener doesn't replace Node's own stderr
+            // output - log only when that is off (--no-warnings or
+            // NODE_NO_WARNINGS=1), or every warning shows up twice
+            warning: (warning) =>
+                this.handleWarning(warning, { log: !nodePrintsWarnings() }),
+            exit: (code) => this.runHooks("exit", code),
+        };
+        if (this.trackMultipleResolves) {
+            // PITFALL: resolving twice is silently ignored - this is the only way to see it
+            listeners.multipleResolves = (type, promise, value) =>
+                this.handleWarning(
+                    Object.assign(
+                        new Error(
+                            `Promise ${type} more than once (value: ${value})`
+                        ),
+                        { name: "MultipleResolvesWarning" }
+                    )
+                );
+        }
+        this.signals.forEach((signal) => {
+            listeners[signal] = () => {
+                this.logger.info(`\n📊 [${this.name}] Received ${signal}`);
+                this.shutdown(0, signal);
+            };
+        });
+
+        // DEBUGGING: Competing handlers are a classic source of "why did it exit?"
+        for (const [event, listener] of Object.entries(listeners)) {
+            if (event !== "exit" && event !== "warning") {
+                this.saved.set(event, process.listeners(event));
+                process.removeAllListeners(event);
+            }
+            process.on(event, listener);
+            this.listeners.set(event, listener);
+        }
+
+        this.installed = true;
+        return () => this.uninstall();
+    }
+
+    /**
+     * Remove our listeners and restore the ones that were there before
+     */
+    uninstall() {
+        if (!this.installed) return;
+
+        for (const [event, listener] of this.listeners) {
+            process.removeListener(event, listener);
+        }
+        for (const [event, previous] of this.saved) {
+            previous.forEach((listener) => process.on(event, listener));
+        }
+
+        this.listeners.clear();
+        this.saved.clear();
+        this.installed = false;
+    }
+
+    /**
+     * Run `fn` with the handlers installed, then restore the previous ones
+     */
+    async scope(fn) {
+        this.install();
+        try {
+            return await fn();
+        } finally {
+            this.uninstall();
+        }
+    }
+
+    handleError(error, origin) {
+        const label =
+            origin === "unhandledRejection"
+                ? "Unhandled Promise Rejection"
+                : "Uncaught Exception";
+        this.logger.error(`🚨 [${this.name}] ${label}:`);
+        this.logger.error(
+            error instanceof Error ? formatCauseTree(error) : error
+        );
+
+        this.runHooks("error", error, origin);
+
+        const policy =
+            this.policies[
+                origin === "unhandledRejection"
+                    ? "unhandledRejection"
+                    : "uncaughtException"
+            ];
+
+        if (policy === POLICIES.EXIT) {
+            this.exit(this.exitCode);
+        } else if (policy === POLICIES.GRACEFUL_SHUTDOWN) {
+            this.shutdown(this.exitCode, origin);
+        }
+        // log-and-continue: nothing else to do
+    }
+
+    /**
+     * @param {Error} warning
+     * @param {Object} options - { log: false when it has been printed already }
+     */
+    handleWarning(warning, { log = true } = {}) {
+        if (log) {
+            this.logger.warn(
+                `⚠️  [${this.name}] ${warning.name}: ${warning.message}`
+            );
+        }
+        this.runHooks("warning", warning);
+    }
+
+    /**
+     * Run shutdown tasks, then exit - forcefully if they take too long
+     */
+    async shutdown(exitCode, reason) {
+        if (this.shuttingDown) {
+            // A second failure while shutting down: stop trying to be nice
+            this.logger.error(
+                `💥 [${this.name}] ${reason} during shutdown - exiting now`
+            );
+            this.exit(exitCode);
+            return;
+        }
+        this.shuttingDown = true;
+        this.logger.info(
+            `🧹 [${this.name}] Graceful shutdown (${reason}), ${this.hooks.shutdown.length} task(s), ${this.shutdownTimeoutMs}ms limit`
+        );
+
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(
+                () => resolve("timeout"),
+                this.shutdownTimeoutMs
+            );
+        });
+        const tasks = Promise.allSettled(
+            this.hooks.shutdown.map((task) => Promise.resolve().then(task))
+        ).then(() => "done");
+
+        const outcome = await Promise.race([tasks, timeout]);
+        clearTimeout(timer);
+
+        if (outcome === "timeout") {
+            this.logger.error(
+                `⏱️  [${this.name}] Shutdown tasks exceeded ${this.shutdownTimeoutMs}ms - forcing exit`
+            );
+        }
+        this.shuttingDown = false;
+        this.exit(exitCode);
+    }
+
+    runHooks(type, ...args) {
+        for (const hook of this.hooks[type]) {
+            try {
+                hook(...args);
+            } catch (hookError) {
+                // PITFALL: a throwing handler would re-enter uncaughtException
+                this.logger.error(
+                    `[${this.name}] ${type} hook failed:`,
+                    hookError
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Create and install a manager in one call
+ * @returns {GlobalHandlerManager}
+ */
+function installGlobalHandlers(options) {
+    const manager = new GlobalHandlerManager(options);
+    manager.install();
+    return manager;
+}
+
+module.exports = {
+    POLICIES,
+    GlobalHandlerManager,
+    installGlobalHandlers,
+};
@@ -0,0 +1,28 @@
+/**
+ * Error Handling - demo manifest
+ *
+ * Picked up by DemoRegistry.discover(); see src/registry.js for the contract.
+ */
+
+const errorHandling = require("./try-catch");
+const sourceMapDebugging = require("./source-map-debugging");
+
+module.exports = [
+    {
+        name: "errors",
+        title: "Error Handling",
+        description: "Practice error debugging and handling",
+        tags: ["errors", "try-catch", "basics"],
+        order: 20,
+        run: () => errorHandling.run(),
+    },
+    {
+        name: "source-maps",
+        title: "Source Map Debugging",
+        description:
+            "Resolve minified stack traces back to the original source",
+        tags: ["errors", "source-maps"],
+        order: 21,
+        run: () => sourceMapDebugging.run(),
+    },
+];
@@ -0,0 +1,172 @@
+/**
+ * Mini Bundler
+ *
+ * Just enough of a bundler + minifier to produce realistic debugging
+ * material offline: CommonJS modules are wrapped into one file, comments
+ * and whitespace are stripped so everything lands on a single line, and a
+ * source map records where every token came from.
+ *
+ * PITFALL: This is a teaching tool, not a real minifier. It tokenizes with
+ * regular expressions (no regex literals, no nested template literals) and
+ * joins lines without inserting semicolons, so the input must not rely on
+ * automatic semicolon insertion.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { SourceMapGenerator } = require("./source-maps");
+
+const TOKEN_PATTERNS = [
+    ["whitespace", /\s+/y],
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+    ["string", /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/y],
+    ["number", /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y],
+    ["identifier", /[A-Za-z_$][\w$]*/y],
+    [
+        "punctuator",
+        /===|!==|\.\.\.|=>|\?\?=?|\?\.|&&=?|\|\|=?|\*\*=?|\+\+|--|<<=?|>>>?=?|[+\-*/%&|^<>=!]=?|[{}()[\];,.:?~]/y,
+    ],
+];
+
+/**
+ * Split source code into tokens with their (1-based line, 0-based column)
+ */
+function tokenize(code) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let column = 0;
+
+    while (index < code.length) {
+        let matched = null;
+        for (const [type, pattern] of TOKEN_PATTERNS) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(code);
+            if (match) {
+                matched = { type, value: match[0], line, column };
+                break;
+            }
+        }
+        if (!matched) {
+            throw new SyntaxError(
+                `mini-bundler: unexpected '${code[index]}' at ${line}:${column}`
+            );
+        }
+
+        if (matched.type !== "whitespace" && matched.type !== "comment") {
+            tokens.push(matched);
+        }
+
+        // Advance the position past the token (which may span lines)
+        const newlines = matched.value.split("\n");
+        if (newlines.length > 1) {
+            line += newlines.length - 1;
+            column = newlines[newlines.length - 1].length;
+        } else {
+            column += matched.value.length;
+        }
+        index += matched.value.length;
+    }
+
+    return tokens;
+}
+
+const isWordLike = (token) =>
+    token && (token.type === "identifier" || token.type === "number");
+
+/**
+ * Minify one module, recording a mapping for every token
+ * @param {string} code
+ * @param {Object} options - { source, generator, line, column: where output starts }
+ * @returns {string} Minified code
+ */
+function minify(code, { source, generator, line = 1, column = 0 }) {
+    let output = "";
+    let previous = null;
+
+    tokenize(code).forEach((token) => {
+        // A space only where removing it would merge two tokens
+        const needsSpace =
+            (isWordLike(previous) && isWordLike(token)) ||
+            (previous &&
+                /[+-]$/.test(previous.value) &&
+                /^[+-]/.test(token.value));
+        if (needsSpace) output += " ";
+
+        generator.addMapping({
+            generated: { line, column: column + output.length },
+            original: { line: token.line, column: token.column },
+            source,
+            name: token.type === "identifier" ? token.value : undefined,
+        });
+        output += token.value;
+        previous = token;
+    });
+
+    return output;
+}
+
+/**
+ * Bundle CommonJS files into one minified file with a source map
+ * @param {Object} options
+ * @param {string} options.rootDir - Module ids are paths relative to this
+ * @param {string[]} options.files - Files to include (relative to rootDir)
+ * @param {string} options.entry - Module whose exports the bundle exports
+ * @param {string} options.outFile - Where to write the bundle
+ * @param {boolean} [options.inlineSourceMap] - data: URL instead of a sibling .map file
+ * @param {boolean} [options.includeSources] - Embed the original code in the map
+ * @returns {{ outFile, mapFile, code, map }}
+ */
+function bundle({
+    rootDir,
+    files,
+    entry,
+    outFile,
+    inlineSourceMap = false,
+    includeSources = false,
+}) {
+    const outDir = path.dirname(outFile);
+    const generator = new SourceMapGenerator({ file: path.basename(outFile) });
+    const moduleId = (file) => `./${file.replace(/\\/g, "/")}`;
+
+    // Glue code: a tiny require() that resolves "./name" to "./name.js"
+    let code =
+        "module.exports=(function(m){var c={};function r(i){i=/\\.js$/.test(i)?i:i+'.js';" +
+        "if(c[i])return c[i].exports;var o=c[i]={exports:{}};m[i](o,o.exports,r);return o.exports}" +
+        `return r(${JSON.stringify(moduleId(entry))})})({`;
+
+    files.forEach((file, index) => {
+        const filePath = path.join(rootDir, file);
+        const content = fs.readFileSync(filePath, "utf8");
+        // Sources are stored relative to the map, like real bundlers do
+        const source = path
+            .relative(outDir, filePath)
+            .split(path.sep)
+            .join("/");
+
+        code += `${index > 0 ? "," : ""}${JSON.stringify(
+            moduleId(file)
+        )}:function(module,exports,require){`;
+        code += minify(content, { source, generator, column: code.length });
+        code += "}";
+
+        if (includeSources) generator.setSourceContent(source, content);
+    });
+    code += "});";
+
+    const map = generator.toJSON();
+    const mapFile = inlineSourceMap ? null : `${outFile}.map`;
+    const mappingUrl = inlineSourceMap
+        ? `data:application/json;charset=utf-8;base64,${Buffer.from(
+              JSON.stringify(map)
+          ).toString("base64")}`
+        : path.basename(mapFile);
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(outFile, `${code}\n//# sourceMappingURL=${mappingUrl}\n`);
+    if (mapFile) fs.writeFileSync(mapFile, JSON.stringify(map));
+
+    return { outFile, mapFile, code, map };
+}
+
+module.exports = { tokenize, minify, bundle };
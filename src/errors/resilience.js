@@ -0,0 +1,477 @@
+/**
+ * Resilience Toolkit - retry, timeout, fallback, circuit breaker, bulkhead
+ *
+ * Every policy is an EventEmitter, so a failure that "just went away" after
+ * a retry leaves a timeline behind: listen for the events below and print
+ * or log them.
+ *
+ *   Retry:          "attempt", "success", "failure", "giveUp"
+ *   CircuitBreaker: "state", "success", "failure", "reject"
+ *   Bulkhead:       "start", "queued", "done", "reject"
+ */
+
+const { EventEmitter } = require("events");
+const {
+    AppError,
+    TimeoutError,
+    RetriesExhaustedError,
+    CircuitOpenError,
+    BulkheadFullError,
+} = require("./custom-errors");
+
+/**
+ * Backoff delay before retry number `attempt` (1-based)
+ * @param {number} attempt
+ * @param {Object} options
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {number} options.factor - Growth per attempt (2 = doubling)
+ * @param {string} options.jitter - "full" (0..delay), "equal" (delay/2..delay) or "none"
+ * @param {Function} options.random - Source of randomness (seed it in tests)
+ */
+function computeBackoff(
+    attempt,
+    {
+        baseDelayMs = 100,
+        maxDelayMs = 5000,
+        factor = 2,
+        jitter = "full",
+        random = Math.random,
+    } = {}
+) {
+    const exponential = Math.min(
+        maxDelayMs,
+        baseDelayMs * factor ** (attempt - 1)
+    );
+
+    // DEBUGGING: Without jitter every client retries at the same instant
+    switch (jitter) {
+        case "full":
+            return Math.round(random() * exponential);
+        case "equal":
+            return Math.round(exponential / 2 + (random() * exponential) / 2);
+        default:
+            return exponential;
+    }
+}
+
+/**
+ * Default retry predicate: retry transient failures, never retry what
+ * will fail the same way again (bad input, missing data, cancellation)
+ */
+function isRetryable(error) {
+    if (!error || error.name === "AbortError") return false;
+    if (error instanceof CircuitOpenError) return false;
+
+    const status =
+        error instanceof AppError
+            ? error.statusCode
+            : error.response && error.response.status;
+    if (status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+    return true;
+}
+
+/**
+ * Promise-based delay that can be cancelled
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Run `operation(signal)` and fail with a TimeoutError after `ms`
+ *
+ * The signal passed to the operation is aborted on timeout, so operations
+ * that honour it stop their work instead of finishing in the background.
+ * @param {Function} operation - (signal) => Promise
+ * @param {number} ms
+ * @param {Object} options - { signal: outer AbortSignal }
+ */
+async function withTimeout(operation, ms, { signal } = {}) {
+    const controller = new AbortController();
+    const combined = signal
+        ? AbortSignal.any([signal, controller.signal])
+        : controller.signal;
+    let timer;
+    let onAbort;
+
+    const timeout = new Promise((resolve, reject) => {
+        // Stop waiting on cancellation even if the operation ignores the signal
+        onAbort = () => reject(signal.reason);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+        timer = setTimeout(() => {
+            const error = new TimeoutError(
+                `Operation timed out after ${ms}ms`,
+                {
+                    details: { timeoutMs: ms },
+                }
+            );
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+
+    try {
+        return await Promise.race([operation(combined), timeout]);
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+    }
+}
+
+/**
+ * Try `primary`, and on failure `fallback(primaryError)`
+ * @throws {AggregateError} when both fail, with both errors attached
+ */
+async function withFallback(
+    primary,
+    fallback,
+    { shouldFallback = () => true } = {}
+) {
+    try {
+        return await primary();
+    } catch (primaryError) {
+        if (!shouldFallback(primaryError)) throw primaryError;
+
+        try {
+            return await fallback(primaryError);
+        } catch (fallbackError) {
+            throw new AggregateError(
+                [primaryError, fallbackError],
+                "Primary and fallback operations both failed"
+            );
+        }
+    }
+}
+
+/**
+ * Retry with exponential backoff, jitter, predicates, per-attempt timeouts
+ * and cancellation
+ */
+class Retry extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.name] - Label used in events
+     * @param {number} [options.maxAttempts] - Total attempts including the first
+     * @param {Function} [options.shouldRetry] - (error, attempt) => boolean
+     * @param {Function[]} [options.retryOn] - Only retry these error classes
+     * @param {number} [options.attemptTimeoutMs] - Timeout for each attempt
+     * @param {Object} [options.backoff] - Options for computeBackoff()
+     */
+    constructor({
+        name = "operation",
+        maxAttempts = 3,
+        shouldRetry,
+        retryOn,
+        attemptTimeoutMs,
+        backoff = {},
+    } = {}) {
+        super();
+        this.name = name;
+        this.maxAttempts = maxAttempts;
+        this.attemptTimeoutMs = attemptTimeoutMs;
+        this.backoff = backoff;
+        this.shouldRetry =
+            shouldRetry ||
+            (retryOn
+                ? (error) =>
+                      retryOn.some((ErrorClass) => error instanceof ErrorClass)
+                : isRetryable);
+    }
+
+    /**
+     * @param {Function} operation - ({ signal, attempt }) => Promise
+     * @param {Object} options - { signal: cancels the attempt and any backoff }
+     */
+    async execute(operation, { signal } = {}) {
+        const errors = [];
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            if (signal) signal.throwIfAborted();
+
+            const start = Date.now();
+            this.emit("attempt", {
+                name: this.name,
+                attempt,
+                startedAt: start,
+            });
+
+            try {
+                const result = this.attemptTimeoutMs
+                    ? await withTimeout(
+                          (attemptSignal) =>
+                              operation({ signal: attemptSignal, attempt }),
+                          this.attemptTimeoutMs,
+                          { signal }
+                      )
+                    : await operation({ signal, attempt });
+
+                this.emit("success", {
+                    name: this.name,
+                    attempt,
+                    durationMs: Date.now() - start,
+                });
+                return result;
+            } catch (error) {
+                errors.push(error);
+
+                const aborted = signal && signal.aborted;
+                const retryable = !aborted && this.shouldRetry(error, attempt);
+                const willRetry = retryable && attempt < this.maxAttempts;
+                const delayMs = willRetry
+                    ? computeBackoff(attempt, this.backoff)
+                    : 0;
+
+                this.emit("failure", {
+                    name: this.name,
+                    attempt,
+                    error,
+                    durationMs: Date.now() - start,
+                    willRetry,
+                    delayMs,
+                });
+
+                if (aborted) throw signal.reason;
+                if (!retryable) {
+                    // Not a transient failure - rethrow it untouched
+                    this.emit("giveUp", { name: this.name, attempt, error });
+                    throw error;
+                }
+                if (!willRetry) break;
+
+                await sleep(delayMs, signal);
+            }
+        }
+
+        const lastError = errors[errors.length - 1];
+        const exhausted = new RetriesExhaustedError(
+            `${this.name} failed after ${errors.length} attempts: ${lastError.message}`,
+            {
+                details: {
+                    attempts: errors.length,
+                    errors: errors.map((error) => error.message),
+                },
+                cause: lastError,
+            }
+        );
+        this.emit("giveUp", {
+            name: this.name,
+            attempt: errors.length,
+            error: exhausted,
+        });
+        throw exhausted;
+    }
+}
+
+/**
+ * Shorthand for new Retry(options).execute(operation, options)
+ */
+function retry(operation, options = {}) {
+    return new Retry(options).execute(operation, options);
+}
+
+const CIRCUIT_STATES = {
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half-open",
+};
+
+/**
+ * Stops calling a dependency that keeps failing, then lets a trial call
+ * through after `resetTimeoutMs` to see whether it recovered
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor({
+        name = "circuit",
+        failureThreshold = 5,
+        resetTimeoutMs = 1000,
+        shouldTrip = () => true,
+        now = Date.now,
+    } = {}) {
+        super();
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.shouldTrip = shouldTrip;
+        this.now = now;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    transition(to, reason) {
+        const from = this.state;
+        if (from === to) return;
+        this.state = to;
+        this.emit("state", { name: this.name, from, to, reason });
+    }
+
+    async execute(operation) {
+        if (this.state === CIRCUIT_STATES.OPEN) {
+            if (this.now() - this.openedAt >= this.resetTimeoutMs) {
+                this.transition(
+                    CIRCUIT_STATES.HALF_OPEN,
+                    "reset timeout elapsed"
+                );
+            }
+        }
+
+        if (
+            this.state === CIRCUIT_STATES.OPEN ||
+            (this.state === CIRCUIT_STATES.HALF_OPEN && this.trialInFlight)
+        ) {
+            const error = new CircuitOpenError(
+                `Circuit "${this.name}" is open`,
+                {
+                    details: {
+                        failures: this.failures,
+                        retryInMs: Math.max(
+                            0,
+                            this.resetTimeoutMs - (this.now() - this.openedAt)
+                        ),
+                    },
+                }
+            );
+            this.emit("reject", { name: this.name, error });
+            throw error;
+        }
+
+        const isTrial = this.state === CIRCUIT_STATES.HALF_OPEN;
+        if (isTrial) this.trialInFlight = true;
+
+        try {
+            const result = await operation();
+            this.failures = 0;
+            this.emit("success", { name: this.name, state: this.state });
+            if (isTrial)
+                this.transition(CIRCUIT_STATES.CLOSED, "trial call succeeded");
+            return result;
+        } catch (error) {
+            if (this.shouldTrip(error)) {
+                this.failures++;
+                this.emit("failure", {
+                    name: this.name,
+                    error,
+                    failures: this.failures,
+                });
+
+                if (isTrial || this.failures >= this.failureThreshold) {
+                    this.openedAt = this.now();
+                    this.transition(
+                        CIRCUIT_STATES.OPEN,
+                        isTrial
+                            ? "trial call failed"
+                            : `${this.failures} consecutive failures`
+                    );
+                }
+            }
+            throw error;
+        } finally {
+            if (isTrial) this.trialInFlight = false;
+        }
+    }
+}
+
+/**
+ * Caps concurrent calls to a dependency and bounds the waiting queue, so
+ * one slow dependency can't tie up everything else
+ */
+class Bulkhead extends EventEmitter {
+    constructor({ name = "bulkhead", maxConcurrent = 4, maxQueue = 8 } = {}) {
+        super();
+        this.name = name;
+        this.maxConcurrent = maxConcurrent;
+        this.maxQueue = maxQueue;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    execute(operation) {
+        if (this.active < this.maxConcurrent) {
+            return this.run(operation);
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            const error = new BulkheadFullError(
+                `Bulkhead "${this.name}" is full`,
+                {
+                    details: {
+                        active: this.active,
+                        queued: this.queue.length,
+                    },
+                }
+            );
+            this.emit("reject", { name: this.name, error });
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                operation,
+                resolve,
+                reject,
+                queuedAt: Date.now(),
+            });
+            this.emit("queued", { name: this.name, queued: this.queue.length });
+        });
+    }
+
+    async run(operation, queuedAt) {
+        this.active++;
+        this.emit("start", {
+            name: this.name,
+            active: this.active,
+            waitedMs: queuedAt ? Date.now() - queuedAt : 0,
+        });
+
+        try {
+            return await operation();
+        } finally {
+            this.active--;
+            this.emit("done", { name: this.name, active: this.active });
+            this.next();
+        }
+    }
+
+    next() {
+        const queued = this.queue.shift();
+        if (!queued) return;
+        this.run(queued.operation, queued.queuedAt).then(
+            queued.resolve,
+            queued.reject
+        );
+    }
+}
+
+module.exports = {
+    computeBackoff,
+    isRetryable,
+    sleep,
+    withTimeout,
+    withFallback,
+    Retry,
+    retry,
+    CircuitBreaker,
+    CIRCUIT_STATES,
+    Bulkhead,
+};
@@ -0,0 +1,208 @@
+const {
+    computeBackoff,
+    isRetryable,
+    Retry,
+    CircuitBreaker,
+    CIRCUIT_STATES,
+} = require("./resilience");
+const {
+    ValidationError,
+    ExternalServiceError,
+    RetriesExhaustedError,
+    CircuitOpenError,
+} = require("./custom-errors");
+
+// No waiting between attempts - the timeline is checked through events
+const NO_DELAY = { baseDelayMs: 0, jitter: "none" };
+
+describe("computeBackoff", () => {
+    test("grows by factor and stops at maxDelayMs", () => {
+        const options = { baseDelayMs: 100, maxDelayMs: 500, jitter: "none" };
+        expect([1, 2, 3, 4].map((n) => computeBackoff(n, options))).toEqual([
+            100, 200, 400, 500,
+        ]);
+    });
+
+    test("full jitter spreads 0..delay, equal jitter delay/2..delay", () => {
+        const base = { baseDelayMs: 100, factor: 2 };
+        expect(computeBackoff(2, { ...base, random: () => 0 })).toBe(0);
+        expect(computeBackoff(2, { ...base, random: () => 0.5 })).toBe(100);
+        expect(
+            computeBackoff(2, { ...base, jitter: "equal", random: () => 0 })
+        ).toBe(100);
+        expect(
+            computeBackoff(2, { ...base, jitter: "equal", random: () => 1 })
+        ).toBe(200);
+    });
+});
+
+describe("isRetryable", () => {
+    test("retries server errors and rate limits only", () => {
+        expect(isRetryable(new ExternalServiceError("down"))).toBe(true);
+        expect(isRetryable({ response: { status: 429 } })).toBe(true);
+        expect(isRetryable({ response: { status: 404 } })).toBe(false);
+        expect(isRetryable(new ValidationError("bad input"))).toBe(false);
+        expect(isRetryable(new CircuitOpenError("open"))).toBe(false);
+    });
+});
+
+describe("Retry", () => {
+    test("retries until an attempt succeeds", async () => {
+        const retry = new Retry({ maxAttempts: 3, backoff: NO_DELAY });
+        const events = [];
+        retry.on("failure", ({ attempt, willRetry }) =>
+            events.push(`fail ${attempt} retry=${willRetry}`)
+        );
+        retry.on("success", ({ attempt }) => events.push(`ok ${attempt}`));
+
+        const result = await retry.execute(async ({ attempt }) => {
+            if (attempt < 3) throw new Error(`flaky ${attempt}`);
+            return "done";
+        });
+
+        expect(result).toBe("done");
+        expect(events).toEqual([
+            "fail 1 retry=true",
+            "fail 2 retry=true",
+            "ok 3",
+        ]);
+    });
+
+    test("gives up with every attempt's error after maxAttempts", async () => {
+        const retry = new Retry({ maxAttempts: 2, backoff: NO_DELAY });
+        const operation = jest.fn(async ({ attempt }) => {
+            throw new Error(`down ${attempt}`);
+        });
+
+        const error = await retry.execute(operation).catch((e) => e);
+
+        expect(operation).toHaveBeenCalledTimes(2);
+        expect(error).toBeInstanceOf(RetriesExhaustedError);
+        expect(error.details.errors).toEqual(["down 1", "down 2"]);
+        expect(error.cause.message).toBe("down 2");
+    });
+
+    test("rethrows non-retryable errors untouched", async () => {
+        const retry = new Retry({ maxAttempts: 5, backoff: NO_DELAY });
+        const invalid = new ValidationError("bad input");
+        const operation = jest.fn(async () => {
+            throw invalid;
+        });
+
+        await expect(retry.execute(operation)).rejects.toBe(invalid);
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test("waits the computed backoff between attempts", async () => {
+        const retry = new Retry({
+            maxAttempts: 3,
+            backoff: { baseDelayMs: 5, factor: 2, jitter: "none" },
+        });
+        const delays = [];
+        retry.on("failure", ({ delayMs }) => delays.push(delayMs));
+
+        await retry
+            .execute(async () => {
+                throw new Error("down");
+            })
+            .catch(() => {});
+
+        expect(delays).toEqual([5, 10, 0]);
+    });
+});
+
+describe("CircuitBreaker", () => {
+    let clock;
+    let breaker;
+    let transitions;
+
+    const fail = () =>
+        breaker
+            .execute(async () => {
+                throw new Error("down");
+            })
+            .catch((error) => error);
+    const succeed = () => breaker.execute(async () => "up");
+
+    beforeEach(() => {
+        clock = 0;
+        breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            resetTimeoutMs: 1000,
+            now: () => clock,
+        });
+        transitions = [];
+        breaker.on("state", ({ from, to }) =>
+            transitions.push(`${from}→${to}`)
+        );
+    });
+
+    test("opens after failureThreshold consecutive failures", async () => {
+        await fail();
+        expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+        await fail();
+        expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    test("a success resets the failure count", async () => {
+        await fail();
+        await succeed();
+        await fail();
+        expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    test("rejects calls while open without running them", async () => {
+        await fail();
+        await fail();
+        const operation = jest.fn();
+
+        const error = await breaker.execute(operation).catch((e) => e);
+
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(error.details.retryInMs).toBe(1000);
+        expect(operation).not.toHaveBeenCalled();
+    });
+
+    test("closes again when the trial call succeeds", async () => {
+        await fail();
+        await fail();
+        clock = 1000;
+
+        await expect(succeed()).resolves.toBe("up");
+        expect(transitions).toEqual([
+            "closed→open",
+            "open→half-open",
+            "half-open→closed",
+        ]);
+    });
+
+    test("reopens when the trial call fails", async () => {
+        await fail();
+        await fail();
+        clock = 1000;
+        await fail();
+
+        expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+        expect(transitions).toEqual([
+            "closed→open",
+            "open→half-open",
+            "half-open→open",
+        ]);
+    });
+
+    test("lets only one trial call through at a time", async () => {
+        await fail();
+        await fail();
+        clock = 1000;
+
+        let finishTrial;
+        const trial = breaker.execute(
+            () => new Promise((resolve) => (finishTrial = resolve))
+        );
+        await expect(succeed()).rejects.toBeInstanceOf(CircuitOpenError);
+
+        finishTrial("up");
+        await trial;
+        expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Result Type
+ *
+ * An alternative to throwing: functions return `ok(value)` or `err(error)`
+ * and callers have to look at which one they got. Failures become values -
+ * they show up in the function's signature, can be mapped and chained, and
+ * never unwind the stack behind your back.
+ *
+ * tryCatch() / tryCatchAsync() wrap throwing code (third-party libraries,
+ * JSON.parse, ...) so it can take part.
+ */
+
+const { AppError } = require("./custom-errors");
+
+class Result {
+    /**
+     * Use ok() / err() instead of calling this directly
+     */
+    constructor(isOk, value, error) {
+        this.ok = isOk;
+        this.value = value;
+        this.error = error;
+        Object.freeze(this);
+    }
+
+    isOk() {
+        return this.ok;
+    }
+
+    isErr() {
+        return !this.ok;
+    }
+
+    /**
+     * Transform the value; errors pass through untouched
+     */
+    map(fn) {
+        return this.ok ? ok(fn(this.value)) : this;
+    }
+
+    /**
+     * Transform the error; values pass through untouched
+     */
+    mapErr(fn) {
+        return this.ok ? this : err(fn(this.error));
+    }
+
+    /**
+     * Chain another step that can fail (fn must return a Result)
+     */
+    andThen(fn) {
+        if (!this.ok) return this;
+
+        const next = fn(this.value);
+        if (!(next instanceof Result)) {
+            // PITFALL: returning a plain value here silently breaks the chain
+            throw new TypeError(
+                `andThen() callback must return a Result, got ${typeof next}`
+            );
+        }
+        return next;
+    }
+
+    /**
+     * The value, or throw the error - back to exceptions at the edges
+     */
+    unwrap() {
+        if (this.ok) return this.value;
+        throw this.error instanceof Error
+            ? this.error
+            : new AppError(`Called unwrap() on err(${String(this.error)})`, {
+                  details: { error: this.error },
+              });
+    }
+
+    unwrapOr(fallback) {
+        return this.ok ? this.value : fallback;
+    }
+
+    /**
+     * Handle both cases at once: match({ ok: v => ..., err: e => ... })
+     */
+    match({ ok: onOk, err: onErr }) {
+        return this.ok ? onOk(this.value) : onErr(this.error);
+    }
+
+    toJSON() {
+        return this.ok
+            ? { ok: true, value: this.value }
+            : {
+                  ok: false,
+                  error:
+                      this.error instanceof Error
+                          ? {
+                                name: this.error.name,
+                                message: this.error.message,
+                            }
+                          : this.error,
+              };
+    }
+
+    /**
+     * First err() in the list, or ok() with every value
+     */
+    static all(results) {
+        const values = [];
+        for (const result of results) {
+            if (!result.ok) return result;
+            values.push(result.value);
+        }
+        return ok(values);
+    }
+}
+
+function ok(value) {
+    return new Result(true, value, undefined);
+}
+
+function err(error) {
+    return new Result(false, undefined, error);
+}
+
+/**
+ * Errors are Errors - a thrown string or undefined has no stack to debug
+ */
+function toError(thrown) {
+    if (thrown instanceof Error) return thrown;
+    return new AppError(`Non-error value thrown: ${String(thrown)}`, {
+        details: { thrown },
+    });
+}
+
+/**
+ * Run a function that may throw and get a Result back
+ * @param {Function} fn
+ * @param {Function} [mapError] - Turn the caught error into a typed one
+ * @returns {Result}
+ * @throws {TypeError} When fn returns a promise - use tryCatchAsync()
+ */
+function tryCatch(fn, mapError = toError) {
+    let value;
+    try {
+        value = fn();
+    } catch (error) {
+        return err(mapCaught(error, mapError));
+    }
+
+    if (value !== null && typeof value?.then === "function") {
+        // PITFALL: ok(promise) looks like success even when the promise rejects
+        value.then(undefined, () => {}); // the TypeError below is the report
+        throw new TypeError(
+            "tryCatch() got a promise back - use tryCatchAsync() for async functions"
+        );
+    }
+    return ok(value);
+}
+
+/**
+ * tryCatch() for async functions and promises - never rejects
+ * @param {Function|Promise} fn
+ * @param {Function} [mapError]
+ * @returns {Promise<Result>}
+ */
+async function tryCatchAsync(fn, mapError = toError) {
+    try {
+        return ok(await (typeof fn === "function" ? fn() : fn));
+    } catch (error) {
+        return err(mapCaught(error, mapError));
+    }
+}
+
+/**
+ * Run mapError without letting it throw out of tryCatch()/tryCatchAsync()
+ */
+function mapCaught(error, mapError) {
+    try {
+        return mapError(error);
+    } catch (mappingError) {
+        // DEBUGGING: Keep the original failure as the cause - it's the real one
+        return new AppError(
+            `mapError threw while handling an error: ${
+                toError(mappingError).message
+            }`,
+            {
+                cause: error,
+                details: { mappingError },
+                isOperational: false,
+            }
+        );
+    }
+}
+
+module.exports = {
+    Result,
+    ok,
+    err,
+    tryCatch,
+    tryCatchAsync,
+    toError,
+};
@@ -0,0 +1,121 @@
+const {
+    Result,
+    ok,
+    err,
+    tryCatch,
+    tryCatchAsync,
+    toError,
+} = require("./result");
+const { AppError } = require("./custom-errors");
+
+describe("Result", () => {
+    test("ok and err report which one they are", () => {
+        expect(ok(1).isOk()).toBe(true);
+        expect(ok(1).isErr()).toBe(false);
+        expect(err(new Error("x")).isErr()).toBe(true);
+    });
+
+    test("map and mapErr touch only their side", () => {
+        const failure = new Error("x");
+        expect(ok(2).map((n) => n * 2).value).toBe(4);
+        expect(err(failure).map((n) => n * 2).error).toBe(failure);
+        expect(ok(2).mapErr(() => "changed").value).toBe(2);
+        expect(err("a").mapErr((e) => e + "b").error).toBe("ab");
+    });
+
+    test("andThen chains Results and stops at the first err", () => {
+        const half = (n) => (n % 2 ? err(`${n} is odd`) : ok(n / 2));
+        expect(ok(8).andThen(half).andThen(half).value).toBe(2);
+        expect(ok(6).andThen(half).andThen(half).error).toBe("3 is odd");
+    });
+
+    test("andThen rejects callbacks that return a plain value", () => {
+        expect(() => ok(1).andThen((n) => n + 1)).toThrow(TypeError);
+    });
+
+    test("unwrap returns the value or throws an Error", () => {
+        const failure = new Error("x");
+        expect(ok(1).unwrap()).toBe(1);
+        expect(() => err(failure).unwrap()).toThrow(failure);
+        expect(() => err("plain").unwrap()).toThrow(AppError);
+        expect(err("plain").unwrapOr(0)).toBe(0);
+    });
+
+    test("match calls the handler for its side", () => {
+        const handlers = { ok: (v) => `ok ${v}`, err: (e) => `err ${e}` };
+        expect(ok(1).match(handlers)).toBe("ok 1");
+        expect(err(2).match(handlers)).toBe("err 2");
+    });
+
+    test("all collects values or returns the first err", () => {
+        expect(Result.all([ok(1), ok(2)]).value).toEqual([1, 2]);
+        expect(Result.all([ok(1), err("a"), err("b")]).error).toBe("a");
+    });
+
+    test("toJSON keeps only the name and message of errors", () => {
+        expect(JSON.parse(JSON.stringify(err(new TypeError("bad"))))).toEqual({
+            ok: false,
+            error: { name: "TypeError", message: "bad" },
+        });
+    });
+});
+
+describe("tryCatch", () => {
+    test("wraps the return value or the thrown error", () => {
+        expect(tryCatch(() => JSON.parse("[1]")).value).toEqual([1]);
+        expect(tryCatch(() => JSON.parse("{")).error).toBeInstanceOf(
+            SyntaxError
+        );
+    });
+
+    test("turns thrown non-errors into Errors", () => {
+        const result = tryCatch(() => {
+            throw "text";
+        });
+        expect(result.error).toBeInstanceOf(AppError);
+        expect(result.error.details.thrown).toBe("text");
+        expect(toError(result.error)).toBe(result.error);
+    });
+
+    test("points async functions to tryCatchAsync", () => {
+        expect(() => tryCatch(async () => 1)).toThrow(/tryCatchAsync/);
+    });
+
+    test("reports a throwing mapError with the original error as cause", () => {
+        const failure = new Error("original");
+        const result = tryCatch(
+            () => {
+                throw failure;
+            },
+            () => {
+                throw new Error("mapping failed");
+            }
+        );
+        expect(result.error.message).toMatch(/mapping failed/);
+        expect(result.error.cause).toBe(failure);
+    });
+});
+
+describe("tryCatchAsync", () => {
+    test("wraps resolved values and rejections", async () => {
+        expect((await tryCatchAsync(async () => 1)).value).toBe(1);
+        expect((await tryCatchAsync(Promise.resolve(2))).value).toBe(2);
+
+        const failure = new Error("x");
+        expect((await tryCatchAsync(Promise.reject(failure))).error).toBe(
+            failure
+        );
+    });
+
+    test("resolves even when mapError throws", async () => {
+        const failure = new Error("original");
+        const result = await tryCatchAsync(
+            () => Promise.reject(failure),
+            () => {
+                throw new Error("mapping failed");
+            }
+        );
+        expect(result.isErr()).toBe(true);
+        expect(result.error.cause).toBe(failure);
+    });
+});
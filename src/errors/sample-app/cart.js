@@ -0,0 +1,20 @@
+/**
+ * Sample app for the source map demo - entry module
+ */
+
+const { applyDiscount, formatPrice } = require("./pricing");
+
+function cartTotal(items, discountCode) {
+    const subtotal = items.reduce(
+        (sum, item) => sum + item.price * item.quantity,
+        0
+    );
+    return formatPrice(applyDiscount(subtotal, discountCode));
+}
+
+function checkout(cart) {
+    const total = cartTotal(cart.items, cart.discountCode);
+    return { total, items: cart.items.length };
+}
+
+module.exports = { cartTotal, checkout };
@@ -0,0 +1,30 @@
+/**
+ * Sample app for the source map demo (see src/errors/source-map-debugging.js)
+ *
+ * Bundled and minified by mini-bundler.js, then debugged through the
+ * source map. Bugs are intentional - and written with explicit semicolons,
+ * which the mini bundler needs.
+ */
+
+const DISCOUNTS = {
+    SAVE10: { rate: 0.1 },
+    HALF: { rate: 0.5 },
+};
+
+function applyDiscount(amount, code) {
+    if (!code) {
+        return amount;
+    }
+    // PITFALL: unknown codes are not handled - DISCOUNTS[code] is undefined
+    const discount = DISCOUNTS[code];
+    return amount * (1 - discount.rate);
+}
+
+function formatPrice(amount) {
+    if (!Number.isFinite(amount)) {
+        throw new RangeError(`Cannot format price: ${amount}`);
+    }
+    return `$${amount.toFixed(2)}`;
+}
+
+module.exports = { applyDiscount, formatPrice };
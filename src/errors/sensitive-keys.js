@@ -0,0 +1,37 @@
+/**
+ * Sensitive Keys - shared by the error reporter and the logger
+ *
+ * Kept in its own module so the logger can redact the same keys without
+ * loading the reporter (and axios with it).
+ *
+ * Keys are compared word by word: "userPassword", "user_password" and
+ * "X-Api-Key" are sensitive, "passed", "bypassCache" and "tokenCount" are
+ * not.
+ */
+
+// Whole trailing words of a normalized key (see normalizeKey)
+const DEFAULT_SCRUB_KEYS =
+    /(?:^|_)(?:pass(?:word|wd)?|secret|token|authorization|cookie|api_?key|ssn|card_?number|credit_?card)$/i;
+
+/**
+ * "userPassword" / "X-Api-Key" / "API_KEY" → "user_password" / "x_api_key" / "api_key"
+ */
+function normalizeKey(key) {
+    return String(key)
+        .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+        .replace(/[-.\s]+/g, "_")
+        .toLowerCase();
+}
+
+/**
+ * Does a key name hold something that must not leave the process?
+ * PITFALL: An unanchored /pass|token/ also hides "passed", "compass" and
+ * "tokenCount" - redaction that eats normal fields gets switched off
+ * @param {string} key
+ * @param {RegExp} [pattern] - Tested against the key as is and normalized
+ */
+function isSensitiveKey(key, pattern = DEFAULT_SCRUB_KEYS) {
+    return pattern.test(key) || pattern.test(normalizeKey(key));
+}
+
+module.exports = { DEFAULT_SCRUB_KEYS, isSensitiveKey, normalizeKey };
@@ -0,0 +1,238 @@
+/**
+ * Source Map Debugging
+ *
+ * Bundles and minifies the sample app in src/errors/sample-app (offline,
+ * with the mini bundler), makes it throw, and walks from the useless
+ * minified stack trace back to the original code:
+ *
+ *   1. Bundle & minify      - sibling .map file and inline data: URL
+ *   2. Minified stack trace - what production errors look like
+ *   3. Resolved stack trace - original file/line/column + code snippets
+ *   4. Inline source maps   - the map (and the sources) inside the bundle
+ *   5. Node's built-in support - node --enable-source-maps
+ *
+ * Run directly: node src/errors/source-map-debugging.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { bundle } = require("./mini-bundler");
+const {
+    decodeVLQ,
+    loadSourceMap,
+    clearSourceMapCache,
+    resolveStack,
+    formatResolvedStack,
+} = require("./source-maps");
+const { getAppFrames, formatFrame } = require("./stack-parser");
+
+const SAMPLE_APP_DIR = path.join(__dirname, "sample-app");
+const OUT_DIR = path.join(os.tmpdir(), "debug-me-sourcemaps");
+
+class SourceMapDebugging {
+    constructor() {
+        this.bundles = {};
+    }
+
+    /**
+     * Load a freshly built bundle (require() caches by path)
+     */
+    load(bundlePath) {
+        delete require.cache[require.resolve(bundlePath)];
+        return require(bundlePath);
+    }
+
+    /**
+     * Run `fn` and return the error it throws
+     */
+    capture(fn) {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error("Expected the sample app to throw");
+    }
+
+    bundleAndMinify() {
+        console.log("\n=== 1. BUNDLE & MINIFY ===");
+
+        const options = {
+            rootDir: SAMPLE_APP_DIR,
+            files: ["cart.js", "pricing.js"],
+            entry: "cart.js",
+        };
+        this.bundles.sibling = bundle({
+            ...options,
+            outFile: path.join(OUT_DIR, "bundle.min.js"),
+        });
+        this.bundles.inline = bundle({
+            ...options,
+            outFile: path.join(OUT_DIR, "bundle.inline.min.js"),
+            inlineSourceMap: true,
+            includeSources: true,
+        });
+        // The sibling map points at the sample sources; a fresh build
+        // must not be resolved with a stale cached map
+        clearSourceMapCache();
+
+        const originalBytes = options.files.reduce(
+            (sum, file) =>
+                sum + fs.statSync(path.join(SAMPLE_APP_DIR, file)).size,
+            0
+        );
+        console.table(
+            Object.values(this.bundles).map((result) => ({
+                Bundle: path.basename(result.outFile),
+                "Source map": result.mapFile
+                    ? path.basename(result.mapFile)
+                    : "inline (data: URL)",
+                "Original bytes": originalBytes,
+                "Bundle bytes": fs.statSync(result.outFile).size,
+                Mappings: loadSourceMap(result.outFile).mappingCount,
+            }))
+        );
+        console.log(
+            "Minified code:",
+            this.bundles.sibling.code.slice(0, 140) + "..."
+        );
+
+        // DEBUGGING: Each segment is Base64 VLQ - [column, source, line, column, name] deltas
+        const firstSegments = this.bundles.sibling.map.mappings
+            .split(",")
+            .slice(0, 3);
+        console.log(
+            "First mappings:",
+            firstSegments.map(
+                (segment) => `${segment} → [${decodeVLQ(segment)}]`
+            )
+        );
+    }
+
+    minifiedStackTrace() {
+        console.log("\n=== 2. MINIFIED STACK TRACE ===");
+
+        const app = this.load(this.bundles.sibling.outFile);
+        console.log(
+            "checkout() with a valid code:",
+            app.checkout({
+                items: [{ price: 20, quantity: 2 }],
+                discountCode: "SAVE10",
+            })
+        );
+
+        this.discountError = this.capture(() =>
+            app.checkout({
+                items: [{ price: 20, quantity: 2 }],
+                discountCode: "BOGUS",
+            })
+        );
+
+        // PITFALL: Every frame is on line 1 of a file nobody wrote
+        console.log(
+            `${this.discountError.name}: ${this.discountError.message}`
+        );
+        getAppFrames(this.discountError)
+            .slice(0, 3)
+            .forEach((frame) => console.log(`    at ${formatFrame(frame)}`));
+    }
+
+    resolvedStackTrace() {
+        console.log("\n=== 3. RESOLVED STACK TRACE ===");
+
+        console.log(formatResolvedStack(this.discountError, { maxFrames: 3 }));
+
+        console.table(
+            resolveStack(this.discountError)
+                .filter((frame) => frame.original)
+                .map((frame) => ({
+                    Generated: `${path.basename(frame.file)}:${frame.line}:${
+                        frame.column
+                    }`,
+                    Original: `${frame.original.source.split("/").pop()}:${
+                        frame.original.line
+                    }:${frame.original.column}`,
+                    "Token at position": frame.original.name || "-",
+                }))
+        );
+    }
+
+    inlineSourceMaps() {
+        console.log("\n=== 4. INLINE SOURCE MAPS ===");
+
+        const app = this.load(this.bundles.inline.outFile);
+        const error = this.capture(() =>
+            app.checkout({ items: [{ price: undefined, quantity: 3 }] })
+        );
+
+        // The sources travel inside the map - no original files needed
+        const map = loadSourceMap(this.bundles.inline.outFile);
+        console.log(
+            "Embedded sources:",
+            map.sources.map(
+                (source, index) =>
+                    `${source.split("/").pop()} (${
+                        map.sourcesContent[index].length
+                    } chars)`
+            )
+        );
+        console.log(formatResolvedStack(error, { maxFrames: 2, context: 1 }));
+    }
+
+    nodeBuiltInSupport() {
+        console.log("\n=== 5. NODE'S BUILT-IN SUPPORT ===");
+
+        // Same bundle, same bug, but Node applies the map itself
+        const script = `require(${JSON.stringify(
+            this.bundles.sibling.outFile
+        )}).checkout({ items: [], discountCode: "BOGUS" });`;
+        const child = spawnSync(
+            process.execPath,
+            ["--enable-source-maps", "-e", script],
+            { encoding: "utf8", timeout: 10000 }
+        );
+
+        const stack = child.stderr
+            .split("\n")
+            .filter((line) => /^\s*at |Error:/.test(line))
+            .slice(0, 3);
+        // PITFALL: Node names frames after the map's `names` entry at the
+        // function's position - with our bundler that is the keyword itself
+        console.log("node --enable-source-maps:");
+        stack.forEach((line) => console.log(`  ${line.trim()}`));
+
+        console.log(
+            "💡 Tip: node --enable-source-maps (or process.setSourceMapsEnabled(true)) for Node, DevTools for browsers"
+        );
+        console.log(
+            "💡 Tip: Ship .map files to your error tracker, not to your users"
+        );
+    }
+
+    async run() {
+        console.log("🎯 Starting Source Map Debugging Examples");
+        console.log("=".repeat(60));
+
+        try {
+            this.bundleAndMinify();
+            this.minifiedStackTrace();
+            this.resolvedStackTrace();
+            this.inlineSourceMaps();
+            this.nodeBuiltInSupport();
+
+            console.log("\n🎉 All source map examples completed!");
+        } catch (error) {
+            console.error("❌ Error running source map examples:", error);
+        }
+
+        return this.discountError ? resolveStack(this.discountError) : [];
+    }
+}
+
+module.exports = new SourceMapDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
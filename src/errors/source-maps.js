@@ -0,0 +1,494 @@
+/**
+ * Source Map Resolution
+ *
+ * Bundled and minified code throws errors like
+ *   TypeError: Cannot read properties of undefined (reading 'rate')
+ *       at a (dist/bundle.min.js:1:412)
+ * A source map (Source Map v3, https://sourcemaps.info/spec.html) records,
+ * for every position in the generated file, where it came from. This module
+ * reads maps - inline `data:` URLs or `.map` files next to the bundle -
+ * resolves stack frames back to the original file/line/column and prints
+ * the original code around each frame.
+ *
+ * It also contains the writing side (SourceMapGenerator), used by the
+ * mini bundler in the source map demo.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const { parseStack, formatFrame } = require("./stack-parser");
+
+const BASE64_CHARS =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = new Map(
+    Array.from(BASE64_CHARS, (char, index) => [char, index])
+);
+
+// =============================================================================
+// BASE64 VLQ
+// =============================================================================
+
+/**
+ * Encode one signed integer as Base64 VLQ
+ * The sign goes in the lowest bit, then 5 bits per character with bit 6
+ * meaning "more characters follow".
+ */
+function encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let encoded = "";
+
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64_CHARS[digit];
+    } while (vlq > 0);
+
+    return encoded;
+}
+
+/**
+ * Decode a segment ("AAgBC") into its integers
+ */
+function decodeVLQ(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+            throw new SyntaxError(`Invalid Base64 VLQ character '${char}'`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+// =============================================================================
+// READING MAPS
+// =============================================================================
+
+class SourceMap {
+    /**
+     * @param {Object|string} json - The map (parsed or raw)
+     * @param {Object} options - { mapPath: where it was loaded from, for relative sources }
+     */
+    constructor(json, { mapPath = null } = {}) {
+        const map = typeof json === "string" ? JSON.parse(json) : json;
+        if (map.version !== 3) {
+            throw new Error(`Unsupported source map version ${map.version}`);
+        }
+
+        this.file = map.file;
+        this.mapPath = mapPath;
+        this.sources = map.sources;
+        this.sourcesContent = map.sourcesContent || [];
+        this.names = map.names || [];
+        this.sourceRoot = map.sourceRoot || "";
+        this.lines = SourceMap.parseMappings(map.mappings);
+    }
+
+    /**
+     * "mappings" -> per generated line, segments sorted by column:
+     * [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]
+     * (all 0-based). Only the generated column resets per line - the other
+     * fields are deltas across the whole file.
+     */
+    static parseMappings(mappings) {
+        const state = [0, 0, 0, 0, 0];
+
+        return mappings.split(";").map((line) => {
+            state[0] = 0;
+            return line
+                .split(",")
+                .filter(Boolean)
+                .map((segment) => {
+                    const values = decodeVLQ(segment);
+                    values.forEach((value, index) => {
+                        state[index] += value;
+                    });
+                    // 1-field segments map to nothing; 4 fields = no name
+                    return values.length === 1
+                        ? [state[0]]
+                        : state.slice(0, values.length === 4 ? 4 : 5);
+                });
+        });
+    }
+
+    /**
+     * Number of mapped segments
+     */
+    get mappingCount() {
+        return this.lines.reduce((sum, segments) => sum + segments.length, 0);
+    }
+
+    /**
+     * Absolute path (or URL) of a source listed in the map
+     */
+    resolveSource(source) {
+        const joined = this.sourceRoot
+            ? `${this.sourceRoot.replace(/\/$/, "")}/${source}`
+            : source;
+        if (/^[a-z][\w+.-]*:/i.test(joined) || !this.mapPath) {
+            return joined; // webpack://, http://, ...
+        }
+        return path.resolve(path.dirname(this.mapPath), joined);
+    }
+
+    /**
+     * Where a generated position came from
+     * @param {number} line - 1-based, as in stack traces
+     * @param {number} column - 1-based, as in stack traces
+     * @returns {Object|null} { source, sourcePath, line, column, name } (1-based)
+     */
+    originalPositionFor(line, column) {
+        const segments = this.lines[line - 1];
+        if (!segments || segments.length === 0) return null;
+
+        // Last segment starting at or before the column (binary search)
+        const target = column - 1;
+        let low = 0;
+        let high = segments.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid][0] <= target) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const segment = segments[found];
+        // PITFALL: bundler glue code has no original position
+        if (!segment || segment.length === 1) return null;
+
+        const [, sourceIndex, originalLine, originalColumn, nameIndex] =
+            segment;
+        return {
+            source: this.sources[sourceIndex],
+            sourcePath: this.resolveSource(this.sources[sourceIndex]),
+            line: originalLine + 1,
+            column: originalColumn + 1,
+            name: nameIndex !== undefined ? this.names[nameIndex] : null,
+        };
+    }
+
+    /**
+     * Original source text - embedded in the map, or read from disk
+     */
+    sourceContentFor(source) {
+        const index = this.sources.indexOf(source);
+        if (index !== -1 && typeof this.sourcesContent[index] === "string") {
+            return this.sourcesContent[index];
+        }
+        try {
+            return fs.readFileSync(this.resolveSource(source), "utf8");
+        } catch {
+            return null;
+        }
+    }
+}
+
+const mapCache = new Map();
+
+function toFilePath(file) {
+    return file.startsWith("file://") ? fileURLToPath(file) : file;
+}
+
+/**
+ * Find and load the source map for a generated file
+ * Looks for a `//# sourceMappingURL=` comment (inline data: URL or a path),
+ * then falls back to `<file>.map`.
+ * @param {string} generatedFile - Path or file:// URL
+ * @returns {SourceMap|null}
+ */
+function loadSourceMap(generatedFile) {
+    const file = toFilePath(generatedFile);
+    if (mapCache.has(file)) return mapCache.get(file);
+
+    // node:internal, evalmachine.<anonymous>, https://... have nothing on disk
+    if (!path.isAbsolute(file)) {
+        mapCache.set(file, null);
+        return null;
+    }
+
+    let map = null;
+    try {
+        const code = fs.readFileSync(file, "utf8");
+        const comments = [
+            ...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/gm),
+        ];
+        const url = comments.length ? comments[comments.length - 1][1] : null;
+
+        if (url && url.startsWith("data:")) {
+            const [meta, data] = url.slice("data:".length).split(",");
+            const json = meta.endsWith(";base64")
+                ? Buffer.from(data, "base64").toString("utf8")
+                : decodeURIComponent(data);
+            map = new SourceMap(json, { mapPath: file });
+        } else {
+            const mapPath = url
+                ? path.resolve(path.dirname(file), url)
+                : `${file}.map`;
+            if (fs.existsSync(mapPath)) {
+                map = new SourceMap(fs.readFileSync(mapPath, "utf8"), {
+                    mapPath,
+                });
+            }
+        }
+    } catch (error) {
+        // A file that is gone (deleted temp script, stale path) has no map
+        if (error.code === "ENOENT") {
+            mapCache.set(file, null);
+            return null;
+        }
+        // DEBUGGING: A broken map should cost you the mapping, not the stack
+        console.warn(
+            `⚠️  Could not load source map for ${file}:`,
+            error.message
+        );
+    }
+
+    mapCache.set(file, map);
+    return map;
+}
+
+/**
+ * Forget loaded maps (after a rebuild)
+ */
+function clearSourceMapCache() {
+    mapCache.clear();
+}
+
+// =============================================================================
+// RESOLVING STACKS
+// =============================================================================
+
+/**
+ * Attach the original position to a parsed frame
+ * @param {Object} frame - From stack-parser
+ * @returns {Object} The frame plus `original` ({ source, sourcePath, line, column, name } or null)
+ */
+function resolveFrame(frame) {
+    if (frame.native || !frame.file || !frame.line || frame.internal) {
+        return { ...frame, original: null };
+    }
+    const map = loadSourceMap(frame.file);
+    const original = map
+        ? map.originalPositionFor(frame.line, frame.column || 1)
+        : null;
+    return { ...frame, original, map };
+}
+
+/**
+ * Parse and resolve every frame of an error
+ */
+function resolveStack(error) {
+    return parseStack(error).map(resolveFrame);
+}
+
+/**
+ * Lines around a position, with a marker and a caret under the column
+ * @param {string} content - Source text
+ * @param {number} line - 1-based
+ * @param {number} column - 1-based
+ * @param {number} context - Lines shown above and below
+ */
+function getSnippet(content, line, column, context = 2) {
+    const lines = content.split("\n");
+    const first = Math.max(1, line - context);
+    const last = Math.min(lines.length, line + context);
+    const width = String(last).length;
+    const snippet = [];
+
+    for (let number = first; number <= last; number++) {
+        const marker = number === line ? ">" : " ";
+        snippet.push(
+            `${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`
+        );
+        if (number === line && column) {
+            snippet.push(`  ${" ".repeat(width)} | ${" ".repeat(column - 1)}^`);
+        }
+    }
+
+    return snippet.join("\n");
+}
+
+/**
+ * An error's stack with every mapped frame rewritten to its original
+ * location, optionally with code snippets
+ * @param {Error} error
+ * @param {Object} options - { snippets, context: snippet lines, maxFrames }
+ * @returns {string}
+ */
+function formatResolvedStack(
+    error,
+    { snippets = true, context = 2, maxFrames = 5 } = {}
+) {
+    const lines = [`${error.name}: ${error.message}`];
+
+    resolveStack(error)
+        .filter((frame) => !frame.internal)
+        .slice(0, maxFrames)
+        .forEach((frame) => {
+            if (!frame.original) {
+                lines.push(`    at ${formatFrame(frame)}`);
+                return;
+            }
+
+            const { original } = frame;
+            // PITFALL: original.name is the identifier at this position (the
+            // callee), not the enclosing function - keep the frame's own name
+            const name = frame.functionName || "<anonymous>";
+            const source = path.isAbsolute(original.sourcePath)
+                ? path.relative(process.cwd(), original.sourcePath)
+                : original.sourcePath;
+            lines.push(
+                `    at ${name} (${source}:${original.line}:${original.column})` +
+                    `  ← ${path.basename(frame.file)}:${frame.line}:${
+                        frame.column
+                    }`
+            );
+
+            const content =
+                snippets && frame.map.sourceContentFor(original.source);
+            if (content) {
+                lines.push(
+                    getSnippet(content, original.line, original.column, context)
+                        .split("\n")
+                        .map((line) => `        ${line}`)
+                        .join("\n")
+                );
+            }
+        });
+
+    return lines.join("\n");
+}
+
+// =============================================================================
+// WRITING MAPS
+// =============================================================================
+
+class SourceMapGenerator {
+    /**
+     * @param {Object} options - { file: name of the generated file }
+     */
+    constructor({ file } = {}) {
+        this.file = file;
+        this.sources = [];
+        this.sourcesContent = [];
+        this.names = [];
+        this.mappings = [];
+    }
+
+    indexOf(list, value) {
+        let index = list.indexOf(value);
+        if (index === -1) index = list.push(value) - 1;
+        return index;
+    }
+
+    /**
+     * @param {Object} mapping
+     * @param {Object} mapping.generated - { line, column } (line 1-based, column 0-based)
+     * @param {Object} [mapping.original] - { line, column } (same bases); omit for glue code
+     * @param {string} [mapping.source]
+     * @param {string} [mapping.name] - Original identifier
+     */
+    addMapping({ generated, original, source, name }) {
+        this.mappings.push({
+            generated,
+            original,
+            sourceIndex: original ? this.indexOf(this.sources, source) : null,
+            nameIndex: original && name ? this.indexOf(this.names, name) : null,
+        });
+    }
+
+    setSourceContent(source, content) {
+        this.sourcesContent[this.indexOf(this.sources, source)] = content;
+    }
+
+    /**
+     * Encode everything as a Source Map v3 object
+     */
+    toJSON() {
+        const sorted = [...this.mappings].sort(
+            (a, b) =>
+                a.generated.line - b.generated.line ||
+                a.generated.column - b.generated.column
+        );
+        const previous = { source: 0, line: 0, column: 0, name: 0 };
+        const lines = [];
+        let lastColumn = 0;
+
+        sorted.forEach(({ generated, original, sourceIndex, nameIndex }) => {
+            if (lines.length < generated.line) {
+                // The generated column is the only field that resets per line
+                while (lines.length < generated.line) lines.push([]);
+                lastColumn = 0;
+            }
+            const segments = lines[generated.line - 1];
+
+            let segment = encodeVLQ(generated.column - lastColumn);
+            lastColumn = generated.column;
+
+            if (original) {
+                segment +=
+                    encodeVLQ(sourceIndex - previous.source) +
+                    encodeVLQ(original.line - 1 - previous.line) +
+                    encodeVLQ(original.column - previous.column);
+                previous.source = sourceIndex;
+                previous.line = original.line - 1;
+                previous.column = original.column;
+
+                if (nameIndex !== null) {
+                    segment += encodeVLQ(nameIndex - previous.name);
+                    previous.name = nameIndex;
+                }
+            }
+            segments.push(segment);
+        });
+
+        const map = {
+            version: 3,
+            file: this.file,
+            sources: this.sources,
+            names: this.names,
+            mappings: lines.map((segments) => segments.join(",")).join(";"),
+        };
+        if (this.sourcesContent.some((content) => content !== undefined)) {
+            map.sourcesContent = this.sources.map(
+                (source, index) => this.sourcesContent[index] ?? null
+            );
+        }
+        return map;
+    }
+
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+module.exports = {
+    encodeVLQ,
+    decodeVLQ,
+    SourceMap,
+    SourceMapGenerator,
+    loadSourceMap,
+    clearSourceMapCache,
+    resolveFrame,
+    resolveStack,
+    getSnippet,
+    formatResolvedStack,
+};
@@ -0,0 +1,262 @@
+/**
+ * Stack Trace Parser
+ *
+ * Turns `error.stack` text into structured frames instead of slicing lines
+ * by index (which breaks as soon as a wrapper function, an async boundary
+ * or a different engine shows up). Understands:
+ *
+ *   V8 (Node, Chrome, Edge)   at fn (file:line:col)     at async fn (...)
+ *                             at new Foo (...)           at eval (eval at f (file:1:2), <anonymous>:1:1)
+ *                             at Array.map (<anonymous>) at Promise.all (index 0)
+ *   Firefox                   fn@file:line:col           async*fn@file:line:col
+ *                             fn@file line 2 > eval:1:1
+ *   Safari                    fn@file:line:col           map@[native code]
+ *
+ * No Node-only APIs are used for parsing, so stacks captured on the
+ * browser pages (public/devtools) can be parsed too.
+ */
+
+const V8_FRAME = /^\s*at\s+/;
+const LOCATION = /^(.*?):(\d+)(?::(\d+))?$/;
+const FIREFOX_EVAL = /^(.*?) line (\d+) > (?:eval|Function)/;
+
+/**
+ * @typedef {Object} StackFrame
+ * @property {string|null} functionName - null for anonymous / top-level code
+ * @property {string|null} file - Path or URL (for eval: where eval was called)
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {boolean} async - Frame restored across an await
+ * @property {boolean} isConstructor - Called with `new`
+ * @property {boolean} native - Built-in code, no source location
+ * @property {boolean} eval - Code created by eval() / new Function()
+ * @property {boolean} internal - Node.js internals (node:internal/...)
+ * @property {boolean} dependency - Code under node_modules
+ * @property {string} raw - The original line, trimmed
+ */
+
+function createFrame(raw, fields) {
+    const frame = {
+        functionName: null,
+        file: null,
+        line: null,
+        column: null,
+        async: false,
+        isConstructor: false,
+        native: false,
+        eval: false,
+        ...fields,
+        raw,
+    };
+    frame.internal = isInternalFile(frame.file) || frame.native;
+    frame.dependency = /[\\/]node_modules[\\/]/.test(frame.file || "");
+    return frame;
+}
+
+function isInternalFile(file) {
+    return Boolean(file) && /^(node:|internal[\\/])/.test(file);
+}
+
+function parseLocation(location) {
+    const match = LOCATION.exec(location);
+    if (!match) return { file: location, line: null, column: null };
+    return {
+        file: match[1],
+        line: Number(match[2]),
+        column: match[3] !== undefined ? Number(match[3]) : null,
+    };
+}
+
+/**
+ * "at async Foo.bar (file:1:2)" -> frame
+ */
+function parseV8Frame(line) {
+    const raw = line.trim();
+    let rest = raw.replace(V8_FRAME, "");
+    const fields = {};
+
+    if (rest.startsWith("async ")) {
+        fields.async = true;
+        rest = rest.slice("async ".length);
+    }
+    if (rest.startsWith("new ")) {
+        fields.isConstructor = true;
+        rest = rest.slice("new ".length);
+    }
+
+    let location = rest;
+    const open = rest.indexOf(" (");
+    if (open !== -1 && rest.endsWith(")")) {
+        fields.functionName = rest.slice(0, open);
+        location = rest.slice(open + 2, -1);
+    }
+
+    if (location === "native" || location === "<anonymous>") {
+        // Built-ins (Array.map, JSON.parse, ...) have no source position
+        fields.native = true;
+    } else if (/^index \d+$/.test(location)) {
+        // Promise.all / Promise.any bookkeeping frame - async by definition
+        fields.async = true;
+    } else if (location.startsWith("eval at ")) {
+        // eval at outerFn (file:10:5), <anonymous>:1:1 - point at the eval call
+        fields.eval = true;
+        const origin = /\((.*?:\d+:\d+)\)/.exec(location);
+        Object.assign(
+            fields,
+            origin ? parseLocation(origin[1]) : { file: "<anonymous>" }
+        );
+    } else {
+        Object.assign(fields, parseLocation(location));
+    }
+
+    return createFrame(raw, fields);
+}
+
+/**
+ * "async*fn@file:1:2" (Firefox) or "fn@file:1:2" (Safari) -> frame
+ */
+function parseAtSignFrame(line) {
+    const raw = line.trim();
+    const at = raw.lastIndexOf("@");
+    let functionName = raw.slice(0, at);
+    const location = raw.slice(at + 1);
+    const fields = {};
+
+    if (functionName.startsWith("async*")) {
+        fields.async = true;
+        functionName = functionName.slice("async*".length);
+    }
+    if (/^(global|module|eval) code$/.test(functionName)) {
+        fields.eval = functionName === "eval code";
+        functionName = "";
+    }
+    fields.functionName = functionName || null;
+
+    const evalMatch = FIREFOX_EVAL.exec(location);
+    if (location === "[native code]") {
+        fields.native = true;
+    } else if (location === "") {
+        // Safari leaves eval code without a location
+    } else if (evalMatch) {
+        fields.eval = true;
+        fields.file = evalMatch[1];
+        fields.line = Number(evalMatch[2]);
+    } else {
+        Object.assign(fields, parseLocation(location));
+    }
+
+    return createFrame(raw, fields);
+}
+
+/**
+ * Parse a single stack line (any supported engine)
+ * @returns {StackFrame}
+ */
+function parseFrame(line) {
+    return V8_FRAME.test(line) ? parseV8Frame(line) : parseAtSignFrame(line);
+}
+
+/**
+ * Parse a stack into frames
+ * @param {Error|string} input - An error or its `stack` string
+ * @returns {StackFrame[]} Innermost frame first
+ */
+function parseStack(input) {
+    const stack =
+        input && typeof input === "object" ? input.stack : String(input ?? "");
+    if (typeof stack !== "string" || stack === "") return [];
+
+    const lines = stack.split("\n");
+
+    // PITFALL: V8 stacks start with the message, which may contain "@"
+    // (an email address) - only "at ..." lines are frames there
+    if (lines.some((line) => V8_FRAME.test(line))) {
+        return lines.filter((line) => V8_FRAME.test(line)).map(parseV8Frame);
+    }
+
+    return lines.filter((line) => line.includes("@")).map(parseAtSignFrame);
+}
+
+/**
+ * Drop frames that are rarely the bug
+ * @param {StackFrame[]} frames
+ * @param {Object} options - { internals: keep Node internals, dependencies: keep node_modules }
+ */
+function filterFrames(
+    frames,
+    { internals = false, dependencies = false } = {}
+) {
+    return frames.filter(
+        (frame) =>
+            (internals || !frame.internal) &&
+            (dependencies || !frame.dependency)
+    );
+}
+
+/**
+ * Frames from your own code - the ones worth opening in an editor
+ */
+function getAppFrames(input) {
+    return filterFrames(parseStack(input));
+}
+
+/**
+ * "file:line:col" with the path relative to `cwd` ("native" for built-ins)
+ */
+function formatLocation(
+    frame,
+    { cwd = typeof process !== "undefined" ? process.cwd() : "" } = {}
+) {
+    if (frame.native) return "native";
+    if (!frame.file) return "";
+
+    let file = frame.file.replace(/^file:\/\//, "");
+    if (cwd && file.startsWith(cwd)) {
+        file = file.slice(cwd.length).replace(/^[\\/]/, "");
+    }
+    const position = [file, frame.line, frame.column]
+        .filter((part) => part !== null)
+        .join(":");
+
+    return frame.eval ? `eval at ${position}` : position;
+}
+
+/**
+ * One frame as "fn (file:line:col)"
+ */
+function formatFrame(frame, options) {
+    const name =
+        (frame.async ? "async " : "") +
+        (frame.isConstructor ? "new " : "") +
+        (frame.functionName || "<anonymous>");
+    const location = formatLocation(frame, options);
+
+    return location ? `${name} (${location})` : name;
+}
+
+/**
+ * Frames of the current call stack, starting at the caller of the function
+ * that calls captureStack() (skip more with `skip`)
+ * @param {number} skip - Extra frames to drop
+ * @returns {StackFrame[]}
+ */
+function captureStack(skip = 0) {
+    const holder = {};
+    const previousLimit = Error.stackTraceLimit;
+    Error.stackTraceLimit = skip + 11;
+    // DEBUGGING: Leaves captureStack itself out of the trace
+    Error.captureStackTrace(holder, captureStack);
+    Error.stackTraceLimit = previousLimit;
+
+    return parseStack(holder.stack).slice(skip + 1);
+}
+
+module.exports = {
+    parseStack,
+    parseFrame,
+    filterFrames,
+    getAppFrames,
+    formatFrame,
+    formatLocation,
+    captureStack,
+};
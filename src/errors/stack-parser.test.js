@@ -0,0 +1,165 @@
+const {
+    parseStack,
+    parseFrame,
+    getAppFrames,
+    formatFrame,
+} = require("./stack-parser");
+
+// Captured from each engine for the same small app
+const FIXTURES = {
+    v8: [
+        "TypeError: Cannot read properties of undefined (reading 'id')",
+        "    at getUser (/app/src/users.js:12:18)",
+        "    at async Promise.all (index 0)",
+        "    at new Session (/app/src/session.js:4:9)",
+        "    at Array.map (<anonymous>)",
+        "    at eval (eval at run (/app/src/sandbox.js:20:5), <anonymous>:1:1)",
+        "    at Router.handle (/app/node_modules/express/lib/router.js:45:12)",
+        "    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)",
+    ].join("\n"),
+    firefox: [
+        "getUser@http://localhost:8080/app.js:12:18",
+        "async*loadPage@http://localhost:8080/app.js:30:5",
+        "@http://localhost:8080/app.js line 2 > eval:1:1",
+        "",
+    ].join("\n"),
+    safari: [
+        "getUser@http://localhost:8080/app.js:12:18",
+        "map@[native code]",
+        "global code@http://localhost:8080/app.js:40:1",
+    ].join("\n"),
+};
+
+describe("parseStack - V8", () => {
+    const frames = parseStack(FIXTURES.v8);
+
+    test("skips the message line and keeps every frame", () => {
+        expect(frames).toHaveLength(7);
+    });
+
+    test("reads function, file, line and column", () => {
+        expect(frames[0]).toMatchObject({
+            functionName: "getUser",
+            file: "/app/src/users.js",
+            line: 12,
+            column: 18,
+            async: false,
+            internal: false,
+        });
+    });
+
+    test("marks async, constructor and native frames", () => {
+        expect(frames[1]).toMatchObject({
+            functionName: "Promise.all",
+            async: true,
+        });
+        expect(frames[2]).toMatchObject({
+            functionName: "Session",
+            isConstructor: true,
+        });
+        expect(frames[3]).toMatchObject({
+            functionName: "Array.map",
+            native: true,
+            internal: true,
+        });
+    });
+
+    test("points eval frames at the eval call", () => {
+        expect(frames[4]).toMatchObject({
+            eval: true,
+            file: "/app/src/sandbox.js",
+            line: 20,
+            column: 5,
+        });
+    });
+
+    test("flags dependencies and Node internals", () => {
+        expect(frames[5].dependency).toBe(true);
+        expect(frames[6].internal).toBe(true);
+        expect(getAppFrames(FIXTURES.v8).map((f) => f.functionName)).toEqual([
+            "getUser",
+            "Promise.all",
+            "Session",
+            "eval",
+        ]);
+    });
+
+    test("ignores an @ in the message", () => {
+        const stack =
+            "Error: no user bob@example.com\n    at find (/app/a.js:1:2)";
+        expect(parseStack(stack)).toHaveLength(1);
+    });
+});
+
+describe("parseStack - Firefox", () => {
+    const frames = parseStack(FIXTURES.firefox);
+
+    test("parses frames and skips the trailing blank line", () => {
+        expect(frames).toHaveLength(3);
+        expect(frames[0]).toMatchObject({
+            functionName: "getUser",
+            file: "http://localhost:8080/app.js",
+            line: 12,
+            column: 18,
+        });
+    });
+
+    test("reads the async* prefix", () => {
+        expect(frames[1]).toMatchObject({
+            functionName: "loadPage",
+            async: true,
+        });
+    });
+
+    test("points eval frames at the eval call", () => {
+        expect(frames[2]).toMatchObject({
+            functionName: null,
+            eval: true,
+            file: "http://localhost:8080/app.js",
+            line: 2,
+        });
+    });
+});
+
+describe("parseStack - Safari", () => {
+    const frames = parseStack(FIXTURES.safari);
+
+    test("parses native and global code frames", () => {
+        expect(frames).toHaveLength(3);
+        expect(frames[1]).toMatchObject({ functionName: "map", native: true });
+        expect(frames[2]).toMatchObject({
+            functionName: null,
+            file: "http://localhost:8080/app.js",
+            line: 40,
+            column: 1,
+        });
+    });
+});
+
+describe("parseStack - input", () => {
+    test("accepts an Error", () => {
+        const frames = parseStack(new Error("boom"));
+        expect(frames[0].file).toBe(__filename);
+    });
+
+    test("returns no frames for empty input", () => {
+        expect(parseStack(undefined)).toEqual([]);
+        expect(parseStack("")).toEqual([]);
+        expect(parseStack({})).toEqual([]);
+    });
+});
+
+describe("formatFrame", () => {
+    test("round-trips a V8 frame", () => {
+        const frame = parseFrame("    at async new Worker (/app/w.js:3:7)");
+        expect(formatFrame(frame, { cwd: "/app" })).toBe(
+            "async new Worker (w.js:3:7)"
+        );
+    });
+
+    test("shows built-ins as native", () => {
+        expect(formatFrame(parseFrame("map@[native code]"))).toBe(
+            "map (native)"
+        );
+    });
+});
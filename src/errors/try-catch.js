@@ -5,10 +5,48 @@
  * and debugging techniques for different types of errors.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    TimeoutError,
+    ExternalServiceError,
+} = require("./custom-errors");
+const { printCauseChain, getRootCause } = require("./cause-chain");
+const {
+    Retry,
+    retry,
+    withFallback,
+    CircuitBreaker,
+    Bulkhead,
+} = require("./resilience");
+const {
+    ErrorReporter,
+    StdoutTransport,
+    FileTransport,
+    HttpTransport,
+} = require("./error-reporter");
+const { startCollectorServer } = require("./collector-server");
+const { GlobalHandlerManager, POLICIES } = require("./global-handlers");
+const { runErrorBenchmarks } = require("./benchmark");
+const { ErrorLogStore } = require("./error-log-store");
+const {
+    parseStack,
+    getAppFrames,
+    formatFrame,
+    formatLocation,
+} = require("./stack-parser");
+const { Result, ok, err, tryCatch, tryCatchAsync } = require("./result");
+
 class ErrorHandlingDebugging {
     constructor() {
         this.errorCount = 0;
-        this.errorLog = [];
+        // Persisted across runs - `node src/index.js stats` shows the trends
+        this.errorStore = new ErrorLogStore();
     }
 
     /**
@@ -54,6 +92,7 @@ class ErrorHandlingDebugging {
             console.log(undefinedVariable); // ReferenceError
         } catch (error) {
             console.error("ReferenceError caught:", error.message);
+            this.logError("specificErrorTypes", error);
             // DEBUGGING: Check error.name and error.stack
             debugger; // Programmatic breakpoint
         }
@@ -65,6 +104,7 @@ class ErrorHandlingDebugging {
         } catch (error) {
             console.error("TypeError caught:", error.message);
             console.log("Error type:", error.constructor.name);
+            this.logError("specificErrorTypes", error);
         }
 
         // Range Error
@@ -72,18 +112,26 @@ class ErrorHandlingDebugging {
             const arr = new Array(-1); // RangeError: Invalid array length
         } catch (error) {
             console.error("RangeError caught:", error.message);
+            this.logError("specificErrorTypes", error);
         }
 
         // Custom error detection
         try {
-            throw new Error("This is a custom error");
+            throw new ValidationError("Invalid signup form", {
+                fields: [{ field: "email", message: "email is invalid" }],
+            });
         } catch (error) {
-            if (error instanceof Error) {
-                console.log("✓ Caught an Error instance");
+            // DEBUGGING: instanceof works along the whole class hierarchy
+            if (error instanceof ValidationError) {
+                console.log(
+                    "✓ Caught a ValidationError (also an AppError and an Error)"
+                );
                 console.log("Error details:", {
                     name: error.name,
-                    message: error.message,
-                    stack: error.stack?.split("\n")[0], // First line of stack
+                    code: error.code,
+                    statusCode: error.statusCode,
+                    fields: error.fields,
+                    thrownAt: formatFrame(parseStack(error)[0]),
                 });
             }
         }
@@ -105,11 +153,17 @@ class ErrorHandlingDebugging {
             } catch (innerError) {
                 console.error("Inner catch:", innerError.message);
 
-                // Re-throw to outer catch
-                throw new Error(`Handled inner error: ${innerError.message}`);
+                // Re-throw to outer catch, keeping the original as the cause
+                throw new AppError(
+                    `Handled inner error: ${innerError.message}`,
+                    {
+                        cause: innerError,
+                    }
+                );
             }
         } catch (outerError) {
             console.error("Outer catch:", outerError.message);
+            console.error("Caused by:", outerError.cause.message);
             // DEBUGGING: Examine the call stack here
         }
 
@@ -140,8 +194,10 @@ class ErrorHandlingDebugging {
         } catch (error) {
             console.error("🎯 Final error handler:", error.message);
             // DEBUGGING: Examine the full call stack to trace error origin
-            console.log("Full stack trace:");
-            console.log(error.stack);
+            // DEBUGGING: The outer stack only shows where it was re-thrown -
+            // the cause chain leads back to where it actually failed
+            printCauseChain(error, { title: "Propagation chain", json: true });
+            console.log("Root cause:", getRootCause(error).message);
         }
     }
 
@@ -150,10 +206,11 @@ class ErrorHandlingDebugging {
         try {
             this.level2Function();
         } catch (error) {
-            // Add context and re-throw
-            const enhancedError = new Error(`Level 1 - ${error.message}`);
-            enhancedError.originalError = error;
-            throw enhancedError;
+            // Add context and re-throw - `cause` keeps the original error and its stack
+            throw new AppError(`Level 1 - ${error.message}`, {
+                details: { level: 1 },
+                cause: error,
+            });
         }
     }
 
@@ -165,7 +222,8 @@ class ErrorHandlingDebugging {
             // DEBUGGING: Set a conditional breakpoint here
             // Condition: error.message.includes('critical')
             console.warn("Level 2: Caught error, adding context");
-            throw new Error(`Level 2 - ${error.message}`);
+            // PITFALL: without { cause } the level 3 stack would be lost here
+            throw new Error(`Level 2 - ${error.message}`, { cause: error });
         }
     }
 
@@ -200,6 +258,7 @@ class ErrorHandlingDebugging {
             console.log("All operations succeeded:", results);
         } catch (error) {
             console.error("❌ One of the operations failed:", error.message);
+            this.logError("asyncErrorHandling", error);
             // DEBUGGING: Promise.all fails fast - only first error is caught
         }
 
@@ -218,6 +277,7 @@ class ErrorHandlingDebugging {
                 console.error(
                     `❌ Operation ${index}: ${result.reason.message}`
                 );
+                this.logError("asyncErrorHandling", result.reason);
             }
         });
     }
@@ -225,166 +285,320 @@ class ErrorHandlingDebugging {
     /**
      * Error Boundaries and Global Error Handling
      */
-    globalErrorHandling() {
+    async globalErrorHandling() {
         console.log("\n=== 6. GLOBAL ERROR HANDLING ===");
 
-        // Store original handlers
-        const originalUncaughtException =
-            process.listeners("uncaughtException");
-        const originalUnhandledRejection =
-            process.listeners("unhandledRejection");
-
-        // Custom global error handler
-        const globalErrorHandler = (error, origin) => {
-            console.error("🚨 Global error caught:", {
-                error: error.message,
-                origin: origin,
-                stack: error.stack?.split("\n").slice(0, 3),
-            });
+        const countListeners = () => ({
+            uncaughtException: process.listenerCount("uncaughtException"),
+            unhandledRejection: process.listenerCount("unhandledRejection"),
+        });
+        const before = process.listeners("uncaughtException");
+        const counts = [{ phase: "before", ...countListeners() }];
+
+        // Scoped install: take over the handlers, restore the originals after
+        const manager = new GlobalHandlerManager({
+            name: "try-catch-demo",
+            policy: POLICIES.LOG_AND_CONTINUE,
+            trackMultipleResolves: true,
+        });
+        const caught = [];
+        manager.onError((error, origin) =>
+            caught.push({ origin, error: error.message })
+        );
+        manager.onWarning((warning) =>
+            caught.push({ origin: "warning", error: warning.name })
+        );
 
-            // DEBUGGING: Global errors often indicate serious issues
-            debugger; // Break when global errors occur
-        };
+        await manager.scope(async () => {
+            counts.push({ phase: "during", ...countListeners() });
+
+            // Thrown outside any try/catch - only a global handler sees this
+            setTimeout(() => {
+                throw new Error("Unhandled error after timeout");
+            }, 10);
+
+            // Nobody attaches .catch()
+            Promise.reject(new Error("Unhandled promise rejection"));
+
+            // PITFALL: the second resolve() is silently ignored
+            new Promise((resolve) => {
+                resolve("first");
+                resolve("second");
+            });
 
-        // Set up global handlers (temporarily)
-        process.on("uncaughtException", globalErrorHandler);
-        process.on("unhandledRejection", (reason, promise) => {
-            console.error("🚨 Unhandled Promise rejection:", reason);
-            console.error("Promise:", promise);
+            await new Promise((resolve) => setTimeout(resolve, 50));
         });
 
-        // Simulate an unhandled error (commented out to avoid crashing)
-        // setTimeout(() => {
-        //     throw new Error('Unhandled error after timeout');
-        // }, 100);
+        counts.push({ phase: "after", ...countListeners() });
+        console.table(counts);
+        console.table(caught);
 
-        // Simulate unhandled promise rejection
-        // Promise.reject(new Error('Unhandled promise rejection'));
+        const restored = process.listeners("uncaughtException");
+        console.log(
+            "Original handlers restored:",
+            restored.length === before.length &&
+                restored.every((listener, i) => listener === before[i])
+        );
 
-        console.log("Global error handlers set up (temporarily)");
+        // Graceful shutdown: cleanup tasks race a timeout, then exit.
+        // `exit` is swapped out so the demo doesn't end the process.
+        let resolveExit;
+        const exited = new Promise((resolve) => (resolveExit = resolve));
+        const shutdownLog = [];
+        const shutdownManager = new GlobalHandlerManager({
+            name: "shutdown-demo",
+            policy: POLICIES.GRACEFUL_SHUTDOWN,
+            shutdownTimeoutMs: 100,
+            exit: (code) => {
+                shutdownLog.push(`exit(${code})`);
+                resolveExit(code);
+            },
+        });
+        shutdownManager
+            .onShutdown(async () => {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+                shutdownLog.push("server closed");
+            })
+            // DEBUGGING: A task that never settles - the timeout forces the exit
+            .onShutdown(() => new Promise(() => {}));
+
+        shutdownManager.handleError(
+            new Error("Database connection lost"),
+            "uncaughtException"
+        );
+        const exitCode = await exited;
+        console.log("Shutdown sequence:", shutdownLog.join(" → "));
+        console.log("Exit code:", exitCode);
     }
 
     /**
      * Error Recovery Strategies
      */
-    errorRecovery() {
+    async errorRecovery() {
         console.log("\n=== 7. ERROR RECOVERY STRATEGIES ===");
 
-        // Retry mechanism
-        const retryOperation = async (operation, maxRetries = 3) => {
-            let attempt = 0;
-
-            while (attempt < maxRetries) {
-                try {
-                    console.log(`Attempt ${attempt + 1}/${maxRetries}`);
-                    const result = await operation();
-                    console.log("✓ Operation succeeded");
-                    return result;
-                } catch (error) {
-                    attempt++;
-                    console.error(
-                        `❌ Attempt ${attempt} failed:`,
-                        error.message
-                    );
+        // Retry with exponential backoff + jitter, recording every attempt
+        const retryPolicy = new Retry({
+            name: "unreliableOperation",
+            maxAttempts: 5,
+            backoff: { baseDelayMs: 20, maxDelayMs: 200 },
+        });
+        const timeline = [];
+        const started = Date.now();
+        retryPolicy.on("attempt", ({ attempt }) =>
+            console.log(`Attempt ${attempt}/${retryPolicy.maxAttempts}`)
+        );
+        retryPolicy.on("success", ({ attempt, durationMs }) =>
+            timeline.push({ attempt, durationMs, outcome: "✓ success" })
+        );
+        retryPolicy.on("failure", ({ attempt, error, durationMs, delayMs }) =>
+            timeline.push({
+                attempt,
+                durationMs,
+                outcome: `❌ ${error.message}`,
+                nextDelayMs: delayMs || "-",
+            })
+        );
 
-                    if (attempt >= maxRetries) {
-                        console.error("💥 All retry attempts exhausted");
-                        throw new Error(
-                            `Operation failed after ${maxRetries} attempts: ${error.message}`
-                        );
-                    }
+        try {
+            const result = await retryPolicy.execute(() =>
+                this.unreliableOperation()
+            );
+            console.log("✓ Operation succeeded:", result);
+        } catch (error) {
+            // DEBUGGING: details.errors lists every attempt's failure
+            console.error("💥 All retry attempts exhausted:", error.message);
+            this.logError("errorRecovery", error);
+        }
+        console.log(`Retry timeline (${Date.now() - started}ms total):`);
+        console.table(timeline);
 
-                    // Wait before retry
-                    await new Promise((resolve) =>
-                        setTimeout(resolve, 100 * attempt)
-                    );
-                }
-            }
-        };
+        // Retry predicates: bad input fails the same way every time
+        let validationAttempts = 0;
+        try {
+            await retry(
+                () => {
+                    validationAttempts++;
+                    throw new ValidationError("Age must be a number");
+                },
+                { maxAttempts: 5 }
+            );
+        } catch (error) {
+            console.log(
+                `✓ ${error.name} not retried (${validationAttempts} attempt) - isRetryable() said no`
+            );
+        }
 
-        // Test retry mechanism
-        retryOperation(() => this.unreliableOperation()).catch((error) => {
-            console.error("Final failure:", error.message);
-        });
+        // Per-attempt timeout, and cancelling the whole retry loop
+        const controller = new AbortController();
+        const cancelTimer = setTimeout(
+            () => controller.abort(new Error("User navigated away")),
+            150
+        );
+        try {
+            await retry(() => this.asyncOperation("success", 300), {
+                name: "slowOperation",
+                maxAttempts: 5,
+                attemptTimeoutMs: 100,
+                backoff: { baseDelayMs: 20, jitter: "none" },
+                signal: controller.signal,
+            });
+        } catch (error) {
+            console.log(
+                `⏹️  Retry loop cancelled: ${error.message} (attempts time out after 100ms)`
+            );
+        } finally {
+            clearTimeout(cancelTimer);
+        }
 
         // Fallback mechanism
-        const withFallback = async (primaryOperation, fallbackOperation) => {
+        try {
+            const result = await withFallback(
+                () => this.asyncOperation("failure", 100),
+                () => this.asyncOperation("success", 50)
+            );
+            console.log("✓ Fallback successful:", result);
+        } catch (error) {
+            // Both failures are kept in error.errors
+            console.error("❌ Both operations failed:", error.message);
+        }
+
+        // Circuit breaker: stop hammering a dependency that is down
+        const breaker = new CircuitBreaker({
+            name: "payments",
+            failureThreshold: 3,
+            resetTimeoutMs: 100,
+        });
+        breaker.on("state", ({ from, to, reason }) =>
+            console.log(`🔌 Circuit ${from} → ${to} (${reason})`)
+        );
+
+        for (let call = 1; call <= 5; call++) {
             try {
-                return await primaryOperation();
-            } catch (primaryError) {
-                console.warn("Primary operation failed, trying fallback");
-                try {
-                    return await fallbackOperation();
-                } catch (fallbackError) {
-                    throw new Error(
-                        `Both operations failed. Primary: ${primaryError.message}, Fallback: ${fallbackError.message}`
-                    );
-                }
+                await breaker.execute(() => this.asyncOperation("failure", 10));
+            } catch (error) {
+                console.log(
+                    `   Call ${call}: ${error.name} - ${error.message}`
+                );
             }
-        };
-
-        // Test fallback mechanism
-        withFallback(
-            () => this.asyncOperation("failure", 100),
-            () => this.asyncOperation("success", 50)
-        )
-            .then((result) => {
-                console.log("✓ Fallback successful:", result);
-            })
-            .catch((error) => {
-                console.error("❌ Both operations failed:", error.message);
-            });
+        }
+        await new Promise((resolve) => setTimeout(resolve, 120));
+        await breaker.execute(() => this.asyncOperation("success", 10));
+        console.log(`   Trial call succeeded, circuit is ${breaker.state}`);
+
+        // Bulkhead: at most 2 concurrent calls, 2 waiting, the rest rejected
+        const bulkhead = new Bulkhead({
+            name: "reports",
+            maxConcurrent: 2,
+            maxQueue: 2,
+        });
+        const outcomes = await Promise.allSettled(
+            Array.from({ length: 6 }, () =>
+                bulkhead.execute(() => this.asyncOperation("success", 50))
+            )
+        );
+        console.log(
+            "🚧 Bulkhead results:",
+            outcomes.map((outcome) =>
+                outcome.status === "fulfilled" ? "ran" : outcome.reason.code
+            )
+        );
     }
 
     /**
      * Error Logging and Reporting
      */
-    errorLoggingAndReporting() {
+    async errorLoggingAndReporting() {
         console.log("\n=== 8. ERROR LOGGING & REPORTING ===");
 
-        const errorReporter = {
-            report(error, context = {}) {
-                const errorReport = {
-                    timestamp: new Date().toISOString(),
-                    message: error.message,
-                    stack: error.stack,
-                    type: error.constructor.name,
-                    context: context,
-                    userAgent:
-                        typeof navigator !== "undefined"
-                            ? navigator.userAgent
-                            : "Node.js",
-                    url:
-                        typeof window !== "undefined"
-                            ? window.location.href
-                            : "N/A",
-                };
-
-                console.group("📋 Error Report");
-                console.table(errorReport);
-                console.groupEnd();
-
-                // In a real application, you'd send this to a logging service
-                this.sendToLoggingService(errorReport);
-            },
+        // Local stand-in for Sentry & co. - its first request fails with 503
+        const collector = await startCollectorServer({
+            log: true,
+            failFirst: 1,
+        });
+        // One file, started fresh each run - a timestamped name per run
+        // would pile up in the temp dir
+        const logFile = path.join(
+            os.tmpdir(),
+            "debug-me-errors",
+            "reporter-demo.ndjson"
+        );
+        fs.rmSync(logFile, { force: true });
+
+        const errorReporter = new ErrorReporter({
+            transports: [
+                new StdoutTransport({ format: "pretty" }),
+                new FileTransport({ filePath: logFile }),
+                new HttpTransport({ url: `${collector.url}/api/errors` }),
+            ],
+            batchSize: 5,
+            rateLimit: { maxEvents: 6, intervalMs: 1000 },
+        });
+        errorReporter.on("transportError", ({ transport, error }) =>
+            console.warn(`⚠️  ${transport} transport failed: ${error.message}`)
+        );
 
-            sendToLoggingService(report) {
-                // Simulate sending to external service
-                console.log("📤 Sending error report to logging service...");
-                // In reality: send to Sentry, LogRocket, etc.
-            },
-        };
+        // Breadcrumbs: the console calls leading up to an error
+        errorReporter.installConsoleBreadcrumbs();
+        console.log("User opened /checkout");
+        console.info("Loaded cart for jane.doe@example.com");
+        console.warn("Inventory service slow (1200ms)");
 
-        // Test error reporting
+        // Test error reporting - context is scrubbed before it leaves the process
         try {
-            throw new Error("Reportable error for testing");
+            throw new NotFoundError("User 123 not found", {
+                details: { resource: "user", id: 123 },
+                cause: new Error("SELECT returned 0 rows"),
+            });
         } catch (error) {
-            errorReporter.report(error, {
+            errorReporter.captureException(error, {
                 userId: 123,
+                email: "jane.doe@example.com",
+                password: "hunter2",
+                headers: { authorization: "Bearer abc.def.ghi" },
                 action: "testing-error-reporting",
                 additionalData: { testMode: true },
             });
         }
+
+        // De-duplication: the same bug in a loop is one event with a counter
+        for (let i = 0; i < 5; i++) {
+            try {
+                this.functionThatMightFailInDifferentWays("type-error");
+            } catch (error) {
+                errorReporter.captureException(error, { iteration: i });
+            }
+        }
+
+        // Rate limiting: an error storm is capped per interval
+        ["search", "billing", "profile", "export", "import", "audit", "sync"]
+            .map((feature) => new Error(`Feature "${feature}" misconfigured`))
+            .forEach((error) => errorReporter.captureException(error));
+
+        await errorReporter.close();
+
+        const { delivered, ...counters } = errorReporter.stats;
+        console.log("📊 Reporter stats:");
+        console.table(counters);
+        console.log("Events delivered per transport:", delivered);
+
+        // DEBUGGING: Inspect what actually left the process
+        const received = collector.events.find(
+            (event) => event.error.name === "NotFoundError"
+        );
+        console.log(
+            `📥 Collector received ${collector.events.length} events in ${collector.requests} requests`
+        );
+        console.log("Scrubbed context:", received.context);
+        console.log(
+            "Breadcrumbs:",
+            received.breadcrumbs.map(
+                (crumb) => `[${crumb.level}] ${crumb.message}`
+            )
+        );
+        console.log(`💾 NDJSON log: ${logFile}`);
+
+        await collector.close();
     }
 
     /**
@@ -403,6 +617,9 @@ class ErrorHandlingDebugging {
             console.log("Message:", error.message);
             console.log("Stack:", error.stack);
 
+            // `cause` is not enumerable - Object.keys() won't show it
+            console.log("Cause:", error.cause?.message);
+
             // Custom properties (if any)
             console.log("Custom properties:");
             Object.keys(error).forEach((key) => {
@@ -411,6 +628,9 @@ class ErrorHandlingDebugging {
                 }
             });
 
+            // Cause chain (what led to this error)
+            printCauseChain(error);
+
             // Error prototype chain
             console.log("Prototype chain:");
             let proto = Object.getPrototypeOf(error);
@@ -421,6 +641,66 @@ class ErrorHandlingDebugging {
                 level++;
             }
 
+            // toJSON()/fromJSON() round trip keeps class, stack and cause
+            const json = JSON.stringify(error);
+            const revived = AppError.fromJSON(JSON.parse(json));
+            console.log("Serialized:", json.length, "bytes of JSON");
+            console.log("Revived:", {
+                class: revived.constructor.name,
+                instanceOfAppError: revived instanceof AppError,
+                code: revived.code,
+                cause: revived.cause?.message,
+                sameStack: revived.stack === error.stack,
+            });
+
+            console.groupEnd();
+
+            // Legacy `originalError` fields and AggregateError.errors are walked too
+            const legacy = new Error("Payment failed");
+            legacy.originalError = new TimeoutError("Card processor timed out");
+            printCauseChain(
+                new AggregateError(
+                    [legacy, new ValidationError("Missing billing address")],
+                    "Checkout failed"
+                ),
+                { title: "Aggregate failure", maxFrames: 1 }
+            );
+
+            // Structured frames instead of error.stack.split("\n")[n]
+            console.group("🧱 Parsed stack frames");
+            console.table(
+                parseStack(error).map((frame) => ({
+                    function: frame.functionName || "<anonymous>",
+                    location: formatLocation(frame) || "-",
+                    async: frame.async,
+                    internal: frame.internal,
+                    dependency: frame.dependency,
+                }))
+            );
+            console.log(
+                "App frames only:",
+                getAppFrames(error).map((frame) => formatFrame(frame))
+            );
+
+            // The same parser reads stacks sent from the browser pages
+            const firefoxStack = [
+                "validate@http://localhost:8080/devtools/console-tab.html:880:15",
+                "async*submit@http://localhost:8080/devtools/console-tab.html:901:9",
+                "@http://localhost:8080/devtools/console-tab.html line 2 > eval:1:1",
+            ].join("\n");
+            const safariStack = [
+                "map@[native code]",
+                "render@http://localhost:8080/devtools/elements-tab.html:212:20",
+                "global code@http://localhost:8080/devtools/elements-tab.html:300:5",
+            ].join("\n");
+            console.log(
+                "Firefox:",
+                parseStack(firefoxStack).map((frame) => formatFrame(frame))
+            );
+            console.log(
+                "Safari: ",
+                parseStack(safariStack).map((frame) => formatFrame(frame))
+            );
             console.groupEnd();
 
             // DEBUGGING: Set a breakpoint here and explore the error object
@@ -435,32 +715,136 @@ class ErrorHandlingDebugging {
     performanceImpactOfErrors() {
         console.log("\n=== 10. PERFORMANCE IMPACT ===");
 
-        const iterations = 10000;
+        // Warmup + several samples per case, compared against a baseline.
+        // For the full run: node src/errors/benchmark.js [--json]
+        const reports = runErrorBenchmarks({ iterations: 200, samples: 5 });
+
+        const meanOf = (suite, name) =>
+            reports[suite].results.find((result) => result.name === name).mean;
+        const ratio = (a, b) => Number((a / b).toFixed(1));
+        const summary = {
+            throwVsResult: ratio(
+                meanOf(0, "throw + catch"),
+                meanOf(0, "return { ok: false }")
+            ),
+            stackReadOverhead: ratio(
+                meanOf(0, "throw + catch + read .stack"),
+                meanOf(0, "throw + catch")
+            ),
+        };
+        console.log("Summary (JSON):", JSON.stringify(summary));
 
-        // Test 1: Normal execution (no errors)
-        console.time("Normal execution");
-        for (let i = 0; i < iterations; i++) {
-            try {
-                this.normalFunction();
-            } catch (e) {
-                // No errors expected
-            }
+        console.log(
+            `💡 Tip: Throwing was ${summary.throwVsResult}x slower than returning a result - avoid errors for control flow`
+        );
+        console.log(
+            `💡 Tip: Reading error.stack cost another ${summary.stackReadOverhead}x - format stacks only when you log them`
+        );
+    }
+
+    /**
+     * Result Type - Failures as Return Values
+     */
+    async resultTypeVsThrowing() {
+        console.log("\n=== 11. RESULT TYPE VS. THROWING ===");
+
+        // Side by side: the same call, exception style and result style
+        let thrownStyle;
+        try {
+            thrownStyle = this.riskyFunction().toUpperCase();
+        } catch (error) {
+            thrownStyle = "default value";
         }
-        console.timeEnd("Normal execution");
 
-        // Test 2: Execution with caught errors
-        console.time("Execution with errors");
-        for (let i = 0; i < iterations; i++) {
-            try {
-                this.functionThatAlwaysThrows();
-            } catch (e) {
-                // Expected errors
-            }
+        const resultStyle = tryCatch(() => this.riskyFunction())
+            .map((value) => value.toUpperCase())
+            .unwrapOr("default value");
+
+        console.log("try/catch:", thrownStyle);
+        console.log("Result:   ", resultStyle);
+
+        // Typed results: every way of failing becomes an AppError with a code
+        const toAppError = (error) =>
+            new AppError(`Lookup failed: ${error.message}`, {
+                code: `ERR_${error.name
+                    .replace(/([a-z])([A-Z])/g, "$1_$2")
+                    .toUpperCase()}`,
+                cause: error,
+            });
+        const outcomes = [
+            "type-error",
+            "reference-error",
+            "range-error",
+            "generic",
+        ].map((errorType) =>
+            tryCatch(
+                () => this.functionThatMightFailInDifferentWays(errorType),
+                toAppError
+            ).match({
+                ok: (value) => ({ errorType, ok: true, value }),
+                err: (error) => ({
+                    errorType,
+                    ok: false,
+                    code: error.code,
+                    cause: error.cause.name,
+                }),
+            })
+        );
+        console.table(outcomes);
+
+        // Chaining: each step can fail, the first failure short-circuits
+        const parseUser = (json) =>
+            tryCatch(() => JSON.parse(json))
+                .andThen((data) =>
+                    typeof data.email === "string"
+                        ? ok(data)
+                        : err(
+                              new ValidationError("User needs an email", {
+                                  fields: [
+                                      { field: "email", message: "missing" },
+                                  ],
+                              })
+                          )
+                )
+                .map((user) => user.email.toLowerCase());
+
+        [
+            '{"email": "Ada@Example.com"}',
+            '{"name": "no email"}',
+            "{not json",
+        ].forEach((input) => {
+            const result = parseUser(input);
+            // DEBUGGING: The Result says which step failed without a stack walk
+            console.log(
+                `${result.isOk() ? "✓" : "❌"} ${input.padEnd(28)} →`,
+                JSON.stringify(result)
+            );
+        });
+
+        // Async: Promise.all fails fast, tryCatchAsync + Result.all reports
+        // the first failure while every operation still runs to completion
+        const results = await Promise.all([
+            tryCatchAsync(() => this.asyncOperation("success", 20)),
+            tryCatchAsync(() => this.asyncOperation("failure", 30)),
+            tryCatchAsync(this.promiseThatRejects()),
+        ]);
+        console.table(results.map((result) => result.toJSON()));
+
+        const combined = Result.all(results);
+        console.log(
+            "Result.all:",
+            combined.isOk() ? "all succeeded" : combined.error.message
+        );
+
+        // PITFALL: unwrap() throws again - keep it at the edges of your code
+        try {
+            combined.unwrap();
+        } catch (error) {
+            console.log("unwrap() rethrew:", error.name);
         }
-        console.timeEnd("Execution with errors");
 
         console.log(
-            "💡 Tip: Errors have performance overhead - avoid using them for control flow"
+            "💡 Tip: Use Results for expected failures (validation, lookups) and throw for bugs"
         );
     }
 
@@ -491,7 +875,11 @@ class ErrorHandlingDebugging {
     async promiseThatRejects() {
         return new Promise((resolve, reject) => {
             setTimeout(() => {
-                reject(new Error("Promise rejected after timeout"));
+                reject(
+                    new TimeoutError("Promise rejected after timeout", {
+                        details: { timeoutMs: 50 },
+                    })
+                );
             }, 50);
         });
     }
@@ -513,45 +901,26 @@ class ErrorHandlingDebugging {
     async unreliableOperation() {
         // Fails 70% of the time
         if (Math.random() < 0.7) {
-            throw new Error("Unreliable operation failed");
+            throw new ExternalServiceError("Unreliable operation failed");
         }
         return "Unreliable operation succeeded";
     }
 
     complexErrorScenario() {
-        const customError = new Error("Complex error scenario");
-        customError.code = "ERR_COMPLEX_SCENARIO";
-        customError.statusCode = 500;
-        customError.details = {
-            operation: "complexErrorScenario",
-            timestamp: Date.now(),
-            context: { userId: 123 },
-        };
-        customError.cause = new Error("Root cause error");
-
-        throw customError;
-    }
-
-    normalFunction() {
-        return Math.random() * 100;
-    }
-
-    functionThatAlwaysThrows() {
-        throw new Error("This function always throws");
+        throw new AppError("Complex error scenario", {
+            code: "ERR_COMPLEX_SCENARIO",
+            statusCode: 500,
+            details: {
+                operation: "complexErrorScenario",
+                context: { userId: 123 },
+            },
+            cause: new Error("Root cause error"),
+        });
     }
 
     logError(context, error) {
         this.errorCount++;
-        this.errorLog.push({
-            id: this.errorCount,
-            context,
-            error: {
-                name: error.name,
-                message: error.message,
-                stack: error.stack,
-            },
-            timestamp: new Date().toISOString(),
-        });
+        return this.errorStore.append(context, error);
     }
 
     /**
@@ -561,16 +930,33 @@ class ErrorHandlingDebugging {
         console.log("\n=== ERROR STATISTICS ===");
         console.log(`Total errors logged: ${this.errorCount}`);
 
-        if (this.errorLog.length > 0) {
-            console.table(
-                this.errorLog.map((log) => ({
-                    ID: log.id,
-                    Context: log.context,
-                    Type: log.error.name,
-                    Message: log.error.message.substring(0, 50) + "...",
-                }))
-            );
-        }
+        const thisRun = this.errorStore.query({
+            runId: this.errorStore.runId,
+        });
+        if (thisRun.length === 0) return;
+
+        // Identical errors collapse into one row with a count
+        console.table(
+            this.errorStore.group(thisRun).map((group) => ({
+                Fingerprint: group.fingerprint,
+                Type: group.name,
+                Code: group.code ?? "-",
+                Message: group.message,
+                Count: group.count,
+                Contexts: group.contexts.join(", "),
+            }))
+        );
+
+        // DEBUGGING: Query the log instead of scrolling through it
+        const lastHour = this.errorStore.query({
+            type: "TypeError",
+            since: new Date(Date.now() - 60 * 60 * 1000),
+        });
+        console.log(
+            `TypeErrors in the last hour (all runs): ${lastHour.length}`
+        );
+        console.log(`Log file: ${this.errorStore.filePath}`);
+        console.log("💡 Tip: Compare runs with: node src/index.js stats");
     }
 
     /**
@@ -579,6 +965,8 @@ class ErrorHandlingDebugging {
     async run() {
         console.log("🎯 Starting Error Handling & Debugging Examples");
         console.log("=".repeat(60));
+        // Counts as a run in `stats` even if no error gets logged
+        this.errorStore.markRun();
 
         try {
             this.basicTryCatch();
@@ -586,11 +974,12 @@ class ErrorHandlingDebugging {
             this.nestedTryCatch();
             this.errorPropagation();
             await this.asyncErrorHandling();
-            this.globalErrorHandling();
-            this.errorRecovery();
-            this.errorLoggingAndReporting();
+            await this.globalErrorHandling();
+            await this.errorRecovery();
+            await this.errorLoggingAndReporting();
             this.debuggingErrorObjects();
             this.performanceImpactOfErrors();
+            await this.resultTypeVsThrowing();
 
             // Wait for async operations
             await new Promise((resolve) => setTimeout(resolve, 500));
@@ -6,54 +6,50 @@
  */
 
 const path = require("path");
+const { performance } = require("perf_hooks");
+const { runCli } = require("./cli");
+const { installGlobalHandlers, POLICIES } = require("./errors/global-handlers");
+const { logger } = require("./logging/logger");
+const { withHandleCheck } = require("./async/cancellation");
 
-// Import debugging modules
-const consoleDebugging = require("./console/console-methods");
-const errorHandling = require("./errors/try-catch");
-const asyncDebugging = require("./async/promises");
-const performanceDebugging = require("./performance/performance-issues");
+const { DemoRegistry } = require("./registry");
 
-console.log("🐛 JavaScript Debugging Mastery Project Started");
-console.log("=".repeat(50));
+const log = logger.child({ component: "debug-master" });
 
 /**
  * Main application controller
  * Practice debugging: Set breakpoints here and step through
  */
 class DebugMaster {
-    constructor() {
-        this.modules = new Map();
+    /**
+     * @param {Object} options - { plugins: package names or paths of extra demos }
+     */
+    constructor({ plugins = [] } = {}) {
+        this.registry = new DemoRegistry();
         this.currentDemo = null;
-        this.setupModules();
+        this.setupModules(plugins);
     }
 
     /**
-     * Setup available debugging modules
-     * DEBUGGING TIP: Use 'Step Into' (F11) to explore each module
+     * Registered demos, keyed by name (in listing order)
      */
-    setupModules() {
-        this.modules.set("console", {
-            name: "Console Debugging",
-            module: consoleDebugging,
-            description: "Learn console methods and techniques",
-        });
-
-        this.modules.set("errors", {
-            name: "Error Handling",
-            module: errorHandling,
-            description: "Practice error debugging and handling",
-        });
+    get modules() {
+        return this.registry.demos;
+    }
 
-        this.modules.set("async", {
-            name: "Async Debugging",
-            module: asyncDebugging,
-            description: "Debug promises and async/await",
-        });
+    /**
+     * Setup available debugging modules
+     * Demos are discovered from each section's index.js manifest
+     * (src/console/index.js, src/errors/index.js, ...) plus any plugins.
+     * DEBUGGING TIP: Use 'Step Into' (F11) to explore the registry
+     * @param {string[]} plugins - Extra demo packages to load
+     */
+    setupModules(plugins = []) {
+        this.registry.discover(__dirname);
 
-        this.modules.set("performance", {
-            name: "Performance Debugging",
-            module: performanceDebugging,
-            description: "Profile and debug performance issues",
+        plugins.forEach((plugin) => {
+            const added = this.registry.loadPlugin(plugin);
+            console.log(`🔌 Plugin ${plugin} added: ${added.join(", ")}`);
         });
 
         // DEBUGGING EXERCISE: Add a conditional breakpoint here
@@ -64,32 +60,87 @@ class DebugMaster {
     /**
      * Run a specific debugging demo
      * @param {string} demoName - Name of the demo to run
+     * @returns {Promise<{name: string, status: string, durationMs: number, error: Error|null, handles: Object|null}>}
      */
     async runDemo(demoName) {
         console.log(`\n🚀 Running ${demoName} demo...`);
 
-        // DEBUGGING TIP: Set a breakpoint here and inspect the 'module' variable
-        const module = this.modules.get(demoName);
+        // DEBUGGING TIP: Set a breakpoint here and inspect the 'demo' variable
+        const demo = this.modules.get(demoName);
 
-        if (!module) {
+        if (!demo) {
             // DEBUGGING: This error should be caught by global error handler
             throw new Error(`Demo '${demoName}' not found`);
         }
 
+        const result = {
+            name: demoName,
+            status: "passed",
+            durationMs: 0,
+            error: null,
+            handles: null,
+        };
+        const startTime = performance.now();
+
         try {
             this.currentDemo = demoName;
 
             // DEBUGGING: Use 'Step Over' (F10) to avoid stepping into module execution
-            if (typeof module.module.run === "function") {
-                await module.module.run();
-            } else {
-                console.log(`${module.name}: ${module.description}`);
+            const { error, finding } = await withHandleCheck(demoName, () =>
+                demo.run()
+            );
+            // Timers and sockets a demo leaves open keep running into the next one
+            result.handles = finding;
+            if (finding.status === "leak") {
+                log.warn(
+                    `🚰 ${demoName} left handles open: ${finding.summary}`
+                );
             }
+            if (error) throw error;
         } catch (error) {
-            console.error(`❌ Error running ${demoName}:`, error.message);
+            log.error(`Error running ${demoName}`, {
+                demo: demoName,
+                err: error,
+            });
+            result.status = "failed";
+            result.error = error;
             // DEBUGGING: Examine the call stack when this executes
             debugger; // Programmatic breakpoint
+        } finally {
+            result.durationMs = performance.now() - startTime;
+            this.currentDemo = null;
         }
+
+        return result;
+    }
+
+    /**
+     * Run several demos in sequence
+     * @param {string[]} demoNames - Demos to run, in order
+     * @param {Object} options - { bail: stop at first failure, pauseMs: delay between demos }
+     * @returns {Promise<Array>} One result per demo that was started
+     */
+    async runDemos(demoNames, { bail = false, pauseMs = 1000 } = {}) {
+        const results = [];
+
+        for (const [index, demoName] of demoNames.entries()) {
+            console.log(`\n${"=".repeat(50)}`);
+            const result = await this.runDemo(demoName);
+            results.push(result);
+
+            // DEBUGGING: Conditional breakpoint: result.status === 'failed'
+            if (bail && result.status === "failed") {
+                log.warn(`🛑 Bailing out after '${demoName}' failed`);
+                break;
+            }
+
+            if (index < demoNames.length - 1) {
+                // DEBUGGING: Add a watch expression for 'this.currentDemo'
+                await this.delay(pauseMs); // Pause between demos
+            }
+        }
+
+        return results;
     }
 
     /**
@@ -102,25 +153,27 @@ class DebugMaster {
         // DEBUGGING: Set a logpoint here instead of breakpoint
         // Logpoint message: "Demo: {demoName}, Description: {demo.description}"
         this.modules.forEach((demo, demoName) => {
-            console.log(`  ${demoName.padEnd(12)} - ${demo.description}`);
+            const tags = demo.tags.length ? ` [${demo.tags.join(", ")}]` : "";
+            console.log(
+                `  ${demoName.padEnd(12)} - ${demo.description}${tags}`
+            );
         });
     }
 
     /**
      * Run all demos in sequence
+     * @param {Object} options - Same options as runDemos()
      */
-    async runAllDemos() {
+    async runAllDemos(options) {
         console.log("\n🎯 Running all debugging demos...\n");
 
-        for (const [demoName, demo] of this.modules) {
-            console.log(`\n${"=".repeat(50)}`);
-            await this.runDemo(demoName);
-
-            // DEBUGGING: Add a watch expression for 'this.currentDemo'
-            await this.delay(1000); // Pause between demos
-        }
+        const results = await this.runDemos(
+            Array.from(this.modules.keys()),
+            options
+        );
 
         console.log("\n✅ All demos completed!");
+        return results;
     }
 
     /**
@@ -189,29 +242,6 @@ class DebugMaster {
     }
 }
 
-/**
- * Global error handler for uncaught exceptions
- * DEBUGGING: This catches unhandled errors - useful for debugging
- */
-process.on("uncaughtException", (error) => {
-    console.error("🚨 Uncaught Exception:", error);
-    // In a real app, you'd log this and gracefully shut down
-    // debugger; // Uncomment to break on uncaught exceptions
-});
-
-/**
- * Global handler for unhandled promise rejections
- */
-process.on("unhandledRejection", (reason, promise) => {
-    console.error(
-        "🚨 Unhandled Promise Rejection at:",
-        promise,
-        "reason:",
-        reason
-    );
-    // debugger; // Uncomment to break on unhandled promise rejections
-});
-
 /**
  * Main execution
  * DEBUGGING TIPS:
@@ -220,34 +250,34 @@ process.on("unhandledRejection", (reason, promise) => {
  * 3. Add variables to watch panel
  * 4. Try conditional breakpoints
  * 5. Use the debug console to evaluate expressions
+ *
+ * Pick what to run from the command line instead of editing this file:
+ *   node src/index.js run console
+ *   node src/index.js run --all
+ * See src/cli.js for every command and flag.
  */
-async function main() {
-    const debugMaster = new DebugMaster();
-
-    // DEBUGGING: Right-click here and "Add to Watch" for debugMaster
-    debugMaster.listDemos();
-
-    // Run interactive debugging scenarios
-    debugMaster.debuggingScenarios();
-
-    // Uncomment different lines to practice different debugging approaches:
-
-    // Run single demo
-    // await debugMaster.runDemo('console');
-
-    // Run all demos
-    // await debugMaster.runAllDemos();
-
-    console.log("\n🎉 Debugging practice session complete!");
-    console.log("💡 Try setting breakpoints and running with: npm run debug");
+async function main(argv = process.argv.slice(2)) {
+    return runCli(argv, (options) => new DebugMaster(options));
 }
 
 // Start the application
 if (require.main === module) {
-    main().catch((error) => {
-        console.error("Application failed:", error);
-        process.exit(1);
+    // DEBUGGING: Uncaught errors are logged with their cause chain, not fatal.
+    // In a real app you'd pick POLICIES.GRACEFUL_SHUTDOWN instead.
+    // Add `.onError(() => { debugger; })` to break on them.
+    installGlobalHandlers({
+        name: "debug-master",
+        policy: POLICIES.LOG_AND_CONTINUE,
     });
+
+    main()
+        .then((exitCode) => {
+            process.exitCode = exitCode;
+        })
+        .catch((error) => {
+            log.fatal("Application failed", error);
+            process.exit(1);
+        });
 }
 
-module.exports = { DebugMaster };
+module.exports = { DebugMaster, main };
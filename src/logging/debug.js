@@ -0,0 +1,260 @@
+/**
+ * Namespaced Debug Output - a built-in replacement for the `debug` package
+ *
+ * Debug lines are off by default and switched on per namespace, so a noisy
+ * subsystem can be silenced without touching the code:
+ *
+ *   const debug = require("../logging/debug");
+ *   const debugDatabase = debug("app:database");
+ *   debugDatabase("Executing query: %s", sql);   // app:database Executing query ... +12ms
+ *
+ *   DEBUG=app:*                  everything under app:
+ *   DEBUG=app:*,-app:auth        ... except app:auth (exclusions always win)
+ *   DEBUG=*,-app:*:verbose       "*" matches any run of characters, ":" included
+ *   DEBUG_FILE=/tmp/debug.log    append plain lines to a file instead of stderr
+ *   DEBUG_COLORS=0|1             force colors off/on (default: stderr is a TTY)
+ *
+ * Each namespace gets a stable color and shows the time since its own
+ * previous line (+Nms). debug.enable()/disable() change the namespaces at
+ * runtime - instances created earlier pick the change up on their next call.
+ */
+
+const util = require("util");
+const { FileTransport } = require("./logger");
+
+// 256-color codes that are readable on dark and light backgrounds
+const COLORS = [
+    20, 21, 26, 27, 32, 33, 38, 39, 40, 41, 42, 43, 44, 45, 56, 57, 62, 63, 68,
+    69, 74, 75, 76, 77, 78, 79, 80, 81, 92, 93, 98, 99, 112, 113, 128, 129, 134,
+    135, 148, 149, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
+    172, 173, 178, 179, 184, 185, 196, 197, 198, 199, 200, 201, 202, 203, 204,
+    205, 206, 207, 208, 209, 214, 215, 220, 221,
+];
+
+const state = {
+    namespaces: "",
+    include: [],
+    exclude: [],
+    // Bumped by enable() so existing instances re-check their namespace
+    generation: 0,
+    output: null,
+    useColors: null,
+};
+
+/**
+ * "app:*" → /^app:.*?$/
+ */
+function toPattern(namespace) {
+    const escaped = namespace
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*?");
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Pick a color from the namespace so it stays the same between runs
+ */
+function selectColor(namespace) {
+    let hash = 0;
+    for (let i = 0; i < namespace.length; i++) {
+        hash = (hash << 5) - hash + namespace.charCodeAt(i);
+        hash |= 0;
+    }
+    return COLORS[Math.abs(hash) % COLORS.length];
+}
+
+/**
+ * 1234 → "1.2s", 90000 → "1.5m"
+ */
+function humanize(ms) {
+    if (ms >= 60000) return `${(ms / 60000).toFixed(1)}m`;
+    if (ms >= 1000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${ms}ms`;
+}
+
+function colorsEnabled() {
+    if (state.useColors !== null) return state.useColors;
+    if (process.env.DEBUG_COLORS !== undefined) {
+        return !/^(0|false|no|off)$/i.test(process.env.DEBUG_COLORS);
+    }
+    return Boolean(process.stderr.isTTY);
+}
+
+/**
+ * Write one finished line to the configured output
+ */
+function write(line) {
+    if (state.output) {
+        state.output.write(line);
+    } else {
+        process.stderr.write(line + "\n");
+    }
+}
+
+/**
+ * Create a debug function for a namespace
+ * @param {string} namespace - "app", "app:database", ...
+ * @returns {Function} debug(format, ...args) - util.format placeholders (%s %d %o %O %j)
+ */
+function createDebug(namespace) {
+    let previous = null;
+    let override = null;
+    let cached = { generation: -1, enabled: false };
+
+    function debug(format, ...args) {
+        if (!debug.enabled) return;
+
+        const now = Date.now();
+        debug.diff = previous === null ? 0 : now - previous;
+        previous = now;
+
+        if (format instanceof Error) {
+            // DEBUGGING: Errors print their stack, not just "[object Error]"
+            args.unshift(format.stack || format.message);
+            format = "%s";
+        } else if (typeof format !== "string") {
+            args.unshift(format);
+            format = "%O";
+        }
+
+        const colors = !state.output && colorsEnabled();
+        const message = util.formatWithOptions(
+            { colors, depth: 3 },
+            format,
+            ...args
+        );
+        debug.log(
+            colors ? formatColored(debug, message) : formatPlain(debug, message)
+        );
+    }
+
+    debug.namespace = namespace;
+    debug.color = selectColor(namespace);
+    debug.diff = 0;
+    debug.log = write;
+
+    // Assigning debug.enabled pins it; otherwise it follows DEBUG/enable()
+    Object.defineProperty(debug, "enabled", {
+        enumerable: true,
+        get() {
+            if (override !== null) return override;
+            if (cached.generation !== state.generation) {
+                cached = {
+                    generation: state.generation,
+                    enabled: createDebug.enabled(namespace),
+                };
+            }
+            return cached.enabled;
+        },
+        set(value) {
+            override = value === null ? null : Boolean(value);
+        },
+    });
+
+    /**
+     * Sub-namespace that shares this one's output: debug("app").extend("db")
+     */
+    debug.extend = (suffix, delimiter = ":") => {
+        const child = createDebug(`${namespace}${delimiter}${suffix}`);
+        child.log = debug.log;
+        return child;
+    };
+
+    return debug;
+}
+
+function formatColored(debug, message) {
+    const color = `\u001b[38;5;${debug.color};1m`;
+    const reset = "\u001b[0m";
+    const prefix = `  ${color}${debug.namespace}${reset} `;
+    // Indent continuation lines (stacks, multi-line objects) under the prefix
+    return `${prefix}${message
+        .split("\n")
+        .join(`\n${prefix}`)} ${color}+${humanize(debug.diff)}${reset}`;
+}
+
+function formatPlain(debug, message) {
+    return `${new Date().toISOString()} ${
+        debug.namespace
+    } ${message} +${humanize(debug.diff)}`;
+}
+
+/**
+ * Enable the namespaces in a DEBUG-style string (replaces the current set)
+ * @param {string} namespaces - "app:*,-app:auth"; separated by commas or spaces
+ */
+createDebug.enable = (namespaces = "") => {
+    state.namespaces = namespaces;
+    state.include = [];
+    state.exclude = [];
+    state.generation++;
+
+    namespaces
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .forEach((namespace) => {
+            if (namespace.startsWith("-")) {
+                state.exclude.push(toPattern(namespace.slice(1)));
+            } else {
+                state.include.push(toPattern(namespace));
+            }
+        });
+
+    // Keep the environment in sync for child processes and printouts
+    if (namespaces) {
+        process.env.DEBUG = namespaces;
+    } else {
+        delete process.env.DEBUG;
+    }
+};
+
+/**
+ * Disable everything
+ * @returns {string} The namespaces that were enabled - pass to enable() to restore
+ */
+createDebug.disable = () => {
+    const namespaces = state.namespaces;
+    createDebug.enable("");
+    return namespaces;
+};
+
+/**
+ * Is a namespace enabled by the current DEBUG rules?
+ */
+createDebug.enabled = (namespace) => {
+    // PITFALL: "-app:auth" must win over "app:*" whatever the order
+    if (state.exclude.some((pattern) => pattern.test(namespace))) {
+        return false;
+    }
+    return state.include.some((pattern) => pattern.test(namespace));
+};
+
+/**
+ * Send debug output to a file (plain lines, no colors) or back to stderr
+ * @param {string|Object|null} target - File path, anything with write(line), or null for stderr
+ */
+createDebug.setOutput = (target) => {
+    if (state.output && typeof state.output.close === "function") {
+        state.output.close();
+    }
+    state.output =
+        typeof target === "string"
+            ? new FileTransport({ filePath: target })
+            : target || null;
+};
+
+/**
+ * Force colors on or off (null: decide from DEBUG_COLORS / the TTY)
+ */
+createDebug.useColors = (value) => {
+    state.useColors = value === null ? null : Boolean(value);
+};
+
+createDebug.humanize = humanize;
+
+createDebug.enable(process.env.DEBUG || "");
+if (process.env.DEBUG_FILE) {
+    createDebug.setOutput(process.env.DEBUG_FILE);
+}
+
+module.exports = createDebug;
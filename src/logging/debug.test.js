@@ -0,0 +1,108 @@
+const createDebug = require("./debug");
+
+let saved;
+
+beforeEach(() => {
+    saved = createDebug.disable();
+    createDebug.useColors(false);
+});
+
+afterEach(() => {
+    createDebug.enable(saved);
+    createDebug.useColors(null);
+    createDebug.setOutput(null);
+});
+
+describe("namespace patterns", () => {
+    test.each([
+        ["app", "app", true],
+        ["app", "app:db", false],
+        ["app:*", "app:db", true],
+        ["app:*", "app", false],
+        ["app:*", "app:db:query", true],
+        ["*", "anything:at:all", true],
+        ["*:verbose", "app:db:verbose", true],
+        ["app.db", "appXdb", false],
+    ])("%s enables %s: %s", (namespaces, name, expected) => {
+        createDebug.enable(namespaces);
+        expect(createDebug.enabled(name)).toBe(expected);
+    });
+
+    test("accepts commas and spaces between namespaces", () => {
+        createDebug.enable("app:db, worker  cache");
+        expect(
+            ["app:db", "worker", "cache", "app:auth"].map(createDebug.enabled)
+        ).toEqual([true, true, true, false]);
+    });
+
+    test("exclusions win whatever the order", () => {
+        createDebug.enable("-app:auth,app:*");
+        expect(createDebug.enabled("app:auth")).toBe(false);
+        expect(createDebug.enabled("app:db")).toBe(true);
+
+        createDebug.enable("*,-app:*:verbose");
+        expect(createDebug.enabled("app:db:verbose")).toBe(false);
+        expect(createDebug.enabled("app:db")).toBe(true);
+    });
+
+    test("enable and disable keep DEBUG in sync", () => {
+        createDebug.enable("app:*");
+        expect(process.env.DEBUG).toBe("app:*");
+        expect(createDebug.disable()).toBe("app:*");
+        expect(process.env.DEBUG).toBeUndefined();
+    });
+});
+
+describe("debug instances", () => {
+    test("pick up enable() calls made after they were created", () => {
+        const debug = createDebug("app:db");
+        expect(debug.enabled).toBe(false);
+
+        createDebug.enable("app:*");
+        expect(debug.enabled).toBe(true);
+    });
+
+    test("an assigned enabled value overrides the namespaces", () => {
+        const debug = createDebug("app:db");
+        debug.enabled = true;
+        expect(debug.enabled).toBe(true);
+
+        debug.enabled = null;
+        expect(debug.enabled).toBe(false);
+    });
+
+    test("write formatted lines with the namespace to the output", () => {
+        const lines = [];
+        createDebug.setOutput({ write: (line) => lines.push(line) });
+        createDebug.enable("app:*");
+
+        createDebug("app:db")("query %s took %dms", "SELECT 1", 4);
+        createDebug("other")("hidden");
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toMatch(/ app:db query SELECT 1 took 4ms \+0ms$/);
+    });
+
+    test("extend builds a child namespace that shares log", () => {
+        const lines = [];
+        const parent = createDebug("app");
+        parent.log = (line) => lines.push(line);
+        createDebug.enable("app:db");
+
+        const child = parent.extend("db");
+        child("connected");
+
+        expect(child.namespace).toBe("app:db");
+        expect(lines).toEqual([expect.stringContaining("app:db connected")]);
+    });
+});
+
+describe("humanize", () => {
+    test("picks ms, s or m", () => {
+        expect([5, 1234, 90000].map((ms) => createDebug.humanize(ms))).toEqual([
+            "5ms",
+            "1.2s",
+            "1.5m",
+        ]);
+    });
+});
@@ -0,0 +1,608 @@
+/**
+ * Structured Logger - one logger for every module
+ *
+ * console.log() output is text for humans; once it has to be searched,
+ * filtered by level or shipped somewhere it needs structure. Every call
+ * here produces a record
+ *
+ *   { level: 30, time, name, msg, ...bindings, ...fields }
+ *
+ * that is redacted, formatted (pretty / json / logfmt) and written to one
+ * or more transports (console, file, rotating file).
+ *
+ *   const { logger } = require("../logging/logger");
+ *   const log = logger.child({ component: "registry" });
+ *   log.info("Loaded demos", { count: 10 });
+ *   log.error("Demo failed", error);
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL=debug    trace | debug | info | warn | error | fatal | silent (or a number)
+ *   LOG_FORMAT=json    pretty (default) | json | logfmt
+ *   LOG_FILE=app.log   also append JSON records to this file
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const { serializeError } = require("../errors/custom-errors");
+const { getAppFrames, formatFrame } = require("../errors/stack-parser");
+const {
+    DEFAULT_SCRUB_KEYS,
+    isSensitiveKey,
+} = require("../errors/sensitive-keys");
+
+const LOG_DIR = path.join(os.tmpdir(), "debug-me-logs");
+
+// Numeric so levels compare with < and > (same values as pino/bunyan)
+const LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    fatal: 60,
+    silent: Infinity,
+};
+
+const LEVEL_NAMES = Object.fromEntries(
+    Object.entries(LEVELS).map(([name, value]) => [value, name])
+);
+
+const LEVEL_ICONS = {
+    trace: "📝",
+    debug: "🐛",
+    info: "ℹ️ ",
+    warn: "⚠️ ",
+    error: "❌",
+    fatal: "💀",
+};
+
+/**
+ * Level name or number → number
+ */
+function toLevelValue(level) {
+    if (typeof level === "number" && !Number.isNaN(level)) return level;
+
+    const name = String(level).trim().toLowerCase();
+    if (name in LEVELS) return LEVELS[name];
+    if (/^\d+$/.test(name)) return Number(name);
+
+    throw new RangeError(
+        `Unknown log level '${level}' (expected ${Object.keys(LEVELS).join(
+            ", "
+        )} or a number)`
+    );
+}
+
+function levelName(value) {
+    return LEVEL_NAMES[value] || `level${value}`;
+}
+
+// =============================================================================
+// REDACTION
+// =============================================================================
+
+function isPlainContainer(value) {
+    if (value === null || typeof value !== "object") return false;
+    if (Array.isArray(value)) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Build a function that censors sensitive data in a record
+ * @param {Object} rules
+ * @param {RegExp} [rules.keys] - Any key matching this, at any depth
+ * @param {string[]} [rules.paths] - Dotted paths, "*" matches one segment ("req.headers.*")
+ * @param {string} [rules.censor] - Replacement value
+ * @returns {Function} (value) => redacted copy
+ */
+function createRedactor({
+    keys = DEFAULT_SCRUB_KEYS,
+    paths = [],
+    censor = "[REDACTED]",
+} = {}) {
+    const pathRules = paths.map((rule) => rule.split("."));
+    const matchesPath = (segments) =>
+        pathRules.some(
+            (rule) =>
+                rule.length === segments.length &&
+                rule.every(
+                    (part, index) => part === "*" || part === segments[index]
+                )
+        );
+
+    const redact = (value, segments, seen) => {
+        // PITFALL: Copying a Date, Map or Buffer key by key turns it into {}
+        // or an index map - only plain objects and arrays are walked
+        if (!isPlainContainer(value)) return value;
+        if (seen.has(value)) return "[Circular]";
+        seen.add(value);
+
+        const copy = Array.isArray(value) ? [] : {};
+        for (const [key, inner] of Object.entries(value)) {
+            const at = [...segments, key];
+            copy[key] =
+                (keys && isSensitiveKey(key, keys)) || matchesPath(at)
+                    ? censor
+                    : redact(inner, at, seen);
+        }
+        seen.delete(value);
+        return copy;
+    };
+
+    return (value) => redact(value, [], new WeakSet());
+}
+
+// =============================================================================
+// FORMATTERS
+// =============================================================================
+
+/**
+ * One JSON object per line (NDJSON)
+ */
+function formatJson(record) {
+    return JSON.stringify(record);
+}
+
+/**
+ * key=value pairs, nested objects flattened with dots:
+ *   time=... level=info name=app msg="User logged in" user.id=1
+ */
+function formatLogfmt(record) {
+    const pairs = [];
+    const add = (key, value) => {
+        if (value !== null && typeof value === "object") {
+            Object.entries(value).forEach(([inner, nested]) =>
+                add(`${key}.${inner}`, nested)
+            );
+            return;
+        }
+        const text = String(value);
+        pairs.push(
+            `${key}=${
+                text === "" || /[\s="\\]/.test(text)
+                    ? JSON.stringify(text)
+                    : text
+            }`
+        );
+    };
+
+    Object.entries(record).forEach(([key, value]) =>
+        add(key, key === "level" ? levelName(value) : value)
+    );
+    return pairs.join(" ");
+}
+
+/**
+ * Human-readable line; extra fields inline, an error's stack below it
+ *   ℹ️  12:00:00.123 INFO  [app:auth] User logged in { userId: 1 }
+ * (a `component` binding is shown next to the logger name)
+ */
+function createPrettyFormatter({
+    colors = Boolean(process.stdout.isTTY),
+} = {}) {
+    return (record) => {
+        const { level, time, name, msg, err, component, ...fields } = record;
+        const label = levelName(level);
+        const source = component ? `${name}:${component}` : name;
+
+        let line = `${LEVEL_ICONS[label] || "  "} ${time.slice(11, 23)} ${label
+            .toUpperCase()
+            .padEnd(5)} [${source}] ${msg}`;
+
+        if (Object.keys(fields).length > 0) {
+            line += ` ${util.inspect(fields, {
+                colors,
+                depth: 4,
+                breakLength: Infinity,
+            })}`;
+        }
+        if (err) {
+            // Your own frames only - Node internals are noise here
+            const frames = getAppFrames(err.stack || "").map(
+                (frame) => `\n        at ${formatFrame(frame)}`
+            );
+            line += `\n    ${err.name}: ${err.message}${frames.join("")}`;
+        }
+        return line;
+    };
+}
+
+const FORMATTERS = {
+    json: () => formatJson,
+    logfmt: () => formatLogfmt,
+    pretty: (options) => createPrettyFormatter(options),
+};
+
+/**
+ * Formatter by name ("pretty", "json", "logfmt") or a (record) => string
+ */
+function createFormatter(format = "pretty", options) {
+    if (typeof format === "function") return format;
+    if (!FORMATTERS[format]) {
+        throw new RangeError(
+            `Unknown log format '${format}' (expected ${Object.keys(
+                FORMATTERS
+            ).join(", ")})`
+        );
+    }
+    return FORMATTERS[format](options);
+}
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+//
+// A transport is { name, format?, level?, write(line, record), close?() }.
+// The logger formats once per format and hands each transport its line.
+
+/**
+ * Writes through the global console at call time - warn and above to
+ * console.error - so `--json` mode (console redirected to stderr) keeps
+ * stdout clean
+ */
+class ConsoleTransport {
+    constructor({ format = "pretty", level } = {}) {
+        this.name = "console";
+        this.format = format;
+        this.level = level;
+    }
+
+    write(line, record) {
+        if (record.level >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Appends lines to a file. Writes are synchronous: the last lines before a
+ * crash are the ones you need, and they must not sit in a buffer.
+ */
+class FileTransport {
+    constructor({
+        filePath = path.join(LOG_DIR, "app.log"),
+        format = "json",
+        level,
+    } = {}) {
+        this.name = "file";
+        this.filePath = filePath;
+        this.format = format;
+        this.level = level;
+        this.fd = null;
+        this.size = 0;
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, "a");
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    write(line) {
+        if (this.fd === null) this.open();
+        const bytes = Buffer.from(line + "\n");
+        fs.writeSync(this.fd, bytes);
+        this.size += bytes.length;
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+/**
+ * FileTransport that starts a new file once maxBytes would be exceeded:
+ * app.log → app.log.1 → app.log.2 ..., keeping at most maxFiles old files
+ */
+class RotatingFileTransport extends FileTransport {
+    constructor({ maxBytes = 1024 * 1024, maxFiles = 5, ...options } = {}) {
+        super(options);
+        this.name = "rotating-file";
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.rotations = 0;
+    }
+
+    write(line) {
+        if (this.fd === null) this.open();
+        const bytes = Buffer.byteLength(line) + 1;
+        // An empty file always takes the line, however long it is
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.rotate();
+        }
+        super.write(line);
+    }
+
+    rotate() {
+        this.close();
+
+        const oldest = `${this.filePath}.${this.maxFiles}`;
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.filePath}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${index + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.unlinkSync(this.filePath);
+        }
+
+        this.rotations++;
+        this.open();
+    }
+
+    /**
+     * The current file followed by the rotated ones, newest first
+     */
+    files() {
+        return [
+            this.filePath,
+            ...Array.from(
+                { length: this.maxFiles },
+                (_, index) => `${this.filePath}.${index + 1}`
+            ),
+        ].filter((filePath) => fs.existsSync(filePath));
+    }
+}
+
+// =============================================================================
+// LOGGER
+// =============================================================================
+
+class Logger {
+    /**
+     * @param {Object} options
+     * @param {string} [options.name] - Shown on every line
+     * @param {string|number} [options.level] - Minimum level written
+     * @param {string|Function} [options.format] - Default format for transports without one
+     * @param {Object[]} [options.transports] - Defaults to a ConsoleTransport
+     * @param {Object|Function} [options.redact] - createRedactor() rules, or a redactor
+     * @param {Object} [options.bindings] - Fields added to every record
+     * @param {Logger} [options.parent] - Set by child()
+     */
+    constructor({
+        name = "app",
+        level,
+        format = "pretty",
+        transports,
+        redact,
+        bindings = {},
+        parent = null,
+    } = {}) {
+        this.name = name;
+        this.bindings = bindings;
+        this.parent = parent;
+        // A child without a level of its own follows its parent's
+        if (level !== undefined) {
+            this.ownLevel = toLevelValue(level);
+        } else {
+            this.ownLevel = parent ? null : LEVELS.info;
+        }
+        // One set of transports and one redactor for a logger and its children
+        this.shared = parent
+            ? parent.shared
+            : {
+                  transports: transports || [new ConsoleTransport({ format })],
+                  format,
+                  redact:
+                      typeof redact === "function"
+                          ? redact
+                          : createRedactor(redact),
+                  formatters: new Map(),
+              };
+    }
+
+    /**
+     * Logger that adds `bindings` to every record and shares this one's
+     * transports. Without its own level it follows the parent's, also when
+     * that changes later.
+     * @param {Object} bindings - { component, requestId, ... }
+     * @param {Object} options - { level, name }
+     */
+    child(bindings = {}, { level, name = this.name } = {}) {
+        return new Logger({
+            name,
+            level,
+            bindings: { ...this.bindings, ...bindings },
+            parent: this,
+        });
+    }
+
+    get level() {
+        return this.ownLevel !== null ? this.ownLevel : this.parent.level;
+    }
+
+    get levelName() {
+        return levelName(this.level);
+    }
+
+    /**
+     * Change the minimum level at runtime
+     */
+    setLevel(level) {
+        this.ownLevel = toLevelValue(level);
+        return this;
+    }
+
+    isLevelEnabled(level) {
+        return toLevelValue(level) >= this.level;
+    }
+
+    get transports() {
+        return this.shared.transports;
+    }
+
+    addTransport(transport) {
+        this.shared.transports.push(transport);
+        return this;
+    }
+
+    /**
+     * Build the record for one call
+     * Accepts (msg), (msg, fields), (msg, error), (error) and, like
+     * console.log, (msg, value) for a non-object value
+     */
+    createRecord(level, msg, fields) {
+        let extra = {};
+
+        if (msg instanceof Error) {
+            extra = { err: serializeError(msg) };
+            msg = msg.message;
+        } else if (typeof msg !== "string") {
+            msg = util.inspect(msg);
+        }
+
+        if (fields instanceof Error) {
+            extra = { ...extra, err: serializeError(fields) };
+        } else if (fields !== null && typeof fields === "object") {
+            const { err, ...rest } = fields;
+            extra = { ...extra, ...rest };
+            if (err !== undefined) {
+                extra.err = err instanceof Error ? serializeError(err) : err;
+            }
+        } else if (fields !== undefined) {
+            msg = util.format(msg, fields);
+        }
+
+        return {
+            level,
+            time: new Date().toISOString(),
+            name: this.name,
+            msg,
+            ...this.shared.redact({ ...this.bindings, ...extra }),
+        };
+    }
+
+    formatterFor(format) {
+        const { formatters } = this.shared;
+        if (!formatters.has(format)) {
+            formatters.set(format, createFormatter(format));
+        }
+        return formatters.get(format);
+    }
+
+    log(level, msg, fields) {
+        const value = toLevelValue(level);
+        if (value < this.level || value === Infinity) return;
+
+        const record = this.createRecord(value, msg, fields);
+        const lines = new Map();
+
+        this.shared.transports.forEach((transport) => {
+            if (
+                transport.level !== undefined &&
+                value < toLevelValue(transport.level)
+            ) {
+                return;
+            }
+            const format = transport.format || this.shared.format;
+            try {
+                if (!lines.has(format)) {
+                    lines.set(format, this.formatterFor(format)(record));
+                }
+                transport.write(lines.get(format), record);
+            } catch (error) {
+                // PITFALL: a broken log file must not take the app down -
+                // and logging about it through the same transport would loop
+                process.stderr.write(
+                    `[logger] transport '${transport.name}' failed: ${error.message}\n`
+                );
+            }
+        });
+    }
+
+    trace(msg, fields) {
+        this.log(LEVELS.trace, msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.log(LEVELS.debug, msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log(LEVELS.info, msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log(LEVELS.warn, msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log(LEVELS.error, msg, fields);
+    }
+
+    fatal(msg, fields) {
+        this.log(LEVELS.fatal, msg, fields);
+    }
+
+    /**
+     * Close file transports - call before the process exits
+     */
+    close() {
+        this.shared.transports.forEach((transport) => {
+            if (typeof transport.close === "function") transport.close();
+        });
+    }
+}
+
+/**
+ * Logger configured from the environment (LOG_LEVEL, LOG_FORMAT, LOG_FILE);
+ * explicit options win
+ */
+function createLogger(options = {}, env = process.env) {
+    let format = options.format || env.LOG_FORMAT || "pretty";
+    let level = options.level || env.LOG_LEVEL || "info";
+    const invalid = [];
+
+    try {
+        toLevelValue(level);
+    } catch (error) {
+        // A typo in LOG_LEVEL shouldn't stop every module from loading
+        invalid.push(`${error.message} - using 'info'`);
+        level = "info";
+    }
+    try {
+        createFormatter(format);
+    } catch (error) {
+        // ...and one in LOG_FORMAT shouldn't make every log call throw
+        invalid.push(`${error.message} - using 'pretty'`);
+        format = "pretty";
+    }
+
+    const transports = options.transports || [new ConsoleTransport({ format })];
+    if (!options.transports && env.LOG_FILE) {
+        transports.push(new FileTransport({ filePath: env.LOG_FILE }));
+    }
+
+    const logger = new Logger({ ...options, format, level, transports });
+    invalid.forEach((message) => logger.warn(message));
+    return logger;
+}
+
+// The process-wide root logger; modules take a child of it
+const logger = createLogger({ name: "debug-me" });
+
+module.exports = {
+    logger,
+    Logger,
+    createLogger,
+    createRedactor,
+    createFormatter,
+    formatJson,
+    formatLogfmt,
+    ConsoleTransport,
+    FileTransport,
+    RotatingFileTransport,
+    LEVELS,
+    LOG_DIR,
+};
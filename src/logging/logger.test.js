@@ -0,0 +1,180 @@
+const {
+    Logger,
+    createLogger,
+    createRedactor,
+    formatLogfmt,
+    LEVELS,
+} = require("./logger");
+
+// Collects records instead of printing them
+function memoryTransport(options = {}) {
+    const transport = {
+        name: "memory",
+        format: "json",
+        records: [],
+        lines: [],
+        write(line, record) {
+            transport.lines.push(line);
+            transport.records.push(record);
+        },
+        ...options,
+    };
+    return transport;
+}
+
+describe("levels", () => {
+    test("drops records below the logger's level", () => {
+        const memory = memoryTransport();
+        const log = new Logger({ level: "warn", transports: [memory] });
+
+        log.debug("hidden");
+        log.info("hidden");
+        log.warn("shown");
+        log.error("shown");
+
+        expect(memory.records.map((r) => r.level)).toEqual([
+            LEVELS.warn,
+            LEVELS.error,
+        ]);
+    });
+
+    test("accepts names, numbers and runtime changes", () => {
+        const log = new Logger({ level: 30, transports: [] });
+        expect(log.levelName).toBe("info");
+        expect(log.isLevelEnabled("debug")).toBe(false);
+
+        log.setLevel("DEBUG");
+        expect(log.isLevelEnabled("debug")).toBe(true);
+        expect(() => log.setLevel("verbose")).toThrow(RangeError);
+    });
+
+    test("silent writes nothing, not even fatal", () => {
+        const memory = memoryTransport();
+        const log = new Logger({ level: "silent", transports: [memory] });
+        log.fatal("hidden");
+        expect(memory.records).toEqual([]);
+    });
+
+    test("children follow the parent's level unless they set their own", () => {
+        const memory = memoryTransport();
+        const root = new Logger({ level: "info", transports: [memory] });
+        const follower = root.child({ component: "db" });
+        const verbose = root.child({ component: "auth" }, { level: "debug" });
+
+        root.setLevel("error");
+        follower.warn("hidden");
+        verbose.debug("shown");
+
+        expect(memory.records).toHaveLength(1);
+        expect(memory.records[0]).toMatchObject({
+            component: "auth",
+            msg: "shown",
+        });
+    });
+
+    test("transport levels filter on top of the logger's", () => {
+        const everything = memoryTransport();
+        const problems = memoryTransport({ level: "error" });
+        const log = new Logger({
+            level: "info",
+            transports: [everything, problems],
+        });
+
+        log.info("a");
+        log.error("b");
+
+        expect(everything.records).toHaveLength(2);
+        expect(problems.records.map((r) => r.msg)).toEqual(["b"]);
+    });
+
+    test("createLogger falls back to info on an invalid LOG_LEVEL", () => {
+        const memory = memoryTransport();
+        const log = createLogger(
+            { transports: [memory] },
+            { LOG_LEVEL: "loud" }
+        );
+
+        expect(log.levelName).toBe("info");
+        expect(memory.records[0].msg).toMatch(/Unknown log level 'loud'/);
+    });
+});
+
+describe("redaction", () => {
+    test("censors sensitive keys at any depth", () => {
+        const redact = createRedactor();
+        expect(
+            redact({
+                user: { name: "ada", password: "hunter2" },
+                headers: [{ authorization: "Bearer abc" }],
+                apiKey: "k",
+            })
+        ).toEqual({
+            user: { name: "ada", password: "[REDACTED]" },
+            headers: [{ authorization: "[REDACTED]" }],
+            apiKey: "[REDACTED]",
+        });
+    });
+
+    test("leaves look-alike keys alone", () => {
+        const fields = { passed: true, tokenCount: 3, bypassCache: false };
+        expect(createRedactor()(fields)).toEqual(fields);
+    });
+
+    test("censors paths with * wildcards", () => {
+        const redact = createRedactor({ paths: ["req.headers.*"] });
+        expect(redact({ req: { headers: { host: "x" }, url: "/" } })).toEqual({
+            req: { headers: { host: "[REDACTED]" }, url: "/" },
+        });
+    });
+
+    test("passes dates, maps and buffers through", () => {
+        const when = new Date(0);
+        const cache = new Map([["password", "x"]]);
+        const body = Buffer.from("hi");
+
+        const redacted = createRedactor()({ when, cache, body });
+
+        expect(redacted.when).toBe(when);
+        expect(redacted.cache).toBe(cache);
+        expect(redacted.body).toBe(body);
+    });
+
+    test("marks circular references", () => {
+        const node = { name: "a" };
+        node.self = node;
+        expect(createRedactor()(node)).toEqual({
+            name: "a",
+            self: "[Circular]",
+        });
+    });
+
+    test("redacts logger fields and bindings without touching the caller's object", () => {
+        const memory = memoryTransport();
+        const log = new Logger({ transports: [memory] }).child({
+            token: "t",
+        });
+        const fields = { secret: "s", id: 1 };
+
+        log.info("login", fields);
+
+        expect(memory.records[0]).toMatchObject({
+            token: "[REDACTED]",
+            secret: "[REDACTED]",
+            id: 1,
+        });
+        expect(fields.secret).toBe("s");
+        expect(memory.lines[0]).not.toMatch(/"s"|"t"/);
+    });
+});
+
+describe("formatLogfmt", () => {
+    test("flattens nested fields and quotes values with spaces", () => {
+        const line = formatLogfmt({
+            level: LEVELS.info,
+            msg: "User logged in",
+            user: { id: 1 },
+        });
+        expect(line).toContain('msg="User logged in"');
+        expect(line).toContain("user.id=1");
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * API Call Debugging with axios
+ *
+ * Runs axios against the local mock API (see mock-server.js) and uses
+ * interceptors to time every request and classify every failure.
+ *
+ * Run directly: node src/network/api-calls.js
+ * Watch traffic: NODE_DEBUG=http node src/network/api-calls.js
+ */
+
+const axios = require("axios");
+const { performance } = require("perf_hooks");
+const { startMockServer, ALLOWED_ORIGIN } = require("./mock-server");
+const {
+    FAILURE_TYPES,
+    classifyFailure,
+    checkCors,
+    RequestLog,
+} = require("./request-diagnostics");
+
+class ApiCallsDebugging {
+    constructor() {
+        this.server = null;
+        this.client = null;
+        this.log = new RequestLog("axios");
+    }
+
+    /**
+     * Create an axios instance with timing/classification interceptors
+     */
+    createClient(baseURL) {
+        const client = axios.create({ baseURL, timeout: 2000 });
+
+        // DEBUGGING: Interceptors see every request - a great breakpoint spot
+        client.interceptors.request.use((config) => {
+            config.metadata = { start: performance.now() };
+            return config;
+        });
+
+        client.interceptors.response.use(
+            (response) => {
+                response.durationMs =
+                    performance.now() - response.config.metadata.start;
+                return response;
+            },
+            (error) => {
+                if (error.config && error.config.metadata) {
+                    error.durationMs =
+                        performance.now() - error.config.metadata.start;
+                }
+                return Promise.reject(error);
+            }
+        );
+
+        return client;
+    }
+
+    /**
+     * Make a request and log its timing and failure class
+     * @param {string} scenario - Label for the timeline table
+     * @param {Object} config - axios request config
+     */
+    async request(scenario, config) {
+        const method = (config.method || "get").toUpperCase();
+
+        try {
+            const response = await this.client.request(config);
+            const cors = config.origin
+                ? checkCors(config.origin, response.headers)
+                : { blocked: false };
+
+            this.log.record({
+                scenario,
+                method,
+                url: config.url,
+                status: response.status,
+                durationMs: response.durationMs,
+                failure: classifyFailure({
+                    status: response.status,
+                    corsBlocked: cors.blocked,
+                }),
+                detail: cors.reason,
+            });
+            return response;
+        } catch (error) {
+            this.log.record({
+                scenario,
+                method,
+                url: config.url,
+                status: error.response ? error.response.status : undefined,
+                durationMs: error.durationMs || 0,
+                failure: classifyFailure({ error }),
+                detail: `${error.code || error.name}: ${error.message}`,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Successful Requests
+     */
+    async successfulRequests() {
+        console.log("\n=== 1. SUCCESSFUL REQUESTS ===");
+
+        const response = await this.request("list users", {
+            url: "/api/users",
+        });
+        // DEBUGGING: Inspect response.headers, response.config and response.request
+        console.log(`Received ${response.data.length} users`);
+
+        await this.request("create user", {
+            method: "post",
+            url: "/api/users",
+            data: { name: "Diana", email: "diana@example.com" },
+        });
+    }
+
+    /**
+     * HTTP Error Statuses
+     */
+    async httpErrors() {
+        console.log("\n=== 2. HTTP ERROR STATUSES ===");
+
+        // axios rejects on non-2xx by default (validateStatus)
+        await this.request("missing user", { url: "/api/users/999" });
+        await this.request("validation error", {
+            method: "post",
+            url: "/api/users",
+            data: { email: "not-an-email" },
+        });
+        await this.request("rate limited", { url: "/api/status/429" });
+        await this.request("server error", { url: "/api/status/500" });
+
+        // The error body is often more useful than the status line
+        try {
+            await this.client.post("/api/users", {});
+        } catch (error) {
+            console.log("📦 Error response body:", error.response.data);
+        }
+    }
+
+    /**
+     * Timeouts and Connection Failures
+     */
+    async timeoutsAndConnections() {
+        console.log("\n=== 3. TIMEOUTS & CONNECTION FAILURES ===");
+
+        await this.request("slow endpoint, 300ms timeout", {
+            url: "/api/slow?ms=1500",
+            timeout: 300,
+        });
+
+        // Grab a port that nothing listens on
+        const { url: deadUrl, close } = await startMockServer();
+        await close();
+
+        await this.request("connection refused", {
+            url: `${deadUrl}/api/users`,
+        });
+    }
+
+    /**
+     * Malformed JSON
+     */
+    async malformedPayloads() {
+        console.log("\n=== 4. MALFORMED JSON ===");
+
+        // PITFALL: by default axios silently hands you the raw string
+        const silent = await this.request("malformed (default config)", {
+            url: "/api/malformed",
+        });
+        console.log(
+            `⚠️  response.data is a ${typeof silent.data}, not an object:`,
+            JSON.stringify(silent.data)
+        );
+
+        // FIX: make JSON parse failures loud
+        await this.request("malformed (strict parsing)", {
+            url: "/api/malformed",
+            responseType: "json",
+            transitional: { silentJSONParsing: false },
+        });
+
+        await this.request("HTML error page", { url: "/api/html-error" });
+    }
+
+    /**
+     * Redirects
+     */
+    async redirects() {
+        console.log("\n=== 5. REDIRECTS ===");
+
+        const followed = await this.request("3 redirects", {
+            url: "/api/redirect/3",
+        });
+        // DEBUGGING: The final URL differs from the one you asked for
+        console.log(
+            `Ended up at: ${followed.request.path} (asked for /api/redirect/3)`
+        );
+
+        await this.request("redirect loop", {
+            url: "/api/redirect-loop",
+            maxRedirects: 5,
+        });
+
+        await this.request("redirects disabled", {
+            url: "/api/redirect/1",
+            maxRedirects: 0,
+            validateStatus: (status) => status < 400,
+        });
+    }
+
+    /**
+     * CORS (as the browser would see it)
+     */
+    async corsFailures() {
+        console.log("\n=== 6. CORS ===");
+        console.log(
+            `Node never enforces CORS - checking headers as a page on ${ALLOWED_ORIGIN} would`
+        );
+
+        await this.request("CORS allowed", {
+            url: "/api/cors/allowed",
+            origin: ALLOWED_ORIGIN,
+            headers: { Origin: ALLOWED_ORIGIN },
+        });
+        await this.request("CORS header missing", {
+            url: "/api/cors/blocked",
+            origin: ALLOWED_ORIGIN,
+            headers: { Origin: ALLOWED_ORIGIN },
+        });
+        await this.request("CORS wrong origin", {
+            url: "/api/cors/allowed",
+            origin: "http://evil.example",
+            headers: { Origin: "http://evil.example" },
+        });
+    }
+
+    /**
+     * Run all API call examples
+     */
+    async run() {
+        console.log("🎯 Starting API Call Debugging Examples (axios)");
+        console.log("=".repeat(60));
+
+        this.log = new RequestLog("axios");
+        this.server = await startMockServer({ log: true });
+        this.client = this.createClient(this.server.url);
+        console.log(`🧪 Mock API running at ${this.server.url}`);
+
+        try {
+            await this.successfulRequests();
+            await this.httpErrors();
+            await this.timeoutsAndConnections();
+            await this.malformedPayloads();
+            await this.redirects();
+            await this.corsFailures();
+
+            this.log.print();
+
+            console.log("\n🎉 All API call examples completed!");
+        } catch (error) {
+            console.error("❌ Error running API call examples:", error);
+        } finally {
+            await this.server.close();
+        }
+
+        return this.log.entries.filter(
+            (entry) => entry.failure !== FAILURE_TYPES.OK
+        );
+    }
+}
+
+module.exports = new ApiCallsDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
@@ -0,0 +1,266 @@
+/**
+ * Fetch API Debugging
+ *
+ * The fetch() pitfalls that trip everyone up - it resolves on 404/500,
+ * has no default timeout, and response.json() can throw long after the
+ * request "succeeded" - demonstrated against the local mock API.
+ *
+ * Run directly: node src/network/fetch-issues.js
+ * (fetch is global in Node 18+; the same code runs in the browser)
+ */
+
+const { performance } = require("perf_hooks");
+const { startMockServer, ALLOWED_ORIGIN } = require("./mock-server");
+const {
+    FAILURE_TYPES,
+    classifyFailure,
+    checkCors,
+    RequestLog,
+} = require("./request-diagnostics");
+
+class FetchIssuesDebugging {
+    constructor() {
+        this.baseUrl = null;
+        this.log = new RequestLog("fetch");
+    }
+
+    /**
+     * fetch() wrapper that times the request, reads the body and
+     * classifies the outcome
+     * @param {string} scenario - Label for the timeline table
+     * @param {string} path - Path on the mock API (or absolute URL)
+     * @param {Object} options - fetch options plus { origin, parse: "json"|"text" }
+     */
+    async request(scenario, path, { origin, parse = "json", ...init } = {}) {
+        const url = path.startsWith("http") ? path : `${this.baseUrl}${path}`;
+        const method = init.method || "GET";
+        const start = performance.now();
+        let response = null;
+
+        try {
+            response = await fetch(url, init);
+            // DEBUGGING: The body is read separately - it can fail after the headers arrived
+            const body =
+                parse === "json"
+                    ? await response.json()
+                    : await response.text();
+
+            const cors = origin
+                ? checkCors(origin, response.headers)
+                : { blocked: false };
+
+            this.log.record({
+                scenario,
+                method,
+                url: path,
+                status: response.status,
+                durationMs: performance.now() - start,
+                failure: classifyFailure({
+                    status: response.status,
+                    corsBlocked: cors.blocked,
+                }),
+                detail:
+                    cors.reason || (response.ok ? null : `ok=${response.ok}`),
+            });
+            return { response, body };
+        } catch (error) {
+            this.log.record({
+                scenario,
+                method,
+                url: path,
+                status: response ? response.status : undefined,
+                durationMs: performance.now() - start,
+                failure: classifyFailure({ error }),
+                detail: FetchIssuesDebugging.describeError(error),
+            });
+            return { response, error };
+        }
+    }
+
+    /**
+     * fetch errors hide the real reason in error.cause
+     */
+    static describeError(error) {
+        const cause = error.cause
+            ? ` (cause: ${error.cause.code || error.cause.name}: ${
+                  error.cause.message
+              })`
+            : "";
+        return `${error.name}: ${error.message}${cause}`;
+    }
+
+    /**
+     * fetch() Does Not Reject on HTTP Errors
+     */
+    async httpErrorsResolve() {
+        console.log("\n=== 1. FETCH RESOLVES ON 4xx/5xx ===");
+
+        // PITFALL: no exception here, even though the server said 500
+        const response = await fetch(`${this.baseUrl}/api/status/500`);
+        console.log(
+            `fetch() resolved with status ${response.status} - response.ok is ${response.ok}`
+        );
+        await response.body?.cancel();
+
+        // FIX: check response.ok (or status) yourself
+        const fetchJson = async (path) => {
+            const res = await fetch(`${this.baseUrl}${path}`);
+            if (!res.ok) {
+                const error = new Error(`HTTP ${res.status} for ${path}`);
+                error.status = res.status;
+                error.body = await res.json().catch(() => null);
+                throw error;
+            }
+            return res.json();
+        };
+
+        try {
+            await fetchJson("/api/users/999");
+        } catch (error) {
+            console.log(`✅ Checked error: ${error.message}`, error.body);
+        }
+
+        await this.request("not found", "/api/users/999");
+        await this.request("server error", "/api/status/503");
+    }
+
+    /**
+     * Body Parsing Failures
+     */
+    async bodyParsing() {
+        console.log("\n=== 2. BODY PARSING FAILURES ===");
+
+        await this.request("truncated JSON", "/api/malformed");
+        await this.request("HTML instead of JSON", "/api/html-error");
+
+        // DEBUGGING: Read as text first when response.json() fails
+        const { body } = await this.request("HTML as text", "/api/html-error", {
+            parse: "text",
+        });
+        console.log(`Raw body: ${body}`);
+
+        // PITFALL: the body can only be consumed once
+        const response = await fetch(`${this.baseUrl}/api/users`);
+        await response.json();
+        try {
+            await response.text();
+        } catch (error) {
+            console.log(
+                `⚠️  Second read fails: ${error.name}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Timeouts and Aborts
+     */
+    async timeoutsAndAborts() {
+        console.log("\n=== 3. TIMEOUTS & ABORTS ===");
+
+        // fetch has no timeout option - use an AbortSignal
+        await this.request("AbortSignal.timeout(300)", "/api/slow?ms=1500", {
+            signal: AbortSignal.timeout(300),
+        });
+
+        const controller = new AbortController();
+        const pending = this.request("manual abort", "/api/slow?ms=1500", {
+            signal: controller.signal,
+        });
+        setTimeout(() => controller.abort(), 100);
+        await pending;
+
+        const { url: deadUrl, close } = await startMockServer();
+        await close();
+        await this.request("connection refused", `${deadUrl}/api/users`);
+    }
+
+    /**
+     * Redirect Handling
+     */
+    async redirects() {
+        console.log("\n=== 4. REDIRECTS ===");
+
+        const { response } = await this.request(
+            "follow (default)",
+            "/api/redirect/2"
+        );
+        // DEBUGGING: response.redirected and response.url reveal the hop
+        console.log(
+            `redirected=${response.redirected}, final url=${
+                new URL(response.url).pathname
+            }`
+        );
+
+        await this.request("redirect: 'error'", "/api/redirect/1", {
+            redirect: "error",
+        });
+        await this.request("redirect: 'manual'", "/api/redirect/1", {
+            redirect: "manual",
+            parse: "text",
+        });
+        await this.request("redirect loop", "/api/redirect-loop");
+    }
+
+    /**
+     * CORS
+     */
+    async cors() {
+        console.log("\n=== 5. CORS ===");
+        console.log(
+            "In the browser these fail with 'TypeError: Failed to fetch'; Node shows why"
+        );
+
+        await this.request("CORS allowed", "/api/cors/allowed", {
+            origin: ALLOWED_ORIGIN,
+            headers: { Origin: ALLOWED_ORIGIN },
+        });
+        await this.request("CORS header missing", "/api/cors/blocked", {
+            origin: ALLOWED_ORIGIN,
+            headers: { Origin: ALLOWED_ORIGIN },
+        });
+    }
+
+    /**
+     * Run all fetch examples
+     */
+    async run() {
+        console.log("🎯 Starting Fetch API Debugging Examples");
+        console.log("=".repeat(60));
+
+        if (typeof fetch !== "function") {
+            console.log("⚠️  fetch() is not available - Node 18+ is required");
+            return [];
+        }
+
+        this.log = new RequestLog("fetch");
+        const server = await startMockServer({ log: true });
+        this.baseUrl = server.url;
+        console.log(`🧪 Mock API running at ${server.url}`);
+
+        try {
+            await this.httpErrorsResolve();
+            await this.bodyParsing();
+            await this.timeoutsAndAborts();
+            await this.redirects();
+            await this.cors();
+
+            this.log.print();
+
+            console.log("\n🎉 All fetch examples completed!");
+        } catch (error) {
+            console.error("❌ Error running fetch examples:", error);
+        } finally {
+            await server.close();
+        }
+
+        return this.log.entries.filter(
+            (entry) => entry.failure !== FAILURE_TYPES.OK
+        );
+    }
+}
+
+module.exports = new FetchIssuesDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
@@ -0,0 +1,38 @@
+/**
+ * Network Debugging - demo manifest
+ *
+ * Picked up by DemoRegistry.discover(); see src/registry.js for the contract.
+ */
+
+const apiCalls = require("./api-calls");
+const fetchIssues = require("./fetch-issues");
+const websockets = require("./websockets");
+
+module.exports = [
+    {
+        name: "network",
+        title: "Network Debugging (axios)",
+        description:
+            "Time and classify failing API calls against a local mock API",
+        tags: ["network", "http", "axios"],
+        order: 50,
+        run: () => apiCalls.run(),
+    },
+    {
+        name: "fetch",
+        title: "Fetch API Pitfalls",
+        description: "fetch() status handling, timeouts, redirects and CORS",
+        tags: ["network", "http", "fetch"],
+        order: 51,
+        run: () => fetchIssues.run(),
+    },
+    {
+        name: "websockets",
+        title: "WebSocket Debugging",
+        description:
+            "Frame inspector, dropped connections, backpressure and reconnects",
+        tags: ["network", "websocket"],
+        order: 52,
+        run: () => websockets.run(),
+    },
+];
@@ -0,0 +1,227 @@
+/**
+ * Mock API Server - a misbehaving backend on localhost
+ *
+ * A small Express stand-in for a real API that fails in all the ways real
+ * APIs do: slow responses, 4xx/5xx, broken JSON, redirect chains and loops,
+ * missing CORS headers. Everything runs locally, so the network demos work
+ * offline and give the same results every time.
+ *
+ * Run directly (handy with the browser Network tab or curl):
+ *   node src/network/mock-server.js        # listens on PORT or 3000
+ */
+
+const express = require("express");
+const { logger } = require("../logging/logger");
+
+const log = logger.child({ component: "mock-api" });
+
+const USERS = [
+    { id: 1, name: "Alice", email: "alice@example.com" },
+    { id: 2, name: "Bob", email: "bob@example.com" },
+    { id: 3, name: "Charlie", email: "charlie@example.com" },
+];
+
+const ALLOWED_ORIGIN = "http://localhost:8080";
+
+/**
+ * Build the Express app (without listening)
+ * @param {Object} options - { log: print one line per request }
+ */
+function createMockApi({ log: logRequests = false } = {}) {
+    const app = express();
+    const pendingTimers = new Set();
+    let flakyCalls = 0;
+
+    app.use(express.json());
+
+    if (logRequests) {
+        app.use((req, res, next) => {
+            const start = process.hrtime.bigint();
+            res.on("finish", () => {
+                const ms = Number(process.hrtime.bigint() - start) / 1e6;
+                log.info(
+                    `${req.method} ${req.originalUrl} → ${res.statusCode}`,
+                    { durationMs: Number(ms.toFixed(1)) }
+                );
+            });
+            next();
+        });
+    }
+
+    // --- Happy paths -------------------------------------------------------
+
+    app.get("/api/users", (req, res) => {
+        res.json(USERS);
+    });
+
+    app.get("/api/users/:id", (req, res) => {
+        const user = USERS.find((u) => u.id === Number(req.params.id));
+        if (!user) {
+            return res.status(404).json({
+                error: "NOT_FOUND",
+                message: `User ${req.params.id} not found`,
+            });
+        }
+        res.json(user);
+    });
+
+    app.post("/api/users", (req, res) => {
+        const problems = [];
+        if (!req.body || typeof req.body.name !== "string") {
+            problems.push({ field: "name", message: "name is required" });
+        }
+        if (
+            req.body &&
+            req.body.email &&
+            !String(req.body.email).includes("@")
+        ) {
+            problems.push({ field: "email", message: "email is invalid" });
+        }
+        if (problems.length > 0) {
+            return res
+                .status(422)
+                .json({ error: "VALIDATION_FAILED", details: problems });
+        }
+        res.status(201).json({ id: USERS.length + 1, ...req.body });
+    });
+
+    // --- Slow responses ----------------------------------------------------
+
+    app.get("/api/slow", (req, res) => {
+        const delay = Math.min(Number(req.query.ms) || 1500, 10000);
+        const timer = setTimeout(() => {
+            pendingTimers.delete(timer);
+            res.json({ delayed: delay });
+        }, delay);
+        pendingTimers.add(timer);
+
+        // Client gave up (timeout/abort) - don't keep the timer around
+        req.on("close", () => {
+            clearTimeout(timer);
+            pendingTimers.delete(timer);
+        });
+    });
+
+    // --- Error statuses ----------------------------------------------------
+
+    app.get("/api/status/:code", (req, res) => {
+        const code = Number(req.params.code);
+        if (!Number.isInteger(code) || code < 200 || code > 599) {
+            return res.status(400).json({ error: "BAD_STATUS_CODE" });
+        }
+        if (code === 429) {
+            res.set("Retry-After", "1");
+        }
+        res.status(code).json({
+            status: code,
+            message: `Forced ${code} response`,
+        });
+    });
+
+    app.get("/api/flaky", (req, res) => {
+        // Every other call fails - retries will eventually get through
+        flakyCalls++;
+        if (flakyCalls % 2 === 1) {
+            return res.status(503).json({ error: "SERVICE_UNAVAILABLE" });
+        }
+        res.json({ ok: true, call: flakyCalls });
+    });
+
+    // --- Broken payloads ---------------------------------------------------
+
+    app.get("/api/malformed", (req, res) => {
+        // Claims to be JSON, but the body is truncated
+        res.type("application/json").send('{"users": [{"id": 1, "name": "Ali');
+    });
+
+    app.get("/api/html-error", (req, res) => {
+        // A proxy error page where the client expected JSON
+        res.status(502)
+            .type("text/html")
+            .send("<html><body>Bad Gateway</body></html>");
+    });
+
+    // --- Redirects ---------------------------------------------------------
+
+    app.get("/api/redirect/:count", (req, res) => {
+        const count = Number(req.params.count);
+        res.redirect(
+            302,
+            count > 1 ? `/api/redirect/${count - 1}` : "/api/users"
+        );
+    });
+
+    app.get("/api/redirect-loop", (req, res) => {
+        res.redirect(302, "/api/redirect-loop");
+    });
+
+    // --- CORS --------------------------------------------------------------
+
+    app.get("/api/cors/allowed", (req, res) => {
+        res.set("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
+        res.json({ cors: "allowed", origin: ALLOWED_ORIGIN });
+    });
+
+    app.get("/api/cors/blocked", (req, res) => {
+        // No Access-Control-Allow-Origin: a browser would block this response
+        res.json({ cors: "missing header" });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: "NOT_FOUND", path: req.path });
+    });
+
+    app.locals.pendingTimers = pendingTimers;
+    return app;
+}
+
+/**
+ * Start the mock API on localhost
+ * @param {Object} options - { port: 0 picks a free port, log: request logging }
+ * @returns {Promise<{url: string, port: number, server: http.Server, close: Function}>}
+ */
+function startMockServer({ port = 0, log: logRequests = false } = {}) {
+    const app = createMockApi({ log: logRequests });
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, "127.0.0.1");
+
+        server.once("error", reject);
+        server.once("listening", () => {
+            const { port: actualPort } = server.address();
+
+            const close = () =>
+                new Promise((resolveClose) => {
+                    app.locals.pendingTimers.forEach((timer) =>
+                        clearTimeout(timer)
+                    );
+                    app.locals.pendingTimers.clear();
+                    server.close(() => resolveClose());
+                    // Keep-alive sockets (fetch/undici) would hold close() open
+                    server.closeAllConnections();
+                });
+
+            resolve({
+                url: `http://127.0.0.1:${actualPort}`,
+                port: actualPort,
+                server,
+                close,
+            });
+        });
+    });
+}
+
+module.exports = {
+    createMockApi,
+    startMockServer,
+    ALLOWED_ORIGIN,
+};
+
+if (require.main === module) {
+    startMockServer({ port: Number(process.env.PORT) || 3000, log: true }).then(
+        ({ url }) => {
+            log.info(`🧪 Mock API listening on ${url}`);
+            log.info("Try: curl -i " + url + "/api/status/503");
+        }
+    );
+}
@@ -0,0 +1,161 @@
+/**
+ * Request Diagnostics - timing and failure classification
+ *
+ * "The request failed" is not a diagnosis. These helpers put every request
+ * into a failure class (timeout? 5xx? broken JSON? CORS?) and keep a timing
+ * log, whichever HTTP client made the call.
+ */
+
+const FAILURE_TYPES = {
+    OK: "ok",
+    CLIENT_ERROR: "http-4xx",
+    SERVER_ERROR: "http-5xx",
+    TIMEOUT: "timeout",
+    ABORTED: "aborted",
+    CONNECTION: "connection",
+    PARSE: "parse-error",
+    REDIRECT: "redirect",
+    CORS: "cors",
+    UNKNOWN: "unknown",
+};
+
+// Low-level codes found on error.code or error.cause.code
+const CONNECTION_CODES = new Set([
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "EHOSTUNREACH",
+    "UND_ERR_SOCKET",
+]);
+const TIMEOUT_CODES = new Set([
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "UND_ERR_CONNECT_TIMEOUT",
+    "UND_ERR_HEADERS_TIMEOUT",
+]);
+
+/**
+ * Put a request outcome into a failure class
+ * @param {Object} outcome
+ * @param {number} [outcome.status] - HTTP status, when a response arrived
+ * @param {Error} [outcome.error] - Error thrown by the client
+ * @param {boolean} [outcome.corsBlocked] - Result of checkCors()
+ * @returns {string} One of FAILURE_TYPES
+ */
+function classifyFailure({ status, error, corsBlocked = false } = {}) {
+    if (corsBlocked) return FAILURE_TYPES.CORS;
+
+    if (error) {
+        const cause = error.cause || {};
+        const code = error.code || cause.code;
+        const text = `${error.message} ${cause.message || ""}`.toLowerCase();
+
+        // DEBUGGING: Inspect error.code and error.cause - the message alone lies
+        if (error.name === "TimeoutError" || TIMEOUT_CODES.has(code)) {
+            return FAILURE_TYPES.TIMEOUT;
+        }
+        if (error.name === "AbortError" || code === "ERR_CANCELED") {
+            return FAILURE_TYPES.ABORTED;
+        }
+        if (CONNECTION_CODES.has(code)) {
+            return FAILURE_TYPES.CONNECTION;
+        }
+        if (code === "ERR_FR_TOO_MANY_REDIRECTS" || text.includes("redirect")) {
+            return FAILURE_TYPES.REDIRECT;
+        }
+        if (error instanceof SyntaxError || cause instanceof SyntaxError) {
+            return FAILURE_TYPES.PARSE;
+        }
+
+        // axios attaches the response to HTTP errors
+        if (error.response && error.response.status) {
+            return classifyFailure({ status: error.response.status });
+        }
+        return FAILURE_TYPES.UNKNOWN;
+    }
+
+    if (status >= 500) return FAILURE_TYPES.SERVER_ERROR;
+    if (status >= 400) return FAILURE_TYPES.CLIENT_ERROR;
+    return FAILURE_TYPES.OK;
+}
+
+/**
+ * Emulate the browser's CORS check for a response
+ * Node clients never enforce CORS, so this is how to predict what the
+ * browser Network tab will show for the same request.
+ * @param {string} origin - Page origin making the request
+ * @param {Object|Headers} headers - Response headers
+ */
+function checkCors(origin, headers) {
+    const allowOrigin =
+        typeof headers.get === "function"
+            ? headers.get("access-control-allow-origin")
+            : headers["access-control-allow-origin"];
+
+    if (!allowOrigin) {
+        return {
+            blocked: true,
+            reason: "No 'Access-Control-Allow-Origin' header is present",
+        };
+    }
+    if (allowOrigin !== "*" && allowOrigin !== origin) {
+        return {
+            blocked: true,
+            reason: `'Access-Control-Allow-Origin' is '${allowOrigin}', not '${origin}'`,
+        };
+    }
+    return { blocked: false, reason: null };
+}
+
+/**
+ * Collects one entry per request and prints them as a timing table
+ */
+class RequestLog {
+    constructor(client) {
+        this.client = client;
+        this.entries = [];
+    }
+
+    /**
+     * @param {Object} entry - { scenario, method, url, status, durationMs, failure, detail }
+     */
+    record(entry) {
+        const icon = entry.failure === FAILURE_TYPES.OK ? "✅" : "❌";
+        console.log(
+            `${icon} [${this.client}] ${entry.method} ${entry.url} → ${
+                entry.status ?? "no response"
+            } in ${entry.durationMs.toFixed(1)}ms (${entry.failure})${
+                entry.detail ? ` - ${entry.detail}` : ""
+            }`
+        );
+        this.entries.push(entry);
+    }
+
+    print() {
+        console.log(`\n📊 ${this.client} request timeline`);
+        console.table(
+            this.entries.map((entry) => ({
+                Scenario: entry.scenario,
+                Method: entry.method,
+                Path: entry.url,
+                Status: entry.status ?? "-",
+                "Time (ms)": Number(entry.durationMs.toFixed(1)),
+                Classification: entry.failure,
+            }))
+        );
+
+        const counts = {};
+        this.entries.forEach(({ failure }) => {
+            counts[failure] = (counts[failure] || 0) + 1;
+        });
+        console.log("Failure classes:", counts);
+    }
+}
+
+module.exports = {
+    FAILURE_TYPES,
+    classifyFailure,
+    checkCors,
+    RequestLog,
+};
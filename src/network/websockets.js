@@ -0,0 +1,463 @@
+/**
+ * WebSocket Debugging
+ *
+ * A frame-level look at WebSockets against the local chaos server
+ * (ws-chaos-server.js): every frame is logged with direction, opcode, size
+ * and timestamp, then connections get dropped, replies arrive out of order,
+ * the server floods a slow reader and a client reconnects through a
+ * visible state machine.
+ *
+ * Run directly: node src/network/websockets.js
+ */
+
+const { EventEmitter, once } = require("events");
+const { startChaosServer } = require("./ws-chaos-server");
+const { connect, CLOSE_CODES } = require("./ws-protocol");
+const { formatBytes } = require("../performance/detectors");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Records every frame on the connections it is attached to - the Node
+ * equivalent of DevTools' Network → WS → Messages panel
+ */
+class FrameInspector {
+    constructor() {
+        this.start = Date.now();
+        this.frames = [];
+    }
+
+    attach(connection, { label = "client", print = true } = {}) {
+        connection.on("frame", (frame) => {
+            const entry = { ...frame, label };
+            this.frames.push(entry);
+
+            if (print) {
+                const arrow = frame.direction === "out" ? "→" : "←";
+                console.log(
+                    `   ${arrow} [${label}] +${
+                        frame.timestamp - this.start
+                    }ms ${frame.type} ${frame.size}B${
+                        frame.fin ? "" : " (fragment)"
+                    }`
+                );
+            }
+        });
+        return connection;
+    }
+
+    print(title) {
+        console.log(`\n📋 ${title}`);
+        console.table(
+            this.frames.map((frame) => ({
+                Time: new Date(frame.timestamp).toISOString().slice(11, 23),
+                "+ms": frame.timestamp - this.start,
+                Direction: frame.direction === "out" ? "→ sent" : "← received",
+                Opcode: frame.type,
+                Size: frame.size,
+                FIN: frame.fin,
+            }))
+        );
+    }
+}
+
+const STATES = {
+    IDLE: "idle",
+    CONNECTING: "connecting",
+    OPEN: "open",
+    CLOSING: "closing",
+    RECONNECTING: "reconnecting",
+    CLOSED: "closed",
+};
+
+/**
+ * Client that reconnects with exponential backoff and logs every state
+ * transition, so "why did it stop receiving?" has an answer
+ */
+class ReconnectingWebSocket extends EventEmitter {
+    constructor(
+        url,
+        { baseDelayMs = 100, maxDelayMs = 2000, maxAttempts = 8 } = {}
+    ) {
+        super();
+        this.url = url;
+        this.options = { baseDelayMs, maxDelayMs, maxAttempts };
+        this.state = STATES.IDLE;
+        this.connection = null;
+        this.attempts = 0;
+        this.timer = null;
+        this.closedByUser = false;
+        this.transitions = [];
+        this.start = Date.now();
+    }
+
+    transition(to, reason) {
+        const from = this.state;
+        this.state = to;
+        this.transitions.push({
+            from,
+            to,
+            reason,
+            atMs: Date.now() - this.start,
+        });
+        console.log(`   🔁 ${from} → ${to} (${reason})`);
+        this.emit("state", to, from, reason);
+    }
+
+    /**
+     * Resolve the next time the client enters `state`
+     */
+    waitFor(state) {
+        return new Promise((resolve) => {
+            const onState = (to) => {
+                if (to === state) {
+                    this.removeListener("state", onState);
+                    resolve();
+                }
+            };
+            this.on("state", onState);
+        });
+    }
+
+    open() {
+        this.closedByUser = false;
+        this.attempt();
+    }
+
+    async attempt() {
+        this.transition(
+            STATES.CONNECTING,
+            this.attempts === 0 ? "open()" : `attempt ${this.attempts}`
+        );
+
+        let connection;
+        try {
+            connection = await connect(this.url, { timeoutMs: 500 });
+        } catch (error) {
+            this.scheduleReconnect(error.code || error.message);
+            return;
+        }
+
+        if (this.closedByUser) {
+            connection.terminate();
+            return;
+        }
+
+        this.connection = connection;
+        this.attempts = 0;
+        this.transition(STATES.OPEN, "handshake complete");
+
+        connection.on("message", (data, isBinary) =>
+            this.emit("message", data, isBinary)
+        );
+        connection.on("error", () => {
+            // 'close' follows and drives the state machine
+        });
+        connection.on("close", (code) => {
+            this.connection = null;
+            const reason = `${code} ${CLOSE_CODES[code] || ""}`.trim();
+
+            if (this.closedByUser) {
+                this.transition(STATES.CLOSED, reason);
+                return;
+            }
+            this.scheduleReconnect(reason);
+        });
+    }
+
+    scheduleReconnect(reason) {
+        const { baseDelayMs, maxDelayMs, maxAttempts } = this.options;
+
+        if (this.attempts >= maxAttempts) {
+            this.transition(
+                STATES.CLOSED,
+                `gave up after ${maxAttempts} attempts`
+            );
+            return;
+        }
+
+        const wait = Math.min(maxDelayMs, baseDelayMs * 2 ** this.attempts);
+        this.attempts++;
+        this.transition(STATES.RECONNECTING, `${reason}; retry in ${wait}ms`);
+        this.timer = setTimeout(() => this.attempt(), wait);
+    }
+
+    close() {
+        this.closedByUser = true;
+        clearTimeout(this.timer);
+
+        if (this.connection) {
+            this.transition(STATES.CLOSING, "close()");
+            this.connection.close(1000, "client done");
+        } else {
+            this.transition(STATES.CLOSED, "close() while disconnected");
+        }
+    }
+}
+
+class WebSocketDebugging {
+    constructor() {
+        this.server = null;
+        this.closeEvents = [];
+    }
+
+    async openClient(path, inspector, options) {
+        const client = await connect(`${this.server.url}${path}`);
+        if (inspector) inspector.attach(client, options);
+        return client;
+    }
+
+    /**
+     * Frame Inspection
+     */
+    async frameInspection() {
+        console.log("\n=== 1. FRAME INSPECTION ===");
+
+        const inspector = new FrameInspector();
+        const client = await this.openClient("/echo", inspector);
+
+        client.send("hello");
+        console.log("Echo:", (await once(client, "message"))[0]);
+
+        client.send(JSON.stringify({ type: "chat", text: "hi there" }));
+        await once(client, "message");
+
+        // DEBUGGING: Binary frames show as BINARY - check isBinary before parsing
+        client.send(Buffer.from([0xde, 0xad, 0xbe, 0xef]));
+        const [data, isBinary] = await once(client, "message");
+        console.log(
+            `Binary echo: ${data.toString("hex")} (isBinary=${isBinary})`
+        );
+
+        client.ping("heartbeat");
+        await once(client, "pong");
+
+        client.close(1000, "done");
+        await once(client, "close");
+
+        inspector.print("Frames on the echo connection");
+        return inspector.frames;
+    }
+
+    /**
+     * Dropped Connections and Close Codes
+     */
+    async droppedConnections() {
+        console.log("\n=== 2. DROPPED CONNECTIONS & CLOSE CODES ===");
+
+        const scenarios = [
+            { name: "server drops TCP", command: { type: "drop" } },
+            {
+                name: "server closes with 1011",
+                command: { type: "close", code: 1011, reason: "database down" },
+            },
+        ];
+
+        for (const { name, command } of scenarios) {
+            const client = await this.openClient(
+                "/chaos",
+                new FrameInspector()
+            );
+            client.on("error", () => {});
+            client.send(JSON.stringify(command));
+
+            const [code, reason, wasClean] = await once(client, "close");
+            this.closeEvents.push({
+                Scenario: name,
+                Code: code,
+                Meaning: CLOSE_CODES[code] || "application-defined",
+                Reason: reason || "-",
+                "Clean?": wasClean,
+            });
+        }
+
+        // PITFALL: 1006 is never sent on the wire - it means "no close frame arrived"
+        console.table(this.closeEvents);
+        console.log(
+            "💡 1006 = network drop, crash or proxy timeout; look at server logs, not the client"
+        );
+    }
+
+    /**
+     * Out-of-Order Replies
+     */
+    async outOfOrderMessages() {
+        console.log("\n=== 3. OUT-OF-ORDER REPLIES ===");
+
+        const client = await this.openClient("/chaos");
+        const ids = [1, 2, 3, 4, 5, 6];
+        const arrived = [];
+        const delivered = [];
+
+        // FIX: a reorder buffer that releases replies strictly by id
+        const pending = new Map();
+        let nextId = ids[0];
+
+        const allDone = new Promise((resolve) => {
+            client.on("message", (data) => {
+                const reply = JSON.parse(data);
+                arrived.push(reply.id);
+
+                pending.set(reply.id, reply);
+                while (pending.has(nextId)) {
+                    delivered.push(pending.get(nextId).id);
+                    pending.delete(nextId);
+                    nextId++;
+                }
+
+                if (delivered.length === ids.length) resolve();
+            });
+        });
+
+        // PITFALL: TCP keeps frames in order, but replies to async work don't
+        client.send(JSON.stringify({ type: "jobs", ids }));
+        await allDone;
+
+        console.log(`Sent:      ${ids.join(", ")}`);
+        console.log(`Arrived:   ${arrived.join(", ")}`);
+        console.log(`Delivered: ${delivered.join(", ")} (after reordering)`);
+
+        client.close();
+        await once(client, "close");
+        return { arrived, delivered };
+    }
+
+    /**
+     * Backpressure
+     */
+    async backpressure() {
+        console.log("\n=== 4. BACKPRESSURE ===");
+
+        const client = await this.openClient("/chaos");
+
+        // PITFALL: send() never blocks - ignored 'false' results pile up in memory
+        const burst = Buffer.alloc(256 * 1024);
+        let rejected = 0;
+        for (let i = 0; i < 40; i++) {
+            if (!client.send(burst)) rejected++;
+        }
+        console.log(
+            `Burst of 40 × 256KB: send() returned false ${rejected} times, ${formatBytes(
+                client.bufferedAmount
+            )} still buffered in the client`
+        );
+
+        let echoes = 0;
+        await new Promise((resolve) => {
+            const onMessage = () => {
+                if (++echoes === 40) {
+                    client.removeListener("message", onMessage);
+                    resolve();
+                }
+            };
+            client.on("message", onMessage);
+        });
+
+        // Slow reader: stop reading while the server floods us
+        let received = 0;
+        const floodDone = new Promise((resolve) => {
+            client.on("message", (data, isBinary) => {
+                if (isBinary) {
+                    received++;
+                    return;
+                }
+                resolve(JSON.parse(data));
+            });
+        });
+
+        client.socket.pause();
+        client.send(
+            JSON.stringify({ type: "flood", count: 200, size: 64 * 1024 })
+        );
+        await delay(300);
+        console.log("Client paused for 300ms - server must wait for 'drain'");
+        client.socket.resume();
+
+        const stats = await floodDone;
+        console.table({
+            "Frames sent": stats.sent,
+            "Frames received": received,
+            "Drain waits on server": stats.drainWaits,
+            "Peak server buffer": formatBytes(stats.peakBuffered),
+            "Without drain handling": `${formatBytes(
+                stats.sent * 64 * 1024
+            )} buffered`,
+        });
+
+        client.close();
+        await once(client, "close");
+        return stats;
+    }
+
+    /**
+     * Reconnect State Machine
+     */
+    async reconnection() {
+        console.log("\n=== 5. RECONNECT STATE MACHINE ===");
+
+        const client = new ReconnectingWebSocket(`${this.server.url}/feed`);
+
+        client.open();
+        await client.waitFor(STATES.OPEN);
+
+        // Connection dropped: reconnect immediately succeeds
+        const reopened = client.waitFor(STATES.OPEN);
+        client.connection.send(JSON.stringify({ type: "drop" }));
+        await reopened;
+
+        // Server outage: attempts fail until it comes back
+        const recovered = client.waitFor(STATES.OPEN);
+        await this.server.outage(450);
+        await recovered;
+
+        const closed = client.waitFor(STATES.CLOSED);
+        client.close();
+        await closed;
+
+        console.log("\n📋 State transitions");
+        console.table(
+            client.transitions.map(({ from, to, reason, atMs }) => ({
+                "+ms": atMs,
+                From: from,
+                To: to,
+                Reason: reason,
+            }))
+        );
+        return client.transitions;
+    }
+
+    /**
+     * Run all WebSocket examples
+     */
+    async run() {
+        console.log("🎯 Starting WebSocket Debugging Examples");
+        console.log("=".repeat(60));
+
+        this.closeEvents = [];
+        this.server = await startChaosServer({ log: true });
+        console.log(`🌪️  Chaos server running at ${this.server.url}`);
+
+        let transitions = [];
+        try {
+            await this.frameInspection();
+            await this.droppedConnections();
+            await this.outOfOrderMessages();
+            await this.backpressure();
+            transitions = await this.reconnection();
+
+            console.log("\n🎉 All WebSocket examples completed!");
+        } catch (error) {
+            console.error("❌ Error running WebSocket examples:", error);
+        } finally {
+            await this.server.close();
+        }
+
+        return transitions;
+    }
+}
+
+module.exports = new WebSocketDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
@@ -0,0 +1,186 @@
+/**
+ * WebSocket Echo / Chaos Server
+ *
+ * Echoes whatever it receives, and misbehaves on request. Clients send a
+ * JSON command to trigger a failure mode:
+ *
+ *   { "type": "drop" }                      kill the TCP connection (no close frame)
+ *   { "type": "jobs", "ids": [1, 2, 3] }    reply per job after random delays (out of order)
+ *   { "type": "flood", "count": 200, "size": 65536 }   send faster than the client reads
+ *   { "type": "close", "code": 1011 }       start a closing handshake with that code
+ *
+ * Anything else is echoed back unchanged.
+ *
+ * Run directly: node src/network/ws-chaos-server.js   # listens on PORT or 3001
+ */
+
+const http = require("http");
+const { attachWebSocketServer } = require("./ws-protocol");
+const { logger } = require("../logging/logger");
+const { createRandom } = require("../utils/random");
+
+const log = logger.child({ component: "ws-server" });
+
+/**
+ * Start the chaos server on localhost
+ * @param {Object} options - { port: 0 picks a free port, log, seed }
+ * @returns {Promise<{url, port, close, outage}>}
+ */
+function startChaosServer({
+    port = 0,
+    log: logEvents = false,
+    seed = 42,
+} = {}) {
+    const random = createRandom(seed);
+    const connections = new Set();
+    const timers = new Set();
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { "Content-Type": "text/plain" });
+        res.end("WebSocket endpoint - send an Upgrade request\n");
+    });
+
+    const trace = (message) => {
+        if (logEvents) log.info(message);
+    };
+
+    const later = (ms, fn) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            fn();
+        }, ms);
+        timers.add(timer);
+    };
+
+    const handlers = {
+        drop(connection) {
+            trace("dropping connection without a close frame");
+            connection.terminate();
+        },
+
+        jobs(connection, { ids = [] }) {
+            // Each job takes a different amount of time, so replies overtake each other
+            ids.forEach((id) => {
+                const delay = Math.round(10 + random() * 120);
+                later(delay, () => {
+                    if (connection.readyState !== "open") return;
+                    connection.send(
+                        JSON.stringify({ type: "job-done", id, tookMs: delay })
+                    );
+                });
+            });
+        },
+
+        flood(connection, { count = 200, size = 64 * 1024 }) {
+            const chunk = Buffer.alloc(size, 7);
+            const stats = { sent: 0, drainWaits: 0, peakBuffered: 0 };
+
+            const pump = () => {
+                while (stats.sent < count && connection.readyState === "open") {
+                    const flushed = connection.send(chunk);
+                    stats.sent++;
+                    stats.peakBuffered = Math.max(
+                        stats.peakBuffered,
+                        connection.bufferedAmount
+                    );
+
+                    // FIX: respect backpressure - stop writing until 'drain'
+                    if (!flushed) {
+                        stats.drainWaits++;
+                        connection.once("drain", pump);
+                        return;
+                    }
+                }
+                trace(
+                    `flood finished: ${stats.sent} frames, ${stats.drainWaits} drain waits`
+                );
+                if (connection.readyState === "open") {
+                    connection.send(
+                        JSON.stringify({ type: "flood-done", ...stats })
+                    );
+                }
+            };
+            pump();
+        },
+
+        close(connection, { code = 1000, reason = "server closing" }) {
+            connection.close(code, reason);
+        },
+    };
+
+    attachWebSocketServer(server, (connection, req) => {
+        connections.add(connection);
+        trace(`client connected (${req.url})`);
+
+        connection.on("message", (data, isBinary) => {
+            let command = null;
+            if (!isBinary) {
+                try {
+                    command = JSON.parse(data);
+                } catch (error) {
+                    command = null;
+                }
+            }
+
+            const handler = command && handlers[command.type];
+            if (handler) {
+                handler(connection, command);
+            } else {
+                connection.send(data);
+            }
+        });
+
+        connection.on("error", (error) =>
+            trace(`socket error: ${error.message}`)
+        );
+        connection.on("close", (code) => {
+            connections.delete(connection);
+            trace(`client disconnected (${code})`);
+        });
+    });
+
+    const listen = (listenPort) =>
+        new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(listenPort, "127.0.0.1", () => {
+                server.removeListener("error", reject);
+                resolve(server.address().port);
+            });
+        });
+
+    const shutdown = () =>
+        new Promise((resolve) => {
+            timers.forEach((timer) => clearTimeout(timer));
+            timers.clear();
+            connections.forEach((connection) => connection.terminate());
+            server.close(() => resolve());
+        });
+
+    return listen(port).then((actualPort) => ({
+        url: `ws://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        close: shutdown,
+
+        /**
+         * Simulate a server outage: drop everyone, refuse connections for
+         * `ms`, then listen again on the same port
+         */
+        async outage(ms) {
+            trace(`outage for ${ms}ms`);
+            await shutdown();
+            await new Promise((resolve) => setTimeout(resolve, ms));
+            await listen(actualPort);
+            trace("back online");
+        },
+    }));
+}
+
+module.exports = { startChaosServer };
+
+if (require.main === module) {
+    startChaosServer({
+        port: Number(process.env.PORT) || 3001,
+        log: true,
+    }).then(({ url }) =>
+        log.info(`🌪️  WebSocket chaos server listening on ${url}`)
+    );
+}
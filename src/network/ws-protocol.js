@@ -0,0 +1,413 @@
+/**
+ * Minimal WebSocket (RFC 6455) implementation
+ *
+ * Just enough of the protocol to run the WebSocket demos without a
+ * dependency: the HTTP upgrade handshake, frame encoding/decoding and a
+ * connection object that reports every frame it sends or receives. Browser
+ * DevTools shows the same information in Network → WS → Messages.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { EventEmitter } = require("events");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa,
+};
+
+const OPCODE_NAMES = Object.fromEntries(
+    Object.entries(OPCODES).map(([name, code]) => [code, name])
+);
+
+// Close codes worth recognising when a connection ends
+const CLOSE_CODES = {
+    1000: "normal closure",
+    1001: "going away",
+    1002: "protocol error",
+    1005: "no status received",
+    1006: "abnormal closure (no close frame)",
+    1008: "policy violation",
+    1009: "message too big",
+    1011: "internal server error",
+};
+
+function acceptKey(key) {
+    return crypto
+        .createHash("sha1")
+        .update(key + HANDSHAKE_GUID)
+        .digest("base64");
+}
+
+function applyMask(payload, mask) {
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return payload;
+}
+
+/**
+ * Encode a single frame
+ * @param {Object} frame - { opcode, payload: Buffer, fin, mask }
+ * @returns {Buffer}
+ */
+function encodeFrame({
+    opcode,
+    payload = Buffer.alloc(0),
+    fin = true,
+    mask = false,
+}) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+
+    if (!mask) {
+        return Buffer.concat([header, payload]);
+    }
+
+    // Client-to-server frames must be masked
+    header[1] |= 0x80;
+    const maskKey = crypto.randomBytes(4);
+    return Buffer.concat([
+        header,
+        maskKey,
+        applyMask(Buffer.from(payload), maskKey),
+    ]);
+}
+
+/**
+ * Incremental frame decoder - TCP delivers bytes, not frames, so a frame
+ * may arrive split across chunks or several frames in one chunk
+ */
+class FrameParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length
+            ? Buffer.concat([this.buffer, chunk])
+            : chunk;
+
+        const frames = [];
+        let frame;
+        while ((frame = this.readFrame())) {
+            frames.push(frame);
+        }
+        return frames;
+    }
+
+    readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        let maskKey = null;
+        if (masked) {
+            if (buf.length < offset + 4) return null;
+            maskKey = buf.subarray(offset, offset + 4);
+            offset += 4;
+        }
+
+        if (buf.length < offset + length) return null;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (maskKey) applyMask(payload, maskKey);
+
+        this.buffer = buf.subarray(offset + length);
+        return { fin, opcode, masked, payload };
+    }
+}
+
+/**
+ * One end of a WebSocket connection
+ *
+ * Events: "frame" ({ direction, opcode, type, size, fin, timestamp }),
+ * "message" (data, isBinary), "ping", "pong", "drain",
+ * "close" (code, reason, wasClean), "error"
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, { role, head } = {}) {
+        super();
+        this.socket = socket;
+        this.role = role;
+        this.readyState = "open";
+        this.parser = new FrameParser();
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closeCode = null;
+        this.closeReason = "";
+
+        socket.on("data", (chunk) => this.handleData(chunk));
+        socket.on("drain", () => this.emit("drain"));
+        socket.on("error", (error) => this.emit("error", error));
+        socket.on("close", () => this.handleSocketClose());
+
+        // Bytes that arrived together with the handshake
+        if (head && head.length > 0) {
+            process.nextTick(() => this.handleData(head));
+        }
+    }
+
+    /**
+     * Bytes queued in the socket but not yet handed to the OS
+     */
+    get bufferedAmount() {
+        return this.socket.writableLength;
+    }
+
+    sendFrame(opcode, payload = Buffer.alloc(0)) {
+        this.emit("frame", {
+            direction: "out",
+            opcode,
+            type: OPCODE_NAMES[opcode],
+            size: payload.length,
+            fin: true,
+            timestamp: Date.now(),
+        });
+        // false means the data was queued in memory - backpressure
+        return this.socket.write(
+            encodeFrame({ opcode, payload, mask: this.role === "client" })
+        );
+    }
+
+    send(data) {
+        if (this.readyState !== "open") {
+            throw new Error(`Cannot send: connection is ${this.readyState}`);
+        }
+        return Buffer.isBuffer(data)
+            ? this.sendFrame(OPCODES.BINARY, data)
+            : this.sendFrame(OPCODES.TEXT, Buffer.from(String(data)));
+    }
+
+    ping(data = "") {
+        return this.sendFrame(OPCODES.PING, Buffer.from(data));
+    }
+
+    /**
+     * Start the closing handshake
+     */
+    close(code = 1000, reason = "") {
+        if (this.readyState !== "open") return;
+        this.readyState = "closing";
+
+        const reasonBytes = Buffer.from(reason);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+        this.sendFrame(OPCODES.CLOSE, payload);
+    }
+
+    /**
+     * Kill the TCP connection without a closing handshake (peer sees 1006)
+     */
+    terminate() {
+        this.socket.destroy();
+    }
+
+    handleData(chunk) {
+        for (const frame of this.parser.push(chunk)) {
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame(frame) {
+        this.emit("frame", {
+            direction: "in",
+            opcode: frame.opcode,
+            type:
+                OPCODE_NAMES[frame.opcode] || `0x${frame.opcode.toString(16)}`,
+            size: frame.payload.length,
+            fin: frame.fin,
+            timestamp: Date.now(),
+        });
+
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                this.handleDataFrame(frame);
+                break;
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, frame.payload);
+                this.emit("ping", frame.payload);
+                break;
+            case OPCODES.PONG:
+                this.emit("pong", frame.payload);
+                break;
+            case OPCODES.CLOSE:
+                this.handleCloseFrame(frame.payload);
+                break;
+            default:
+                this.emit(
+                    "error",
+                    new Error(`Unknown opcode 0x${frame.opcode.toString(16)}`)
+                );
+                this.close(1002, "unknown opcode");
+        }
+    }
+
+    handleDataFrame(frame) {
+        if (frame.opcode !== OPCODES.CONTINUATION) {
+            this.fragmentOpcode = frame.opcode;
+        }
+        this.fragments.push(frame.payload);
+        if (!frame.fin) return;
+
+        const data = Buffer.concat(this.fragments);
+        const isBinary = this.fragmentOpcode === OPCODES.BINARY;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+
+        this.emit("message", isBinary ? data : data.toString("utf8"), isBinary);
+    }
+
+    handleCloseFrame(payload) {
+        this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        this.closeReason = payload.subarray(2).toString("utf8");
+
+        // Echo the close frame if the peer started the handshake
+        if (this.readyState === "open") {
+            this.close(this.closeCode === 1005 ? 1000 : this.closeCode);
+        }
+        this.readyState = "closing";
+        this.socket.end();
+    }
+
+    handleSocketClose() {
+        const wasClean = this.closeCode !== null;
+        this.readyState = "closed";
+        this.emit(
+            "close",
+            wasClean ? this.closeCode : 1006,
+            this.closeReason,
+            wasClean
+        );
+    }
+}
+
+/**
+ * Accept WebSocket upgrades on an existing HTTP server
+ * @param {http.Server} server
+ * @param {Function} onConnection - (connection, request) => void
+ */
+function attachWebSocketServer(server, onConnection) {
+    server.on("upgrade", (req, socket, head) => {
+        const key = req.headers["sec-websocket-key"];
+        if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+
+        socket.write(
+            [
+                "HTTP/1.1 101 Switching Protocols",
+                "Upgrade: websocket",
+                "Connection: Upgrade",
+                `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+                "",
+                "",
+            ].join("\r\n")
+        );
+        socket.setNoDelay(true);
+
+        onConnection(
+            new WebSocketConnection(socket, { role: "server", head }),
+            req
+        );
+    });
+}
+
+/**
+ * Open a client connection
+ * @param {string} url - ws://host:port/path
+ * @param {Object} options - { timeoutMs: handshake timeout }
+ * @returns {Promise<WebSocketConnection>}
+ */
+function connect(url, { timeoutMs = 2000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const { hostname, port, pathname, search } = new URL(url);
+        const key = crypto.randomBytes(16).toString("base64");
+
+        const req = http.request({
+            hostname,
+            port,
+            path: pathname + search,
+            timeout: timeoutMs,
+            headers: {
+                Connection: "Upgrade",
+                Upgrade: "websocket",
+                "Sec-WebSocket-Key": key,
+                "Sec-WebSocket-Version": "13",
+            },
+        });
+
+        req.on("upgrade", (res, socket, head) => {
+            // DEBUGGING: A wrong accept key usually means a proxy rewrote the handshake
+            if (res.headers["sec-websocket-accept"] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error("Invalid Sec-WebSocket-Accept header"));
+                return;
+            }
+            socket.setNoDelay(true);
+            resolve(new WebSocketConnection(socket, { role: "client", head }));
+        });
+
+        req.on("response", (res) => {
+            res.resume();
+            reject(
+                new Error(
+                    `Expected 101 Switching Protocols, got ${res.statusCode}`
+                )
+            );
+        });
+        req.on("timeout", () =>
+            req.destroy(new Error("WebSocket handshake timed out"))
+        );
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+module.exports = {
+    OPCODES,
+    OPCODE_NAMES,
+    CLOSE_CODES,
+    encodeFrame,
+    FrameParser,
+    WebSocketConnection,
+    attachWebSocketServer,
+    connect,
+};
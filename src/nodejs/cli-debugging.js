@@ -11,14 +11,23 @@
  * 3. With inspect-brk: node --inspect-brk src/nodejs/cli-debugging.js
  * 4. Debug specific port: node --inspect=9229 src/nodejs/cli-debugging.js
  * 5. With debug logs: DEBUG=* node src/nodejs/cli-debugging.js
+ *    (or only some: DEBUG=app:*,-app:auth, into a file: DEBUG_FILE=debug.log)
  * 6. With trace warnings: node --trace-warnings src/nodejs/cli-debugging.js
  * 7. With stack trace: node --stack-trace-limit=50 src/nodejs/cli-debugging.js
  */
 
+const path = require("path");
 const util = require("util");
-const debug = require("debug")("app:main");
-const debugDatabase = require("debug")("app:database");
-const debugAuth = require("debug")("app:auth");
+const createDebug = require("../logging/debug");
+const debug = createDebug("app:main");
+const debugDatabase = createDebug("app:database");
+const debugAuth = createDebug("app:auth");
+const { GlobalHandlerManager, POLICIES } = require("../errors/global-handlers");
+const {
+    createLogger,
+    RotatingFileTransport,
+    LOG_DIR,
+} = require("../logging/logger");
 
 // =============================================================================
 // 1. COMMAND LINE ARGUMENTS DEBUGGING
@@ -103,91 +112,83 @@ processDebuggingInfo();
 console.log("\n=== SIGNAL HANDLING ===");
 
 function setupSignalHandlers() {
-    // SIGINT handler (Ctrl+C)
-    process.on("SIGINT", () => {
-        console.log("\n📊 Received SIGINT. Graceful shutdown...");
-        console.log("Final memory usage:", process.memoryUsage());
-        process.exit(0);
-    });
-
-    // SIGTERM handler
-    process.on("SIGTERM", () => {
-        console.log("\n📊 Received SIGTERM. Shutting down...");
-        process.exit(0);
-    });
-
-    // Unhandled exception handler
-    process.on("uncaughtException", (error) => {
-        console.error("🚨 Uncaught Exception:", error);
-        console.error("Stack:", error.stack);
-        process.exit(1);
+    // One manager owns every process-level handler - no competing listeners
+    const handlers = new GlobalHandlerManager({
+        name: "cli",
+        policy: {
+            uncaughtException: POLICIES.EXIT,
+            // Don't exit in production - log and continue
+            unhandledRejection: POLICIES.LOG_AND_CONTINUE,
+        },
+        // SIGINT (Ctrl+C) and SIGTERM run the shutdown tasks, then exit 0
+        signals: ["SIGINT", "SIGTERM"],
+        shutdownTimeoutMs: 2000,
     });
 
-    // Unhandled promise rejection handler
-    process.on("unhandledRejection", (reason, promise) => {
-        console.error("🚨 Unhandled Promise Rejection at:", promise);
-        console.error("Reason:", reason);
-        // Don't exit in production - log and continue
-        // process.exit(1);
+    handlers.onShutdown(() => {
+        console.log("Final memory usage:", process.memoryUsage());
     });
+    handlers.install();
 
     console.log("✅ Signal handlers configured");
+    return handlers;
 }
 
 setupSignalHandlers();
 
 // =============================================================================
-// 5. CUSTOM LOGGING UTILITIES
+// 5. STRUCTURED LOGGING
 // =============================================================================
 
-console.log("\n=== CUSTOM LOGGING UTILITIES ===");
+console.log("\n=== STRUCTURED LOGGING ===");
 
-class CLILogger {
-    constructor(name) {
-        this.name = name;
-        this.startTime = Date.now();
-    }
+// LOG_LEVEL=debug / LOG_FORMAT=json / LOG_FILE=app.log change this logger
+// without touching the code
+const logger = createLogger({ name: "MyApp" });
 
-    formatMessage(level, message, data = null) {
-        const timestamp = new Date().toISOString();
-        const runtime = Date.now() - this.startTime;
-        const prefix = `[${timestamp}] [${this.name}] [${level}] [+${runtime}ms]`;
-
-        if (data) {
-            return `${prefix} ${message}\n${util.inspect(data, {
-                colors: true,
-                depth: 3,
-                compact: false,
-            })}`;
-        }
-        return `${prefix} ${message}`;
-    }
-
-    info(message, data) {
-        console.log(this.formatMessage("INFO", message, data));
-    }
+logger.info("Application initialized");
+logger.debug("Debug information", { userId: 123, action: "login" });
+logger.warn("Deprecated API used", { endpoint: "/old-api" });
 
-    warn(message, data) {
-        console.warn(this.formatMessage("WARN", message, data));
-    }
+function demonstrateStructuredLogging() {
+    // Child loggers bind context once instead of repeating it per call
+    const requestLog = logger.child({ component: "http", requestId: "req-42" });
+    // DEBUGGING: Secrets are redacted before any transport sees them
+    requestLog.info("Login attempt", {
+        user: "john.doe",
+        password: "hunter2",
+        headers: { authorization: "Bearer abc123" },
+    });
 
-    error(message, data) {
-        console.error(this.formatMessage("ERROR", message, data));
-    }
+    // The same record in the machine-readable formats
+    ["json", "logfmt"].forEach((format) => {
+        createLogger({ name: "MyApp", format, level: "info" })
+            .child({ component: "http", requestId: "req-42" })
+            .info("Request handled", { status: 200, durationMs: 12.5 });
+    });
 
-    debug(message, data) {
-        if (process.env.DEBUG) {
-            console.log(this.formatMessage("DEBUG", message, data));
-        }
+    // PITFALL: A log file that is never rotated fills the disk eventually
+    const transport = new RotatingFileTransport({
+        filePath: path.join(LOG_DIR, "cli-debugging.log"),
+        maxBytes: 2048,
+        maxFiles: 3,
+    });
+    const fileLogger = createLogger({
+        name: "MyApp",
+        transports: [transport],
+    });
+    for (let record = 1; record <= 50; record++) {
+        fileLogger.info("Processed record", { record });
     }
+    fileLogger.close();
+    console.log(
+        `💾 ${transport.rotations} rotations, kept: ${transport
+            .files()
+            .join(", ")}`
+    );
 }
 
-// Usage example
-const logger = new CLILogger("MyApp");
-
-logger.info("Application initialized");
-logger.debug("Debug information", { userId: 123, action: "login" });
-logger.warn("Deprecated API used", { endpoint: "/old-api" });
+demonstrateStructuredLogging();
 
 // =============================================================================
 // 6. PERFORMANCE MONITORING
@@ -210,7 +211,7 @@ class PerformanceMonitor {
     endTimer(name) {
         const metric = this.metrics.get(name);
         if (!metric) {
-            console.warn(`⚠️  Timer '${name}' not found`);
+            logger.warn(`Timer '${name}' not found`);
             return;
         }
 
@@ -312,10 +313,7 @@ function simulateErrors() {
     try {
         throw new Error("This is a handled error for testing");
     } catch (error) {
-        logger.error("Caught and handled error:", {
-            message: error.message,
-            stack: error.stack,
-        });
+        logger.error("Caught and handled error", error);
     }
 
     // Simulate an unhandled promise rejection (commented out to prevent actual rejection)
@@ -348,14 +346,21 @@ function setupInteractiveDebugging() {
 
     // SIGUSR2 - Toggle debug mode
     let debugMode = false;
+    let savedNamespaces = "";
     process.on("SIGUSR2", () => {
         debugMode = !debugMode;
         console.log(`\n🔧 Debug mode ${debugMode ? "ENABLED" : "DISABLED"}`);
         if (debugMode) {
-            process.env.DEBUG = "*";
+            // Existing debug instances see the change on their next call
+            savedNamespaces = createDebug.disable();
+            createDebug.enable("*");
+            logger.setLevel("debug");
         } else {
-            delete process.env.DEBUG;
+            // Back to whatever DEBUG was before the toggle
+            createDebug.enable(savedNamespaces);
+            logger.setLevel(process.env.LOG_LEVEL || "info");
         }
+        debug("Debug namespaces: %s", process.env.DEBUG || "(none)");
     });
 }
 
@@ -380,18 +385,13 @@ function main() {
 
     // Periodic memory reporting
     setInterval(() => {
-        if (process.env.DEBUG) {
-            console.log("\n📊 Periodic memory check:", {
-                rss: `${(process.memoryUsage().rss / 1024 / 1024).toFixed(
-                    2
-                )} MB`,
-                heapUsed: `${(
-                    process.memoryUsage().heapUsed /
-                    1024 /
-                    1024
-                ).toFixed(2)} MB`,
-            });
-        }
+        // Only shown at debug level (LOG_LEVEL=debug or SIGUSR2)
+        logger.debug("Periodic memory check", {
+            rss: `${(process.memoryUsage().rss / 1024 / 1024).toFixed(2)} MB`,
+            heapUsed: `${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(
+                2
+            )} MB`,
+        });
     }, 10000);
 }
 
@@ -405,7 +405,7 @@ if (require.main === module) {
 // =============================================================================
 
 module.exports = {
-    CLILogger,
+    logger,
     PerformanceMonitor,
     printSystemInfo,
     printMemoryUsage,
@@ -9,6 +9,8 @@
  * call stack, and step through execution.
  */
 
+const { EventLoopMonitor } = require("../performance/event-loop-monitor");
+
 console.log("🐛 DEBUGGER STATEMENTS EXAMPLES\n");
 
 // =============================================================================
@@ -382,35 +384,46 @@ async function runAllExamples() {
 
     debugger; // 🔍 Main entry point
 
+    // Every example runs as a phase, so the lag report names the one that
+    // kept the event loop busy (and where it was when the watchdog looked)
+    const monitor = new EventLoopMonitor({ thresholdMs: 10, intervalMs: 5 });
+    await monitor.start();
+
     try {
         // Run examples
-        basicDebugging();
+        monitor.phase("basicDebugging", () => basicDebugging());
 
-        conditionalDebugging([
-            { name: "Book", price: 15 },
-            { name: "Laptop", price: 1200 },
-            { name: "Coffee", price: 5 },
-        ]);
+        monitor.phase("conditionalDebugging", () =>
+            conditionalDebugging([
+                { name: "Book", price: 15 },
+                { name: "Laptop", price: 1200 },
+                { name: "Coffee", price: 5 },
+            ])
+        );
 
-        calculateTotal([
-            { price: 10, quantity: 2 },
-            { price: 25, quantity: 1 },
-            { price: 15, quantity: 3 },
-        ]);
+        monitor.phase("calculateTotal", () =>
+            calculateTotal([
+                { price: 10, quantity: 2 },
+                { price: 25, quantity: 1 },
+                { price: 15, quantity: 3 },
+            ])
+        );
 
-        await fetchUserData(123);
+        await monitor.phase("fetchUserData", () => fetchUserData(123));
 
-        debugLoops();
+        monitor.phase("debugLoops", () => debugLoops());
 
-        debugObjectManipulation();
+        monitor.phase("debugObjectManipulation", () =>
+            debugObjectManipulation()
+        );
 
-        debugErrorScenarios();
+        monitor.phase("debugErrorScenarios", () => debugErrorScenarios());
 
-        debugRecursion();
+        monitor.phase("debugRecursion", () => debugRecursion());
 
-        debugClassUsage();
+        monitor.phase("debugClassUsage", () => debugClassUsage());
 
-        debugPerformance();
+        monitor.phase("debugPerformance", () => debugPerformance());
 
         debugger; // 🔍 All examples completed
 
@@ -418,6 +431,10 @@ async function runAllExamples() {
     } catch (error) {
         debugger; // 🔍 Global error handler
         console.error("❌ Error in examples:", error);
+    } finally {
+        await monitor.stop();
+        console.log("");
+        monitor.printReport();
     }
 }
 
@@ -13,6 +13,11 @@
 const fs = require("fs");
 const path = require("path");
 const { performance } = require("perf_hooks");
+const { EventLoopMonitor } = require("../performance/event-loop-monitor");
+const {
+    installGlobalHandlers,
+    POLICIES,
+} = require("../errors/global-handlers");
 
 // =============================================================================
 // 1. BASIC INSPECTOR SETUP AND USAGE
@@ -346,33 +351,48 @@ class DebugHelper {
 async function main() {
     console.log("🚀 Starting Inspector Debugging Examples\n");
 
+    // Execution time alone doesn't say whether timers and I/O had to wait -
+    // the monitor reports how long each example held the event loop
+    const monitor = new EventLoopMonitor({ thresholdMs: 20 });
+    await monitor.start();
+
     try {
         // Run all debugging examples
-        DebugHelper.measurePerformance(
-            () => basicDebugging(),
-            "Basic Debugging"
+        monitor.phase("basicDebugging", () =>
+            DebugHelper.measurePerformance(
+                () => basicDebugging(),
+                "Basic Debugging"
+            )
         );
 
-        await asyncDebugging();
+        await monitor.phase("asyncDebugging", () => asyncDebugging());
 
-        DebugHelper.trackMemoryUsage(() => memoryDebugging());
+        monitor.phase("memoryDebugging", () =>
+            DebugHelper.trackMemoryUsage(() => memoryDebugging())
+        );
 
-        DebugHelper.measurePerformance(
-            () => performanceProfiling(),
-            "Performance Profiling"
+        monitor.phase("performanceProfiling", () =>
+            DebugHelper.measurePerformance(
+                () => performanceProfiling(),
+                "Performance Profiling"
+            )
         );
 
-        fileSystemDebugging();
+        monitor.phase("fileSystemDebugging", () => fileSystemDebugging());
 
-        errorDebugging();
+        monitor.phase("errorDebugging", () => errorDebugging());
 
-        networkDebugging();
+        monitor.phase("networkDebugging", () => networkDebugging());
 
         // Final inspection
         DebugHelper.inspectObject(process.memoryUsage(), "Final Memory Usage");
     } catch (error) {
         console.error("Main execution error:", error);
         debugger; // Final error breakpoint
+    } finally {
+        await monitor.stop();
+        console.log("");
+        monitor.printReport();
     }
 
     console.log("\n✅ Inspector debugging examples completed");
@@ -384,21 +404,19 @@ async function main() {
     console.log("   - Use conditional breakpoints for specific conditions");
 }
 
-// Handle unhandled promise rejections
-process.on("unhandledRejection", (reason, promise) => {
-    console.error("Unhandled Rejection at:", promise, "reason:", reason);
-    debugger; // Break on unhandled rejections
-});
-
-// Handle uncaught exceptions
-process.on("uncaughtException", (error) => {
-    console.error("Uncaught Exception:", error);
-    debugger; // Break on uncaught exceptions
-    process.exit(1);
-});
-
 // Start the debugging session
 if (require.main === module) {
+    // Exit on uncaught exceptions, log unhandled rejections - and break on both
+    installGlobalHandlers({
+        name: "inspector",
+        policy: {
+            uncaughtException: POLICIES.EXIT,
+            unhandledRejection: POLICIES.LOG_AND_CONTINUE,
+        },
+    }).onError(() => {
+        debugger; // Break on uncaught exceptions / unhandled rejections
+    });
+
     main();
 }
 
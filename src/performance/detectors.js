@@ -0,0 +1,350 @@
+/**
+ * Performance Detectors - measure, don't guess
+ *
+ * Small instruments used by the performance demos to turn "it feels slow"
+ * or "memory keeps growing" into findings with numbers attached.
+ *
+ * Every detector produces findings of the same shape:
+ *   { detector, subject, status: "ok" | "leak" | "slow", summary, details }
+ * which printFindings() renders as a table.
+ */
+
+const v8 = require("v8");
+const vm = require("vm");
+const { performance } = require("perf_hooks");
+
+/**
+ * Get a handle on the garbage collector
+ * Uses global.gc when started with --expose-gc, otherwise switches the
+ * flag on at runtime. Heap samples are only comparable after a full GC.
+ */
+function getGarbageCollector() {
+    if (typeof global.gc === "function") {
+        return global.gc;
+    }
+
+    v8.setFlagsFromString("--expose-gc");
+    return vm.runInNewContext("gc");
+}
+
+function formatBytes(bytes) {
+    const sign = bytes < 0 ? "-" : "";
+    const value = Math.round(Math.abs(bytes));
+
+    if (value >= 1024 * 1024) {
+        return `${sign}${(value / 1024 / 1024).toFixed(2)} MB`;
+    }
+    if (value >= 1024) {
+        return `${sign}${(value / 1024).toFixed(1)} KB`;
+    }
+    return `${sign}${value} B`;
+}
+
+/**
+ * Least-squares slope of y over sample index
+ */
+function linearSlope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((value, x) => {
+        numerator += (x - meanX) * (value - meanY);
+        denominator += (x - meanX) ** 2;
+    });
+
+    return numerator / denominator;
+}
+
+// =============================================================================
+// HEAP GROWTH
+// =============================================================================
+
+/**
+ * Samples heap usage (after GC) between iterations of a workload and flags
+ * steady growth - the signature of objects that are never released.
+ */
+class HeapGrowthDetector {
+    /**
+     * @param {Object} options
+     * @param {string} options.subject - What is being measured
+     * @param {number} options.thresholdBytes - Growth per sample considered a leak
+     * @param {number} options.minSamples - Samples needed before judging
+     */
+    constructor({
+        subject = "heap",
+        thresholdBytes = 256 * 1024,
+        minSamples = 5,
+    } = {}) {
+        this.subject = subject;
+        this.thresholdBytes = thresholdBytes;
+        this.minSamples = minSamples;
+        this.samples = [];
+        this.gc = getGarbageCollector();
+    }
+
+    sample(label = `#${this.samples.length}`) {
+        this.gc();
+        const usage = process.memoryUsage();
+
+        this.samples.push({
+            label,
+            heapUsed: usage.heapUsed,
+            external: usage.external,
+            at: performance.now(),
+        });
+    }
+
+    analyze() {
+        const retained = this.samples.map((s) => s.heapUsed + s.external);
+
+        if (retained.length < this.minSamples) {
+            return {
+                detector: "heap-growth",
+                subject: this.subject,
+                status: "ok",
+                summary: `not enough samples (${retained.length}/${this.minSamples})`,
+                details: { samples: this.samples },
+            };
+        }
+
+        const slope = linearSlope(retained);
+        const increases = retained
+            .slice(1)
+            .filter((value, i) => value > retained[i]).length;
+        const monotonicRatio = increases / (retained.length - 1);
+        const totalGrowth = retained[retained.length - 1] - retained[0];
+
+        // DEBUGGING: Set a breakpoint here and compare slope vs thresholdBytes
+        const leaking = slope > this.thresholdBytes && monotonicRatio >= 0.75;
+
+        return {
+            detector: "heap-growth",
+            subject: this.subject,
+            status: leaking ? "leak" : "ok",
+            summary: `${formatBytes(slope)}/sample, ${formatBytes(
+                totalGrowth
+            )} total, grew in ${Math.round(monotonicRatio * 100)}% of samples`,
+            details: {
+                slopeBytes: Math.round(slope),
+                totalGrowth,
+                monotonicRatio,
+                samples: this.samples,
+            },
+        };
+    }
+}
+
+// =============================================================================
+// EVENT LISTENERS
+// =============================================================================
+
+/**
+ * Tracks listener counts on emitters over time; counts that only ever go
+ * up usually mean listeners are added per request and never removed.
+ */
+class ListenerLeakDetector {
+    constructor({ growthThreshold = 10 } = {}) {
+        this.growthThreshold = growthThreshold;
+        this.watched = new Map();
+    }
+
+    watch(emitter, subject) {
+        this.watched.set(subject, { emitter, samples: [] });
+    }
+
+    sample() {
+        this.watched.forEach((entry) => {
+            const counts = {};
+            entry.emitter.eventNames().forEach((eventName) => {
+                counts[String(eventName)] =
+                    entry.emitter.listenerCount(eventName);
+            });
+            entry.samples.push(counts);
+        });
+    }
+
+    analyze() {
+        const findings = [];
+
+        this.watched.forEach(({ samples }, subject) => {
+            const first = samples[0] || {};
+            const last = samples[samples.length - 1] || {};
+
+            const grown = Object.keys(last)
+                .map((eventName) => ({
+                    eventName,
+                    from: first[eventName] || 0,
+                    to: last[eventName],
+                }))
+                .filter(({ from, to }) => to - from >= this.growthThreshold);
+
+            findings.push({
+                detector: "listeners",
+                subject,
+                status: grown.length > 0 ? "leak" : "ok",
+                summary:
+                    grown.length > 0
+                        ? grown
+                              .map(
+                                  (g) => `'${g.eventName}' ${g.from} → ${g.to}`
+                              )
+                              .join(", ")
+                        : "listener counts stable",
+                details: { grown, samples },
+            });
+        });
+
+        return findings;
+    }
+}
+
+// =============================================================================
+// ACTIVE HANDLES (timers, sockets, ...)
+// =============================================================================
+
+/**
+ * Compares active libuv resources before and after a workload to find
+ * timers, sockets or servers that were started and never closed.
+ */
+class HandleLeakDetector {
+    constructor({ subject = "active handles", tolerance = 0 } = {}) {
+        this.subject = subject;
+        this.tolerance = tolerance;
+        this.baseline = null;
+    }
+
+    static countResources() {
+        const counts = {};
+        process.getActiveResourcesInfo().forEach((type) => {
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        return counts;
+    }
+
+    start() {
+        this.baseline = HandleLeakDetector.countResources();
+    }
+
+    analyze() {
+        const current = HandleLeakDetector.countResources();
+        const baseline = this.baseline || {};
+
+        const leftovers = Object.keys(current)
+            .map((type) => ({
+                type,
+                added: current[type] - (baseline[type] || 0),
+            }))
+            .filter(({ added }) => added > this.tolerance);
+
+        return {
+            detector: "handles",
+            subject: this.subject,
+            status: leftovers.length > 0 ? "leak" : "ok",
+            summary:
+                leftovers.length > 0
+                    ? leftovers.map((l) => `+${l.added} ${l.type}`).join(", ")
+                    : "no new handles left open",
+            details: { baseline, current, leftovers },
+        };
+    }
+}
+
+// =============================================================================
+// SLOW OPERATIONS
+// =============================================================================
+
+/**
+ * Times operations against a budget and compares slow/fixed variants
+ */
+class SlowOperationDetector {
+    constructor() {
+        this.measurements = new Map();
+    }
+
+    /**
+     * Run fn and record how long it took
+     * @param {string} subject - Name of the operation
+     * @param {Function} fn - Synchronous workload
+     * @param {Object} options - { budgetMs: maximum acceptable duration }
+     */
+    measure(subject, fn, { budgetMs = 50 } = {}) {
+        const start = performance.now();
+        const result = fn();
+        const durationMs = performance.now() - start;
+
+        // DEBUGGING: Conditional breakpoint: durationMs > budgetMs
+        this.measurements.set(subject, { durationMs, budgetMs });
+        return result;
+    }
+
+    /**
+     * Finding for a measured operation, optionally compared with its fix
+     * @param {string} subject - The (potentially) slow operation
+     * @param {string} fixedSubject - The improved variant, if measured
+     */
+    analyze(subject, fixedSubject) {
+        const measured = this.measurements.get(subject);
+        if (!measured) {
+            throw new Error(`No measurement recorded for '${subject}'`);
+        }
+
+        const fixed = fixedSubject && this.measurements.get(fixedSubject);
+        const slow = measured.durationMs > measured.budgetMs;
+        const speedup = fixed
+            ? measured.durationMs / Math.max(fixed.durationMs, 0.001)
+            : null;
+
+        let summary = `${measured.durationMs.toFixed(2)}ms (budget ${
+            measured.budgetMs
+        }ms)`;
+        if (fixed) {
+            summary += `, fixed: ${fixed.durationMs.toFixed(
+                2
+            )}ms (${speedup.toFixed(1)}x faster)`;
+        }
+
+        return {
+            detector: "slow-operation",
+            subject,
+            status: slow ? "slow" : "ok",
+            summary,
+            details: { ...measured, fixed, speedup },
+        };
+    }
+}
+
+/**
+ * Render findings as a table
+ * @param {string} title - Group heading
+ * @param {Object[]} findings - Detector findings
+ */
+function printFindings(title, findings) {
+    const icons = { ok: "✅", leak: "🚰", slow: "🐢" };
+
+    console.group(`🔎 ${title}`);
+    console.table(
+        findings.map((finding) => ({
+            Detector: finding.detector,
+            Subject: finding.subject,
+            Status: `${icons[finding.status] || "❓"} ${finding.status}`,
+            Summary: finding.summary,
+        }))
+    );
+    console.groupEnd();
+}
+
+module.exports = {
+    HeapGrowthDetector,
+    ListenerLeakDetector,
+    HandleLeakDetector,
+    SlowOperationDetector,
+    printFindings,
+    formatBytes,
+    getGarbageCollector,
+    linearSlope,
+};
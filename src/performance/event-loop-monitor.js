@@ -0,0 +1,505 @@
+/**
+ * Event Loop Monitor - who blocked the loop, for how long, doing what?
+ *
+ * Synchronous work (a tight loop, a deep recursion, a huge JSON.parse)
+ * keeps every timer, socket and promise waiting. The monitor measures that
+ * lag three ways:
+ *
+ *   - perf_hooks.monitorEventLoopDelay(): a process-wide delay histogram
+ *   - a heartbeat timer: each beat knows how late it is and which phase
+ *     (a named section of code) was running - per-phase histograms + stalls
+ *   - a watchdog worker: when the heartbeat stops for longer than
+ *     thresholdMs it pauses the main thread through the inspector, takes
+ *     the call stack and resumes - the stack shows *what* was blocking
+ *
+ *   const monitor = new EventLoopMonitor({ thresholdMs: 50 });
+ *   await monitor.start();
+ *   monitor.phase("parse", () => parseHugeFile());
+ *   await monitor.phase("render", () => render());
+ *   await monitor.stop();
+ *   monitor.printReport();
+ *
+ * PITFALL: A blocked thread cannot observe itself - the timers that would
+ * notice only fire once the loop is free again. The stack sample has to be
+ * taken from another thread while the block is still going on.
+ *
+ * PITFALL: Sampling is not free - V8 deoptimizes the functions that were on
+ * the stack when it paused, so a sampled stall runs slower than it would
+ * have. Pass sampleStacks: false when the durations themselves matter.
+ */
+
+const inspector = require("inspector");
+const { fileURLToPath } = require("url");
+const { EventEmitter } = require("events");
+const {
+    Worker,
+    isMainThread,
+    parentPort,
+    workerData,
+} = require("worker_threads");
+const {
+    performance,
+    monitorEventLoopDelay,
+    createHistogram,
+} = require("perf_hooks");
+const {
+    parseFrame,
+    filterFrames,
+    formatFrame,
+} = require("../errors/stack-parser");
+
+// Epoch milliseconds with sub-ms precision, comparable across threads
+const clock = () => performance.timeOrigin + performance.now();
+
+const toMs = (nanoseconds) => nanoseconds / 1e6;
+
+const JITTER_MS = 1;
+
+/**
+ * min / mean / percentiles of a perf_hooks histogram (recorded in ns) in ms
+ * @param {Histogram} histogram
+ * @param {number} offsetMs - Subtracted from every value (clamped at 0)
+ */
+function summarizeHistogram(histogram, offsetMs = 0) {
+    if (histogram.count === 0) {
+        return { count: 0, min: 0, mean: 0, p50: 0, p90: 0, p99: 0, max: 0 };
+    }
+    const ms = (nanoseconds) => Math.max(0, toMs(nanoseconds) - offsetMs);
+    return {
+        count: histogram.count,
+        min: ms(histogram.min),
+        mean: ms(histogram.mean),
+        p50: ms(histogram.percentile(50)),
+        p90: ms(histogram.percentile(90)),
+        p99: ms(histogram.percentile(99)),
+        max: ms(histogram.max),
+    };
+}
+
+class EventLoopMonitor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} options.thresholdMs - Lag at or above this is a stall
+     * @param {number} options.intervalMs - Heartbeat interval
+     * @param {number} options.resolution - monitorEventLoopDelay sampling rate (ms)
+     * @param {boolean} options.sampleStacks - Start the watchdog worker (off
+     *   when an inspector is already open: every pause at a breakpoint
+     *   would count as a stall)
+     * @param {number} options.stackDepth - App frames kept per stack sample
+     */
+    constructor({
+        thresholdMs = 50,
+        intervalMs = 10,
+        resolution = 10,
+        sampleStacks = !inspector.url(),
+        stackDepth = 6,
+    } = {}) {
+        super();
+        this.thresholdMs = thresholdMs;
+        this.intervalMs = intervalMs;
+        this.resolution = resolution;
+        this.sampleStacks = sampleStacks;
+        this.stackDepth = stackDepth;
+
+        this.phases = [];
+        this.stalls = [];
+        this.samples = [];
+        // Bumped by every heartbeat and phase boundary, read by the watchdog
+        this.progress = new Int32Array(new SharedArrayBuffer(4));
+        this.histogram = null;
+        this.timer = null;
+        this.worker = null;
+    }
+
+    /**
+     * Start measuring; resolves once the watchdog is attached
+     */
+    async start() {
+        if (this.timer) return this;
+
+        // Debugger.enable runs on the main thread - attach first so our
+        // own setup doesn't show up as lag
+        if (this.sampleStacks) {
+            await this.startWatchdog();
+        }
+
+        this.histogram = monitorEventLoopDelay({ resolution: this.resolution });
+        this.histogram.enable();
+
+        this.lastBeat = clock();
+        this.settled = this.lastBeat;
+        this.timer = setInterval(() => this.beat(), this.intervalMs);
+        this.timer.unref();
+        return this;
+    }
+
+    startWatchdog() {
+        const pollMs = Math.max(
+            1,
+            Math.min(this.intervalMs, this.thresholdMs / 4, 10)
+        );
+        this.worker = new Worker(__filename, {
+            workerData: {
+                eventLoopWatchdog: true,
+                progress: this.progress,
+                // Sample one poll before a block reaches thresholdMs, so the
+                // pause still lands while it runs - but never before the next
+                // beat is due, or an idle loop would get paused.
+                // PITFALL: Waiting for intervalMs + thresholdMs only catches
+                // blocks that outlast the threshold by a whole interval
+                stallMs: Math.max(
+                    this.thresholdMs - pollMs,
+                    this.intervalMs + pollMs
+                ),
+                pollMs,
+            },
+        });
+        this.worker.on("message", (message) => {
+            if (message.type === "sample") this.samples.push(message);
+        });
+        this.worker.on("error", (error) => this.emit("error", error));
+
+        return new Promise((resolve, reject) => {
+            const onMessage = (message) => {
+                if (message.type !== "ready") return;
+                this.worker.off("message", onMessage);
+                // Watching must not keep the process alive
+                this.worker.unref();
+                resolve();
+            };
+            this.worker.on("message", onMessage);
+            this.worker.once("error", reject);
+        });
+    }
+
+    /**
+     * One heartbeat: how late is it, and who was running meanwhile?
+     */
+    beat() {
+        const now = clock();
+        this.settle(now);
+        this.lastBeat = now;
+    }
+
+    /**
+     * Account for the time since the heartbeat was due: the loop was busy,
+     * so it goes to the phase that was running. Phase boundaries settle
+     * too - a synchronous phase is charged before the next one starts.
+     */
+    settle(now = clock()) {
+        const from = Math.max(this.lastBeat + this.intervalMs, this.settled);
+        this.settled = Math.max(this.settled, now);
+        Atomics.add(this.progress, 0, 1);
+
+        const blockedMs = Math.max(0, now - from);
+        const phase = this.phaseDuring({
+            start: Math.min(from, now),
+            end: now,
+        });
+        if (phase) {
+            // Timers fire a little late even on an idle loop - don't let
+            // hundreds of beats add that jitter up into "blocked" time
+            if (blockedMs >= JITTER_MS) phase.blockedMs += blockedMs;
+            phase.histogram.record(Math.max(1, Math.round(blockedMs * 1e6)));
+        }
+
+        if (blockedMs >= this.thresholdMs) {
+            const stall = {
+                phase: phase ? phase.name : null,
+                lagMs: blockedMs,
+                start: from,
+                end: now,
+            };
+            // DEBUGGING: Conditional breakpoint: stall.lagMs > 200
+            this.stalls.push(stall);
+            this.emit("stall", stall);
+        }
+    }
+
+    /**
+     * The phase that overlaps a time window the most (innermost on ties)
+     */
+    phaseDuring({ start, end }) {
+        let best = null;
+        let bestOverlap = 0;
+        this.phases.forEach((phase) => {
+            const overlap =
+                Math.min(end, phase.end ?? end) - Math.max(start, phase.start);
+            if (overlap >= bestOverlap) {
+                best = phase;
+                bestOverlap = overlap;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Run fn as a named phase; lag and stalls during it are attributed to it
+     * @param {string} name - Shown in the report ("demo", "demo/step", ...)
+     * @param {Function} fn - Sync or async
+     * @returns {*} Whatever fn returns (a promise for async fns)
+     */
+    phase(name, fn) {
+        // Charge the time before this phase to whoever was running then
+        if (this.timer) this.settle();
+
+        const phase = {
+            name,
+            start: clock(),
+            end: null,
+            blockedMs: 0,
+            histogram: createHistogram(),
+        };
+        this.phases.push(phase);
+
+        const finish = () => {
+            phase.end = clock();
+            if (this.timer) this.settle(phase.end);
+        };
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            finish();
+            throw error;
+        }
+
+        if (result && typeof result.then === "function") {
+            return Promise.resolve(result).finally(finish);
+        }
+        finish();
+        return result;
+    }
+
+    /**
+     * Stop measuring and detach the watchdog
+     * @returns {Promise<Object>} getReport()
+     */
+    async stop() {
+        if (!this.timer) return this.getReport();
+
+        // A stall that is still going on has not been settled yet
+        this.settle();
+        clearInterval(this.timer);
+        this.timer = null;
+        // One more tick so the histogram sees a block that just ended
+        await new Promise((resolve) => setTimeout(resolve, this.resolution));
+        this.histogram.disable();
+
+        if (this.worker) {
+            const worker = this.worker;
+            this.worker = null;
+            // Samples posted during the last stall arrive before "exit"
+            const exited = new Promise((resolve) =>
+                worker.once("exit", resolve)
+            );
+            worker.ref();
+            worker.postMessage({ type: "stop" });
+            await exited;
+        }
+        return this.getReport();
+    }
+
+    /**
+     * The stack sample the watchdog took during a stall, if any
+     */
+    sampleFor(stall) {
+        const sample = this.samples.find(
+            (candidate) =>
+                candidate.at >= stall.start && candidate.at <= stall.end
+        );
+        if (!sample) return null;
+
+        return (
+            filterFrames(
+                sample.frames.map(({ functionName, url, line, column }) =>
+                    parseFrame(
+                        `at ${
+                            functionName || "<anonymous>"
+                        } (${url}:${line}:${column})`
+                    )
+                )
+            )
+                // phase() shows up under every sample - leave it out
+                .filter((frame) => frame.file !== __filename)
+                .slice(0, this.stackDepth)
+                .map((frame) => formatFrame(frame))
+        );
+    }
+
+    getReport() {
+        // PITFALL: monitorEventLoopDelay records the time between its timer
+        // ticks, so an idle loop still reads ~resolution ms - subtract it
+        const loop = summarizeHistogram(
+            this.histogram || createHistogram(),
+            this.resolution
+        );
+
+        const phases = this.phases.map((phase) => {
+            const stalls = this.stalls.filter(
+                (stall) => stall.phase === phase.name
+            );
+            return {
+                name: phase.name,
+                durationMs: (phase.end ?? clock()) - phase.start,
+                lag: summarizeHistogram(phase.histogram),
+                stalls: stalls.length,
+                blockedMs: phase.blockedMs,
+            };
+        });
+
+        const stalls = this.stalls.map((stall) => ({
+            ...stall,
+            stack: this.sampleFor(stall),
+        }));
+
+        return { thresholdMs: this.thresholdMs, loop, phases, stalls };
+    }
+
+    /**
+     * One finding per phase, in the detectors' shape
+     */
+    findings() {
+        return this.getReport().phases.map((phase) => ({
+            detector: "event-loop",
+            subject: phase.name,
+            status: phase.stalls > 0 ? "slow" : "ok",
+            summary:
+                phase.stalls > 0
+                    ? `blocked ${phase.blockedMs.toFixed(0)}ms in ${
+                          phase.stalls
+                      } stall(s), max lag ${phase.lag.max.toFixed(1)}ms`
+                    : `blocked ${phase.blockedMs.toFixed(0)}ms, no stalls`,
+            details: phase,
+        }));
+    }
+
+    printReport() {
+        const { thresholdMs, loop, phases, stalls } = this.getReport();
+        const ms = (value) => `${value.toFixed(1)}ms`;
+
+        console.group(`⏳ Event loop lag (stall threshold ${thresholdMs}ms)`);
+        console.log(
+            `Loop delay: min ${ms(loop.min)}, p50 ${ms(loop.p50)}, p90 ${ms(
+                loop.p90
+            )}, p99 ${ms(loop.p99)}, max ${ms(loop.max)}`
+        );
+
+        if (phases.length > 0) {
+            console.table(
+                phases.map((phase) => ({
+                    Phase: phase.name,
+                    "Duration (ms)": Math.round(phase.durationMs),
+                    "Blocked (ms)": Number(phase.blockedMs.toFixed(1)),
+                    "p99 lag (ms)": Number(phase.lag.p99.toFixed(1)),
+                    "Max lag (ms)": Number(phase.lag.max.toFixed(1)),
+                    Stalls: phase.stalls,
+                }))
+            );
+        }
+
+        stalls.forEach((stall) => {
+            console.log(
+                `🧱 ${ms(stall.lagMs)} stall in ${stall.phase || "<no phase>"}`
+            );
+            if (stall.stack && stall.stack.length > 0) {
+                stall.stack.forEach((frame) =>
+                    console.log(`      at ${frame}`)
+                );
+            } else if (this.sampleStacks) {
+                console.log("      (no stack sample - the block ended first)");
+            }
+        });
+        if (stalls.length === 0) console.log("✅ No stalls");
+        console.groupEnd();
+    }
+}
+
+// =============================================================================
+// WATCHDOG (runs in a worker thread)
+// =============================================================================
+
+// Inspector script URLs are file:// URLs for CommonJS modules
+const toPath = (url) =>
+    url && url.startsWith("file://") ? fileURLToPath(url) : url;
+
+/**
+ * Watch the progress counter; when it stops moving, pause the main thread
+ * via the inspector, post its call stack and resume it right away
+ */
+function runWatchdog({ progress, stallMs, pollMs }) {
+    const counter = new Int32Array(progress.buffer);
+    const session = new inspector.Session();
+    session.connectToMainThread();
+
+    const scriptUrls = new Map();
+    let requested = false;
+
+    session.on("Debugger.scriptParsed", ({ params }) => {
+        scriptUrls.set(params.scriptId, params.url);
+    });
+
+    session.on("Debugger.paused", ({ params }) => {
+        // Only resume pauses we asked for - anything else belongs to
+        // another debugger session
+        if (!requested) return;
+        requested = false;
+        parentPort.postMessage({
+            type: "sample",
+            at: clock(),
+            frames: params.callFrames.map((frame) => ({
+                functionName: frame.functionName,
+                url: toPath(
+                    frame.url || scriptUrls.get(frame.location.scriptId)
+                ),
+                line: frame.location.lineNumber + 1,
+                column: frame.location.columnNumber + 1,
+            })),
+        });
+        session.post("Debugger.resume");
+    });
+
+    let lastCount = Atomics.load(counter, 0);
+    let lastChange = clock();
+    let sampled = false;
+    let poll = null;
+
+    const watch = () => {
+        const count = Atomics.load(counter, 0);
+        if (count !== lastCount) {
+            lastCount = count;
+            lastChange = clock();
+            sampled = false;
+        } else if (!sampled && clock() - lastChange > stallMs) {
+            // Once per stall (per phase) - every pause costs a deopt
+            sampled = true;
+            requested = true;
+            session.post("Debugger.pause");
+        }
+    };
+
+    parentPort.on("message", (message) => {
+        if (message.type !== "stop") return;
+        clearInterval(poll);
+        session.disconnect();
+        parentPort.close();
+    });
+
+    session.post("Debugger.enable", () => {
+        // PITFALL: With the debugger enabled every `debugger;` statement
+        // would stop the main thread - deactivate them, Debugger.pause
+        // still works
+        session.post("Debugger.setBreakpointsActive", { active: false }, () => {
+            lastChange = clock();
+            poll = setInterval(watch, pollMs);
+            parentPort.postMessage({ type: "ready" });
+        });
+    });
+}
+
+if (!isMainThread && workerData && workerData.eventLoopWatchdog) {
+    runWatchdog(workerData);
+}
+
+module.exports = { EventLoopMonitor, summarizeHistogram };
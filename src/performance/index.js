@@ -0,0 +1,36 @@
+/**
+ * Performance Debugging - demo manifest
+ *
+ * Picked up by DemoRegistry.discover(); see src/registry.js for the contract.
+ */
+
+const performanceIssues = require("./performance-issues");
+const memoryLeaks = require("./memory-leaks");
+const profiling = require("./profiling");
+
+module.exports = [
+    {
+        name: "performance",
+        title: "Performance Debugging",
+        description: "Profile and debug performance issues",
+        tags: ["performance", "cpu"],
+        order: 40,
+        run: () => performanceIssues.run(),
+    },
+    {
+        name: "memory-leaks",
+        title: "Memory Leak Detection",
+        description: "Find leaks with heap, listener and handle detectors",
+        tags: ["performance", "memory"],
+        order: 41,
+        run: () => memoryLeaks.run(),
+    },
+    {
+        name: "profiling",
+        title: "CPU & Memory Profiling",
+        description: "Record CPU and allocation profiles from code",
+        tags: ["performance", "cpu", "memory"],
+        order: 42,
+        run: () => profiling.run(),
+    },
+];
@@ -0,0 +1,361 @@
+/**
+ * Memory Leak Debugging
+ *
+ * Each scenario runs a deliberately leaky workload next to its fixed
+ * version while detectors sample the heap, listener counts and open
+ * handles - so you can see what a leak looks like in numbers.
+ *
+ * Run directly:   node src/performance/memory-leaks.js
+ * With the GC:    node --expose-gc src/performance/memory-leaks.js
+ * In DevTools:    node --inspect-brk src/performance/memory-leaks.js
+ *                 then take heap snapshots in the Memory tab between scenarios
+ */
+
+const { EventEmitter } = require("events");
+const {
+    HeapGrowthDetector,
+    ListenerLeakDetector,
+    HandleLeakDetector,
+    printFindings,
+    formatBytes,
+    getGarbageCollector,
+} = require("./detectors");
+
+const ITERATIONS = 8;
+const REQUESTS_PER_ITERATION = 20;
+const PAYLOAD_SIZE = 64 * 1024;
+
+/**
+ * Allocate a real payload. ("x".repeat(n) is a cheap rope in V8 and would
+ * hide the leak, so use a Buffer that actually owns its bytes.)
+ */
+const makePayload = (size = PAYLOAD_SIZE) => Buffer.alloc(size, 1);
+
+class MemoryLeakDebugging {
+    constructor() {
+        this.findings = [];
+        this.cleanupTasks = [];
+    }
+
+    /**
+     * Unbounded Cache
+     */
+    unboundedCache() {
+        console.log("\n=== 1. UNBOUNDED CACHE ===");
+
+        // LEAK: every request id is unique, so entries are never reused or evicted
+        const leakyCache = new Map();
+        const leakyHandler = (requestId) => {
+            if (!leakyCache.has(requestId)) {
+                leakyCache.set(requestId, makePayload());
+            }
+            return leakyCache.get(requestId);
+        };
+
+        // FIX: bounded LRU - Map keeps insertion order, oldest key comes first
+        const MAX_ENTRIES = REQUESTS_PER_ITERATION;
+        const boundedCache = new Map();
+        const boundedHandler = (requestId) => {
+            if (boundedCache.has(requestId)) {
+                const value = boundedCache.get(requestId);
+                boundedCache.delete(requestId);
+                boundedCache.set(requestId, value);
+                return value;
+            }
+            const value = makePayload();
+            boundedCache.set(requestId, value);
+            if (boundedCache.size > MAX_ENTRIES) {
+                boundedCache.delete(boundedCache.keys().next().value);
+            }
+            return value;
+        };
+
+        const leakyDetector = new HeapGrowthDetector({
+            subject: "unbounded cache",
+        });
+        const fixedDetector = new HeapGrowthDetector({
+            subject: "LRU cache (fixed)",
+        });
+        let requestId = 0;
+        const simulateTraffic = (handler, detector) => {
+            // Warm-up round first: a cache filling up to its limit is expected
+            // growth, the detector should only judge the steady state after it
+            for (let i = 0; i <= ITERATIONS; i++) {
+                for (let r = 0; r < REQUESTS_PER_ITERATION; r++) {
+                    handler(`req-${++requestId}`);
+                }
+                if (i > 0) {
+                    detector.sample(`iteration ${i}`);
+                }
+            }
+        };
+
+        simulateTraffic(leakyHandler, leakyDetector);
+        // DEBUGGING: Set a breakpoint here and check leakyCache.size
+        simulateTraffic(boundedHandler, fixedDetector);
+
+        console.log(`Leaky cache entries: ${leakyCache.size}`);
+        console.log(`Bounded cache entries: ${boundedCache.size}`);
+
+        this.record("Unbounded cache", [
+            leakyDetector.analyze(),
+            fixedDetector.analyze(),
+        ]);
+
+        this.cleanupTasks.push(() => {
+            leakyCache.clear();
+            boundedCache.clear();
+        });
+    }
+
+    /**
+     * Event Listener Leak
+     */
+    listenerLeak() {
+        console.log("\n=== 2. EVENT LISTENER LEAK ===");
+
+        const leakyBus = new EventEmitter();
+        const fixedBus = new EventEmitter();
+        // Silence MaxListenersExceededWarning - the detector reports it instead
+        leakyBus.setMaxListeners(0);
+
+        const detector = new ListenerLeakDetector();
+        detector.watch(leakyBus, "leakyBus (listener per request)");
+        detector.watch(fixedBus, "fixedBus (removed when done)");
+        detector.sample();
+
+        for (let i = 0; i < ITERATIONS * REQUESTS_PER_ITERATION; i++) {
+            // LEAK: each request subscribes but never unsubscribes.
+            // The closure also keeps 'context' alive for the emitter's lifetime.
+            const context = { requestId: i, buffer: Buffer.alloc(1024) };
+            leakyBus.on("config-changed", () => context.requestId);
+
+            // FIX: remove the listener when the request completes
+            const onChange = () => context.requestId;
+            fixedBus.on("config-changed", onChange);
+            fixedBus.off("config-changed", onChange);
+
+            if (i % REQUESTS_PER_ITERATION === 0) {
+                detector.sample();
+            }
+        }
+        detector.sample();
+
+        console.log(
+            `leakyBus listeners: ${leakyBus.listenerCount(
+                "config-changed"
+            )}, ` +
+                `fixedBus listeners: ${fixedBus.listenerCount(
+                    "config-changed"
+                )}`
+        );
+
+        this.record("Event listeners", detector.analyze());
+        this.cleanupTasks.push(() => leakyBus.removeAllListeners());
+    }
+
+    /**
+     * Closure Leak (the classic "replaceThing" pattern)
+     */
+    closureLeak() {
+        console.log("\n=== 3. CLOSURE LEAK ===");
+
+        let theThing = null;
+        const leakyReplaceThing = () => {
+            const originalThing = theThing;
+            // 'unused' references originalThing, and all closures created in
+            // this scope share one context - so someMethod keeps it alive too,
+            // forming a chain through every previous theThing.
+            const unused = () => {
+                if (originalThing) return "hi";
+            };
+            theThing = {
+                payload: makePayload(PAYLOAD_SIZE * 4),
+                someMethod() {
+                    return "called";
+                },
+            };
+        };
+
+        let fixedThing = null;
+        const fixedReplaceThing = () => {
+            // FIX: no closure captures the previous value
+            fixedThing = {
+                payload: makePayload(PAYLOAD_SIZE * 4),
+                someMethod() {
+                    return "called";
+                },
+            };
+        };
+
+        const leakyDetector = new HeapGrowthDetector({
+            subject: "replaceThing chain",
+        });
+        const fixedDetector = new HeapGrowthDetector({
+            subject: "replaceThing (fixed)",
+        });
+
+        for (let i = 0; i < ITERATIONS; i++) {
+            leakyReplaceThing();
+            leakyReplaceThing();
+            leakyDetector.sample(`iteration ${i}`);
+        }
+
+        // DEBUGGING: In a heap snapshot, follow theThing → someMethod → context
+        for (let i = 0; i < ITERATIONS; i++) {
+            fixedReplaceThing();
+            fixedReplaceThing();
+            fixedDetector.sample(`iteration ${i}`);
+        }
+
+        this.record("Closures", [
+            leakyDetector.analyze(),
+            fixedDetector.analyze(),
+        ]);
+        this.cleanupTasks.push(() => {
+            theThing = null;
+            fixedThing = null;
+        });
+    }
+
+    /**
+     * Forgotten Timers
+     */
+    forgottenTimers() {
+        console.log("\n=== 4. FORGOTTEN TIMERS ===");
+
+        const detector = new HandleLeakDetector({
+            subject: "session heartbeats",
+        });
+        detector.start();
+
+        // LEAK: each "session" starts a heartbeat and nobody clears it.
+        // The interval callback also keeps the session object reachable.
+        const intervals = [];
+        for (let i = 0; i < 25; i++) {
+            const session = { id: i, history: new Array(1000).fill(i) };
+            const interval = setInterval(() => session.history.length, 60000);
+            intervals.push(interval);
+        }
+
+        const leakyFinding = detector.analyze();
+
+        // FIX: keep the handle and clear it when the session ends
+        intervals.forEach((interval) => clearInterval(interval));
+
+        const fixedFinding = {
+            ...detector.analyze(),
+            subject: "heartbeats (cleared)",
+        };
+
+        this.record("Timers", [leakyFinding, fixedFinding]);
+    }
+
+    /**
+     * Confirming Collection with WeakRef and FinalizationRegistry
+     */
+    async confirmingCollection() {
+        console.log("\n=== 5. CONFIRMING OBJECTS ARE COLLECTED ===");
+
+        const collected = [];
+        const registry = new FinalizationRegistry((label) => {
+            collected.push(label);
+        });
+
+        const retained = [];
+        for (let i = 0; i < 5; i++) {
+            const released = {
+                label: `released-${i}`,
+                data: new Array(1000).fill(i),
+            };
+            const kept = {
+                label: `retained-${i}`,
+                data: new Array(1000).fill(i),
+            };
+            registry.register(released, released.label);
+            registry.register(kept, kept.label);
+            retained.push(kept);
+        }
+
+        // DEBUGGING: WeakRef lets you check liveness without keeping objects alive
+        const probe = new WeakRef(retained[0]);
+
+        const gc = getGarbageCollector();
+        gc();
+        // Finalizers run on a later task, after the GC has finished
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        gc();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        console.log(
+            `Finalized objects: ${collected.sort().join(", ") || "(none yet)"}`
+        );
+        console.log(
+            `Retained probe still alive: ${probe.deref() !== undefined}`
+        );
+        console.log(`Still referenced: ${retained.length} objects`);
+    }
+
+    record(title, findings) {
+        printFindings(title, findings);
+        this.findings.push(...findings);
+    }
+
+    /**
+     * Summary of everything the detectors found
+     */
+    displaySummary() {
+        const leaks = this.findings.filter((f) => f.status === "leak");
+
+        console.log("\n=== LEAK SUMMARY ===");
+        console.log(
+            `Detected ${leaks.length} leak(s) in ${this.findings.length} checks`
+        );
+        leaks.forEach((leak) => {
+            console.log(`  🚰 ${leak.subject}: ${leak.summary}`);
+        });
+
+        const usage = process.memoryUsage();
+        console.log(`Heap used now: ${formatBytes(usage.heapUsed)}`);
+    }
+
+    cleanup() {
+        this.cleanupTasks.forEach((task) => task());
+        this.cleanupTasks = [];
+    }
+
+    /**
+     * Run all memory leak examples
+     */
+    async run() {
+        console.log("🎯 Starting Memory Leak Debugging Examples");
+        console.log("=".repeat(60));
+
+        this.findings = [];
+
+        try {
+            this.unboundedCache();
+            this.listenerLeak();
+            this.closureLeak();
+            this.forgottenTimers();
+            await this.confirmingCollection();
+
+            this.displaySummary();
+
+            console.log("\n🎉 All memory leak examples completed!");
+        } catch (error) {
+            console.error("❌ Error running memory leak examples:", error);
+        } finally {
+            // Release everything the leaky scenarios held on to
+            this.cleanup();
+        }
+
+        return this.findings;
+    }
+}
+
+module.exports = new MemoryLeakDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
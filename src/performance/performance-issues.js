@@ -0,0 +1,298 @@
+/**
+ * Performance Issues - Finding and Fixing Bottlenecks
+ *
+ * Each scenario times a deliberately slow implementation against its
+ * fixed version. The SlowOperationDetector flags anything over budget
+ * and reports how much faster the fix is.
+ *
+ * Run directly:  node src/performance/performance-issues.js
+ * V8 profiler:   npm run profile   (node --prof, then node --prof-process isolate-*.log)
+ * DevTools:      node --inspect-brk src/performance/performance-issues.js
+ *                and record in the Profiler/Performance tab
+ */
+
+const { performance } = require("perf_hooks");
+const { SlowOperationDetector, printFindings } = require("./detectors");
+
+class PerformanceIssuesDebugging {
+    constructor() {
+        this.detector = new SlowOperationDetector();
+        this.findings = [];
+    }
+
+    /**
+     * Quadratic Algorithms
+     */
+    quadraticAlgorithms() {
+        console.log("\n=== 1. QUADRATIC ALGORITHMS ===");
+
+        const ids = Array.from({ length: 20000 }, (_, i) => i % 15000);
+
+        // SLOW: includes() scans the whole result array for every element - O(n²)
+        const slowDedupe = (values) => {
+            const unique = [];
+            for (const value of values) {
+                if (!unique.includes(value)) {
+                    unique.push(value);
+                }
+            }
+            return unique;
+        };
+
+        // FIX: Set lookups are O(1)
+        const fastDedupe = (values) => Array.from(new Set(values));
+
+        const slowResult = this.detector.measure(
+            "dedupe with includes()",
+            () => slowDedupe(ids),
+            { budgetMs: 20 }
+        );
+        const fastResult = this.detector.measure(
+            "dedupe with Set",
+            () => fastDedupe(ids),
+            { budgetMs: 20 }
+        );
+
+        // DEBUGGING: Both must agree - a fast wrong answer is not a fix
+        console.assert(
+            slowResult.length === fastResult.length,
+            "Dedupe results differ"
+        );
+        console.log(`Unique ids: ${fastResult.length}`);
+
+        this.record("Quadratic algorithms", [
+            this.detector.analyze("dedupe with includes()", "dedupe with Set"),
+        ]);
+    }
+
+    /**
+     * Accidental Copies in Loops
+     */
+    accidentalCopies() {
+        console.log("\n=== 2. ACCIDENTAL COPIES IN LOOPS ===");
+
+        const items = Array.from({ length: 10000 }, (_, i) => ({
+            id: i,
+            price: i % 100,
+        }));
+
+        // SLOW: spreading the accumulator copies every previous element each time
+        const slowIndex = () =>
+            items.reduce((acc, item) => ({ ...acc, [item.id]: item }), {});
+
+        // FIX: mutate a single accumulator (or build a Map)
+        const fastIndex = () => {
+            const index = {};
+            for (const item of items) {
+                index[item.id] = item;
+            }
+            return index;
+        };
+
+        this.detector.measure("reduce with spread", slowIndex, {
+            budgetMs: 20,
+        });
+        this.detector.measure("single accumulator", fastIndex, {
+            budgetMs: 20,
+        });
+
+        this.record("Accidental copies", [
+            this.detector.analyze("reduce with spread", "single accumulator"),
+        ]);
+    }
+
+    /**
+     * Catastrophic Regex Backtracking
+     */
+    regexBacktracking() {
+        console.log("\n=== 3. CATASTROPHIC REGEX BACKTRACKING ===");
+
+        // The trailing '!' forces the engine to try every way of splitting
+        // the 'a's between the nested quantifiers: 2^n attempts.
+        // DEBUGGING: Keep n small - every extra 'a' doubles the runtime!
+        const input = "a".repeat(20) + "!";
+
+        const slowPattern = /^(a+)+$/;
+        const fastPattern = /^a+$/;
+
+        const slowMatch = this.detector.measure(
+            "nested quantifier /^(a+)+$/",
+            () => slowPattern.test(input),
+            { budgetMs: 5 }
+        );
+        const fastMatch = this.detector.measure(
+            "flat quantifier /^a+$/",
+            () => fastPattern.test(input),
+            { budgetMs: 5 }
+        );
+
+        console.log(
+            `Both patterns reject the input: ${!slowMatch && !fastMatch}`
+        );
+
+        this.record("Regex backtracking", [
+            this.detector.analyze(
+                "nested quantifier /^(a+)+$/",
+                "flat quantifier /^a+$/"
+            ),
+        ]);
+    }
+
+    /**
+     * Repeated Work Without Memoization
+     */
+    missingMemoization() {
+        console.log("\n=== 4. MISSING MEMOIZATION ===");
+
+        let slowCalls = 0;
+        const slowFibonacci = (n) => {
+            slowCalls++;
+            return n <= 1 ? n : slowFibonacci(n - 1) + slowFibonacci(n - 2);
+        };
+
+        let fastCalls = 0;
+        const memo = new Map();
+        const fastFibonacci = (n) => {
+            fastCalls++;
+            if (n <= 1) return n;
+            if (!memo.has(n)) {
+                memo.set(n, fastFibonacci(n - 1) + fastFibonacci(n - 2));
+            }
+            return memo.get(n);
+        };
+
+        this.detector.measure("naive fibonacci(30)", () => slowFibonacci(30), {
+            budgetMs: 10,
+        });
+        this.detector.measure(
+            "memoized fibonacci(30)",
+            () => fastFibonacci(30),
+            { budgetMs: 10 }
+        );
+
+        // DEBUGGING: console.count() in slowFibonacci would show the same blowup
+        console.log(`Calls - naive: ${slowCalls}, memoized: ${fastCalls}`);
+
+        this.record("Memoization", [
+            this.detector.analyze(
+                "naive fibonacci(30)",
+                "memoized fibonacci(30)"
+            ),
+        ]);
+    }
+
+    /**
+     * Blocking the Event Loop
+     */
+    async blockingEventLoop() {
+        console.log("\n=== 5. BLOCKING THE EVENT LOOP ===");
+
+        // A timer's lateness shows how long the loop was busy elsewhere
+        const measureTimerLateness = (workload) =>
+            new Promise((resolve) => {
+                const scheduledAt = performance.now();
+                setTimeout(() => {
+                    resolve(performance.now() - scheduledAt - 10);
+                }, 10);
+                workload();
+            });
+
+        const busyWork = (ms) => {
+            const end = performance.now() + ms;
+            while (performance.now() < end) {
+                // Spin - nothing else can run on this thread meanwhile
+            }
+        };
+
+        // SLOW: one 100ms synchronous chunk
+        const blockedLateness = await measureTimerLateness(() => busyWork(100));
+
+        // FIX: split the work and yield between chunks
+        const chunkedLateness = await measureTimerLateness(() => {
+            let remaining = 10;
+            const runChunk = () => {
+                busyWork(10);
+                if (--remaining > 0) {
+                    setImmediate(runChunk);
+                }
+            };
+            runChunk();
+        });
+
+        // Let the chunked job finish before moving on
+        await new Promise((resolve) => setTimeout(resolve, 120));
+
+        const findings = [
+            {
+                detector: "timer-lateness",
+                subject: "single 100ms blocking task",
+                lateness: blockedLateness,
+            },
+            {
+                detector: "timer-lateness",
+                subject: "10 x 10ms chunks with setImmediate",
+                lateness: chunkedLateness,
+            },
+        ].map(({ lateness, ...finding }) => ({
+            ...finding,
+            status: lateness > 50 ? "slow" : "ok",
+            summary: `10ms timer fired ${lateness.toFixed(1)}ms late`,
+            details: { latenessMs: lateness },
+        }));
+
+        // DEBUGGING: In the DevTools Performance tab this shows up as a long task
+        this.record("Event loop blocking", findings);
+    }
+
+    record(title, findings) {
+        printFindings(title, findings);
+        this.findings.push(...findings);
+    }
+
+    /**
+     * Summary of slow operations found
+     */
+    displaySummary() {
+        const slow = this.findings.filter((f) => f.status === "slow");
+
+        console.log("\n=== BOTTLENECK SUMMARY ===");
+        console.log(
+            `${slow.length} of ${this.findings.length} checks exceeded their budget`
+        );
+        slow.forEach((finding) => {
+            console.log(`  🐢 ${finding.subject}: ${finding.summary}`);
+        });
+    }
+
+    /**
+     * Run all performance issue examples
+     */
+    async run() {
+        console.log("🎯 Starting Performance Issue Examples");
+        console.log("=".repeat(60));
+
+        this.findings = [];
+
+        try {
+            this.quadraticAlgorithms();
+            this.accidentalCopies();
+            this.regexBacktracking();
+            this.missingMemoization();
+            await this.blockingEventLoop();
+
+            this.displaySummary();
+
+            console.log("\n🎉 All performance issue examples completed!");
+        } catch (error) {
+            console.error("❌ Error running performance examples:", error);
+        }
+
+        return this.findings;
+    }
+}
+
+module.exports = new PerformanceIssuesDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
@@ -0,0 +1,371 @@
+/**
+ * CPU and Memory Profiling
+ *
+ * Drives the same profilers Chrome DevTools uses, but from code, through
+ * the built-in inspector module - no --inspect flag or browser required.
+ * Profiles are written to the OS temp directory and can be loaded into
+ * DevTools (Profiler / Memory tabs) for a closer look.
+ *
+ * Run directly:       node src/performance/profiling.js
+ * With heap snapshot: HEAP_SNAPSHOT=1 node src/performance/profiling.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const v8 = require("v8");
+const inspector = require("inspector");
+const { performance, PerformanceObserver } = require("perf_hooks");
+const { formatBytes, printFindings } = require("./detectors");
+
+// Deliberately uneven workload so one function clearly dominates the profile
+function parseRecords(count) {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        records.push(JSON.parse(JSON.stringify({ id: i, tags: ["a", "b"] })));
+    }
+    return records;
+}
+
+function scoreRecords(records) {
+    let score = 0;
+    for (const record of records) {
+        for (let i = 0; i < 200; i++) {
+            score += Math.sqrt(record.id * i) % 7;
+        }
+    }
+    return score;
+}
+
+function formatReport(records, score) {
+    return `${records.length} records, score ${score.toFixed(2)}`;
+}
+
+function profiledWorkload() {
+    const records = parseRecords(20000);
+    const score = scoreRecords(records);
+    return formatReport(records, score);
+}
+
+class ProfilingDebugging {
+    constructor() {
+        this.outputDir = path.join(os.tmpdir(), "debug-me-profiles");
+        this.artifacts = [];
+    }
+
+    /**
+     * Open an inspector session with a promise-based post()
+     */
+    openSession() {
+        const session = new inspector.Session();
+        session.connect();
+        return { session, post: util.promisify(session.post.bind(session)) };
+    }
+
+    writeArtifact(fileName, contents) {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        const filePath = path.join(this.outputDir, fileName);
+        fs.writeFileSync(filePath, contents);
+        this.artifacts.push(filePath);
+        return filePath;
+    }
+
+    /**
+     * CPU Profiling
+     */
+    async cpuProfiling() {
+        console.log("\n=== 1. CPU PROFILING ===");
+
+        const { session, post } = this.openSession();
+
+        try {
+            await post("Profiler.enable");
+            await post("Profiler.setSamplingInterval", { interval: 100 });
+            await post("Profiler.start");
+
+            // DEBUGGING: Everything between start and stop ends up in the profile
+            const summary = profiledWorkload();
+
+            const { profile } = await post("Profiler.stop");
+            console.log(`Workload finished: ${summary}`);
+
+            const filePath = this.writeArtifact(
+                `workload-${Date.now()}.cpuprofile`,
+                JSON.stringify(profile)
+            );
+            console.log(`💾 CPU profile saved: ${filePath}`);
+            console.log(
+                "   Load it in DevTools → Profiler (or Performance) tab"
+            );
+
+            const hotspots = ProfilingDebugging.summarizeCpuProfile(profile);
+            console.table(hotspots.slice(0, 8));
+
+            return hotspots;
+        } finally {
+            session.disconnect();
+        }
+    }
+
+    /**
+     * Aggregate self time per function from a .cpuprofile
+     * @param {Object} profile - Profile returned by Profiler.stop
+     * @returns {Object[]} Functions sorted by self time
+     */
+    static summarizeCpuProfile(profile) {
+        const nodesById = new Map(profile.nodes.map((node) => [node.id, node]));
+        const selfTimeByNode = new Map();
+
+        // Each sample is attributed the time delta that follows it
+        profile.samples.forEach((nodeId, index) => {
+            const delta = profile.timeDeltas[index + 1] || 0;
+            selfTimeByNode.set(
+                nodeId,
+                (selfTimeByNode.get(nodeId) || 0) + delta
+            );
+        });
+
+        const totalTime =
+            Array.from(selfTimeByNode.values()).reduce((a, b) => a + b, 0) || 1;
+        const byFunction = new Map();
+
+        selfTimeByNode.forEach((selfTime, nodeId) => {
+            const { callFrame } = nodesById.get(nodeId);
+            const name = callFrame.functionName || "(anonymous)";
+            const location = callFrame.url
+                ? `${path.basename(callFrame.url)}:${callFrame.lineNumber + 1}`
+                : "";
+            const key = `${name} ${location}`;
+
+            const entry = byFunction.get(key) || {
+                Function: name,
+                Location: location,
+                selfMicros: 0,
+            };
+            entry.selfMicros += selfTime;
+            byFunction.set(key, entry);
+        });
+
+        return Array.from(byFunction.values())
+            .sort((a, b) => b.selfMicros - a.selfMicros)
+            .map(({ selfMicros, ...entry }) => ({
+                ...entry,
+                "Self (ms)": Number((selfMicros / 1000).toFixed(2)),
+                "Self %": `${((selfMicros / totalTime) * 100).toFixed(1)}%`,
+            }));
+    }
+
+    /**
+     * Allocation Sampling
+     */
+    async allocationSampling() {
+        console.log("\n=== 2. ALLOCATION SAMPLING ===");
+
+        const { session, post } = this.openSession();
+
+        try {
+            await post("HeapProfiler.enable");
+            await post("HeapProfiler.startSampling", {
+                samplingInterval: 16 * 1024,
+            });
+
+            // DEBUGGING: Keep the result alive so the sampler still sees it
+            const retained = parseRecords(30000);
+
+            const { profile } = await post("HeapProfiler.stopSampling");
+            console.log(`Allocated ${retained.length} records while sampling`);
+
+            const filePath = this.writeArtifact(
+                `allocations-${Date.now()}.heapprofile`,
+                JSON.stringify(profile)
+            );
+            console.log(`💾 Allocation profile saved: ${filePath}`);
+
+            const sites = ProfilingDebugging.summarizeHeapProfile(profile);
+            console.table(sites.slice(0, 8));
+
+            return sites;
+        } finally {
+            session.disconnect();
+        }
+    }
+
+    /**
+     * Flatten a sampling heap profile into allocation sites
+     * @param {Object} profile - Profile returned by HeapProfiler.stopSampling
+     */
+    static summarizeHeapProfile(profile) {
+        const sites = [];
+
+        const visit = (node) => {
+            if (node.selfSize > 0) {
+                const { functionName, url, lineNumber } = node.callFrame;
+                sites.push({
+                    Function: functionName || "(anonymous)",
+                    Location: url
+                        ? `${path.basename(url)}:${lineNumber + 1}`
+                        : "(native)",
+                    bytes: node.selfSize,
+                });
+            }
+            node.children.forEach(visit);
+        };
+        visit(profile.head);
+
+        return sites
+            .sort((a, b) => b.bytes - a.bytes)
+            .map(({ bytes, ...site }) => ({
+                ...site,
+                Allocated: formatBytes(bytes),
+            }));
+    }
+
+    /**
+     * Heap Statistics
+     */
+    heapStatistics() {
+        console.log("\n=== 3. V8 HEAP STATISTICS ===");
+
+        const stats = v8.getHeapStatistics();
+        console.table({
+            "Total heap size": formatBytes(stats.total_heap_size),
+            "Used heap size": formatBytes(stats.used_heap_size),
+            "Heap size limit": formatBytes(stats.heap_size_limit),
+            "Malloced memory": formatBytes(stats.malloced_memory),
+            "Native contexts": stats.number_of_native_contexts,
+            "Detached contexts": stats.number_of_detached_contexts,
+        });
+
+        // DEBUGGING: A growing old_space usually means long-lived objects pile up
+        console.table(
+            v8.getHeapSpaceStatistics().map((space) => ({
+                Space: space.space_name,
+                Used: formatBytes(space.space_used_size),
+                Size: formatBytes(space.space_size),
+            }))
+        );
+
+        const usedRatio = stats.used_heap_size / stats.heap_size_limit;
+        return {
+            detector: "heap-limit",
+            subject: "V8 heap",
+            status: usedRatio > 0.8 ? "leak" : "ok",
+            summary: `${(usedRatio * 100).toFixed(1)}% of heap limit in use`,
+            details: stats,
+        };
+    }
+
+    /**
+     * Function Timing with performance.timerify
+     */
+    async functionTiming() {
+        console.log("\n=== 4. FUNCTION TIMING (timerify) ===");
+
+        const entries = [];
+        const observer = new PerformanceObserver((list) => {
+            entries.push(...list.getEntries());
+        });
+        observer.observe({ entryTypes: ["function"] });
+
+        // DEBUGGING: timerify wraps a function and emits a 'function' entry per call
+        const timedParse = performance.timerify(parseRecords);
+        const timedScore = performance.timerify(scoreRecords);
+
+        for (let i = 0; i < 3; i++) {
+            timedScore(timedParse(5000));
+        }
+
+        // Observer callbacks are delivered asynchronously
+        await new Promise((resolve) => setImmediate(resolve));
+        observer.disconnect();
+
+        console.table(
+            entries.map((entry) => ({
+                Function: entry.name,
+                "Duration (ms)": Number(entry.duration.toFixed(2)),
+            }))
+        );
+
+        return entries;
+    }
+
+    /**
+     * Heap Snapshot (opt-in: writing one pauses the process)
+     */
+    heapSnapshot() {
+        console.log("\n=== 5. HEAP SNAPSHOT ===");
+
+        if (!process.env.HEAP_SNAPSHOT) {
+            console.log(
+                "Skipped - set HEAP_SNAPSHOT=1 to write a .heapsnapshot (pauses the process)"
+            );
+            return null;
+        }
+
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        const filePath = v8.writeHeapSnapshot(
+            path.join(this.outputDir, `heap-${Date.now()}.heapsnapshot`)
+        );
+        this.artifacts.push(filePath);
+
+        console.log(`💾 Heap snapshot saved: ${filePath}`);
+        console.log("   Load it in DevTools → Memory tab → Load");
+        return filePath;
+    }
+
+    /**
+     * Run all profiling examples
+     */
+    async run() {
+        console.log("🎯 Starting Profiling Examples");
+        console.log("=".repeat(60));
+
+        this.artifacts = [];
+
+        try {
+            const hotspots = await this.cpuProfiling();
+            const sites = await this.allocationSampling();
+            const heapFinding = this.heapStatistics();
+            await this.functionTiming();
+            this.heapSnapshot();
+
+            const [topFunction] = hotspots;
+            const [topSite] = sites;
+            printFindings("Profiling summary", [
+                {
+                    detector: "cpu-profile",
+                    subject: "hottest function",
+                    status: "ok",
+                    summary: topFunction
+                        ? `${topFunction.Function} (${topFunction["Self %"]} self time)`
+                        : "no samples",
+                },
+                {
+                    detector: "allocation-sampling",
+                    subject: "top allocation site",
+                    status: "ok",
+                    summary: topSite
+                        ? `${topSite.Function} ${topSite.Location} (${topSite.Allocated})`
+                        : "no samples",
+                },
+                heapFinding,
+            ]);
+
+            console.log("\n📁 Profiles written:");
+            this.artifacts.forEach((file) => console.log(`   ${file}`));
+
+            console.log("\n🎉 All profiling examples completed!");
+        } catch (error) {
+            console.error("❌ Error running profiling examples:", error);
+        }
+
+        return this.artifacts;
+    }
+}
+
+module.exports = new ProfilingDebugging();
+
+if (require.main === module) {
+    module.exports.run();
+}
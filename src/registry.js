@@ -0,0 +1,302 @@
+/**
+ * Demo Registry - discovers, validates and stores debugging demos
+ *
+ * Each section under src/ that ships runnable demos declares them in its
+ * own index.js manifest, so adding a section never means editing the
+ * launcher:
+ *
+ *   // src/errors/index.js
+ *   module.exports = {
+ *       name: "errors",                   // CLI name: node src/index.js run errors
+ *       title: "Error Handling",          // Display name (defaults to name)
+ *       description: "Practice error debugging and handling",
+ *       tags: ["errors", "try-catch"],
+ *       order: 20,                        // Position in listings (lower first)
+ *       run: () => errorHandling.run(),
+ *   };
+ *
+ * A manifest may also export an array of demos. Third-party packages export
+ * the same shape - or a function that receives the registry - and are loaded
+ * with registry.loadPlugin("package-name").
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logging/logger");
+
+const log = logger.child({ component: "registry" });
+
+const DEMO_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const DEFAULT_ORDER = 100;
+
+/**
+ * Raised when a manifest does not satisfy the demo contract
+ */
+class DemoManifestError extends Error {
+    constructor(source, problems) {
+        super(`Invalid demo manifest from ${source}: ${problems.join("; ")}`);
+        this.name = "DemoManifestError";
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when a --plugin can't be resolved, fails to load or registers an
+ * invalid manifest - the cause says which
+ */
+class PluginLoadError extends Error {
+    constructor(specifier, cause) {
+        // MODULE_NOT_FOUND appends the require stack - the first line is enough
+        const [reason] = String(cause.message).split("\n");
+        super(`Cannot load plugin '${specifier}': ${reason}`, { cause });
+        this.name = "PluginLoadError";
+        this.specifier = specifier;
+    }
+}
+
+/**
+ * Check a manifest against the demo contract
+ * @param {*} manifest - Value exported by a manifest file or plugin
+ * @returns {string[]} List of problems (empty when valid)
+ */
+function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== "object") {
+        return ["manifest must be an object"];
+    }
+
+    const problems = [];
+
+    if (
+        typeof manifest.name !== "string" ||
+        !DEMO_NAME_PATTERN.test(manifest.name)
+    ) {
+        problems.push(
+            `'name' must be a lowercase, dash-separated string (got ${JSON.stringify(
+                manifest.name
+            )})`
+        );
+    }
+
+    if (
+        typeof manifest.description !== "string" ||
+        !manifest.description.trim()
+    ) {
+        problems.push("'description' must be a non-empty string");
+    }
+
+    if (typeof manifest.run !== "function") {
+        problems.push("'run' must be a function");
+    }
+
+    if (manifest.title !== undefined && typeof manifest.title !== "string") {
+        problems.push("'title' must be a string when provided");
+    }
+
+    if (
+        manifest.tags !== undefined &&
+        (!Array.isArray(manifest.tags) ||
+            !manifest.tags.every((tag) => typeof tag === "string"))
+    ) {
+        problems.push("'tags' must be an array of strings when provided");
+    }
+
+    if (manifest.order !== undefined && !Number.isFinite(manifest.order)) {
+        problems.push("'order' must be a finite number when provided");
+    }
+
+    return problems;
+}
+
+class DemoRegistry {
+    constructor() {
+        this.demos = new Map();
+        this.discoveryErrors = [];
+    }
+
+    /**
+     * Register a single demo manifest
+     * @param {Object} manifest - { name, title?, description, tags?, order?, run }
+     * @param {Object} options - { source: where the manifest came from }
+     * @returns {Object} The stored demo record
+     */
+    register(manifest, { source = "inline" } = {}) {
+        const problems = validateManifest(manifest);
+
+        if (problems.length === 0 && this.demos.has(manifest.name)) {
+            problems.push(
+                `demo '${manifest.name}' is already registered by ${
+                    this.demos.get(manifest.name).source
+                }`
+            );
+        }
+
+        if (problems.length > 0) {
+            throw new DemoManifestError(source, problems);
+        }
+
+        const demo = {
+            name: manifest.name,
+            title: manifest.title || manifest.name,
+            description: manifest.description,
+            tags: manifest.tags ? [...manifest.tags] : [],
+            order: manifest.order ?? DEFAULT_ORDER,
+            run: manifest.run,
+            source,
+        };
+
+        this.demos.set(demo.name, demo);
+        this.sortDemos();
+
+        return demo;
+    }
+
+    /**
+     * Register everything a manifest export describes
+     * @param {Object|Object[]|Function} exported - Manifest, array of manifests,
+     *   or a function receiving this registry
+     * @param {string} source - Where the export came from (for error messages)
+     * @returns {string[]} Names of the demos that were added
+     */
+    registerExport(exported, source) {
+        const before = new Set(this.demos.keys());
+        const added = () =>
+            Array.from(this.demos.keys()).filter((name) => !before.has(name));
+
+        if (typeof exported === "function") {
+            try {
+                exported(this);
+            } catch (error) {
+                // All or nothing: drop what the function registered so far
+                added().forEach((name) => this.demos.delete(name));
+                throw error;
+            }
+            return added();
+        }
+
+        // PITFALL: Registering entry by entry would keep the valid demos in
+        // front of a broken one - check the whole array first
+        const manifests = Array.isArray(exported) ? exported : [exported];
+        const names = new Set();
+        const problems = manifests.flatMap((manifest, index) => {
+            const label = manifests.length > 1 ? `[${index}] ` : "";
+            const found = validateManifest(manifest);
+            if (found.length === 0) {
+                if (this.demos.has(manifest.name)) {
+                    found.push(
+                        `demo '${manifest.name}' is already registered by ${
+                            this.demos.get(manifest.name).source
+                        }`
+                    );
+                } else if (names.has(manifest.name)) {
+                    found.push(`demo '${manifest.name}' is listed twice`);
+                }
+                names.add(manifest.name);
+            }
+            return found.map((problem) => label + problem);
+        });
+        if (problems.length > 0) {
+            throw new DemoManifestError(source, problems);
+        }
+
+        manifests.forEach((manifest) => this.register(manifest, { source }));
+        return added();
+    }
+
+    /**
+     * Discover demo manifests in src/<section>/index.js
+     * Broken manifests are skipped and recorded in discoveryErrors so one
+     * bad section cannot take the whole launcher down.
+     * @param {string} rootDir - Directory whose subdirectories are scanned
+     * @returns {string[]} Names of the discovered demos
+     */
+    discover(rootDir = __dirname) {
+        const discovered = [];
+
+        const sections = fs
+            .readdirSync(rootDir, { withFileTypes: true })
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => path.join(rootDir, entry.name, "index.js"))
+            .filter((manifestPath) => fs.existsSync(manifestPath))
+            .sort();
+
+        for (const manifestPath of sections) {
+            const source = path.relative(process.cwd(), manifestPath);
+
+            try {
+                // DEBUGGING: Step Into (F11) here to watch each manifest load
+                discovered.push(
+                    ...this.registerExport(require(manifestPath), source)
+                );
+            } catch (error) {
+                this.discoveryErrors.push({ source, error });
+                log.warn(`Skipping demos from ${source}: ${error.message}`);
+            }
+        }
+
+        return discovered;
+    }
+
+    /**
+     * Load demos from a third-party package or a local file
+     * @param {string} specifier - Package name or path (resolved from cwd)
+     * @returns {string[]} Names of the demos the plugin registered
+     * @throws {PluginLoadError}
+     */
+    loadPlugin(specifier) {
+        try {
+            const resolved = require.resolve(specifier, {
+                paths: [process.cwd(), __dirname],
+            });
+            const exported = require(resolved);
+
+            // Support ES module interop shapes: { default: manifest }
+            const manifest =
+                exported && exported.__esModule && exported.default
+                    ? exported.default
+                    : exported;
+
+            return this.registerExport(manifest, specifier);
+        } catch (error) {
+            throw new PluginLoadError(specifier, error);
+        }
+    }
+
+    get(name) {
+        return this.demos.get(name);
+    }
+
+    has(name) {
+        return this.demos.has(name);
+    }
+
+    names() {
+        return Array.from(this.demos.keys());
+    }
+
+    /**
+     * Demos carrying the given tag, in registry order
+     * @param {string} tag
+     */
+    withTag(tag) {
+        return Array.from(this.demos.values()).filter((demo) =>
+            demo.tags.includes(tag)
+        );
+    }
+
+    sortDemos() {
+        const sorted = Array.from(this.demos.values()).sort(
+            (a, b) => a.order - b.order || a.name.localeCompare(b.name)
+        );
+
+        this.demos.clear();
+        sorted.forEach((demo) => this.demos.set(demo.name, demo));
+    }
+}
+
+module.exports = {
+    DemoRegistry,
+    DemoManifestError,
+    PluginLoadError,
+    validateManifest,
+};
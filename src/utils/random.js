@@ -0,0 +1,25 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Math.random() can't be replayed. A seeded generator gives the same
+ * sequence on every run, so a "random" delay or interleaving that exposed
+ * a bug can be reproduced from its seed.
+ */
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = { createRandom };